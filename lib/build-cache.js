@@ -0,0 +1,269 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var async = require('async');
+var crypto = require('crypto');
+var dirManager = require('./dir-manager.js');
+var fs = require('fs');
+var kew = require('kew');
+var path = require('path');
+var underscore = require('underscore');
+
+
+/** Hash algorithm used for cache keys. */
+var HASH_ALGORITHM = 'sha1';
+
+
+/**
+ * Changed whenever the format of cache entries (or of the keys) changes, so
+ * that entries written by older versions are never used.
+ */
+var CACHE_FORMAT_VERSION = 1;
+
+
+/** Maximum number of input files to read at once while computing a key. */
+var MAX_PARALLEL_READS = 16;
+
+
+/**
+ * Describes one invocation of a compiler, which is cached by the hash of the
+ * tool jar, the exact compiler args, and the contents of every input file.
+ * Output files are restored from the cache (instead of running the compiler)
+ * on a hit, so they must be all the files the compiler writes.
+ * @typedef {{toolJar: string, args: !Array.<string>,
+ *     inputFiles: !Array.<string>, outputFiles: !Array.<string>}}
+ */
+var Compilation;
+
+
+/**
+ * What a compilation yields: a value (e.g. compiled output that was written to
+ * stdout) that must be JSON serializable, and the diagnostics it reported.
+ * @typedef {{value: *, diagnostics: !Array.<!Diagnostic>}}
+ */
+var CompileResult;
+
+
+/**
+ * Map from the path of each tool jar to a promise yielding the hash of its
+ * contents, since jars are large and don't change while building.
+ * @type {!Object.<string, !Promise.<string>>}
+ */
+var toolJarHashes = {};
+
+
+//==============================================================================
+// Compile With Cache
+//==============================================================================
+
+/**
+ * Runs compileFn, unless buildOptions.cacheDir has a cached result for the
+ * same compilation. On a hit, restores the output files and records the
+ * cached diagnostics to the monitor instead (compileFn must record its own).
+ * On success, caches the output files and result.
+ * @param {!Object} buildOptions
+ * @param {!Compilation} compilation
+ * @param {!BuildMonitor} monitor
+ * @param {function():!Promise.<!CompileResult>} compileFn
+ * @return {!Promise.<*>} Yields the value of the (possibly cached) result.
+ */
+function compileAsync(buildOptions, compilation, monitor, compileFn) {
+  var cacheDir = buildOptions.cacheDir;
+  if (!cacheDir) {
+    return compileFn().then(function(result) { return result.value; });
+  }
+
+  return computeKeyAsync(compilation)
+      .then(function(key) {
+        var entryFile = path.join(cacheDir, key + '.json');
+        return readEntryAsync(entryFile)
+            .then(function(entry) {
+              if (entry) {
+                return restoreEntryAsync(entry, monitor);
+              }
+              return compileFn().then(function(result) {
+                return writeEntryAsync(entryFile, compilation, result)
+                    .then(function() { return result.value; });
+              });
+            });
+      });
+}
+
+
+/**
+ * @param {!Compilation} compilation
+ * @return {!Promise.<string>} Yields the cache key (hex string).
+ */
+function computeKeyAsync(compilation) {
+  var inputHashesAsync = kew.defer();
+  async.mapLimit(compilation.inputFiles, MAX_PARALLEL_READS,
+      function(inputFile, callbackFn) {
+        hashFileAsync(inputFile)
+            .then(function(hash) { callbackFn(null, hash); })
+            .fail(callbackFn);
+      }, inputHashesAsync.makeNodeResolver());
+
+  return kew.all([hashToolJarAsync(compilation.toolJar), inputHashesAsync])
+      .then(function(results) {
+        var keyData = {
+          version: CACHE_FORMAT_VERSION,
+          toolJar: results[0],
+          args: compilation.args,
+          inputFiles: underscore.zip(compilation.inputFiles, results[1])
+        };
+        return crypto.createHash(HASH_ALGORITHM)
+            .update(JSON.stringify(keyData)).digest('hex');
+      });
+}
+
+
+/**
+ * @param {string} toolJar
+ * @return {!Promise.<string>} Yields the hash of the tool jar's contents.
+ */
+function hashToolJarAsync(toolJar) {
+  if (!toolJarHashes[toolJar]) {
+    toolJarHashes[toolJar] = hashFileAsync(toolJar);
+    toolJarHashes[toolJar].fail(function() {
+      // Try again next time, in case the failure was temporary.
+      delete toolJarHashes[toolJar];
+    });
+  }
+  return toolJarHashes[toolJar];
+}
+
+
+/**
+ * @param {string} filePath
+ * @return {!Promise.<string>} Yields the hash of the file's contents.
+ */
+function hashFileAsync(filePath) {
+  // TODO: Switch to kew.nfcall() when ready...
+  var readAsync = kew.defer();
+  fs.readFile(filePath, readAsync.makeNodeResolver());
+  return readAsync.then(function(content) {
+    return crypto.createHash(HASH_ALGORITHM).update(content).digest('hex');
+  });
+}
+
+
+//==============================================================================
+// Read & Write Cache Entries
+//==============================================================================
+
+/**
+ * @param {string} entryFile
+ * @return {!Promise.<Object>} Yields the cache entry, or null if there isn't
+ *     one (or it can't be parsed, in which case it will be overwritten).
+ */
+function readEntryAsync(entryFile) {
+  var promise = kew.defer();
+  fs.readFile(entryFile, {encoding: 'utf8'}, function(err, content) {
+    if (err && (err.code == 'ENOENT')) {
+      promise.resolve(null);
+    } else if (err) {
+      promise.reject(err);
+    } else {
+      try {
+        promise.resolve(JSON.parse(content));
+      } catch (e) {
+        promise.resolve(null);
+      }
+    }
+  });
+  return promise;
+}
+
+
+/**
+ * @param {!{files: !Object.<string, string>, value: *,
+ *     diagnostics: !Array.<!Diagnostic>}} entry
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise.<*>} Yields the cached value once all cached output files
+ *     have been written.
+ */
+function restoreEntryAsync(entry, monitor) {
+  var tasks = underscore.map(entry.files, function(content, filePath) {
+    monitor.trackOutputFile(filePath);
+    return dirManager.makeDirAndParents(path.dirname(filePath))
+        .then(function() {
+          return writeFileAsync(filePath, content);
+        });
+  });
+
+  return kew.all(tasks)
+      .then(function() {
+        monitor.recordDiagnostics(entry.diagnostics);
+        return entry.value;
+      });
+}
+
+
+/**
+ * @param {string} entryFile
+ * @param {!Compilation} compilation
+ * @param {!CompileResult} result
+ * @return {!Promise} Tracks success/failure of caching the output files and
+ *     result.
+ */
+function writeEntryAsync(entryFile, compilation, result) {
+  var readTasks = compilation.outputFiles.map(function(outputFile) {
+    // TODO: Switch to kew.nfcall() when ready...
+    var promise = kew.defer();
+    fs.readFile(outputFile, {encoding: 'utf8'}, promise.makeNodeResolver());
+    return promise;
+  });
+
+  return kew.all([dirManager.makeDirAndParents(path.dirname(entryFile))]
+      .concat(readTasks))
+      .then(function(results) {
+        var entry = {
+          files: underscore.object(compilation.outputFiles, results.slice(1)),
+          value: result.value,
+          diagnostics: result.diagnostics
+        };
+
+        // Write then rename, so that concurrent builds never read a partially
+        // written entry.
+        var tempFile = entryFile + '.' + process.pid + '.tmp';
+        return writeFileAsync(tempFile, JSON.stringify(entry))
+            .then(function() {
+              // TODO: Switch to kew.nfcall() when ready...
+              var promise = kew.defer();
+              fs.rename(tempFile, entryFile, promise.makeNodeResolver());
+              return promise;
+            });
+      });
+}
+
+
+/**
+ * @param {string} filePath
+ * @param {string} content
+ * @return {!Promise} A promise tracking success.
+ */
+function writeFileAsync(filePath, content) {
+  // TODO: Switch to kew.nfcall() when ready...
+  var promise = kew.defer();
+  fs.writeFile(filePath, content, {encoding: 'utf8'},
+      promise.makeNodeResolver());
+  return promise;
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  compileAsync: compileAsync,
+  computeKeyAsync: computeKeyAsync
+};
@@ -0,0 +1,94 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var common = require('./common.js');
+var compressor = require('./compressor.js');
+var dirManager = require('./dir-manager.js');
+var manifest = require('./manifest.js');
+var path = require('path');
+var plugins = require('./plugins.js');
+var report = require('./report.js');
+
+
+/**
+ * Waits for a build to complete, then creates its manifest (renaming output
+ * files to hashed file names and writing compressed copies of them, if
+ * requested), writes the manifest and report (if requested), and removes any
+ * files left in the build output directory by previous builds (e.g. for
+ * since-removed modules). Finally runs any afterBuild plugin hooks.
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @param {!Promise.<!OutputDirs>} outDirsAsync
+ * @param {!Array.<!Promise>} completionTasks Must all succeed (if any fail,
+ *     the build only fails once all have finished).
+ * @param {!BuildMonitor} monitor Has recorded all outputs of the build.
+ * @return {!Promise.<!BuildResult>} Yields the build result.
+ */
+function finishBuildAsync(projectOptions, buildOptions, outDirsAsync,
+    completionTasks, monitor) {
+  return common.waitForAll([outDirsAsync].concat(completionTasks))
+      .then(function(results) {
+        var outDirs = results[0];
+        return manifest.createManifestAsync(buildOptions, monitor.getOutputs())
+            .then(function(buildManifest) {
+              if (!buildOptions.hashFileNames) {
+                return buildManifest;
+              }
+              return manifest.hashFileNamesAsync(
+                  buildManifest, buildOptions, monitor);
+            }).then(function(buildManifest) {
+              if (!buildOptions.precompressOutputs) {
+                return buildManifest;
+              }
+              return compressor.compressOutputsAsync(buildManifest, monitor);
+            }).then(function(buildManifest) {
+              if (!buildOptions.writeManifest) {
+                return buildManifest;
+              }
+              monitor.trackOutputFile(
+                  path.join(outDirs.build, manifest.MANIFEST_FILE_NAME));
+              return manifest.writeManifestAsync(buildManifest, outDirs)
+                  .then(function() { return buildManifest; });
+            }).then(function(buildManifest) {
+              if (!buildOptions.writeReport) {
+                return buildManifest;
+              }
+              monitor.trackOutputFile(
+                  path.join(outDirs.build, report.REPORT_FILE_NAME));
+              return report.createReportAsync(buildManifest, monitor)
+                  .then(function(html) {
+                    return report.writeReportAsync(html, outDirs);
+                  }).then(function() { return buildManifest; });
+            }).then(function(buildManifest) {
+              return dirManager.removeStaleFilesAsync(
+                  outDirs.build, monitor.getTrackedOutputFiles())
+                  .then(function() { return buildManifest; });
+            }).then(function(buildManifest) {
+              var result = {
+                manifest: buildManifest,
+                diagnostics: monitor.getDiagnostics()
+              };
+              return plugins.runHookAsync(plugins.Hook.AFTER_BUILD,
+                  projectOptions, buildOptions, outDirs, monitor,
+                  {result: result})
+                  .then(function() { return result; });
+            });
+      });
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  finishBuildAsync: finishBuildAsync
+};
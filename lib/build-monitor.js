@@ -0,0 +1,361 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var events = require('events');
+var fs = require('fs');
+var kew = require('kew');
+var util = require('util');
+
+
+/**
+ * Tracks the progress of a single build. Emits a 'phase-start' event when each
+ * build phase starts and a 'phase-end' event (with timing) when it finishes.
+ * Also tracks spawned child processes and output files, so that the build can
+ * be cancelled.
+ * @constructor
+ * @extends {events.EventEmitter}
+ */
+function BuildMonitor() {
+  events.EventEmitter.call(this);
+
+  /** Time this build started (ms since epoch). */
+  this.startTime_ = Date.now();
+
+  /** List of finished phase timings, in order of completion. */
+  this.timings_ = [];
+
+  /** List of output files written by the build, in order of completion. */
+  this.outputs_ = [];
+
+  /** List of compiler errors and warnings, in the order they were reported. */
+  this.diagnostics_ = [];
+
+  /** Child processes spawned by the build. */
+  this.childProcesses_ = [];
+
+  /** Paths of all files the build has started writing. */
+  this.startedOutputFiles_ = [];
+
+  /** Whether cancel() has been called. */
+  this.isCancelled_ = false;
+
+  /** Name of the target this monitors, if part of a multi-target build. */
+  this.target_ = null;
+
+  /** Monitors of each target, if this monitors a multi-target build. */
+  this.targetMonitors_ = [];
+}
+util.inherits(BuildMonitor, events.EventEmitter);
+
+
+/** Build phases reported by a BuildMonitor. */
+BuildMonitor.Phase = {
+  OUTPUT_DIRS: 'outputDirs',
+  SOY: 'soy',
+  CLOSURE_DEPS: 'closureDeps',
+  GSS: 'gss',
+  JS_COMPILE: 'jsCompile',
+  OUTPUT_FILES: 'outputFiles'
+};
+
+
+/** Events emitted by a BuildMonitor (each with a PhaseEvent argument). */
+BuildMonitor.PHASE_START = 'phase-start';
+BuildMonitor.PHASE_END = 'phase-end';
+
+
+/** Event emitted by a BuildMonitor (with no argument) when it's cancelled. */
+BuildMonitor.CANCEL = 'cancel';
+
+
+/**
+ * @typedef {{phase: string, module: (string|undefined),
+ *     target: (string|undefined), elapsedMs: number,
+ *     durationMs: (number|undefined), success: (boolean|undefined)}}
+ */
+BuildMonitor.PhaseEvent;
+
+
+/**
+ * Emits phase-start, invokes phaseFn, and then emits phase-end once the
+ * returned promise is resolved or rejected. If the build has been cancelled,
+ * then the phase is never started.
+ * @param {string} phase
+ * @param {function():!Promise.<T>} phaseFn Starts the work for this phase.
+ * @param {string=} opt_module Name of the JS or CSS module this phase is for
+ *     (if it is specific to a single module).
+ * @return {!Promise.<T>} Result of phaseFn.
+ * @template T
+ */
+BuildMonitor.prototype.trackPhase = function(phase, phaseFn, opt_module) {
+  if (this.isCancelled_) {
+    return kew.reject(new BuildCancelledError());
+  }
+
+  var phaseStartTime = Date.now();
+  this.emit(BuildMonitor.PHASE_START, this.newPhaseEvent_(phase, opt_module));
+
+  var endPhase = function(success) {
+    var event = this.newPhaseEvent_(phase, opt_module);
+    event.durationMs = Date.now() - phaseStartTime;
+    event.success = success;
+    this.recordTiming_(event);
+    this.emit(BuildMonitor.PHASE_END, event);
+  }.bind(this);
+
+  var promise;
+  try {
+    promise = phaseFn();
+  } catch (e) {
+    promise = kew.reject(e);
+  }
+
+  return promise.then(function(result) {
+    endPhase(true);
+    return result;
+  }, function(err) {
+    endPhase(false);
+    throw err;
+  });
+};
+
+
+/**
+ * Creates the monitor for one target of a multi-target build. Its phase events
+ * are also emitted by this monitor (with the target property set), and its
+ * timings are included in getTimings(). Cancelling this monitor cancels the
+ * target monitor too, and removeOutputFilesAsync() also removes its files.
+ * @param {string} target Name of the target (e.g. its build type).
+ * @return {!BuildMonitor}
+ */
+BuildMonitor.prototype.newTargetMonitor = function(target) {
+  var targetMonitor = new BuildMonitor();
+  targetMonitor.startTime_ = this.startTime_;
+  targetMonitor.target_ = target;
+  this.targetMonitors_.push(targetMonitor);
+
+  var self = this;
+  targetMonitor.on(BuildMonitor.PHASE_START, function(event) {
+    self.emit(BuildMonitor.PHASE_START, event);
+  });
+  targetMonitor.on(BuildMonitor.PHASE_END, function(event) {
+    self.recordTiming_(event);
+    self.emit(BuildMonitor.PHASE_END, event);
+  });
+
+  if (this.isCancelled_) {
+    targetMonitor.cancel();
+  }
+  return targetMonitor;
+};
+
+
+/**
+ * Describes a final output JS or CSS module file. The inputFiles are listed in
+ * the order their content appears within the output file.
+ * @typedef {{type: string, name: string, path: string,
+ *     alwaysLoadedAfterModules: !Array.<string>,
+ *     inputFiles: !Array.<string>}}
+ */
+BuildMonitor.Output;
+
+
+/** Values for the type of a BuildMonitor.Output. */
+BuildMonitor.OutputType = {
+  CSS: 'css',
+  JS: 'js'
+};
+
+
+/**
+ * Records that the build has finished writing the given output file.
+ * @param {!BuildMonitor.Output} output
+ */
+BuildMonitor.prototype.recordOutput = function(output) {
+  this.outputs_.push(output);
+};
+
+
+/** @return {!Array.<!BuildMonitor.Output>} All recorded output files. */
+BuildMonitor.prototype.getOutputs = function() {
+  return this.outputs_.slice();
+};
+
+
+/**
+ * Records errors and warnings reported by a compiler during the build.
+ * @param {!Array.<!Diagnostic>} diagnostics
+ */
+BuildMonitor.prototype.recordDiagnostics = function(diagnostics) {
+  this.diagnostics_ = this.diagnostics_.concat(diagnostics);
+};
+
+
+/** @return {!Array.<!Diagnostic>} All recorded errors and warnings. */
+BuildMonitor.prototype.getDiagnostics = function() {
+  return this.diagnostics_.slice();
+};
+
+
+/**
+ * Records a child process spawned by the build, so it can be killed if the
+ * build is cancelled.
+ * @param {!ChildProcess} childProcess
+ */
+BuildMonitor.prototype.trackChildProcess = function(childProcess) {
+  if (this.isCancelled_) {
+    childProcess.kill();
+    return;
+  }
+  this.childProcesses_.push(childProcess);
+};
+
+
+/**
+ * Records that the build has started writing the given file, so that it can be
+ * removed if the build is cancelled (since it may be incomplete).
+ * @param {string} filePath
+ */
+BuildMonitor.prototype.trackOutputFile = function(filePath) {
+  this.startedOutputFiles_.push(filePath);
+};
+
+
+/** @return {!Array.<string>} Paths of all files the build started writing. */
+BuildMonitor.prototype.getTrackedOutputFiles = function() {
+  return this.startedOutputFiles_.slice();
+};
+
+
+/**
+ * Cancels the build: kills all of its running child processes, and prevents
+ * any further phases from starting. No-op if already cancelled.
+ */
+BuildMonitor.prototype.cancel = function() {
+  if (this.isCancelled_) {
+    return;
+  }
+  this.isCancelled_ = true;
+
+  this.childProcesses_.forEach(function(childProcess) {
+    // No-op for processes that have already exited.
+    childProcess.kill();
+  });
+  this.childProcesses_ = [];
+
+  this.targetMonitors_.forEach(function(targetMonitor) {
+    targetMonitor.cancel();
+  });
+
+  this.emit(BuildMonitor.CANCEL);
+};
+
+
+/** @return {boolean} Whether cancel() has been called. */
+BuildMonitor.prototype.isCancelled = function() {
+  return this.isCancelled_;
+};
+
+
+/**
+ * Removes all files that the build (including any targets) started writing
+ * (ignoring any that don't exist).
+ * @return {!Promise} Tracks success/failure.
+ */
+BuildMonitor.prototype.removeOutputFilesAsync = function() {
+  var tasks = this.startedOutputFiles_.map(function(filePath) {
+    // TODO: Switch to kew.nfcall() when ready...
+    var promise = kew.defer();
+    fs.unlink(filePath, function(err) {
+      if (err && (err.code != 'ENOENT')) {
+        promise.reject(err);
+      } else {
+        promise.resolve(null);
+      }
+    });
+    return promise;
+  });
+  this.targetMonitors_.forEach(function(targetMonitor) {
+    tasks.push(targetMonitor.removeOutputFilesAsync());
+  });
+  return kew.all(tasks);
+};
+
+
+/** @return {number} Milliseconds since the build started. */
+BuildMonitor.prototype.getElapsedMs = function() {
+  return Date.now() - this.startTime_;
+};
+
+
+/**
+ * @return {!Array.<!{phase: string, module: (string|undefined),
+ *     target: (string|undefined), durationMs: number}>} Timings of all
+ *     finished phases, in the order they finished.
+ */
+BuildMonitor.prototype.getTimings = function() {
+  return this.timings_.slice();
+};
+
+
+/**
+ * @param {string} phase
+ * @param {string=} opt_module
+ * @return {!BuildMonitor.PhaseEvent}
+ * @private
+ */
+BuildMonitor.prototype.newPhaseEvent_ = function(phase, opt_module) {
+  var event = {phase: phase, elapsedMs: this.getElapsedMs()};
+  if (opt_module) {
+    event.module = opt_module;
+  }
+  if (this.target_) {
+    event.target = this.target_;
+  }
+  return event;
+};
+
+
+/**
+ * @param {!BuildMonitor.PhaseEvent} event Phase-end event.
+ * @private
+ */
+BuildMonitor.prototype.recordTiming_ = function(event) {
+  var timing = {
+    phase: event.phase,
+    module: event.module,
+    durationMs: event.durationMs
+  };
+  if (event.target) {
+    timing.target = event.target;
+  }
+  this.timings_.push(timing);
+};
+
+
+/**
+ * Error that a build is rejected with if it was cancelled.
+ * @constructor
+ */
+function BuildCancelledError() {
+  this.message = 'Build was cancelled';
+}
+BuildCancelledError.prototype = new Error();
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  BuildCancelledError: BuildCancelledError,
+  BuildMonitor: BuildMonitor
+};
@@ -0,0 +1,177 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var common = require('./common.js');
+var underscore = require('underscore');
+
+
+/** Allowed values for the jsCompilationLevel of a build profile. */
+var JS_COMPILATION_LEVELS = [
+  'WHITESPACE_ONLY',
+  'SIMPLE_OPTIMIZATIONS',
+  'ADVANCED_OPTIMIZATIONS'
+];
+
+
+/** Allowed values within the jsFormatting list of a build profile. */
+var JS_FORMATTING_OPTIONS = [
+  'PRETTY_PRINT',
+  'PRINT_INPUT_DELIMITER',
+  'SINGLE_QUOTES'
+];
+
+
+/** Allowed values for the gssRenaming of a build profile. */
+var GSS_RENAMING_MODES = ['NONE', 'DEBUG', 'CLOSURE'];
+
+
+/**
+ * Profiles that are always available, which also serve as the base for custom
+ * profiles from projectOptions.buildProfiles. The outputSubdir of each profile
+ * defaults to the profile name.
+ */
+var BUILT_IN_PROFILES = {};
+BUILT_IN_PROFILES[common.DEBUG] = {
+  jsCompilationLevel: 'SIMPLE_OPTIMIZATIONS',
+  jsFormatting: ['PRETTY_PRINT'],
+  jsDefines: {},
+  gssRenaming: 'DEBUG',
+  gssPrettyPrint: true
+};
+BUILT_IN_PROFILES[common.RELEASE] = {
+  jsCompilationLevel: 'ADVANCED_OPTIMIZATIONS',
+  jsFormatting: [],
+  jsDefines: {'goog.DEBUG': false},
+  gssRenaming: 'CLOSURE',
+  gssPrettyPrint: false
+};
+
+
+/**
+ * Custom profiles that don't give a basedOn profile are based on this one.
+ */
+var DEFAULT_BASE_PROFILE = common.DEBUG;
+
+
+/**
+ * @typedef {{name: string, jsCompilationLevel: string,
+ *     jsFormatting: !Array.<string>,
+ *     jsDefines: !Object.<string, (boolean|number|string)>,
+ *     gssRenaming: string, gssPrettyPrint: boolean, outputSubdir: string}}
+ */
+var BuildProfile;
+
+
+/**
+ * Resolves the named build profile, filling in any settings it doesn't specify
+ * from the profile it's based on (jsDefines are merged instead, with the based
+ * on profile's defines overridden by any of the same name). Throws an Error if
+ * the profile (or one it's based on) doesn't exist, or if profiles are based on
+ * each other in a cycle.
+ * @param {!Object} projectOptions
+ * @param {string} profileName The build type, e.g. closureProBuild.DEBUG.
+ * @return {!BuildProfile}
+ */
+function resolveProfile(projectOptions, profileName) {
+  var customProfiles = projectOptions.buildProfiles || {};
+
+  // Find the chain of basedOn profiles, ending with a built-in profile.
+  var profileChain = [];
+  var visitedNames = [];
+  var currentName = profileName;
+  while (currentName) {
+    if (visitedNames.indexOf(currentName) != -1) {
+      throw new Error('Build profiles are based on each other in a cycle: ' +
+          visitedNames.concat(currentName).join(' -> '));
+    }
+    visitedNames.push(currentName);
+
+    var profile = BUILT_IN_PROFILES[currentName] ||
+        (customProfiles.hasOwnProperty(currentName) ?
+            customProfiles[currentName] : null);
+    if (!profile) {
+      throw newUnknownProfileError(projectOptions, currentName, visitedNames);
+    }
+    profileChain.push(profile);
+
+    currentName = BUILT_IN_PROFILES[currentName] ?
+        null : (profile.basedOn || DEFAULT_BASE_PROFILE);
+  }
+
+  // Then apply each profile's settings on top of the one it's based on.
+  var resolved = {jsDefines: {}};
+  profileChain.reverse().forEach(function(profile) {
+    var jsDefines = underscore.extend(resolved.jsDefines, profile.jsDefines);
+    underscore.extend(resolved, underscore.omit(profile, 'basedOn'));
+    resolved.jsDefines = jsDefines;
+  });
+
+  resolved.name = profileName;
+  if (!customProfiles.hasOwnProperty(profileName) ||
+      !customProfiles[profileName].outputSubdir) {
+    resolved.outputSubdir = profileName;
+  }
+  return resolved;
+}
+
+
+/**
+ * @param {!Object} projectOptions
+ * @param {string} profileName
+ * @param {!Array.<string>} visitedNames Profiles visited so far (ending with
+ *     profileName).
+ * @return {!Error}
+ */
+function newUnknownProfileError(projectOptions, profileName, visitedNames) {
+  if (visitedNames.length > 1) {
+    return new Error('Unknown build profile <' + profileName + '> is the ' +
+        'basedOn profile of build profile <' +
+        visitedNames[visitedNames.length - 2] + '>');
+  }
+
+  var customNames = underscore.keys(projectOptions.buildProfiles || {});
+  return new Error('Invalid build type: <' + profileName + '>, must be ' +
+      'closureProBuild.DEBUG or closureProBuild.RELEASE' +
+      ((customNames.length > 0) ?
+          ' or one of projectOptions.buildProfiles: ' + customNames.join(', ') :
+          ''));
+}
+
+
+/**
+ * Throws an Error if any custom build profile redefines a built-in profile or
+ * can't be resolved.
+ * @param {!Object} projectOptions
+ */
+function assertValidCustomProfiles(projectOptions) {
+  for (var profileName in (projectOptions.buildProfiles || {})) {
+    if (BUILT_IN_PROFILES[profileName]) {
+      throw new Error('Build profile <' + profileName + '> is built in, ' +
+          'so can\'t be redefined within projectOptions.buildProfiles (use ' +
+          'basedOn instead)');
+    }
+    resolveProfile(projectOptions, profileName);
+  }
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  BUILT_IN_PROFILES: BUILT_IN_PROFILES,
+  GSS_RENAMING_MODES: GSS_RENAMING_MODES,
+  JS_COMPILATION_LEVELS: JS_COMPILATION_LEVELS,
+  JS_FORMATTING_OPTIONS: JS_FORMATTING_OPTIONS,
+  assertValidCustomProfiles: assertValidCustomProfiles,
+  resolveProfile: resolveProfile
+};
@@ -0,0 +1,591 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var closureProBuild = require('./closure-pro-build.js');
+var common = require('./common.js');
+var compressor = require('./compressor.js');
+var configFile = require('./config-file.js');
+var fs = require('fs');
+var optionValidator = require('./option-validator.js');
+var path = require('path');
+var underscore = require('underscore');
+
+// Allow console output to be stubbed in tests.
+var testable = {
+  log: function(message) { console.log(message); },
+  error: function(message) { console.error(message); }
+};
+
+
+/** Config files looked for (in order) if --config isn't given. */
+var DEFAULT_CONFIG_FILES = ['closure-project.js', 'closure-project.json'];
+
+
+/** Prefix for all messages printed by the command-line interface. */
+var MESSAGE_PREFIX = 'closure-pro-build: ';
+
+
+/**
+ * Prefix of environment variables that override build options, e.g.
+ * CLOSURE_PRO_BUILD_JAVA_COMMAND for javaCommand.
+ */
+var ENV_VAR_PREFIX = 'CLOSURE_PRO_BUILD_';
+
+
+/**
+ * Runs the closure-pro-build command-line interface.
+ * @param {!Array.<string>} args Command-line arguments (not including node or
+ *     the script name).
+ * @param {function(number)} exitFn Called with the process exit code once the
+ *     command is done (while watching, only if watching can't start).
+ */
+function run(args, exitFn) {
+  var config;
+  try {
+    var parsedArgs = parseArgs(args);
+    if (parsedArgs.help) {
+      testable.log(getUsage());
+      exitFn(common.EXIT_SUCCESS);
+      return;
+    } else if (parsedArgs.printSchema) {
+      // Doesn't depend on any config file.
+      testable.log(JSON.stringify(closureProBuild.getJsonSchema(), null, 2));
+      exitFn(common.EXIT_SUCCESS);
+      return;
+    }
+
+    config = loadConfig(parsedArgs, process.env);
+  } catch (e) {
+    testable.error(MESSAGE_PREFIX + e.message);
+    exitFn(common.EXIT_FAILURE);
+    return;
+  }
+
+  // Resolved options are printed as JSON, which shows any overrides anyway.
+  if (!config.printOptions && !underscore.isEmpty(config.overrides)) {
+    maybeLog(config, 'Overriding build options: ' +
+        underscore.map(config.overrides, function(override, option) {
+          var value = underscore.isObject(override.value) ?
+              JSON.stringify(override.value) : override.value;
+          return option + '=' + value + ' (from ' + override.source + ')';
+        }).join(', '));
+  }
+
+  if (config.printOptions) {
+    runPrintOptions(config, exitFn);
+  } else if (config.clean) {
+    runClean(config, exitFn);
+  } else if (config.dryRun) {
+    runPlan(config, exitFn);
+  } else if (config.watch) {
+    runWatch(config, exitFn);
+  } else {
+    runBuild(config, exitFn);
+  }
+}
+
+
+/**
+ * @param {!{projectOptions: !Object, buildOptions: !Object}} config
+ * @param {function(number)} exitFn
+ */
+function runBuild(config, exitFn) {
+  var startTime = Date.now();
+  var onDone = function(err, result) {
+    if (err) {
+      testable.error(MESSAGE_PREFIX + err.message);
+      exitFn(common.EXIT_FAILURE);
+      return;
+    }
+
+    if (config.buildOptions.precompressOutputs) {
+      maybeLog(config, compressor.formatSizeTable(result.manifest));
+    }
+    maybeLog(config, 'Finished ' + config.buildOptions.type + ' build in ' +
+        formatElapsedTime(Date.now() - startTime));
+    exitFn(common.EXIT_SUCCESS);
+  };
+
+  try {
+    closureProBuild.build(config.projectOptions, config.buildOptions, onDone);
+  } catch (e) {
+    // Invalid options are thrown synchronously.
+    onDone(e);
+  }
+}
+
+
+/**
+ * @param {!{projectOptions: !Object, buildOptions: !Object}} config
+ * @param {function(number)} exitFn
+ */
+function runPrintOptions(config, exitFn) {
+  var resolvedOptions;
+  try {
+    resolvedOptions = closureProBuild.resolveOptions(
+        config.projectOptions, config.buildOptions);
+  } catch (e) {
+    testable.error(MESSAGE_PREFIX + e.message);
+    exitFn(common.EXIT_FAILURE);
+    return;
+  }
+
+  testable.log(JSON.stringify(resolvedOptions, null, 2));
+  exitFn(common.EXIT_SUCCESS);
+}
+
+
+/**
+ * @param {!{projectOptions: !Object, buildOptions: !Object}} config
+ * @param {function(number)} exitFn
+ */
+function runClean(config, exitFn) {
+  var onDone = function(err, outDirs) {
+    if (err) {
+      testable.error(MESSAGE_PREFIX + err.message);
+      exitFn(common.EXIT_FAILURE);
+      return;
+    }
+
+    maybeLog(config, 'Removed ' + [outDirs.tmp, outDirs.gen, outDirs.build]
+        .join(', '));
+    exitFn(common.EXIT_SUCCESS);
+  };
+
+  try {
+    closureProBuild.clean(config.projectOptions, config.buildOptions, onDone);
+  } catch (e) {
+    // Invalid options are thrown synchronously.
+    onDone(e);
+  }
+}
+
+
+/**
+ * @param {!{projectOptions: !Object, buildOptions: !Object}} config
+ * @param {function(number)} exitFn
+ */
+function runPlan(config, exitFn) {
+  var onDone = function(err, buildPlan) {
+    if (err) {
+      testable.error(MESSAGE_PREFIX + err.message);
+      exitFn(common.EXIT_FAILURE);
+      return;
+    }
+
+    testable.log(formatPlan(buildPlan));
+    exitFn(common.EXIT_SUCCESS);
+  };
+
+  try {
+    closureProBuild.plan(config.projectOptions, config.buildOptions, onDone);
+  } catch (e) {
+    // Invalid options are thrown synchronously.
+    onDone(e);
+  }
+}
+
+
+/**
+ * @param {!{projectOptions: !Object, buildOptions: !Object}} config
+ * @param {function(number)} exitFn Only called if watching can't start.
+ */
+function runWatch(config, exitFn) {
+  var onEvent = function(event) {
+    if (event.type == 'build-start') {
+      maybeLog(config, 'Building ' + event.phases.join(', ') + '...');
+    } else if (event.type == 'build-success') {
+      maybeLog(config, 'Built ' + event.phases.join(', ') + ' in ' +
+          formatElapsedTime(event.elapsedMs) + ', watching for changes');
+    } else {
+      testable.error(MESSAGE_PREFIX + event.error.message);
+    }
+  };
+
+  try {
+    closureProBuild.watch(config.projectOptions, config.buildOptions, onEvent);
+  } catch (e) {
+    // Invalid options are thrown synchronously.
+    testable.error(MESSAGE_PREFIX + e.message);
+    exitFn(common.EXIT_FAILURE);
+  }
+}
+
+
+/**
+ * @param {!{buildOptions: !Object}} config
+ * @param {string} message
+ */
+function maybeLog(config, message) {
+  if (!config.buildOptions.suppressOutput) {
+    testable.log(MESSAGE_PREFIX + message);
+  }
+}
+
+
+/**
+ * @param {number} elapsedMs
+ * @return {string}
+ */
+function formatElapsedTime(elapsedMs) {
+  return (elapsedMs / 1000).toFixed(1) + 's';
+}
+
+
+/**
+ * @param {!BuildPlan} buildPlan
+ * @return {string} Lists the input files of each JS module, in order.
+ */
+function formatPlan(buildPlan) {
+  var lines = [];
+  buildPlan.jsModules.forEach(function(jsModule) {
+    var loadedAfter = jsModule.alwaysLoadedAfterModules;
+    lines.push(jsModule.name + ' (loaded after: ' +
+        (loadedAfter.length > 0 ? loadedAfter.join(', ') : 'none') + ')');
+    [
+      {label: 'Uncompiled', inputFiles: jsModule.dontCompileInputFiles},
+      {label: 'Compiled', inputFiles: jsModule.compiledInputFiles}
+    ].forEach(function(group) {
+      lines.push('  ' + group.label + ' input files:' +
+          (group.inputFiles.length > 0 ? '' : ' none'));
+      group.inputFiles.forEach(function(inputFile) {
+        lines.push('    ' + inputFile);
+      });
+    });
+  });
+  return lines.join('\n');
+}
+
+
+//==============================================================================
+// Parse Command-Line Arguments
+//==============================================================================
+
+/**
+ * Parses command-line arguments. Each build option (see BUILD_OPTIONS_SPEC)
+ * maps to a flag of the same name in dashed form, e.g. outputDir is set via
+ * --output-dir=path or --output-dir path. Boolean flags can be given on their
+ * own (meaning true) or with an explicit =true or =false value. Any build
+ * option can also be set via --set name=value (e.g. --set outputDir=path),
+ * and each JS define via --define name=value.
+ * @param {!Array.<string>} args
+ * @return {!{configFile: ?string, clean: boolean, dryRun: boolean,
+ *     printOptions: boolean, printSchema: boolean, watch: boolean,
+ *     help: boolean, buildOptions: !Object, setOptions: !Object,
+ *     defines: !Object}} Where setOptions has the build options given via
+ *     --set (which are also in buildOptions), and defines has the JS defines
+ *     given via --define.
+ */
+function parseArgs(args) {
+  var parsedArgs = {
+    configFile: null,
+    clean: false,
+    dryRun: false,
+    printOptions: false,
+    printSchema: false,
+    watch: false,
+    help: false,
+    buildOptions: {},
+    setOptions: {},
+    defines: {}
+  };
+  var flagToOption = getFlagToBuildOptionMap();
+
+  // Returns the given flag value, or consumes the next arg as its value.
+  var i = 0;
+  var getValue = function(flag, value) {
+    if (value != null) {
+      return value;
+    }
+    if ((i + 1 >= args.length) || (args[i + 1].indexOf('--') == 0)) {
+      throw new Error('Missing value for ' + flag);
+    }
+    return args[++i];
+  };
+
+  for (; i < args.length; i++) {
+    var arg = args[i];
+    var equalsIndex = arg.indexOf('=');
+    var flag = (equalsIndex == -1) ? arg : arg.substring(0, equalsIndex);
+    var value = (equalsIndex == -1) ? null : arg.substring(equalsIndex + 1);
+
+    if ((flag == '--help') || (flag == '-h')) {
+      parsedArgs.help = true;
+    } else if ((flag == '--config') || (flag == '-c')) {
+      parsedArgs.configFile = getValue(flag, value);
+    } else if (flag == '--clean') {
+      parsedArgs.clean = (value == null) || parseBooleanFlag(flag, value);
+    } else if (flag == '--dry-run') {
+      parsedArgs.dryRun = (value == null) || parseBooleanFlag(flag, value);
+    } else if (flag == '--print-options') {
+      parsedArgs.printOptions =
+          (value == null) || parseBooleanFlag(flag, value);
+    } else if (flag == '--print-schema') {
+      parsedArgs.printSchema =
+          (value == null) || parseBooleanFlag(flag, value);
+    } else if (flag == '--watch') {
+      parsedArgs.watch = (value == null) || parseBooleanFlag(flag, value);
+    } else if (flag == '--set') {
+      var setting = parseNameValue(flag, getValue(flag, value));
+      parsedArgs.setOptions[setting.name] =
+          optionValidator.parseBuildOptionString(setting.name, setting.value);
+      parsedArgs.buildOptions[setting.name] =
+          parsedArgs.setOptions[setting.name];
+    } else if (flag == '--define') {
+      var define = parseNameValue(flag, getValue(flag, value));
+      parsedArgs.defines[define.name] =
+          optionValidator.parseJsDefineValueString(define.value);
+    } else if (flagToOption[flag]) {
+      var option = flagToOption[flag];
+      if (optionValidator.isBooleanBuildOption(option) && (value == null)) {
+        value = 'true';
+      }
+      parsedArgs.buildOptions[option] = optionValidator.parseBuildOptionString(
+          option, getValue(flag, value));
+    } else {
+      throw new Error('Unrecognized argument <' + arg + '>, see --help');
+    }
+  }
+
+  var commandFlags = underscore.filter([parsedArgs.clean, parsedArgs.dryRun,
+      parsedArgs.printOptions, parsedArgs.watch], underscore.identity);
+  if (commandFlags.length > 1) {
+    throw new Error('Only one of --clean, --dry-run, --print-options, and ' +
+        '--watch can be given');
+  }
+  return parsedArgs;
+}
+
+
+/**
+ * @param {string} flag
+ * @param {string} setting E.g. 'outputDir=out/'.
+ * @return {!{name: string, value: string}}
+ */
+function parseNameValue(flag, setting) {
+  var equalsIndex = setting.indexOf('=');
+  if (equalsIndex == -1) {
+    throw new Error('Expected name=value for ' + flag + ', got <' + setting +
+        '>');
+  }
+  return {
+    name: setting.substring(0, equalsIndex),
+    value: setting.substring(equalsIndex + 1)
+  };
+}
+
+
+/**
+ * @param {string} flag
+ * @param {string} value
+ * @return {boolean}
+ */
+function parseBooleanFlag(flag, value) {
+  if ((value != 'true') && (value != 'false')) {
+    throw new Error('Expected true or false for ' + flag + ', got <' + value +
+        '>');
+  }
+  return (value == 'true');
+}
+
+
+/** @return {!Object.<string, string>} Map from flag to build option name. */
+function getFlagToBuildOptionMap() {
+  var flagToOption = {};
+  for (var option in optionValidator.BUILD_OPTIONS_SPEC) {
+    flagToOption[toFlag(option)] = option;
+  }
+  return flagToOption;
+}
+
+
+/**
+ * @param {string} optionName E.g. 'outputDir'.
+ * @return {string} Flag form, e.g. '--output-dir'.
+ */
+function toFlag(optionName) {
+  return '--' + optionName.replace(/[A-Z]/g, function(upper) {
+    return '-' + upper.toLowerCase();
+  });
+}
+
+
+/**
+ * @param {string} optionName E.g. 'outputDir'.
+ * @return {string} Environment variable form, e.g.
+ *     'CLOSURE_PRO_BUILD_OUTPUT_DIR'.
+ */
+function toEnvVar(optionName) {
+  return ENV_VAR_PREFIX + optionName.replace(/[A-Z]/g, '_$&').toUpperCase();
+}
+
+
+/** @return {string} Usage message, including all build option flags. */
+function getUsage() {
+  var lines = [
+    'Usage: closure-pro-build [options]',
+    '',
+    'Builds the project described by a closure-project.js or',
+    'closure-project.json config file in the current directory, which exports',
+    '{projectOptions: {...}, buildOptions: {...}}.',
+    '',
+    'Options:',
+    '  -c, --config <file>  Config file to use instead of the default',
+    '  --clean              Remove the output directories of the build type',
+    '                       instead of building',
+    '  --dry-run            Print the input files of each JS module (after',
+    '                       calculating dependencies), without compiling',
+    '  --print-options      Print the resolved project and build options',
+    '                       (with any extended options and defaults) as JSON',
+    '  --print-schema       Print the JSON Schema of config files, for editors',
+    '                       to autocomplete and validate them',
+    '  --watch              Keep watching input files and rebuild on changes',
+    '  --set <name>=<value>',
+    '                       Set any build option, e.g. --set outputDir=out/',
+    '  --define <name>=<value>',
+    '                       Define a JS constant (overriding the config file),',
+    '                       e.g. --define myapp.API_BASE=/api/',
+    '  -h, --help           Show this message',
+    ''
+  ];
+
+  var spec = optionValidator.BUILD_OPTIONS_SPEC;
+  for (var option in spec) {
+    var flag = toFlag(option) +
+        (optionValidator.isBooleanBuildOption(option) ? '' : ' <value>');
+    lines.push('  ' + flag + '\n      ' + spec[option].description);
+  }
+
+  lines.push('',
+      'Build options can also be set via environment variables, e.g.',
+      toEnvVar('javaCommand') + '=java8 for --java-command. Options given on',
+      'the command line override environment variables, which override the',
+      'config file.');
+  return lines.join('\n');
+}
+
+
+//==============================================================================
+// Load Config File
+//==============================================================================
+
+/**
+ * Loads the config file and applies build options from environment variables,
+ * and then from the command line, on top of its buildOptions. JS defines given
+ * via --define are merged into those of buildOptions. Builds are debug builds
+ * unless a type is given somewhere. An extends path in its projectOptions is
+ * relative to the config file.
+ * @param {!{configFile: ?string, clean: boolean, dryRun: boolean,
+ *     printOptions: boolean, watch: boolean, buildOptions: !Object,
+ *     setOptions: !Object, defines: !Object}} parsedArgs
+ * @param {!Object.<string, string>} env Environment variables.
+ * @return {!{projectOptions: !Object, buildOptions: !Object, clean: boolean,
+ *     dryRun: boolean, printOptions: boolean, watch: boolean,
+ *     overrides: !Object.<string, {value: *, source: string}>}} Where
+ *     overrides maps each build option set via an environment variable or
+ *     --set (or JS define set via --define) to its value and where it came
+ *     from.
+ */
+function loadConfig(parsedArgs, env) {
+  var configFilePath = parsedArgs.configFile || findDefaultConfigFile();
+  var config = configFile.loadConfigFile(configFilePath);
+  configFile.resolveExtends(
+      config.projectOptions, path.dirname(path.resolve(configFilePath)));
+
+  var envOptions = getEnvBuildOptions(env);
+  var buildOptions = underscore.extend({type: common.DEBUG},
+      config.buildOptions, envOptions, parsedArgs.buildOptions);
+
+  var overrides = {};
+  underscore.each(envOptions, function(value, option) {
+    overrides[option] = {value: value, source: toEnvVar(option)};
+  });
+  underscore.each(parsedArgs.setOptions, function(value, option) {
+    overrides[option] = {value: value, source: '--set'};
+  });
+
+  // Invalid jsDefines are left as-is, for validation to report.
+  var jsDefines = buildOptions.jsDefines || {};
+  if (!underscore.isEmpty(parsedArgs.defines) &&
+      underscore.isObject(jsDefines)) {
+    buildOptions.jsDefines =
+        underscore.extend({}, jsDefines, parsedArgs.defines);
+    underscore.each(parsedArgs.defines, function(value, defineName) {
+      overrides['jsDefines[\'' + defineName + '\']'] =
+          {value: value, source: '--define'};
+    });
+  }
+
+  return {
+    projectOptions: config.projectOptions,
+    buildOptions: buildOptions,
+    clean: parsedArgs.clean,
+    dryRun: parsedArgs.dryRun,
+    printOptions: parsedArgs.printOptions,
+    watch: parsedArgs.watch,
+    overrides: overrides
+  };
+}
+
+
+/**
+ * Prints a warning for (and otherwise ignores) any environment variables with
+ * ENV_VAR_PREFIX that don't name a build option, since they may be meant for
+ * another version of closure-pro-build.
+ * @param {!Object.<string, string>} env Environment variables.
+ * @return {!Object} Build options set by environment variables (with
+ *     ENV_VAR_PREFIX).
+ */
+function getEnvBuildOptions(env) {
+  var envVarToOption = {};
+  for (var option in optionValidator.BUILD_OPTIONS_SPEC) {
+    envVarToOption[toEnvVar(option)] = option;
+  }
+
+  var buildOptions = {};
+  for (var envVar in env) {
+    if (envVar.indexOf(ENV_VAR_PREFIX) != 0) {
+      continue;
+    } else if (!envVarToOption[envVar]) {
+      testable.error(MESSAGE_PREFIX + 'Ignoring unrecognized environment ' +
+          'variable <' + envVar + '>, see --help');
+      continue;
+    }
+    var envOption = envVarToOption[envVar];
+    buildOptions[envOption] =
+        optionValidator.parseBuildOptionString(envOption, env[envVar]);
+  }
+  return buildOptions;
+}
+
+
+/** @return {string} Path of the default config file in the current dir. */
+function findDefaultConfigFile() {
+  var configFile = underscore.find(DEFAULT_CONFIG_FILES, function(file) {
+    return fs.existsSync(file);
+  });
+  if (!configFile) {
+    throw new Error('Could not find ' + DEFAULT_CONFIG_FILES.join(' or ') +
+        ' in the current directory (or specify one via --config)');
+  }
+  return configFile;
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  parseArgs: parseArgs,
+  run: run,
+  testable: testable
+};
@@ -13,6 +13,7 @@
 // limitations under the License.
 
 var async = require('async');
+var BuildMonitor = require('./build-monitor.js').BuildMonitor;
 var child_process = require('child_process');
 var common = require('./common.js');
 var kew = require('kew');
@@ -35,14 +36,16 @@ var CLOSURE_LIBRARY_ROOT_DIRS = [
  * @param {!Object} buildOptions Specifies options specific to this build (like
  *     debug/release); see README.md for option documentation.
  * @param {!OutputDirs} outDirs
+ * @param {BuildMonitor=} opt_monitor To report build progress to.
  * @return {!Promise.<!Object.<string, !Array.<string>>>} Yields map from
  *     module name to ordered list of Closure dependencies on success.
  */
-function calcDeps(projectOptions, buildOptions, outDirs) {
+function calcDeps(projectOptions, buildOptions, outDirs, opt_monitor) {
+  var monitor = opt_monitor || new BuildMonitor();
   var depsTasks = {};
   for (var moduleName in projectOptions.jsModules) {
     depsTasks[moduleName] = underscore.partial(calcModuleDeps,
-        moduleName, projectOptions, buildOptions, outDirs);
+        moduleName, projectOptions, buildOptions, outDirs, monitor);
   }
 
   // TODO: Switch to kew.nfcall() when ready...
@@ -57,10 +60,11 @@ function calcDeps(projectOptions, buildOptions, outDirs) {
  * @param {!Object} projectOptions
  * @param {!Object} buildOptions
  * @param {!OutputDirs} outDirs
+ * @param {!BuildMonitor} monitor
  * @param {function(Error, Array.<string>)} callbackFn Node-style callback.
  */
 function calcModuleDeps(
-    moduleName, projectOptions, buildOptions, outDirs, callbackFn) {
+    moduleName, projectOptions, buildOptions, outDirs, monitor, callbackFn) {
   // If module doesn't have any Closure inputs, no-op.
   var jsModuleSpec = projectOptions.jsModules[moduleName];
   if (jsModuleSpec.closureRootNamespaces.length == 0) {
@@ -85,10 +89,15 @@ function calcModuleDeps(
   });
 
   var stderrBehavior = buildOptions.suppressOutput ? 'ignore' : process.stderr;
-  var closureBuilder = child_process.spawn(buildOptions.python2Command,
-      closureBuilderArgs, {stdio: ['ignore', 'pipe', stderrBehavior]});
+  var closureBuilderAsync = monitor.trackPhase(
+      BuildMonitor.Phase.CLOSURE_DEPS, function() {
+        var closureBuilder = child_process.spawn(buildOptions.python2Command,
+            closureBuilderArgs, {stdio: ['ignore', 'pipe', stderrBehavior]});
+        monitor.trackChildProcess(closureBuilder);
+        return common.getStdoutString(closureBuilder);
+      }, moduleName);
 
-  common.getStdoutString(closureBuilder)
+  closureBuilderAsync
       .then(function(output) {
         var isNonEmpty = function(e) { return !!e; };
         var depList = output.split(/\r?\n/).filter(isNonEmpty);
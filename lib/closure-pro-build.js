@@ -12,15 +12,46 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+var BuildCancelledError = require('./build-monitor.js').BuildCancelledError;
+var BuildMonitor = require('./build-monitor.js').BuildMonitor;
+var buildFinisher = require('./build-finisher.js');
+var buildProfiles = require('./build-profiles.js');
 var common = require('./common.js');
+var CompileError = require('./diagnostics.js').CompileError;
 var cssBuilder = require('./css-builder.js');
+var DevServer = require('./dev-server.js').DevServer;
 var dirManager = require('./dir-manager.js');
 var fileMatcher = require('./file-matcher.js');
+var InvalidOptionsError = require('./option-validator.js').InvalidOptionsError;
 var jsBuilder = require('./js-builder.js');
 var kew = require('kew');
 var optionValidator = require('./option-validator.js');
 var path = require('path');
+var plugins = require('./plugins.js');
 var soyBuilder = require('./soy-builder.js');
+var underscore = require('underscore');
+var watcher = require('./watcher.js');
+
+
+/**
+ * Result of a successful build. The manifest describes every output file, and
+ * the diagnostics list any compiler warnings.
+ * @typedef {{manifest: !Object, diagnostics: !Array.<!Diagnostic>}}
+ */
+var BuildResult;
+
+
+/**
+ * Where each input file of each JS module will go, as calculated by plan().
+ * The JS modules are in dependency order (including the virtual base module,
+ * if the build needs one), each with its input files in the order their
+ * content will appear in the module (uncompiled input files first).
+ * @typedef {{type: string, jsModules: !Array.<!{name: string,
+ *     alwaysLoadedAfterModules: !Array.<string>,
+ *     dontCompileInputFiles: !Array.<string>,
+ *     compiledInputFiles: !Array.<string>}>}}
+ */
+var BuildPlan;
 
 
 /**
@@ -30,25 +61,368 @@ var soyBuilder = require('./soy-builder.js');
  *     README.md for option documentation.
  * @param {!Object} buildOptions Specifies options specific to this build (like
  *     debug/release); see README.md for option documentation.
- * @param {function(Error)} callbackFn Called when building is complete with
- *     null on success, or an Error on failure.
+ * @param {function(Error, Object=)=} opt_callbackFn If given, called when
+ *     building is complete with null and the build result on success, or an
+ *     Error on failure.
+ * @return {!Promise.<!BuildResult>} Yields the build result (see README.md),
+ *     or is rejected with an Error on failure (a CompileError, with
+ *     diagnostics, if a compiler reported errors). Its progress property is a
+ *     BuildMonitor that emits phase-start and phase-end events for each build
+ *     phase; the build doesn't start until the next tick, so listeners can be
+ *     attached first. Its cancel() method stops the build, which is then
+ *     rejected with a BuildCancelledError.
  */
-function build(projectOptions, buildOptions, callbackFn) {
+function build(projectOptions, buildOptions, opt_callbackFn) {
   optionValidator.assertValidAndFillDefaults(projectOptions, buildOptions);
-  var outDirsAsync = dirManager.createOutputDirsAsync(buildOptions);
+  var monitor = new BuildMonitor();
+  return startBuild(monitor, function() {
+    return checkInputFilesAsync(projectOptions, [buildOptions])
+        .then(function() {
+          return buildWithMonitor(projectOptions, buildOptions, monitor);
+        });
+  }, opt_callbackFn);
+}
+
+
+/**
+ * Builds the project once for each of the given build options (e.g. both debug
+ * and release), sharing the work that doesn't depend on the build type: input
+ * files are resolved, Soy is compiled, and Closure dependencies are calculated
+ * only once, and then each build compiles and outputs its own CSS and JS.
+ * @param {!Object} projectOptions Specifies the project input files; see
+ *     README.md for option documentation.
+ * @param {!Array.<!Object>} buildOptionsList Options for each build, which
+ *     must all have different output directories. The shared work uses the
+ *     first build's options (and generated code directory).
+ * @param {function(Error, Array.<!Object>=)=} opt_callbackFn If given, called
+ *     when all builds are complete with null and the list of build results on
+ *     success, or an Error on failure.
+ * @return {!Promise.<!Array.<!BuildResult>>} Yields the result of each
+ *     build (in the same order as buildOptionsList), like build(). Its
+ *     progress property is a BuildMonitor whose phase events have a target
+ *     property (the build type) for phases that aren't shared.
+ */
+function buildAll(projectOptions, buildOptionsList, opt_callbackFn) {
+  optionValidator.assertValidBuildOptionsListAndFillDefaults(
+      projectOptions, buildOptionsList);
+  var monitor = new BuildMonitor();
+  return startBuild(monitor, function() {
+    return checkInputFilesAsync(projectOptions, buildOptionsList)
+        .then(function() {
+          return buildAllWithMonitor(projectOptions, buildOptionsList,
+              monitor);
+        });
+  }, opt_callbackFn);
+}
+
+
+/**
+ * Removes the output directories of the given build type: its subdirectories
+ * of the temp file, generated code, and output directories (e.g. tmp/debug/,
+ * gen/debug/, and build/debug/), and everything in them.
+ * @param {!Object} projectOptions Specifies the project input files; see
+ *     README.md for option documentation.
+ * @param {!Object} buildOptions Specifies options specific to this build (like
+ *     debug/release); see README.md for option documentation.
+ * @param {function(Error, OutputDirs=)=} opt_callbackFn If given, called when
+ *     cleaning is complete with null and the removed directories on success,
+ *     or an Error on failure.
+ * @return {!Promise.<!OutputDirs>} Yields the removed directories.
+ */
+function clean(projectOptions, buildOptions, opt_callbackFn) {
+  optionValidator.assertValidAndFillDefaults(projectOptions, buildOptions);
+  var profile = buildProfiles.resolveProfile(projectOptions, buildOptions.type);
+  var cleanAsync =
+      dirManager.removeOutputDirsAsync(buildOptions, profile.outputSubdir);
+
+  if (opt_callbackFn) {
+    cleanAsync.then(function(outDirs) { opt_callbackFn(null, outDirs); },
+        opt_callbackFn);
+  }
+  return cleanAsync;
+}
+
+
+/**
+ * Plans a build without running any compiler: resolves input files, calculates
+ * Closure dependencies, and calculates which JS module each input file goes
+ * into (after hoisting files shared by several modules into a common parent),
+ * exactly as build() would. Soy isn't compiled, so any JS compiled from Soy by
+ * the last build of the same type is used.
+ * @param {!Object} projectOptions Specifies the project input files; see
+ *     README.md for option documentation.
+ * @param {!Object} buildOptions Specifies options specific to this build (like
+ *     debug/release); see README.md for option documentation.
+ * @param {function(Error, BuildPlan=)=} opt_callbackFn If given, called when
+ *     planning is complete with null and the build plan on success, or an
+ *     Error on failure.
+ * @return {!Promise.<!BuildPlan>} Yields the build plan (which can be
+ *     converted to JSON). Its progress and cancel() work like for build().
+ */
+function plan(projectOptions, buildOptions, opt_callbackFn) {
+  optionValidator.assertValidAndFillDefaults(projectOptions, buildOptions);
+  var monitor = new BuildMonitor();
+  return startBuild(monitor, function() {
+    return checkInputFilesAsync(projectOptions, [buildOptions])
+        .then(function() {
+          return planWithMonitor(projectOptions, buildOptions, monitor);
+        });
+  }, opt_callbackFn);
+}
+
+
+/**
+ * Resolves the given options exactly as build() does before building: merges
+ * in any project options they extend, validates them, and fills in defaults.
+ * Useful for debugging what a build will actually use.
+ * @param {!Object} projectOptions Specifies the project input files; see
+ *     README.md for option documentation. Modified in place.
+ * @param {!Object} buildOptions Specifies options specific to this build (like
+ *     debug/release); see README.md for option documentation. Modified in
+ *     place.
+ * @return {!{projectOptions: !Object, buildOptions: !Object,
+ *     buildProfile: !BuildProfile}} The resolved options, and the resolved
+ *     build profile of the build type.
+ */
+function resolveOptions(projectOptions, buildOptions) {
+  optionValidator.assertValidAndFillDefaults(projectOptions, buildOptions);
+  return {
+    projectOptions: projectOptions,
+    buildOptions: buildOptions,
+    buildProfile:
+        buildProfiles.resolveProfile(projectOptions, buildOptions.type)
+  };
+}
+
+
+/**
+ * Generates a JSON Schema (draft 4) of closure-project.json config files, which
+ * specify {projectOptions: {...}, buildOptions: {...}}, with the description
+ * and default value of each option. Editors can use it to autocomplete and
+ * validate config files.
+ * @return {!Object} The JSON Schema (which can be converted to JSON).
+ */
+function getJsonSchema() {
+  return optionValidator.getJsonSchema();
+}
+
+
+/**
+ * Starts a build on the next tick, so listeners can be attached to the monitor
+ * first, and handles cancelling it.
+ * @param {!BuildMonitor} monitor
+ * @param {function():!Promise.<T>} buildFn Runs the build.
+ * @param {function(Error, T=)=} opt_callbackFn
+ * @return {!Promise.<T>} Yields the build result.
+ * @template T
+ */
+function startBuild(monitor, buildFn, opt_callbackFn) {
+  var startDeferred = kew.defer();
+  process.nextTick(function() { startDeferred.resolve(null); });
+
+  var buildAsync = startDeferred.promise
+      .then(buildFn)
+      .then(function(result) {
+        // Phases that don't spawn a child process can't be interrupted.
+        if (monitor.isCancelled()) {
+          throw new BuildCancelledError();
+        }
+        return result;
+      }).fail(function(err) {
+        if (!monitor.isCancelled()) {
+          throw err;
+        }
+
+        // Any failures were caused by cancelling, so report that instead.
+        return monitor.removeOutputFilesAsync().then(function() {
+          throw new BuildCancelledError();
+        });
+      });
+
+  if (opt_callbackFn) {
+    buildAsync.then(function(result) { opt_callbackFn(null, result); },
+        opt_callbackFn);
+  }
+
+  buildAsync.progress = monitor;
+  buildAsync.cancel = function() { monitor.cancel(); };
+  return buildAsync;
+}
+
+
+/**
+ * @param {!Object} projectOptions
+ * @param {!Array.<!Object>} buildOptionsList
+ * @return {!Promise} Rejected with an InvalidOptionsError if any build has
+ *     strictInputs set and any input files or patterns match nothing.
+ */
+function checkInputFilesAsync(projectOptions, buildOptionsList) {
+  if (!underscore.any(underscore.pluck(buildOptionsList, 'strictInputs'))) {
+    return kew.resolve(null);
+  }
+  return optionValidator.assertInputFilesExistAsync(projectOptions);
+}
+
+
+/**
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise.<!BuildResult>} Yields the build result.
+ */
+function buildWithMonitor(projectOptions, buildOptions, monitor) {
+  var outDirsAsync =
+      trackOutputDirsAsync(projectOptions, buildOptions, monitor);
 
   var buildingCss =
-      cssBuilder.build(projectOptions, buildOptions, outDirsAsync);
+      cssBuilder.build(projectOptions, buildOptions, outDirsAsync, monitor);
+
+  var soyJsAsync =
+      soyBuilder.build(projectOptions, buildOptions, outDirsAsync, monitor)
+          .then(function() {
+            return jsBuilder.build(projectOptions, buildOptions, outDirsAsync,
+                buildingCss.getCssRenamingFileAsync(), monitor);
+          });
+
+  return buildFinisher.finishBuildAsync(projectOptions, buildOptions,
+      outDirsAsync, [buildingCss.awaitCompletion(), soyJsAsync], monitor);
+}
+
+
+/**
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise.<!BuildPlan>} Yields the build plan.
+ */
+function planWithMonitor(projectOptions, buildOptions, monitor) {
+  var outDirsAsync =
+      trackOutputDirsAsync(projectOptions, buildOptions, monitor);
+  return jsBuilder.resolveModulesAsync(
+      projectOptions, buildOptions, outDirsAsync, monitor)
+      .then(function(resolvedModules) {
+        return {
+          type: buildOptions.type,
+          jsModules: resolvedModules.jsModules.map(function(jsModule) {
+            return {
+              name: jsModule.name,
+              alwaysLoadedAfterModules: jsModule.alwaysLoadedAfterModules,
+              dontCompileInputFiles: jsModule.dontCompileInputFiles,
+              compiledInputFiles: jsModule.compiledInputFiles
+            };
+          })
+        };
+      });
+}
+
+
+/**
+ * @param {!Object} projectOptions
+ * @param {!Array.<!Object>} buildOptionsList
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise.<!Array.<!BuildResult>>} Yields the build results.
+ */
+function buildAllWithMonitor(projectOptions, buildOptionsList, monitor) {
+  var targets = buildOptionsList.map(function(buildOptions) {
+    var targetMonitor = monitor.newTargetMonitor(buildOptions.type);
+    return {
+      buildOptions: buildOptions,
+      monitor: targetMonitor,
+      outDirsAsync:
+          trackOutputDirsAsync(projectOptions, buildOptions, targetMonitor)
+    };
+  });
 
-  var soyJsAsync = soyBuilder.build(projectOptions, buildOptions, outDirsAsync)
-     .then(function() {
-       return jsBuilder.build(projectOptions, buildOptions, outDirsAsync,
-           buildingCss.getCssRenamingFileAsync());
-     });
+  // Soy and Closure deps are the same for every build type, so are only
+  // compiled and calculated once (in the first build's generated code dir).
+  var sharedBuildOptions = buildOptionsList[0];
+  var sharedOutDirsAsync = targets[0].outDirsAsync;
+  var resolvedJsModulesAsync = soyBuilder.build(
+      projectOptions, sharedBuildOptions, sharedOutDirsAsync, monitor)
+      .then(function() {
+        return jsBuilder.resolveModulesAsync(projectOptions,
+            sharedBuildOptions, sharedOutDirsAsync, monitor);
+      });
+  var cssInputsAsync = projectOptions.cssModule ?
+      cssBuilder.resolveInputsAsync(projectOptions) : kew.resolve(null);
+
+  // Then fork to compile and output each build.
+  var tasks = targets.map(function(target) {
+    var buildingCss = cssBuilder.buildResolvedInputs(projectOptions,
+        target.buildOptions, cssInputsAsync, target.outDirsAsync,
+        target.monitor);
+    var jsAsync = jsBuilder.compileAndOutputModules(resolvedJsModulesAsync,
+        target.buildOptions, target.outDirsAsync,
+        buildingCss.getCssRenamingFileAsync(), target.monitor);
+    return buildFinisher.finishBuildAsync(projectOptions, target.buildOptions,
+        target.outDirsAsync, [buildingCss.awaitCompletion(), jsAsync],
+        target.monitor);
+  });
+  return common.waitForAll(tasks);
+}
+
+
+/**
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise.<!OutputDirs>} Yields the created output directories.
+ */
+function trackOutputDirsAsync(projectOptions, buildOptions, monitor) {
+  var profile = buildProfiles.resolveProfile(projectOptions, buildOptions.type);
+  return monitor.trackPhase(BuildMonitor.Phase.OUTPUT_DIRS, function() {
+    return dirManager.createOutputDirsAsync(buildOptions, profile.outputSubdir);
+  });
+}
+
+
+/**
+ * Builds the project as specified in the given options, then watches all of
+ * its input files (Soy, GSS/CSS, JS under closureRootDirs, externs, and the JS
+ * warnings whitelist file) and incrementally rebuilds only the affected phases
+ * whenever they change.
+ * @param {!Object} projectOptions Specifies the project input files; see
+ *     README.md for option documentation.
+ * @param {!Object} buildOptions Specifies options specific to this build (like
+ *     debug/release); see README.md for option documentation.
+ * @param {function(!Object)=} opt_listenerFn If given, called with an event
+ *     object for every build-start, build-success, and build-failure event.
+ * @return {!Watcher} Emits the same build events; call close() to stop
+ *     watching.
+ */
+function watch(projectOptions, buildOptions, opt_listenerFn) {
+  optionValidator.assertValidWatchOptionsAndFillDefaults(
+      projectOptions, buildOptions);
+  return watcher.watch(projectOptions, buildOptions, opt_listenerFn);
+}
+
+
+/**
+ * Creates Connect/Express middleware that serves the project's output JS
+ * module files and CSS module file from memory, building on demand: before
+ * serving a request, it rebuilds if any input files changed since the last
+ * build. Build errors are served as a console.error() JS payload for JS files,
+ * or as an HTML error page otherwise.
+ * @param {!Object} projectOptions Specifies the project input files; see
+ *     README.md for option documentation.
+ * @param {!Object} buildOptions Specifies options specific to this build (like
+ *     debug/release); see README.md for option documentation.
+ * @param {Object=} opt_middlewareOptions Specifies options for serving; see
+ *     README.md for option documentation.
+ * @return {function(!http.IncomingMessage, !http.ServerResponse,
+ *     function(Error=))} Middleware function.
+ */
+function middleware(projectOptions, buildOptions, opt_middlewareOptions) {
+  optionValidator.assertValidAndFillDefaults(projectOptions, buildOptions);
+  var middlewareOptions = opt_middlewareOptions || {};
+  optionValidator.assertValidMiddlewareOptionsAndFillDefaults(
+      middlewareOptions);
 
-  kew.all([buildingCss.awaitCompletion(), soyJsAsync])
-     .then(function() { callbackFn(null); })
-     .fail(callbackFn);
+  var devServer =
+      new DevServer(projectOptions, buildOptions, middlewareOptions, build);
+  return function(req, res, next) {
+    devServer.handleRequest(req, res, next);
+  };
 }
 
 
@@ -78,8 +452,21 @@ var EXTERNS = {
 // [Public API] Symbols exported by this module:
 module.exports = {
   build: build,
+  buildAll: buildAll,
+  BuildCancelledError: BuildCancelledError,
+  BuildMonitor: BuildMonitor,
+  clean: clean,
+  CompileError: CompileError,
   expandFileGlobs: expandFileGlobs,
+  getJsonSchema: getJsonSchema,
+  InvalidOptionsError: InvalidOptionsError,
+  middleware: middleware,
+  plan: plan,
+  resolveOptions: resolveOptions,
+  watch: watch,
   DEBUG: common.DEBUG,
   RELEASE: common.RELEASE,
-  EXTERNS: EXTERNS
+  PHASES: BuildMonitor.Phase,
+  EXTERNS: EXTERNS,
+  HOOKS: plugins.Hook
 };
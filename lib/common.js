@@ -57,6 +57,31 @@ function getStdoutString(childProcess) {
 }
 
 
+/**
+ * Like kew.all(), but if any task fails, waits for all of the others to finish
+ * too (e.g. so a failed build doesn't clean up files that are still being
+ * written) before failing with the first error.
+ * @param {!Array.<!Promise>} tasks
+ * @return {!Promise.<!Array>} Yields the results of all tasks.
+ */
+function waitForAll(tasks) {
+  var firstError = null;
+  var settledTasks = tasks.map(function(task) {
+    return task.fail(function(err) {
+      if (!firstError) {
+        firstError = err;
+      }
+    });
+  });
+  return kew.all(settledTasks).then(function(results) {
+    if (firstError) {
+      throw firstError;
+    }
+    return results;
+  });
+}
+
+
 /**
  * @param {!Array.<string>} inputFiles
  * @param {!fs.WriteStream} outputStream
@@ -107,5 +132,6 @@ module.exports = {
   EXIT_SUCCESS: EXIT_SUCCESS,
   RELEASE: RELEASE,
   getStdoutString: getStdoutString,
+  waitForAll: waitForAll,
   writeTextFilesAsync: writeTextFilesAsync
 };
@@ -0,0 +1,161 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var fs = require('fs');
+var kew = require('kew');
+var path = require('path');
+var report = require('./report.js');
+var underscore = require('underscore');
+var zlib = require('zlib');
+
+
+/**
+ * Each way output files are precompressed, with the extension of the
+ * compressed file written next to each output file. Brotli is only used if
+ * this version of Node supports it.
+ * @type {!Array.<!{name: string, extension: string,
+ *     compressFn: function(!Buffer, function(Error, Buffer=))}>}
+ */
+var COMPRESSIONS = [{
+  name: 'gzip',
+  extension: '.gz',
+  compressFn: function(content, callbackFn) {
+    // Node 0.10's zlib.gzip() doesn't take options, but streams do.
+    compressWithStream(zlib.createGzip({level: zlib.Z_BEST_COMPRESSION}),
+        content, callbackFn);
+  }
+}];
+if (zlib.brotliCompress) {
+  COMPRESSIONS.push({
+    name: 'brotli',
+    extension: '.br',
+    // Defaults to the best (slowest) quality.
+    compressFn: function(content, callbackFn) {
+      zlib.brotliCompress(content, callbackFn);
+    }
+  });
+}
+
+
+/**
+ * @param {!stream.Transform} compressStream E.g. from zlib.createGzip().
+ * @param {!Buffer} content
+ * @param {function(Error, Buffer=)} callbackFn Called with the compressed
+ *     content, or an Error on failure.
+ */
+function compressWithStream(compressStream, content, callbackFn) {
+  var chunks = [];
+  compressStream.on('data', function(chunk) { chunks.push(chunk); });
+  compressStream.on('error', callbackFn);
+  compressStream.on('end', function() {
+    callbackFn(null, Buffer.concat(chunks));
+  });
+  compressStream.end(content);
+}
+
+
+/**
+ * Writes a compressed copy of each output file in the manifest next to it
+ * (e.g. main.js.gz and main.js.br), so that static file servers can serve them
+ * as-is. Records the size of each in a compressedSizes map on each manifest
+ * entry (from compression name to size in bytes), for formatSizeTable(). Call
+ * after any hashFileNamesAsync(), so that it compresses the final files.
+ * @param {!Object} manifest As created by createManifestAsync() in manifest.js.
+ * @param {!BuildMonitor} monitor To track the compressed files with.
+ * @return {!Promise.<!Object>} Yields the updated manifest.
+ */
+function compressOutputsAsync(manifest, monitor) {
+  var entries = getEntries(manifest);
+  return kew.all(entries.map(function(entry) {
+    return compressFileAsync(entry.path, monitor)
+        .then(function(sizes) { entry.compressedSizes = sizes; });
+  })).then(function() { return manifest; });
+}
+
+
+/**
+ * @param {!Object} manifest As updated by compressOutputsAsync().
+ * @return {string} Table of the raw and compressed size of each output file.
+ */
+function formatSizeTable(manifest) {
+  var rows = [['File', 'Raw'].concat(underscore.pluck(COMPRESSIONS, 'name'))];
+  getEntries(manifest).forEach(function(entry) {
+    rows.push([path.basename(entry.path), report.formatSize(entry.size)]
+        .concat(COMPRESSIONS.map(function(compression) {
+          return report.formatSize(entry.compressedSizes[compression.name]);
+        })));
+  });
+
+  // Pad each column to its widest cell (names on the left, sizes right).
+  var widths = rows[0].map(function(heading, i) {
+    return underscore.max(underscore.pluck(rows, i), function(cell) {
+      return cell.length;
+    }).length;
+  });
+  var lines = rows.map(function(row) {
+    return row.map(function(cell, i) {
+      var padding = new Array(widths[i] - cell.length + 1).join(' ');
+      return (i == 0) ? cell + padding : padding + cell;
+    }).join('  ');
+  });
+  return 'Output sizes (' + manifest.type + '):\n' + lines.join('\n');
+}
+
+
+/**
+ * @param {!Object} manifest
+ * @return {!Array.<!Object>} Manifest entries of all JS and CSS modules.
+ */
+function getEntries(manifest) {
+  return manifest.jsModules.concat(
+      manifest.cssModule ? [manifest.cssModule] : []);
+}
+
+
+/**
+ * @param {string} filePath
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise.<!Object.<string, number>>} Yields map from compression
+ *     name to the size of the compressed file written for it.
+ */
+function compressFileAsync(filePath, monitor) {
+  // TODO: Switch to kew.nfcall() when ready...
+  var readAsync = kew.defer();
+  fs.readFile(filePath, readAsync.makeNodeResolver());
+
+  return readAsync.then(function(content) {
+    return kew.all(COMPRESSIONS.map(function(compression) {
+      var compressedFile = filePath + compression.extension;
+      monitor.trackOutputFile(compressedFile);
+
+      var compressAsync = kew.defer();
+      compression.compressFn(content, compressAsync.makeNodeResolver());
+      return compressAsync.then(function(compressed) {
+        var writeAsync = kew.defer();
+        fs.writeFile(compressedFile, compressed, writeAsync.makeNodeResolver());
+        return writeAsync.then(function() { return compressed.length; });
+      });
+    }));
+  }).then(function(sizes) {
+    return underscore.object(underscore.pluck(COMPRESSIONS, 'name'), sizes);
+  });
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  COMPRESSIONS: COMPRESSIONS,
+  compressOutputsAsync: compressOutputsAsync,
+  formatSizeTable: formatSizeTable
+};
@@ -0,0 +1,178 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var fs = require('fs');
+var path = require('path');
+var underscore = require('underscore');
+
+
+/** Project option that names the project options to inherit from. */
+var EXTENDS_OPTION = 'extends';
+
+
+//==============================================================================
+// Load Config File
+//==============================================================================
+
+/**
+ * Loads a .js (Node module) or .json config file that specifies
+ * {projectOptions: {...}, buildOptions: {...}}.
+ * @param {string} configFile
+ * @return {!{projectOptions: !Object, buildOptions: !Object}}
+ */
+function loadConfigFile(configFile) {
+  var config;
+  try {
+    if (path.extname(configFile) == '.js') {
+      config = require(path.resolve(configFile));
+    } else {
+      config = JSON.parse(fs.readFileSync(configFile, {encoding: 'utf8'}));
+    }
+  } catch (e) {
+    throw new Error('Could not load config file ' + configFile + ': ' +
+        e.message);
+  }
+
+  if (!underscore.isObject(config) || !config.projectOptions) {
+    throw new Error('Config file ' + configFile + ' must specify ' +
+        'projectOptions (and optionally buildOptions)');
+  }
+
+  return {
+    projectOptions: config.projectOptions,
+    buildOptions: config.buildOptions || {}
+  };
+}
+
+
+//==============================================================================
+// Resolve Extended Project Options
+//==============================================================================
+
+/**
+ * If projectOptions has an extends option, replaces its contents with the
+ * extended project options merged with its own (see mergeOptions()). The
+ * extends option is either project options to inherit from, or the path of a
+ * config file whose projectOptions to inherit from, which may extend others in
+ * turn.
+ * @param {*} projectOptions Modified in place.
+ * @param {string} baseDir Directory that an extends path is relative to (the
+ *     directory of each extended config file is used for its own extends).
+ */
+function resolveExtends(projectOptions, baseDir) {
+  if (!underscore.isObject(projectOptions) ||
+      !projectOptions.hasOwnProperty(EXTENDS_OPTION)) {
+    return;
+  }
+
+  var resolvedOptions = resolveExtendsChain(projectOptions, baseDir, []);
+  for (var option in projectOptions) {
+    delete projectOptions[option];
+  }
+  underscore.extend(projectOptions, resolvedOptions);
+}
+
+
+/**
+ * @param {!Object} projectOptions Not modified.
+ * @param {string} baseDir
+ * @param {!Array.<string>} extendedFiles Absolute paths of config files
+ *     already being extended, to detect cycles.
+ * @return {!Object} The resolved project options, without an extends option.
+ */
+function resolveExtendsChain(projectOptions, baseDir, extendedFiles) {
+  if (!projectOptions.hasOwnProperty(EXTENDS_OPTION)) {
+    return projectOptions;
+  }
+
+  var extendsValue = projectOptions[EXTENDS_OPTION];
+  var extendedOptions;
+  if (underscore.isString(extendsValue)) {
+    var configFile = path.resolve(baseDir, extendsValue);
+    if (extendedFiles.indexOf(configFile) != -1) {
+      throw new Error('Config files extend each other in a cycle: ' +
+          extendedFiles.concat([configFile]).map(function(filePath) {
+            return path.relative(process.cwd(), filePath);
+          }).join(' -> '));
+    }
+    extendedOptions = resolveExtendsChain(
+        loadConfigFile(configFile).projectOptions, path.dirname(configFile),
+        extendedFiles.concat([configFile]));
+  } else if (isObjectMap(extendsValue)) {
+    extendedOptions =
+        resolveExtendsChain(extendsValue, baseDir, extendedFiles);
+  } else {
+    throw new Error('<' + extendsValue + '> is not a string or Object map, ' +
+        'projectOptions[\'' + EXTENDS_OPTION + '\']: Project options, or ' +
+        'path of a config file, to inherit project options from');
+  }
+
+  return mergeOptions(
+      extendedOptions, underscore.omit(projectOptions, EXTENDS_OPTION));
+}
+
+
+/**
+ * Merges options over extended options: Object maps (like jsModules or a
+ * single JS module) are merged key by key, arrays are concatenated (extended
+ * values first, without duplicates), and any other values are overridden.
+ * @param {!Object} extendedOptions Not modified.
+ * @param {!Object} options Not modified.
+ * @return {!Object} The merged options (sharing no Objects or arrays with the
+ *     given ones).
+ */
+function mergeOptions(extendedOptions, options) {
+  var merged = {};
+  for (var option in extendedOptions) {
+    merged[option] = mergeValues(undefined, extendedOptions[option]);
+  }
+  for (option in options) {
+    merged[option] = mergeValues(merged[option], options[option]);
+  }
+  return merged;
+}
+
+
+/**
+ * @param {*} extendedValue
+ * @param {*} value
+ * @return {*} Merged copy of value over extendedValue.
+ */
+function mergeValues(extendedValue, value) {
+  if (underscore.isArray(value)) {
+    return underscore.union(
+        underscore.isArray(extendedValue) ? extendedValue : [], value);
+  } else if (isObjectMap(value)) {
+    return mergeOptions(isObjectMap(extendedValue) ? extendedValue : {}, value);
+  }
+  return value;
+}
+
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isObjectMap(value) {
+  return underscore.isObject(value) && !underscore.isArray(value);
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  EXTENDS_OPTION: EXTENDS_OPTION,
+  loadConfigFile: loadConfigFile,
+  mergeOptions: mergeOptions,
+  resolveExtends: resolveExtends
+};
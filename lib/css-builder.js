@@ -13,12 +13,17 @@
 // limitations under the License.
 
 var async = require('async');
+var BuildMonitor = require('./build-monitor.js').BuildMonitor;
+var buildCache = require('./build-cache.js');
+var buildProfiles = require('./build-profiles.js');
 var child_process = require('child_process');
 var common = require('./common.js');
+var diagnostics = require('./diagnostics.js');
 var fileMatcher = require('./file-matcher.js');
 var fs = require('fs');
 var kew = require('kew');
 var path = require('path');
+var plugins = require('./plugins.js');
 
 
 var GSS_COMPILER_PATH = path.join(__dirname,
@@ -34,29 +39,61 @@ var GSS_COMPILER_PATH = path.join(__dirname,
  * @param {!Object} buildOptions Specifies options specific to this build (like
  *     debug/release); see README.md for option documentation.
  * @param {!Promise.<!OutputDirs>} outDirsAsync
+ * @param {BuildMonitor=} opt_monitor To report build progress to.
  * @return {!BuildingCss} Object that allows tracking output of CSS renaming map
  *     (if any) and overall CSS build completion.
  */
-function build(projectOptions, buildOptions, outDirsAsync) {
+function build(projectOptions, buildOptions, outDirsAsync, opt_monitor) {
+  // Resolve input files first, since those don't depend on outDirsAsync.
+  var inputsAsync = projectOptions.cssModule ?
+      resolveInputsAsync(projectOptions) : kew.resolve(null);
+  return buildResolvedInputs(
+      projectOptions, buildOptions, inputsAsync, outDirsAsync, opt_monitor);
+}
+
+
+/**
+ * Like build(), but with input files that have already been resolved (so that
+ * builds of several types can share them).
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @param {!Promise.<?{closure: !Array.<string>,
+ *     dontCompile: !Array.<string>}>} inputsAsync Yields the result of
+ *     resolveInputsAsync(), or null if there is no cssModule.
+ * @param {!Promise.<!OutputDirs>} outDirsAsync
+ * @param {BuildMonitor=} opt_monitor To report build progress to.
+ * @return {!BuildingCss}
+ */
+function buildResolvedInputs(
+    projectOptions, buildOptions, inputsAsync, outDirsAsync, opt_monitor) {
+  var monitor = opt_monitor || new BuildMonitor();
+
   // Nothing to do if no CSS module is specified.
   if (!projectOptions.cssModule) {
     return new BuildingCss(kew.resolve(null), kew.resolve(null));
   }
 
-  // Resolve input files first, since those don't depend on outDirsAsync.
-  var inputsAsync = resolveInputsAsync(projectOptions);
-
-  // Then compile GSS (which outputs CSS renaming file) and concat the
+  // Compile GSS (which outputs CSS renaming file) and concat the
   // dontCompileInputFiles with the compiled output for the final CSS file.
   var cssRenamingFileAsync = kew.defer();
   var completionAsync = outDirsAsync.then(function(outDirs) {
     return inputsAsync
         .then(function(resolvedInputs) {
-          var gssAsync = compileGssAsync(projectOptions, buildOptions,
-              resolvedInputs, outDirs, cssRenamingFileAsync);
+          var gssAsync = monitor.trackPhase(BuildMonitor.Phase.GSS,
+              function() {
+                return compileGssAsync(projectOptions, buildOptions,
+                    resolvedInputs, outDirs, cssRenamingFileAsync, monitor);
+              });
           return gssAsync.then(function(compiledCss) {
-            return outputFinalCssAsync(compiledCss, projectOptions,
-                resolvedInputs, outDirs);
+            return monitor.trackPhase(BuildMonitor.Phase.OUTPUT_FILES,
+                function() {
+                  return outputFinalCssAsync(compiledCss, projectOptions,
+                      resolvedInputs, outDirs, monitor);
+                }, projectOptions.cssModule.name);
+          }).then(function(output) {
+            return plugins.runHookAsync(plugins.Hook.AFTER_CSS,
+                projectOptions, buildOptions, outDirs, monitor,
+                {outputs: [output]});
           });
         });
   });
@@ -119,41 +156,78 @@ function resolveInputsAsync(projectOptions) {
 //==============================================================================
 
 /**
- * If needed, invokes GSS compiler to build all resolved closureInputFiles.
+ * If needed, invokes GSS compiler to build all resolved closureInputFiles (or
+ * restores the compiled CSS and renaming map from buildOptions.cacheDir, if
+ * cached).
  * @param {!Object} projectOptions
  * @param {!Object} buildOptions
  * @param {!{closure: !Array.<string>, dontCompile: !Array.<string>}}
  *     resolvedInputs
  * @param {!OutputDirs} outDirs
  * @param {!Promise.<?string>} cssRenamingFileAsync
+ * @param {!BuildMonitor} monitor
  * @return {!Promise.<string>} Yields compiled CSS (empty string if none).
  */
 function compileGssAsync(
     projectOptions, buildOptions, resolvedInputs, outDirs,
-    cssRenamingFileAsync) {
+    cssRenamingFileAsync, monitor) {
   // If there are no resolved Closure input files: no-op.
   if (resolvedInputs.closure.length == 0) {
     cssRenamingFileAsync.resolve(null);
     return kew.resolve('');
   }
 
-  // Spawn GSS compiler in a child process.
+  // Spawn GSS compiler in a child process (unless cached).
   var renamingFile = path.join(outDirs.tmp, 'css_renaming_map.js');
   var gssCompilerArgs = getGssCompilerArgs(projectOptions, buildOptions,
       resolvedInputs, outDirs, renamingFile);
-
-  var stderrBehavior = buildOptions.suppressOutput ? 'ignore' : process.stderr;
-  var gssCompilation = child_process.spawn(buildOptions.javaCommand,
-      gssCompilerArgs, {stdio: ['ignore', 'pipe', stderrBehavior]});
+  var compilation = {
+    toolJar: GSS_COMPILER_PATH,
+    args: gssCompilerArgs,
+    inputFiles: resolvedInputs.closure,
+    outputFiles: [renamingFile]
+  };
 
   // When it is finished, also resolve CSS renaming file (which JS compilation
   // has to wait on).
-  return common.getStdoutString(gssCompilation)
-      .then(function(compiledCss) {
+  return buildCache.compileAsync(buildOptions, compilation, monitor,
+      function() {
+        return spawnGssCompiler(buildOptions, gssCompilerArgs, monitor);
+      }).then(function(compiledCss) {
         cssRenamingFileAsync.resolve(renamingFile);
         return compiledCss;
+      });
+}
+
+
+/**
+ * @param {!Object} buildOptions
+ * @param {!Array.<string>} gssCompilerArgs
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise.<!CompileResult>} Yields compiled CSS and the compiler's
+ *     diagnostics.
+ */
+function spawnGssCompiler(buildOptions, gssCompilerArgs, monitor) {
+  var gssCompilation = child_process.spawn(buildOptions.javaCommand,
+      gssCompilerArgs, {stdio: ['ignore', 'pipe', 'pipe']});
+  monitor.trackChildProcess(gssCompilation);
+  var getStderrOutput =
+      diagnostics.collectStderr(gssCompilation, buildOptions);
+  var recordDiagnostics = function(failed) {
+    var gssDiagnostics = diagnostics.parseOutput(
+        diagnostics.Tool.GSS_COMPILER, getStderrOutput(), failed);
+    monitor.recordDiagnostics(gssDiagnostics);
+    return gssDiagnostics;
+  };
+
+  return common.getStdoutString(gssCompilation)
+      .then(function(compiledCss) {
+        return {value: compiledCss, diagnostics: recordDiagnostics(false)};
       })
-      .fail(function(e) { throw new Error('GSS compilation failed: ' + e); });
+      .fail(function(e) {
+        throw new diagnostics.CompileError('GSS compilation failed: ' + e,
+            recordDiagnostics(true));
+      });
 }
 
 
@@ -168,14 +242,14 @@ function compileGssAsync(
  */
 function getGssCompilerArgs(projectOptions, buildOptions, resolvedInputs,
     outDirs, renamingFile) {
-  var isDebug = (buildOptions.type == common.DEBUG);
+  var profile = buildProfiles.resolveProfile(projectOptions, buildOptions.type);
 
   // Standard options:
   var args = [
     '-jar',
     GSS_COMPILER_PATH,
     '--rename',
-    isDebug ? 'DEBUG' : 'CLOSURE',
+    profile.gssRenaming,
     '--output-renaming-map',
     renamingFile,
     '--output-renaming-map-format',
@@ -189,8 +263,8 @@ function getGssCompilerArgs(projectOptions, buildOptions, resolvedInputs,
   // --excluded-classes-from-renaming, --input-orientation, and
   // --output-orientation.
 
-  // Debug-specific options:
-  if (isDebug) {
+  // Build profile-specific options:
+  if (profile.gssPrettyPrint) {
     args.push('--pretty-print');
   }
 
@@ -208,14 +282,17 @@ function getGssCompilerArgs(projectOptions, buildOptions, resolvedInputs,
  * @param {!{closure: !Array.<string>, dontCompile: !Array.<string>}}
  *     resolvedInputs
  * @param {!OutputDirs} outDirs
- * @return {!Promise} To track success/failure.
+ * @param {!BuildMonitor} monitor To track the output file with.
+ * @return {!Promise.<!BuildMonitor.Output>} Yields the recorded output.
  */
 function outputFinalCssAsync(
-    compiledCss, projectOptions, resolvedInputs, outDirs) {
+    compiledCss, projectOptions, resolvedInputs, outDirs, monitor) {
   // Create final output CSS file.
-  var outputCssFile = fs.createWriteStream(
-      path.join(outDirs.build, projectOptions.cssModule.name + '.css'),
-      {encoding: 'utf8'});
+  var cssModuleName = projectOptions.cssModule.name;
+  var outputFilePath = path.join(outDirs.build, cssModuleName + '.css');
+  monitor.trackOutputFile(outputFilePath);
+  var outputCssFile =
+      fs.createWriteStream(outputFilePath, {encoding: 'utf8'});
 
   // Write all uncompiled CSS, then write compiledCss & close output file.
   return common.writeTextFilesAsync(resolvedInputs.dontCompile, outputCssFile)
@@ -224,6 +301,16 @@ function outputFinalCssAsync(
         var promise = kew.defer();
         outputCssFile.end(compiledCss, 'utf8', promise.makeNodeResolver());
         return promise;
+      }).then(function() {
+        var output = {
+          type: BuildMonitor.OutputType.CSS,
+          name: cssModuleName,
+          path: outputFilePath,
+          alwaysLoadedAfterModules: [],
+          inputFiles: resolvedInputs.dontCompile.concat(resolvedInputs.closure)
+        };
+        monitor.recordOutput(output);
+        return output;
       });
 }
 
@@ -231,5 +318,7 @@ function outputFinalCssAsync(
 // Symbols exported by this internal module.
 module.exports = {
   GSS_COMPILER_PATH: GSS_COMPILER_PATH,
-  build: build
+  build: build,
+  buildResolvedInputs: buildResolvedInputs,
+  resolveInputsAsync: resolveInputsAsync
 };
@@ -0,0 +1,298 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var diagnostics = require('./diagnostics.js');
+var fs = require('fs');
+var kew = require('kew');
+var url = require('url');
+var watcher = require('./watcher.js');
+
+
+/** Content types of served files, by file extension. */
+var CONTENT_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.map': 'application/json; charset=utf-8'
+};
+
+
+/** Prefix for build error messages shown to the browser. */
+var ERROR_PREFIX = 'closure-pro-build: ';
+
+
+/**
+ * Serves the output JS and CSS files of on-demand builds from memory, for use
+ * as Connect/Express middleware. Watches the input files for changes, and
+ * before responding to a request for an output file, rebuilds if any changed
+ * since the last build (requests wait until the rebuild is done, rather than
+ * being served stale output).
+ * @param {!Object} projectOptions Validated project options.
+ * @param {!Object} buildOptions Validated build options.
+ * @param {!Object} middlewareOptions Validated middleware options.
+ * @param {function(!Object, !Object):!Promise.<!{manifest: !Object}>} buildFn
+ *     Builds the project, yielding the build result.
+ * @constructor
+ */
+function DevServer(projectOptions, buildOptions, middlewareOptions, buildFn) {
+  this.projectOptions_ = projectOptions;
+  this.buildOptions_ = buildOptions;
+  this.buildFn_ = buildFn;
+
+  /** Map from URL path of each output file to its file extension. */
+  this.outputUrls_ = {};
+  var urlPrefix = middlewareOptions.urlPrefix;
+  for (var moduleName in projectOptions.jsModules) {
+    this.outputUrls_[urlPrefix + moduleName + '.js'] = '.js';
+    if (buildOptions.jsSourceMaps) {
+      this.outputUrls_[urlPrefix + moduleName + '.js.map'] = '.map';
+    }
+  }
+  if (projectOptions.cssModule) {
+    this.outputUrls_[urlPrefix + projectOptions.cssModule.name + '.css'] =
+        '.css';
+  }
+  this.urlPrefix_ = urlPrefix;
+
+  /** Last completed build, or null before the first one. */
+  this.lastBuild_ = null;
+
+  /** Promise for the in-progress check (and rebuild), shared by requests. */
+  this.pendingBuildAsync_ = null;
+
+  /** Whether any input files may have changed since the last build. */
+  this.isDirty_ = true;
+
+  /** Watches the input files, to know when they've changed. */
+  this.inputWatcher_ = new watcher.InputWatcher(projectOptions, buildOptions);
+  this.inputWatcher_.on(watcher.INPUT_CHANGE, function() {
+    this.isDirty_ = true;
+  }.bind(this));
+}
+
+
+/**
+ * @typedef {{error: Error,
+ *     files: !Object.<string, !{content: !Buffer, contentType: string}>}}
+ */
+DevServer.Build;
+
+
+/**
+ * Responds to requests for output files, and passes all other requests on to
+ * the next middleware.
+ * @param {!http.IncomingMessage} req
+ * @param {!http.ServerResponse} res
+ * @param {function(Error=)} next
+ */
+DevServer.prototype.handleRequest = function(req, res, next) {
+  var urlPath = url.parse(req.url).pathname;
+  var isReadRequest = (req.method == 'GET') || (req.method == 'HEAD');
+  if (!isReadRequest || !this.outputUrls_[urlPath]) {
+    next();
+    return;
+  }
+
+  var fileExtension = this.outputUrls_[urlPath];
+  this.getLatestBuildAsync()
+      .then(function(latestBuild) {
+        if (latestBuild.error) {
+          sendError(res, fileExtension, latestBuild.error);
+        } else if (latestBuild.files[urlPath]) {
+          sendFile(req, res, latestBuild.files[urlPath]);
+        } else {
+          next();
+        }
+      }).fail(function(err) { next(err); });
+};
+
+
+/**
+ * Rebuilds if any input files changed since the last build (or if there hasn't
+ * been a build yet). Concurrent calls share the same check and rebuild.
+ * @return {!Promise.<!DevServer.Build>} Yields the up-to-date build, which
+ *     has an error if it failed.
+ */
+DevServer.prototype.getLatestBuildAsync = function() {
+  if (this.pendingBuildAsync_) {
+    return this.pendingBuildAsync_;
+  }
+
+  var buildAsync = this.checkAndMaybeRebuildAsync_();
+  this.pendingBuildAsync_ = buildAsync;
+  buildAsync.fin(function() {
+    if (this.pendingBuildAsync_ == buildAsync) {
+      this.pendingBuildAsync_ = null;
+    }
+  }.bind(this));
+  return buildAsync;
+};
+
+
+/**
+ * @return {!Promise.<!DevServer.Build>}
+ * @private
+ */
+DevServer.prototype.checkAndMaybeRebuildAsync_ = function() {
+  if (this.lastBuild_ && !this.isDirty_) {
+    return kew.resolve(this.lastBuild_);
+  }
+
+  // Changes from now on (even while building) need another build.
+  this.isDirty_ = false;
+  var self = this;
+  return this.inputWatcher_.updateWatchedFilesAsync()
+      .then(function() {
+        return self.rebuildAsync_();
+      }, function(err) {
+        // Retry on the next request, since inputs couldn't be resolved.
+        self.isDirty_ = true;
+        self.lastBuild_ = {error: err, files: {}};
+        return self.lastBuild_;
+      });
+};
+
+
+/**
+ * @return {!Promise.<!DevServer.Build>}
+ * @private
+ */
+DevServer.prototype.rebuildAsync_ = function() {
+  var self = this;
+  return this.buildFn_(this.projectOptions_, this.buildOptions_)
+      .then(function(result) {
+        return readOutputFilesAsync(result.manifest, self.urlPrefix_,
+            self.buildOptions_.jsSourceMaps);
+      }).then(function(files) {
+        return {error: null, files: files};
+      }, function(err) {
+        // Don't keep serving the stale output of the previous build.
+        return {error: err, files: {}};
+      }).then(function(latestBuild) {
+        self.lastBuild_ = latestBuild;
+        return latestBuild;
+      });
+};
+
+
+//==============================================================================
+// Read Output Files
+//==============================================================================
+
+/**
+ * @param {!Object} manifest Build manifest.
+ * @param {string} urlPrefix
+ * @param {boolean} hasSourceMaps Whether each JS module has a source map
+ *     (written next to it, with .map appended to its file name).
+ * @return {!Promise.<!Object.<string,
+ *     !{content: !Buffer, contentType: string}>>} Yields map from URL path to
+ *     content of every output file in the manifest (and source map).
+ */
+function readOutputFilesAsync(manifest, urlPrefix, hasSourceMaps) {
+  var outputs = [];
+  manifest.jsModules.forEach(function(jsModule) {
+    var urlPath = urlPrefix + jsModule.name + '.js';
+    outputs.push({urlPath: urlPath, filePath: jsModule.path});
+    if (hasSourceMaps) {
+      outputs.push(
+          {urlPath: urlPath + '.map', filePath: jsModule.path + '.map'});
+    }
+  });
+  if (manifest.cssModule) {
+    outputs.push({
+      urlPath: urlPrefix + manifest.cssModule.name + '.css',
+      filePath: manifest.cssModule.path
+    });
+  }
+
+  var files = {};
+  var tasks = outputs.map(function(output) {
+    // TODO: Switch to kew.nfcall() when ready...
+    var readAsync = kew.defer();
+    fs.readFile(output.filePath, readAsync.makeNodeResolver());
+    return readAsync.then(function(content) {
+      var fileExtension = output.urlPath.substring(
+          output.urlPath.lastIndexOf('.'));
+      files[output.urlPath] =
+          {content: content, contentType: CONTENT_TYPES[fileExtension]};
+    });
+  });
+
+  return kew.all(tasks)
+      .then(function() { return files; });
+}
+
+
+//==============================================================================
+// Send Responses
+//==============================================================================
+
+/**
+ * @param {!http.IncomingMessage} req
+ * @param {!http.ServerResponse} res
+ * @param {!{content: !Buffer, contentType: string}} file
+ */
+function sendFile(req, res, file) {
+  res.writeHead(200, {
+    'Content-Type': file.contentType,
+    'Content-Length': file.content.length,
+    'Cache-Control': 'no-cache'
+  });
+  res.end((req.method == 'HEAD') ? undefined : file.content);
+}
+
+
+/**
+ * Sends a build error (followed by any compiler diagnostics, one per line), as
+ * JS that logs it to the browser console for JS files (so it's reported in the
+ * page that loads the script), and otherwise as an HTML error page.
+ * @param {!http.ServerResponse} res
+ * @param {string} fileExtension Of the requested file.
+ * @param {!Error} err
+ */
+function sendError(res, fileExtension, err) {
+  var message = [ERROR_PREFIX + err.message]
+      .concat((err.diagnostics || []).map(diagnostics.format))
+      .join('\n');
+  if (fileExtension == '.js') {
+    // Must be a success status code for the browser to run the script.
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES['.js'],
+      'Cache-Control': 'no-cache'
+    });
+    res.end('console.error(' + JSON.stringify(message) + ');\n');
+    return;
+  }
+
+  res.writeHead(500, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-cache'
+  });
+  res.end('<!DOCTYPE html>\n<html><head><title>Build failed</title></head>' +
+      '<body><h1>Build failed</h1><pre>' + escapeHtml(message) +
+      '</pre></body></html>\n');
+}
+
+
+/**
+ * @param {string} text
+ * @return {string} HTML-escaped text.
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {DevServer: DevServer};
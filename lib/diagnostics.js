@@ -0,0 +1,274 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// Allow echoing of compiler output to be stubbed in tests.
+var testable = {
+  writeStderr: function(data) { process.stderr.write(data); }
+};
+
+
+/** Values for the tool of a Diagnostic. */
+var Tool = {
+  GSS_COMPILER: 'gssCompiler',
+  JS_COMPILER: 'jsCompiler',
+  SOY_COMPILER: 'soyCompiler'
+};
+
+
+/** Values for the severity of a Diagnostic. */
+var Severity = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+
+/**
+ * An error or warning reported by a compiler. The file, line, column (both
+ * 1-based), and code are null if the compiler didn't report them.
+ * @typedef {{tool: string, severity: string, file: ?string, line: ?number,
+ *     column: ?number, code: ?string, message: string}}
+ */
+var Diagnostic;
+
+
+/**
+ * Error that a build is rejected with if a compiler reports errors.
+ * @param {string} message
+ * @param {!Array.<!Diagnostic>} diagnostics All errors and warnings reported
+ *     by the compiler.
+ * @constructor
+ */
+function CompileError(message, diagnostics) {
+  this.message = message;
+  this.diagnostics = diagnostics;
+}
+CompileError.prototype = new Error();
+
+
+//==============================================================================
+// Collect Compiler Output
+//==============================================================================
+
+/**
+ * Collects all stderr output of a compiler child process (which must have
+ * been spawned with piped stderr), also echoing it to process.stderr unless
+ * output is suppressed.
+ * @param {!ChildProcess} childProcess
+ * @param {!Object} buildOptions
+ * @return {function():string} Returns all stderr output collected so far,
+ *     which is complete once the child process emits 'close'.
+ */
+function collectStderr(childProcess, buildOptions) {
+  var output = '';
+  childProcess.stderr.setEncoding('utf8');
+  childProcess.stderr.on('data', function(data) {
+    output += data;
+    if (!buildOptions.suppressOutput) {
+      testable.writeStderr(data);
+    }
+  });
+  return function() { return output; };
+}
+
+
+/**
+ * @param {string} tool One of the Tool values.
+ * @param {string} output The compiler's stderr output.
+ * @param {boolean} failed Whether the compiler failed (in which case there is
+ *     always at least one error, even if none could be parsed).
+ * @return {!Array.<!Diagnostic>}
+ */
+function parseOutput(tool, output, failed) {
+  var diagnostics = PARSERS[tool](output.split(/\r?\n/), tool);
+
+  var hasError = diagnostics.some(function(diagnostic) {
+    return diagnostic.severity == Severity.ERROR;
+  });
+  if (failed && !hasError) {
+    diagnostics.push(newDiagnostic(tool, Severity.ERROR, null, null, null,
+        null, output.trim() || 'Exited with errors'));
+  }
+  return diagnostics;
+}
+
+
+/**
+ * @param {!Diagnostic} diagnostic
+ * @return {string} Diagnostic formatted on one line, like
+ *     "src/main.js:12:5: ERROR - variable foo is undeclared".
+ */
+function format(diagnostic) {
+  var location = '';
+  if (diagnostic.file) {
+    location = diagnostic.file +
+        ((diagnostic.line != null) ? ':' + diagnostic.line : '') +
+        ((diagnostic.column != null) ? ':' + diagnostic.column : '') + ': ';
+  }
+  return location + diagnostic.severity.toUpperCase() + ' - ' +
+      (diagnostic.code ? '[' + diagnostic.code + '] ' : '') +
+      diagnostic.message.replace(/\n/g, ' ');
+}
+
+
+//==============================================================================
+// Parse Compiler Output
+//==============================================================================
+
+/**
+ * Matches the first line of each JS compiler error or warning, e.g.
+ * "src/main.js:12: ERROR - variable foo is undeclared". The message is
+ * followed by any further message lines, then the source line and a caret line
+ * marking the column.
+ */
+var JS_COMPILER_PATTERN =
+    /^(.+?):(\d+): (ERROR|WARNING) - (?:\[(\w+)\] )?(.*)$/;
+
+
+/**
+ * Matches each GSS compiler error or warning, e.g. "Unknown function "foo" in
+ * style.gss at line 3 column 5:", which is followed by the source line and a
+ * caret line.
+ */
+var GSS_COMPILER_PATTERN =
+    /^(?:(WARNING|ERROR):? )?(.*?) in (\S+) at line (\d+) column (\d+):?$/;
+
+
+/**
+ * Matches each Soy compiler exception, e.g. "Exception in thread "main"
+ * com.google.template.soy.base.SoySyntaxException: In file src/a.soy:12,
+ * template a.b: Found references to data keys that are not declared".
+ */
+var SOY_COMPILER_PATTERN = new RegExp('(?:^|\\s)(?:[\\w$]+\\.)*(\\w+): ' +
+    'In file ([^:,]+)(?::(\\d+))?(?:, template ([\\w.]+))?: (.*)$');
+
+
+/** Matches a line containing only a caret marking a column. */
+var CARET_LINE_PATTERN = /^(\s*)\^\s*$/;
+
+
+/**
+ * @param {!Array.<string>} lines
+ * @param {string} tool
+ * @return {!Array.<!Diagnostic>}
+ */
+function parseJsCompilerOutput(lines, tool) {
+  var diagnostics = [];
+  for (var i = 0; i < lines.length; i++) {
+    var match = JS_COMPILER_PATTERN.exec(lines[i]);
+    if (!match) {
+      continue;
+    }
+
+    // Collect the rest of the message block (up to the next blank line).
+    var blockLines = [];
+    while ((i + 1 < lines.length) && lines[i + 1].trim()) {
+      blockLines.push(lines[++i]);
+    }
+
+    var column = null;
+    var caretMatch = (blockLines.length >= 2) ?
+        CARET_LINE_PATTERN.exec(blockLines[blockLines.length - 1]) : null;
+    if (caretMatch) {
+      column = caretMatch[1].length + 1;
+      blockLines = blockLines.slice(0, -2);  // Not part of the message.
+    }
+
+    diagnostics.push(newDiagnostic(tool, match[3].toLowerCase(), match[1],
+        parseInt(match[2], 10), column, match[4] || null,
+        [match[5]].concat(blockLines).join('\n')));
+  }
+  return diagnostics;
+}
+
+
+/**
+ * @param {!Array.<string>} lines
+ * @param {string} tool
+ * @return {!Array.<!Diagnostic>}
+ */
+function parseGssCompilerOutput(lines, tool) {
+  var diagnostics = [];
+  lines.forEach(function(line) {
+    var match = GSS_COMPILER_PATTERN.exec(line.trim());
+    if (match) {
+      var severity = (match[1] == 'WARNING') ?
+          Severity.WARNING : Severity.ERROR;
+      diagnostics.push(newDiagnostic(tool, severity, match[3],
+          parseInt(match[4], 10), parseInt(match[5], 10), null, match[2]));
+    }
+  });
+  return diagnostics;
+}
+
+
+/**
+ * @param {!Array.<string>} lines
+ * @param {string} tool
+ * @return {!Array.<!Diagnostic>}
+ */
+function parseSoyCompilerOutput(lines, tool) {
+  var diagnostics = [];
+  lines.forEach(function(line) {
+    var match = SOY_COMPILER_PATTERN.exec(line);
+    if (match) {
+      var message = match[4] ?
+          'template ' + match[4] + ': ' + match[5] : match[5];
+      diagnostics.push(newDiagnostic(tool, Severity.ERROR, match[2],
+          match[3] ? parseInt(match[3], 10) : null, null, match[1], message));
+    }
+  });
+  return diagnostics;
+}
+
+
+/** Output parser for each tool. */
+var PARSERS = {};
+PARSERS[Tool.GSS_COMPILER] = parseGssCompilerOutput;
+PARSERS[Tool.JS_COMPILER] = parseJsCompilerOutput;
+PARSERS[Tool.SOY_COMPILER] = parseSoyCompilerOutput;
+
+
+/**
+ * @param {string} tool
+ * @param {string} severity
+ * @param {?string} file
+ * @param {?number} line
+ * @param {?number} column
+ * @param {?string} code
+ * @param {string} message
+ * @return {!Diagnostic}
+ */
+function newDiagnostic(tool, severity, file, line, column, code, message) {
+  return {
+    tool: tool,
+    severity: severity,
+    file: file,
+    line: line,
+    column: column,
+    code: code,
+    message: message
+  };
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  CompileError: CompileError,
+  Severity: Severity,
+  Tool: Tool,
+  collectStderr: collectStderr,
+  format: format,
+  parseOutput: parseOutput,
+  testable: testable
+};
@@ -13,6 +13,7 @@
 // limitations under the License.
 
 var common = require('./common.js');
+var fs = require('fs');
 var kew = require('kew');
 var mkdirp = require('mkdirp');
 var path = require('path');
@@ -27,10 +28,12 @@ var testable = {mkdirp: mkdirp};
  * OutputDirs object with tmp, gen, and build properties for the created paths.
  * @param {!Object} buildOptions Specifies options specific to this build (like
  *     debug/release); see README.md for option documentation.
+ * @param {string=} opt_outputSubdir Subdirectory to use within each output
+ *     directory, if not the build type.
  * @return {!Promise.<!OutputDirs>}
  */
-function createOutputDirsAsync(buildOptions) {
-  var outputDirs = new OutputDirs(buildOptions);
+function createOutputDirsAsync(buildOptions, opt_outputSubdir) {
+  var outputDirs = new OutputDirs(buildOptions, opt_outputSubdir);
 
   var tasks = [];
   tasks.push(makeDirAndParents(outputDirs.tmp));
@@ -44,31 +47,91 @@ function createOutputDirsAsync(buildOptions) {
 
 /**
  * @param {!Object} buildOptions
+ * @param {string=} opt_outputSubdir Subdirectory to use within each output
+ *     directory, if not the build type.
  * @constructor
  */
-function OutputDirs(buildOptions) {
+function OutputDirs(buildOptions, opt_outputSubdir) {
+  var subdir = opt_outputSubdir || buildOptions.type;
+
   /** @type {string} */
-  this.tmp = getOutputDir(buildOptions.tempFileDir, buildOptions.type);
+  this.tmp = getOutputDir(buildOptions.tempFileDir, subdir);
 
   /** @type {string} */
-  this.gen = getOutputDir(buildOptions.generatedCodeDir, buildOptions.type);
+  this.gen = getOutputDir(buildOptions.generatedCodeDir, subdir);
 
   /** @type {string} */
-  this.build = getOutputDir(buildOptions.outputDir, buildOptions.type);
+  this.build = getOutputDir(buildOptions.outputDir, subdir);
 }
 
 
 /**
  * @param {string} dirPath
- * @param {string} buildType
+ * @param {string} subdir
  * @return {string} The input path, standardized for the current platform, with
- *     a subdirectory for the current build type (debug/ or relase/) added.
+ *     a subdirectory for the current build profile (e.g. debug/ or release/)
+ *     added.
+ */
+function getOutputDir(dirPath, subdir) {
+  return path.join(dirPath.replace(common.ALL_BACKSLASHES, '/'), subdir + '/');
+}
+
+
+/**
+ * Removes the output directories specified by buildOptions, and everything in
+ * them (no-op for any that don't exist).
+ * @param {!Object} buildOptions Specifies options specific to this build (like
+ *     debug/release); see README.md for option documentation.
+ * @param {string=} opt_outputSubdir Subdirectory used within each output
+ *     directory, if not the build type.
+ * @return {!Promise.<!OutputDirs>} Yields the removed directories.
+ */
+function removeOutputDirsAsync(buildOptions, opt_outputSubdir) {
+  var outputDirs = new OutputDirs(buildOptions, opt_outputSubdir);
+
+  var tasks = [];
+  tasks.push(removeRecursivelyAsync(outputDirs.tmp));
+  tasks.push(removeRecursivelyAsync(outputDirs.gen));
+  tasks.push(removeRecursivelyAsync(outputDirs.build));
+
+  return kew.all(tasks)
+      .then(function() { return outputDirs; });
+}
+
+
+/**
+ * Removes every file under dirPath (recursively) that isn't one of keepFiles,
+ * e.g. left over from a previous build. No-op if dirPath doesn't exist.
+ * @param {string} dirPath
+ * @param {!Array.<string>} keepFiles
+ * @param {string=} opt_fileSuffix If given, only files whose names end with it
+ *     are removed (e.g. to leave files written by other tools alone).
+ * @return {!Promise.<!Array.<string>>} Yields the paths of removed files.
  */
-function getOutputDir(dirPath, buildType) {
-  return path.join(dirPath.replace(common.ALL_BACKSLASHES, '/'), buildType + '/');
+function removeStaleFilesAsync(dirPath, keepFiles, opt_fileSuffix) {
+  var isKept = {};
+  keepFiles.forEach(function(filePath) {
+    isKept[path.resolve(filePath)] = true;
+  });
+  var fileSuffix = opt_fileSuffix || '';
+
+  return listFilesAsync(dirPath)
+      .then(function(filePaths) {
+        var staleFiles = filePaths.filter(function(filePath) {
+          var hasSuffix = (filePath.substr(
+              filePath.length - fileSuffix.length) == fileSuffix);
+          return hasSuffix && !isKept[path.resolve(filePath)];
+        });
+        return kew.all(staleFiles.map(unlinkAsync))
+            .then(function() { return staleFiles; });
+      });
 }
 
 
+//==============================================================================
+// File System Helpers
+//==============================================================================
+
 /**
  * @param {string} dirPath
  * @return {!Promise} A promise tracking success.
@@ -82,9 +145,111 @@ function makeDirAndParents(dirPath) {
 }
 
 
+/**
+ * @param {string} filePath
+ * @return {!Promise} Removes the file, or the directory and everything in it
+ *     (no-op if it doesn't exist).
+ */
+function removeRecursivelyAsync(filePath) {
+  return lstatAsync(filePath)
+      .then(function(stats) {
+        if (!stats) {
+          return null;
+        } else if (!stats.isDirectory()) {
+          return unlinkAsync(filePath);
+        }
+
+        return readdirAsync(filePath)
+            .then(function(fileNames) {
+              return kew.all(fileNames.map(function(fileName) {
+                return removeRecursivelyAsync(path.join(filePath, fileName));
+              }));
+            }).then(function() {
+              // TODO: Switch to kew.nfcall() when ready...
+              var promise = kew.defer();
+              fs.rmdir(filePath, promise.makeNodeResolver());
+              return promise;
+            });
+      });
+}
+
+
+/**
+ * @param {string} dirPath
+ * @return {!Promise.<!Array.<string>>} Yields paths of all files under dirPath
+ *     (recursively), or none if it doesn't exist.
+ */
+function listFilesAsync(dirPath) {
+  return lstatAsync(dirPath)
+      .then(function(stats) {
+        if (!stats) {
+          return [];
+        } else if (!stats.isDirectory()) {
+          return [dirPath];
+        }
+
+        return readdirAsync(dirPath)
+            .then(function(fileNames) {
+              return kew.all(fileNames.map(function(fileName) {
+                return listFilesAsync(path.join(dirPath, fileName));
+              }));
+            }).then(function(fileLists) {
+              return underscore.flatten(fileLists, true /* shallow */);
+            });
+      });
+}
+
+
+/**
+ * @param {string} filePath
+ * @return {!Promise.<fs.Stats>} Yields stats of the file (without following
+ *     symbolic links), or null if it doesn't exist.
+ */
+function lstatAsync(filePath) {
+  var promise = kew.defer();
+  fs.lstat(filePath, function(err, stats) {
+    if (err && (err.code == 'ENOENT')) {
+      promise.resolve(null);
+    } else if (err) {
+      promise.reject(err);
+    } else {
+      promise.resolve(stats);
+    }
+  });
+  return promise;
+}
+
+
+/**
+ * @param {string} dirPath
+ * @return {!Promise.<!Array.<string>>} Yields names of files in dirPath.
+ */
+function readdirAsync(dirPath) {
+  // TODO: Switch to kew.nfcall() when ready...
+  var promise = kew.defer();
+  fs.readdir(dirPath, promise.makeNodeResolver());
+  return promise;
+}
+
+
+/**
+ * @param {string} filePath
+ * @return {!Promise} A promise tracking success.
+ */
+function unlinkAsync(filePath) {
+  // TODO: Switch to kew.nfcall() when ready...
+  var promise = kew.defer();
+  fs.unlink(filePath, promise.makeNodeResolver());
+  return promise;
+}
+
+
 // Symbols exported by this internal module.
 module.exports = {
   OutputDirs: OutputDirs,
   createOutputDirsAsync: createOutputDirsAsync,
+  makeDirAndParents: makeDirAndParents,
+  removeOutputDirsAsync: removeOutputDirsAsync,
+  removeStaleFilesAsync: removeStaleFilesAsync,
   testable: testable
 };
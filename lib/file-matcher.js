@@ -23,11 +23,19 @@ var underscore = require('underscore');
 var IS_GLOB_REGEX = /[\^$|?*+()\[\]{}]/;
 
 
+/**
+ * Prefix of input files and patterns that may match no files, even when
+ * buildOptions.strictInputs is set (e.g. 'optional:src/*.soy').
+ */
+var OPTIONAL_PREFIX = 'optional:';
+
+
 /**
  * Uses glob library to resolve any file patterns in input list. Removes any
  * duplicate file paths and converts any path backslashes into forward slashes.
+ * Optional files (with OPTIONAL_PREFIX) are only included if they exist.
  * @param {!Array.<string>} filesAndPatterns List of files and file patterns,
- *     e.g. ['my/single/file.js', 'dir/of/*.js'].
+ *     e.g. ['my/single/file.js', 'dir/of/*.js', 'optional:gen/*.js'].
  * @param {string} rootSrcDir Root source directory that filesAndPatterns are
  *     relative to.
  * @return {!Promise.<!Array.<string>>} Async result that will be called with
@@ -43,7 +51,42 @@ function resolveAnyGlobPatternsAsync(filesAndPatterns, rootSrcDir) {
 
 
 /**
- * Does the glob resolution for all glob file patterns in input.
+ * Finds the input files that don't exist and the glob patterns that match no
+ * files, other than optional ones (with OPTIONAL_PREFIX).
+ * @param {!Array.<string>} filesAndPatterns
+ * @param {string} rootDir Directory that filesAndPatterns are relative to.
+ * @return {!Promise.<!Array.<number>>} Yields the index of each file or
+ *     pattern in filesAndPatterns that matches nothing.
+ */
+function findUnmatchedAsync(filesAndPatterns, rootDir) {
+  var options = {cwd: rootDir};
+
+  // Glob also matches single files, but only if they exist.
+  var tasks = filesAndPatterns.map(function(fileOrPattern) {
+    if (isOptional(fileOrPattern)) {
+      return function(callbackFn) { callbackFn(null, null); };
+    }
+    return underscore.partial(resolveGlobAsync, fileOrPattern, options);
+  });
+
+  // TODO: Switch to kew.nfcall() when ready...
+  var deferred = kew.defer();
+  async.parallel(tasks, deferred.makeNodeResolver());
+  return deferred.promise.then(function(results) {
+    var unmatchedIndexes = [];
+    results.forEach(function(resolvedFiles, index) {
+      if (resolvedFiles && (resolvedFiles.length == 0)) {
+        unmatchedIndexes.push(index);
+      }
+    });
+    return unmatchedIndexes;
+  });
+}
+
+
+/**
+ * Does the glob resolution for all glob file patterns (and optional files) in
+ * input.
  * @param {!Array.<string>} filesAndPatterns
  * @param {string} rootSrcDir
  * @return {!Promise.<!Object.<string, !Array.<string>>>} A future map from
@@ -54,7 +97,11 @@ function resolveGlobsAsync(filesAndPatterns, rootSrcDir) {
 
   var tasks = {};
   filesAndPatterns.forEach(function(fileOrPattern) {
-    if (isGlobPattern(fileOrPattern)) {
+    if (isOptional(fileOrPattern)) {
+      // Glob also matches single files, but only if they exist.
+      tasks[fileOrPattern] = underscore.partial(resolveGlobAsync,
+          fileOrPattern.substring(OPTIONAL_PREFIX.length), options);
+    } else if (isGlobPattern(fileOrPattern)) {
       tasks[fileOrPattern] =
           underscore.partial(resolveGlobAsync, fileOrPattern, options);
     }
@@ -77,6 +124,15 @@ function isGlobPattern(fileOrPattern) {
 }
 
 
+/**
+ * @param {string} fileOrPattern
+ * @return {boolean} Whether fileOrPattern may match no files.
+ */
+function isOptional(fileOrPattern) {
+  return fileOrPattern.indexOf(OPTIONAL_PREFIX) == 0;
+}
+
+
 /**
  * @param {string} pattern
  * @param {!Object} options For glob library.
@@ -125,4 +181,8 @@ function convertBackslashes(filePath) {
 
 
 // Symbols exported by this internal module.
-module.exports = {resolveAnyGlobPatternsAsync: resolveAnyGlobPatternsAsync};
+module.exports = {
+  OPTIONAL_PREFIX: OPTIONAL_PREFIX,
+  findUnmatchedAsync: findUnmatchedAsync,
+  resolveAnyGlobPatternsAsync: resolveAnyGlobPatternsAsync
+};
@@ -13,20 +13,67 @@
 // limitations under the License.
 
 var async = require('async');
+var BuildMonitor = require('./build-monitor.js').BuildMonitor;
+var buildCache = require('./build-cache.js');
+var buildProfiles = require('./build-profiles.js');
 var child_process = require('child_process');
 var closureDepCalculator = require('./closure-dep-calculator.js');
 var common = require('./common.js');
+var diagnostics = require('./diagnostics.js');
 var fileMatcher = require('./file-matcher.js');
 var fs = require('fs');
 var graphUtil = require('./graph-util.js');
 var jsModuleManager = require('./js-module-manager.js');
 var kew = require('kew');
 var path = require('path');
+var plugins = require('./plugins.js');
 var underscore = require('underscore');
 
 
+/** Version of the bundled JS compiler, which limits the supported flags. */
+var JS_COMPILER_VERSION = '20130823';
+
+
 var JS_COMPILER_PATH = path.join(__dirname,
-    '../3p/closure-compiler-20130823/compiler.jar');
+    '../3p/closure-compiler-' + JS_COMPILER_VERSION + '/compiler.jar');
+
+
+/** Allowed values for jsCompilerOptions.languageIn. */
+var JS_LANGUAGE_MODES = ['ECMASCRIPT3', 'ECMASCRIPT5', 'ECMASCRIPT5_STRICT'];
+
+
+/** Allowed values for jsCompilerOptions.warningLevel. */
+var JS_WARNING_LEVELS = ['QUIET', 'DEFAULT', 'VERBOSE'];
+
+
+/** Placeholder for the compiled JS within jsCompilerOptions.outputWrapper. */
+var OUTPUT_WRAPPER_MARKER = '%output%';
+
+
+/** Closure namespace generated for the jsModuleInfoBaseUrl project option. */
+var MODULE_INFO_NAMESPACE = 'closureProBuild.moduleInfo';
+
+
+/** Name of the file under the gen directory that provides the namespace. */
+var MODULE_INFO_FILE_NAME = 'closure_pro_build_module_info.js';
+
+
+/**
+ * Map from each jsCompilerOptions option (other than outputWrapper and
+ * extraFlags) to its JS compiler flag, in the order they're passed (so that
+ * jscompOff overrides jscompWarning, which overrides jscompError). Options
+ * with list values pass the flag once per list element.
+ */
+var JS_COMPILER_OPTION_FLAGS = {
+  languageIn: '--language_in',
+  warningLevel: '--warning_level',
+  jscompError: '--jscomp_error',
+  jscompWarning: '--jscomp_warning',
+  jscompOff: '--jscomp_off',
+  useTypesForOptimization: '--use_types_for_optimization',
+  generateExports: '--generate_exports',
+  processJqueryPrimitives: '--process_jquery_primitives'
+};
 
 
 /**
@@ -38,17 +85,62 @@ var JS_COMPILER_PATH = path.join(__dirname,
  *     debug/release); see README.md for option documentation.
  * @param {!Promise.<!OutputDirs>} outDirsAsync
  * @param {!Promise.<?string>} cssRenamingFileAsync
+ * @param {BuildMonitor=} opt_monitor To report build progress to.
  * @return {!Promise} Tracks success/failure.
  */
-function build(
-    projectOptions, buildOptions, outDirsAsync, cssRenamingFileAsync) {
-  var inputFilesAsync = resolveInputsAsync(projectOptions);
+function build(projectOptions, buildOptions, outDirsAsync,
+    cssRenamingFileAsync, opt_monitor) {
+  var monitor = opt_monitor || new BuildMonitor();
+  var resolvedModulesAsync =
+      resolveModulesAsync(projectOptions, buildOptions, outDirsAsync, monitor);
+  return compileAndOutputModules(resolvedModulesAsync, buildOptions,
+      outDirsAsync, cssRenamingFileAsync, monitor);
+}
+
 
+/**
+ * @typedef {{projectOptions: !Object,
+ *     jsModules: !Array.<!{name: string, compiledInputFiles: !Array.<string>,
+ *         dontCompileInputFiles: !Array.<string>,
+ *         alwaysLoadedAfterModules: !Array.<string>}>}}
+ */
+var ResolvedModules;
+
+
+/**
+ * Resolves the input files of every JS module (including calculating Closure
+ * dependencies), which is the part of the JS build that doesn't depend on the
+ * build type. Requires any Soy to have been compiled already.
+ * @param {!Object} projectOptions Specifies the project input files; see
+ *     README.md for option documentation.
+ * @param {!Object} buildOptions Specifies options specific to this build (like
+ *     debug/release); see README.md for option documentation.
+ * @param {!Promise.<!OutputDirs>} outDirsAsync Output dirs whose gen directory
+ *     has the compiled Soy.
+ * @param {BuildMonitor=} opt_monitor To report build progress to.
+ * @return {!Promise.<!ResolvedModules>} Yields the resolved project options
+ *     and the ordered input files for each JS module.
+ */
+function resolveModulesAsync(
+    projectOptions, buildOptions, outDirsAsync, opt_monitor) {
+  var monitor = opt_monitor || new BuildMonitor();
   return outDirsAsync.then(function(outDirs) {
-    var transitiveClosureDepsAsync =
-        closureDepCalculator.calcDeps(projectOptions, buildOptions, outDirs);
-    return kew.all([inputFilesAsync, transitiveClosureDepsAsync])
-        .then(function(results) {
+    var runHookAsync = function(hook, opt_properties) {
+      return plugins.runHookAsync(hook, projectOptions, buildOptions, outDirs,
+          monitor, opt_properties);
+    };
+
+    // Resolve inputs after beforeDeps hooks, which may generate some.
+    return runHookAsync(plugins.Hook.BEFORE_DEPS)
+        .then(function() {
+          return writeModuleInfoAsync(projectOptions, outDirs);
+        }).then(function() {
+          return kew.all([
+            resolveInputsAsync(projectOptions),
+            closureDepCalculator.calcDeps(
+                projectOptions, buildOptions, outDirs, monitor)
+          ]);
+        }).then(function(results) {
           var inputFiles = results[0];
           var transitiveClosureDeps = results[1];
 
@@ -56,13 +148,47 @@ function build(
               resolveProjectOptions(projectOptions, inputFiles);
           var jsModules = jsModuleManager.calcInputFiles(
               resolvedProjectOptions, transitiveClosureDeps);
-          return compileAndOutputJs(resolvedProjectOptions, buildOptions,
-              outDirs, cssRenamingFileAsync, jsModules);
+          return runHookAsync(plugins.Hook.AFTER_MODULES_CALCULATED,
+              {jsModules: jsModules})
+              .then(function() {
+                return {
+                  projectOptions: resolvedProjectOptions,
+                  jsModules: jsModules
+                };
+              });
         });
   });
 }
 
 
+/**
+ * Compiles the resolved JS modules and assembles their final output JS files.
+ * The resolved modules aren't modified, so can be shared by builds of several
+ * types.
+ * @param {!Promise.<!ResolvedModules>} resolvedModulesAsync
+ * @param {!Object} buildOptions Specifies options specific to this build (like
+ *     debug/release); see README.md for option documentation.
+ * @param {!Promise.<!OutputDirs>} outDirsAsync
+ * @param {!Promise.<?string>} cssRenamingFileAsync
+ * @param {BuildMonitor=} opt_monitor To report build progress to.
+ * @return {!Promise} Tracks success/failure.
+ */
+function compileAndOutputModules(resolvedModulesAsync, buildOptions,
+    outDirsAsync, cssRenamingFileAsync, opt_monitor) {
+  var monitor = opt_monitor || new BuildMonitor();
+  return kew.all([resolvedModulesAsync, outDirsAsync])
+      .then(function(results) {
+        var resolvedModules = results[0];
+        var outDirs = results[1];
+
+        // Compiling modifies jsModules (adding the CSS renaming file).
+        return compileAndOutputJs(resolvedModules.projectOptions, buildOptions,
+            outDirs, cssRenamingFileAsync,
+            graphUtil.deepClone(resolvedModules.jsModules), monitor);
+      });
+}
+
+
 /**
  * @param {!Object} projectOptions
  * @param {!Object} buildOptions
@@ -71,16 +197,33 @@ function build(
  * @param {!Array.<!{name: string, compiledInputFiles: !Array.<string>,
  *     dontCompileInputFiles: !Array.<string>,
  *     alwaysLoadedAfterModules: !Array.<string>}>} jsModules
+ * @param {!BuildMonitor} monitor
  * @return {!Promise} Tracks success/failure.
  */
-function compileAndOutputJs(
-    projectOptions, buildOptions, outDirs, cssRenamingFileAsync, jsModules) {
+function compileAndOutputJs(projectOptions, buildOptions, outDirs,
+    cssRenamingFileAsync, jsModules, monitor) {
+  // Calculate before compiling, which adds the CSS renaming file to inputs.
+  var outputs = getModuleOutputs(outDirs, jsModules);
+
   return cssRenamingFileAsync
       .then(function(cssRenamingFile) {
-        return compileJsAsync(projectOptions, buildOptions, outDirs,
-            cssRenamingFile, jsModules);
-      }).then(underscore.partial(outputFinalJsAsync, projectOptions, outDirs,
-          jsModules));
+        return monitor.trackPhase(BuildMonitor.Phase.JS_COMPILE, function() {
+          return compileJsAsync(projectOptions, buildOptions, outDirs,
+              cssRenamingFile, jsModules, monitor);
+        });
+      }).then(function() {
+        return monitor.trackPhase(BuildMonitor.Phase.OUTPUT_FILES, function() {
+          return outputFinalJsAsync(
+              projectOptions, buildOptions, outDirs, jsModules, monitor);
+        });
+      }).then(function() {
+        outputs.forEach(function(output) {
+          monitor.recordOutput(output);
+        });
+        return plugins.runHookAsync(plugins.Hook.AFTER_JS_COMPILE,
+            projectOptions, buildOptions, outDirs, monitor,
+            {outputs: outputs});
+      });
 }
 
 
@@ -140,6 +283,10 @@ function resolveInputsForModule(jsModuleSpec, rootSrcDir, callbackFn) {
  */
 function resolveProjectOptions(projectOptions, inputFiles) {
   var resolvedProjectOptions = graphUtil.deepClone(projectOptions);
+
+  // Plugins can't be cloned (as they're made of functions), so are shared.
+  resolvedProjectOptions.plugins = projectOptions.plugins;
+
   for (var moduleName in inputFiles) {
     // Update resolved files (e.g. replace [*.js] with [file1.js, file2.js]).
     underscore.extend(resolvedProjectOptions.jsModules[moduleName],
@@ -149,6 +296,92 @@ function resolveProjectOptions(projectOptions, inputFiles) {
 }
 
 
+//==============================================================================
+// Generate Module Info
+//==============================================================================
+
+/**
+ * If the project has a jsModuleInfoBaseUrl, writes JS that provides the
+ * closureProBuild.moduleInfo namespace to the gen directory (which Closure
+ * deps are calculated under), so that any module can goog.require() it. It
+ * has the module info and URIs needed to lazy load modules with
+ * goog.module.ModuleManager.
+ * @param {!Object} projectOptions
+ * @param {!OutputDirs} outDirs
+ * @return {!Promise} Tracks success/failure.
+ */
+function writeModuleInfoAsync(projectOptions, outDirs) {
+  var baseUrl = projectOptions.jsModuleInfoBaseUrl;
+  if (baseUrl == null) {
+    return kew.resolve(null);
+  }
+
+  var jsModules = jsModuleManager.calcModuleDeps(projectOptions);
+  var moduleInfo = {};
+  var moduleUris = {};
+  jsModules.forEach(function(jsModule) {
+    moduleInfo[jsModule.name] = jsModule.alwaysLoadedAfterModules;
+    moduleUris[jsModule.name] = [jsModule.name + '.js'];
+  });
+
+  var content = [
+    '// Generated by closure-pro-build from the jsModules project option.',
+    '',
+    'goog.provide(\'' + MODULE_INFO_NAMESPACE + '\');',
+    '',
+    '',
+    '/** @define {string} Base URL that JS module files are loaded from. */',
+    MODULE_INFO_NAMESPACE + '.BASE_URL = ' + JSON.stringify(baseUrl) + ';',
+    '',
+    '',
+    '/**',
+    ' * Map from each JS module to all the modules it depends on, for',
+    ' * goog.module.ModuleManager#setAllModuleInfo().',
+    ' * @type {!Object.<string, !Array.<string>>}',
+    ' * @const',
+    ' */',
+    MODULE_INFO_NAMESPACE + '.MODULE_INFO = ' +
+        formatModuleMap(moduleInfo, '') + ';',
+    '',
+    '',
+    '/**',
+    ' * Map from each JS module to the URIs to load it from, for',
+    ' * goog.module.ModuleManager#setModuleUris().',
+    ' * @type {!Object.<string, !Array.<string>>}',
+    ' * @const',
+    ' */',
+    MODULE_INFO_NAMESPACE + '.MODULE_URIS = ' +
+        formatModuleMap(moduleUris, MODULE_INFO_NAMESPACE + '.BASE_URL + ') +
+        ';'
+  ];
+
+  // TODO: Switch to kew.nfcall() when ready...
+  var promise = kew.defer();
+  fs.writeFile(path.join(outDirs.gen, MODULE_INFO_FILE_NAME),
+      content.join('\n') + '\n', {encoding: 'utf8'},
+      promise.makeNodeResolver());
+  return promise;
+}
+
+
+/**
+ * @param {!Object.<string, !Array.<string>>} moduleMap Map from module name to
+ *     list of strings.
+ * @param {string} valuePrefix JS expression prefix for each string value.
+ * @return {string} JS object literal for the map, with quoted keys (so that
+ *     the JS compiler doesn't rename them).
+ */
+function formatModuleMap(moduleMap, valuePrefix) {
+  var entries = underscore.map(moduleMap, function(values, moduleName) {
+    return '  ' + JSON.stringify(moduleName) + ': [' +
+        values.map(function(value) {
+          return valuePrefix + JSON.stringify(value);
+        }).join(', ') + ']';
+  });
+  return (entries.length > 0) ? '{\n' + entries.join(',\n') + '\n}' : '{}';
+}
+
+
 //==============================================================================
 // Invoke Closure JS Compiler
 //==============================================================================
@@ -161,29 +394,37 @@ function resolveProjectOptions(projectOptions, inputFiles) {
  * @param {!Array.<!{name: string, compiledInputFiles: !Array.<string>,
  *     dontCompileInputFiles: !Array.<string>,
  *     alwaysLoadedAfterModules: !Array.<string>}>} jsModules
- * @return {!Promise} Tracks success/failure.
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise} Tracks success/failure (restoring the compiled module JS
+ *     from buildOptions.cacheDir, if cached).
  */
-function compileJsAsync(
-    projectOptions, buildOptions, outDirs, cssRenamingFile, jsModules) {
-  var isDebug = (buildOptions.type == common.DEBUG);
+function compileJsAsync(projectOptions, buildOptions, outDirs,
+    cssRenamingFile, jsModules, monitor) {
+  var profile = buildProfiles.resolveProfile(projectOptions, buildOptions.type);
 
   // Standard options:
   var jsCompilerArgs = [
     '-jar',
     JS_COMPILER_PATH,
     '--compilation_level',
-    isDebug ? 'SIMPLE_OPTIMIZATIONS' : 'ADVANCED_OPTIMIZATIONS',
+    profile.jsCompilationLevel,
     '--module_output_path_prefix',
     outDirs.tmp
   ];
 
-  // Debug- and release-specific options:
-  if (isDebug) {
+  // Build profile-specific options:
+  profile.jsFormatting.forEach(function(formattingOption) {
     jsCompilerArgs.push('--formatting');
-    jsCompilerArgs.push('PRETTY_PRINT');
-  } else {
+    jsCompilerArgs.push(formattingOption);
+  });
+
+  // Defines of this build override those of the profile.
+  var jsDefines =
+      underscore.extend({}, profile.jsDefines, buildOptions.jsDefines);
+  for (var defineName in jsDefines) {
     jsCompilerArgs.push('--define');
-    jsCompilerArgs.push('goog.DEBUG=false');
+    jsCompilerArgs.push(
+        defineName + '=' + formatJsDefineValue(jsDefines[defineName]));
   }
 
   if (projectOptions.jsWarningsWhitelistFile) {
@@ -196,7 +437,19 @@ function compileJsAsync(
     jsCompilerArgs.push(externsFile);
   });
 
-  // TODO: Consider support for --process_jquery_primitives.
+  // Project-specific compiler options:
+  var jsCompilerOptions = projectOptions.jsCompilerOptions || {};
+  jsCompilerArgs = jsCompilerArgs.concat(
+      getJsCompilerOptionArgs(jsCompilerOptions));
+
+  if (buildOptions.jsSourceMaps) {
+    // With modules, the compiler expands %outname% to each module's output
+    // file (under --module_output_path_prefix).
+    jsCompilerArgs.push('--create_source_map');
+    jsCompilerArgs.push('%outname%.map');
+    jsCompilerArgs.push('--source_map_format');
+    jsCompilerArgs.push('V3');
+  }
 
   // No-op if there is no JS that needs to be compiled.
   var modulesToCompile = getModulesToCompile(jsModules, cssRenamingFile);
@@ -215,25 +468,113 @@ function compileJsAsync(
       jsCompilerArgs.push('--js');
       jsCompilerArgs.push(inputFile);
     });
+
+    // The compiler only applies --output_wrapper without modules.
+    if (jsCompilerOptions.outputWrapper) {
+      jsCompilerArgs.push('--module_wrapper');
+      jsCompilerArgs.push(jsModule.name + ':' + jsCompilerOptions.outputWrapper
+          .split(OUTPUT_WRAPPER_MARKER).join('%s'));
+    }
   });
 
-  // Launch JS compiler in a child process.
-  var stderrBehavior = buildOptions.suppressOutput ? 'ignore' : process.stderr;
+  // Launch JS compiler in a child process (unless cached).
+  var inputFiles = underscore.flatten(
+      underscore.pluck(modulesToCompile, 'compiledInputFiles'));
+  inputFiles = inputFiles.concat(projectOptions.jsExterns);
+  if (projectOptions.jsWarningsWhitelistFile) {
+    inputFiles.push(projectOptions.jsWarningsWhitelistFile);
+  }
+  var compilation = {
+    toolJar: JS_COMPILER_PATH,
+    args: jsCompilerArgs,
+    inputFiles: inputFiles,
+    outputFiles: underscore.flatten(modulesToCompile.map(function(jsModule) {
+      var compiledJsFile = getModuleCompiledJsFile(jsModule.name, outDirs);
+      return buildOptions.jsSourceMaps ?
+          [compiledJsFile, compiledJsFile + '.map'] : [compiledJsFile];
+    }))
+  };
+  return buildCache.compileAsync(buildOptions, compilation, monitor,
+      function() {
+        return spawnJsCompiler(buildOptions, jsCompilerArgs, monitor);
+      });
+}
+
+
+/**
+ * @param {!Object} buildOptions
+ * @param {!Array.<string>} jsCompilerArgs
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise.<!CompileResult>} Yields the compiler's diagnostics.
+ */
+function spawnJsCompiler(buildOptions, jsCompilerArgs, monitor) {
   var jsCompilation = child_process.spawn(buildOptions.javaCommand,
-      jsCompilerArgs, {stdio: ['ignore', 'pipe', stderrBehavior]});
+      jsCompilerArgs, {stdio: ['ignore', 'pipe', 'pipe']});
+  monitor.trackChildProcess(jsCompilation);
+  var getStderrOutput = diagnostics.collectStderr(jsCompilation, buildOptions);
 
   var promise = kew.defer();
   jsCompilation.on('close', function(exitCode) {
-    if (exitCode == common.EXIT_SUCCESS) {
-      promise.resolve(null);
+    var failed = (exitCode != common.EXIT_SUCCESS);
+    var jsDiagnostics = diagnostics.parseOutput(
+        diagnostics.Tool.JS_COMPILER, getStderrOutput(), failed);
+    monitor.recordDiagnostics(jsDiagnostics);
+
+    if (failed) {
+      promise.reject(new diagnostics.CompileError(
+          'Had errors compiling JavaScript', jsDiagnostics));
     } else {
-      promise.reject(new Error('Had errors compiling JavaScript'));
+      promise.resolve({value: null, diagnostics: jsDiagnostics});
     }
   });
   return promise;
 }
 
 
+/**
+ * @param {!Object} jsCompilerOptions From projectOptions; see README.md for
+ *     option documentation.
+ * @return {!Array.<string>} JS compiler args for the given options, other
+ *     than outputWrapper (which is passed for each module).
+ */
+function getJsCompilerOptionArgs(jsCompilerOptions) {
+  var args = [];
+  underscore.each(JS_COMPILER_OPTION_FLAGS, function(flag, option) {
+    if (!jsCompilerOptions.hasOwnProperty(option)) {
+      return;
+    }
+    var values = jsCompilerOptions[option];
+    if (!underscore.isArray(values)) {
+      values = [values];
+    }
+    values.forEach(function(value) {
+      args.push(flag);
+      args.push(String(value));
+    });
+  });
+
+  // Raw flags are passed as-is, after all others.
+  return args.concat(jsCompilerOptions.extraFlags || []);
+}
+
+
+/**
+ * @param {boolean|number|string} value
+ * @return {string} Value in the form expected by the JS compiler --define flag
+ *     (with strings quoted).
+ */
+function formatJsDefineValue(value) {
+  if (!underscore.isString(value)) {
+    return String(value);
+  }
+
+  // The compiler takes everything between matching quotes as-is (without
+  // unescaping), so quote with whichever kind the string doesn't contain.
+  var quote = (value.indexOf('"') == -1) ? '"' : '\'';
+  return quote + value + quote;
+}
+
+
 /**
  * Filters out modules with no JS to compile and prepends cssRenamingFile to
  * the base module (so long as there are any modules to compile).
@@ -288,15 +629,23 @@ function getModulesToCompile(jsModules, cssRenamingFile) {
 
 /**
  * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
  * @param {!OutputDirs} outDirs
  * @param {!Array.<!{name: string, compiledInputFiles: !Array.<string>,
  *     dontCompileInputFiles: !Array.<string>,
  *     alwaysLoadedAfterModules: !Array.<string>}>} jsModules
+ * @param {!BuildMonitor} monitor
  * @return {!Promise} Tracks success/failure.
  */
-function outputFinalJsAsync(projectOptions, outDirs, jsModules) {
+function outputFinalJsAsync(
+    projectOptions, buildOptions, outDirs, jsModules, monitor) {
   // If it exists, will prepend the virtual base module to all root modules.
   var virtualBaseModuleFile = getVirtualBaseModuleFile(outDirs, jsModules);
+  var sourceMappedFiles = buildOptions.jsSourceMaps ?
+      getSourceMappedFiles(outDirs, jsModules) : {};
+
+  // Root modules read the complete virtual base module, so write it first.
+  var virtualBaseModuleAsync = kew.resolve(null);
   var tasks = [];
 
   jsModules.forEach(function(jsModule) {
@@ -320,13 +669,79 @@ function outputFinalJsAsync(projectOptions, outDirs, jsModules) {
       inputFiles.push(getModuleCompiledJsFile(jsModule.name, outDirs));
     }
 
-    tasks.push(writeFinalModuleJsFile(inputFiles, outputFilePath));
+    var writeAsync = function() {
+      return writeFinalModuleJsFile(inputFiles, outputFilePath);
+    };
+    if (buildOptions.jsSourceMaps) {
+      // The complete virtual base module is only an intermediate file, so its
+      // source map is used as-is when writing those of root modules.
+      var isFinal = (outputFilePath != virtualBaseModuleFile);
+      var sourceMapFile = outputFilePath + '.map';
+      writeAsync = function() {
+        var footer = isFinal ? '\n//# sourceMappingURL=' +
+            path.basename(sourceMapFile) + '\n' : '';
+        return kew.all([
+          writeFinalModuleJsFile(inputFiles, outputFilePath, footer),
+          writeSourceMapAsync(inputFiles, sourceMappedFiles, sourceMapFile,
+              isFinal ? buildOptions.jsSourceMapLocationMappings : {})
+        ]);
+      };
+      monitor.trackOutputFile(sourceMapFile);
+    }
+
+    monitor.trackOutputFile(outputFilePath);
+    if (jsModule.name == jsModuleManager.VIRTUAL_BASE_MODULE) {
+      virtualBaseModuleAsync = writeAsync();
+      tasks.push(virtualBaseModuleAsync);
+    } else {
+      tasks.push(virtualBaseModuleAsync.then(writeAsync));
+    }
   });
 
   return kew.all(tasks);
 }
 
 
+/**
+ * Describes the final output file for each JS module (other than the virtual
+ * base module, whose input files are instead listed for each root module).
+ * @param {!OutputDirs} outDirs
+ * @param {!Array.<!{name: string, compiledInputFiles: !Array.<string>,
+ *     dontCompileInputFiles: !Array.<string>,
+ *     alwaysLoadedAfterModules: !Array.<string>}>} jsModules
+ * @return {!Array.<!BuildMonitor.Output>}
+ */
+function getModuleOutputs(outDirs, jsModules) {
+  var virtualBaseInputFiles = [];
+  var outputs = [];
+
+  jsModules.forEach(function(jsModule) {
+    // Uncompiled JS is written before compiled JS in the output file.
+    var inputFiles =
+        jsModule.dontCompileInputFiles.concat(jsModule.compiledInputFiles);
+    if (jsModule.name == jsModuleManager.VIRTUAL_BASE_MODULE) {
+      virtualBaseInputFiles = inputFiles;
+      return;
+    }
+    if (isRootModuleWithVirtualBase(jsModule)) {
+      inputFiles = virtualBaseInputFiles.concat(inputFiles);
+    }
+
+    outputs.push({
+      type: BuildMonitor.OutputType.JS,
+      name: jsModule.name,
+      path: path.join(outDirs.build, jsModule.name + '.js'),
+      alwaysLoadedAfterModules: underscore.without(
+          jsModule.alwaysLoadedAfterModules,
+          jsModuleManager.VIRTUAL_BASE_MODULE),
+      inputFiles: inputFiles
+    });
+  });
+
+  return outputs;
+}
+
+
 /**
  * @param {!OutputDirs} outDirs
  * @param {!Array.<!{name: string, compiledInputFiles: !Array.<string>,
@@ -378,23 +793,190 @@ function isRootModuleWithVirtualBase(jsModule) {
 /**
  * @param {!Array.<string>} inputFiles
  * @param {string} outputFilePath
+ * @param {string=} opt_footer Text to write after all input files.
  * @return {!Promise} Tracks success/failure.
  */
-function writeFinalModuleJsFile(inputFiles, outputFilePath) {
+function writeFinalModuleJsFile(inputFiles, outputFilePath, opt_footer) {
   var outputJsFile = fs.createWriteStream(outputFilePath, {encoding: 'utf8'});
   return common.writeTextFilesAsync(inputFiles, outputJsFile)
       .then(function() {
         // Close output stream.
         // TODO: Switch to kew.nfcall() when ready...
         var promise = kew.defer();
-        outputJsFile.end('', 'utf8', promise.makeNodeResolver());
+        outputJsFile.end(opt_footer || '', 'utf8', promise.makeNodeResolver());
         return promise;
       });
 }
 
 
+//==============================================================================
+// Output Source Maps
+//==============================================================================
+
+/**
+ * @param {!OutputDirs} outDirs
+ * @param {!Array.<!{name: string, compiledInputFiles: !Array.<string>,
+ *     dontCompileInputFiles: !Array.<string>,
+ *     alwaysLoadedAfterModules: !Array.<string>}>} jsModules
+ * @return {!Object.<string, boolean>} Set of the intermediate JS files that
+ *     have a source map (with the same path plus .map).
+ */
+function getSourceMappedFiles(outDirs, jsModules) {
+  var sourceMappedFiles = {};
+  jsModules.forEach(function(jsModule) {
+    if (jsModule.compiledInputFiles.length > 0) {
+      sourceMappedFiles[getModuleCompiledJsFile(jsModule.name, outDirs)] = true;
+    }
+  });
+
+  // The complete virtual base module gets a source map when it's written.
+  var virtualBaseModuleFile = getVirtualBaseModuleFile(outDirs, jsModules);
+  if (virtualBaseModuleFile) {
+    sourceMappedFiles[virtualBaseModuleFile] = true;
+  }
+  return sourceMappedFiles;
+}
+
+
+/**
+ * Writes the source map of a file concatenated from inputFiles, as a V3 index
+ * map with a section (offset by all preceding input file content) for each
+ * section of each input file's own source map. Uncompiled input files have no
+ * source map, so aren't mapped.
+ * @param {!Array.<string>} inputFiles
+ * @param {!Object.<string, boolean>} sourceMappedFiles
+ * @param {string} sourceMapFile
+ * @param {!Object.<string, string>} locationMappings Map from source path
+ *     prefix to its replacement.
+ * @return {!Promise} Tracks success/failure.
+ */
+function writeSourceMapAsync(
+    inputFiles, sourceMappedFiles, sourceMapFile, locationMappings) {
+  var readTasks = inputFiles.map(function(inputFile) {
+    var tasks = [readTextFileAsync(inputFile)];
+    if (sourceMappedFiles[inputFile]) {
+      tasks.push(readTextFileAsync(inputFile + '.map'));
+    }
+    return kew.all(tasks);
+  });
+
+  return kew.all(readTasks)
+      .then(function(results) {
+        var sections = [];
+        var offset = {line: 0, column: 0};
+        results.forEach(function(result) {
+          if (result.length > 1) {
+            sections = sections.concat(
+                getOffsetSections(JSON.parse(result[1]), offset));
+          }
+          offset = getOffsetAfter(offset, result[0]);
+        });
+
+        sections.forEach(function(section) {
+          section.map.sources = section.map.sources.map(function(source) {
+            return remapSourcePath(source, locationMappings);
+          });
+        });
+
+        var sourceMap = {
+          version: 3,
+          file: path.basename(sourceMapFile, '.map'),
+          sections: sections
+        };
+        // TODO: Switch to kew.nfcall() when ready...
+        var promise = kew.defer();
+        fs.writeFile(sourceMapFile, JSON.stringify(sourceMap),
+            {encoding: 'utf8'}, promise.makeNodeResolver());
+        return promise;
+      });
+}
+
+
+/**
+ * @param {!Object} sourceMap V3 source map (or index map) of an input file.
+ * @param {!{line: number, column: number}} offset Where the input file starts
+ *     within the output file.
+ * @return {!Array.<!{offset: !{line: number, column: number}, map: !Object}>}
+ *     Sections that map the input file's content within the output file.
+ */
+function getOffsetSections(sourceMap, offset) {
+  var sections = sourceMap.sections ||
+      [{offset: {line: 0, column: 0}, map: sourceMap}];
+  return sections.map(function(section) {
+    // Only content on the first line of the input file is offset by columns.
+    var column = section.offset.column;
+    if (section.offset.line == 0) {
+      column += offset.column;
+    }
+    return {
+      offset: {line: offset.line + section.offset.line, column: column},
+      map: section.map
+    };
+  });
+}
+
+
+/**
+ * @param {!{line: number, column: number}} offset
+ * @param {string} content Content written at offset.
+ * @return {!{line: number, column: number}} Offset just after content.
+ */
+function getOffsetAfter(offset, content) {
+  var lines = content.split('\n');
+  if (lines.length == 1) {
+    return {line: offset.line, column: offset.column + content.length};
+  }
+  return {
+    line: offset.line + lines.length - 1,
+    column: lines[lines.length - 1].length
+  };
+}
+
+
+/**
+ * @param {string} sourcePath Path of a source file in a source map.
+ * @param {!Object.<string, string>} locationMappings
+ * @return {string} sourcePath with its longest prefix in locationMappings
+ *     replaced, if any.
+ */
+function remapSourcePath(sourcePath, locationMappings) {
+  var longestPrefix = null;
+  for (var prefix in locationMappings) {
+    if ((sourcePath.indexOf(prefix) == 0) &&
+        ((longestPrefix == null) || (prefix.length > longestPrefix.length))) {
+      longestPrefix = prefix;
+    }
+  }
+
+  if (longestPrefix == null) {
+    return sourcePath;
+  }
+  return locationMappings[longestPrefix] +
+      sourcePath.substr(longestPrefix.length);
+}
+
+
+/**
+ * @param {string} filePath
+ * @return {!Promise.<string>} Yields the file's contents.
+ */
+function readTextFileAsync(filePath) {
+  // TODO: Switch to kew.nfcall() when ready...
+  var promise = kew.defer();
+  fs.readFile(filePath, {encoding: 'utf8'}, promise.makeNodeResolver());
+  return promise;
+}
+
+
 // Symbols exported by this internal module.
 module.exports = {
   JS_COMPILER_PATH: JS_COMPILER_PATH,
-  build: build
+  JS_COMPILER_VERSION: JS_COMPILER_VERSION,
+  JS_LANGUAGE_MODES: JS_LANGUAGE_MODES,
+  JS_WARNING_LEVELS: JS_WARNING_LEVELS,
+  MODULE_INFO_FILE_NAME: MODULE_INFO_FILE_NAME,
+  OUTPUT_WRAPPER_MARKER: OUTPUT_WRAPPER_MARKER,
+  build: build,
+  compileAndOutputModules: compileAndOutputModules,
+  resolveModulesAsync: resolveModulesAsync
 };
@@ -41,6 +41,41 @@ function calcInputFiles(projectOptions, transitiveClosureDeps) {
 }
 
 
+/**
+ * Calculates just the JS module dependency graph, which (unlike input files)
+ * doesn't depend on Closure deps, so is known before they're calculated.
+ * Throws an exception if module configuration is invalid.
+ * @param {!Object} projectOptions Specifies the JS modules; see README.md for
+ *     option documentation.
+ * @return {!Array.<!{name: string, alwaysLoadedAfterModules: !Array.<string>}>}
+ *     Dependency-ordered list of modules and all the modules each transitively
+ *     depends on. Excludes any virtual base module, which is prepended to each
+ *     root module in the final output files.
+ */
+function calcModuleDeps(projectOptions) {
+  var moduleOnlyOptions = {jsModules: {}};
+  for (var moduleName in projectOptions.jsModules) {
+    moduleOnlyOptions.jsModules[moduleName] = {
+      alwaysLoadedAfterModules:
+          projectOptions.jsModules[moduleName].alwaysLoadedAfterModules,
+      dontCompileInputFiles: [],
+      nonClosureNamespacedInputFiles: []
+    };
+  }
+
+  var moduleManager = new ModuleManager(moduleOnlyOptions, {});
+  return moduleManager.sortedModuleIds
+      .filter(function(moduleId) { return moduleId != VIRTUAL_BASE_MODULE_ID; })
+      .map(function(moduleId) {
+        return {
+          name: this.modules[moduleId].name,
+          alwaysLoadedAfterModules: underscore.without(
+              this.getDepModuleNames(moduleId), VIRTUAL_BASE_MODULE)
+        };
+      }, moduleManager);
+}
+
+
 /**
  * @param {!Object} projectOptions
  * @param {!Object.<string, !Array.<string>>} transitiveClosureDeps
@@ -539,5 +574,6 @@ ModuleManager.prototype.chooseLowestModules = function(moduleSet) {
 // Symbols exported by this internal module.
 module.exports = {
   VIRTUAL_BASE_MODULE: VIRTUAL_BASE_MODULE,
-  calcInputFiles: calcInputFiles
+  calcInputFiles: calcInputFiles,
+  calcModuleDeps: calcModuleDeps
 };
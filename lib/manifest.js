@@ -0,0 +1,233 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var BuildMonitor = require('./build-monitor.js').BuildMonitor;
+var crypto = require('crypto');
+var fs = require('fs');
+var kew = require('kew');
+var path = require('path');
+
+
+/** Name of the manifest file written under the build output directory. */
+var MANIFEST_FILE_NAME = 'manifest.json';
+
+
+/** Hash algorithm used for the content hash of each output file. */
+var HASH_ALGORITHM = 'sha1';
+
+
+/** Number of hex digits of the content hash to put in hashed file names. */
+var FILE_NAME_HASH_LENGTH = 8;
+
+
+/**
+ * Creates the build manifest, which describes every output file.
+ * @param {!Object} buildOptions
+ * @param {!Array.<!BuildMonitor.Output>} outputs All output files recorded by
+ *     the build, with JS modules in the order they were calculated (so each
+ *     module is listed after all of its alwaysLoadedAfterModules).
+ * @return {!Promise.<!{type: string, jsModules: !Array.<!Object>,
+ *     cssModule: Object}>} Yields manifest with path, size (in bytes), and
+ *     hash (hex string) for each output file.
+ */
+function createManifestAsync(buildOptions, outputs) {
+  var manifest = {type: buildOptions.type, jsModules: [], cssModule: null};
+
+  var tasks = outputs.map(function(output) {
+    var entry = {
+      name: output.name,
+      path: output.path,
+      size: 0,
+      hash: '',
+      alwaysLoadedAfterModules: output.alwaysLoadedAfterModules,
+      inputFiles: output.inputFiles
+    };
+    if (output.type == BuildMonitor.OutputType.CSS) {
+      delete entry.alwaysLoadedAfterModules;
+      manifest.cssModule = entry;
+    } else {
+      manifest.jsModules.push(entry);
+    }
+
+    // TODO: Switch to kew.nfcall() when ready...
+    var readAsync = kew.defer();
+    fs.readFile(output.path, readAsync.makeNodeResolver());
+    return readAsync.then(function(content) {
+      entry.size = content.length;
+      entry.hash =
+          crypto.createHash(HASH_ALGORITHM).update(content).digest('hex');
+    });
+  });
+
+  return kew.all(tasks)
+      .then(function() { return manifest; });
+}
+
+
+/**
+ * Renames each output file in the manifest to include (a prefix of) its
+ * content hash, e.g. main.js to main.3f9a1c2b.js, so that it can be served
+ * with far-future cache headers. Updates the path of each manifest entry to
+ * the hashed file, and adds manifest.aliases, mapping the file name of each
+ * entry (e.g. main.js) to its hashed file name. With buildOptions.jsSourceMaps,
+ * also renames each JS source map to match (e.g. main.3f9a1c2b.js.map), and
+ * updates the references between it and its JS file.
+ * @param {!Object} manifest As created by createManifestAsync().
+ * @param {!Object} buildOptions
+ * @param {!BuildMonitor} monitor To track the hashed files with.
+ * @return {!Promise.<!Object>} Yields the updated manifest.
+ */
+function hashFileNamesAsync(manifest, buildOptions, monitor) {
+  var entries = manifest.jsModules.concat(
+      manifest.cssModule ? [manifest.cssModule] : []);
+  manifest.aliases = {};
+
+  var tasks = entries.map(function(entry) {
+    var fileExtension = path.extname(entry.path);
+    var hashedPath = path.join(path.dirname(entry.path),
+        path.basename(entry.path, fileExtension) + '.' +
+            entry.hash.substr(0, FILE_NAME_HASH_LENGTH) + fileExtension);
+    var hasSourceMap =
+        buildOptions.jsSourceMaps && (entry != manifest.cssModule);
+
+    var renameTasks =
+        [renameOutputFileAsync(entry.path, hashedPath, manifest, monitor)];
+    if (hasSourceMap) {
+      renameTasks.push(renameOutputFileAsync(entry.path + '.map',
+          hashedPath + '.map', manifest, monitor));
+    }
+    var originalFileName = path.basename(entry.path);
+    entry.path = hashedPath;
+
+    var renameAsync = kew.all(renameTasks);
+    if (!hasSourceMap) {
+      return renameAsync;
+    }
+    return renameAsync.then(function() {
+      return updateSourceMapReferencesAsync(entry, originalFileName);
+    });
+  });
+
+  return kew.all(tasks)
+      .then(function() { return manifest; });
+}
+
+
+/**
+ * Renames an output file to its hashed file name, and records the alias.
+ * @param {string} filePath
+ * @param {string} hashedPath
+ * @param {!Object} manifest Has an aliases map, modified in place.
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise} Tracks success/failure.
+ */
+function renameOutputFileAsync(filePath, hashedPath, manifest, monitor) {
+  manifest.aliases[path.basename(filePath)] = path.basename(hashedPath);
+  monitor.trackOutputFile(hashedPath);
+
+  // TODO: Switch to kew.nfcall() when ready...
+  var promise = kew.defer();
+  fs.rename(filePath, hashedPath, promise.makeNodeResolver());
+  return promise;
+}
+
+
+/**
+ * Points the sourceMappingURL comment of a renamed JS file at its renamed
+ * source map, and the file property of the source map back at the JS file.
+ * Since this changes the content of the JS file, also updates the size and
+ * hash of its manifest entry (its hashed file name is left as-is).
+ * @param {!Object} entry Manifest entry, with the path of the renamed JS file.
+ * @param {string} originalFileName Name of the JS file before renaming.
+ * @return {!Promise} Tracks success/failure.
+ */
+function updateSourceMapReferencesAsync(entry, originalFileName) {
+  var sourceMapFile = entry.path + '.map';
+
+  var jsAsync = readTextFileAsync(entry.path).then(function(js) {
+    var oldComment = '//# sourceMappingURL=' + originalFileName + '.map';
+    var index = js.lastIndexOf(oldComment);
+    if (index != -1) {
+      js = js.substr(0, index) + '//# sourceMappingURL=' +
+          path.basename(sourceMapFile) + js.substr(index + oldComment.length);
+    }
+    entry.size = Buffer.byteLength(js, 'utf8');
+    entry.hash = crypto.createHash(HASH_ALGORITHM).update(js, 'utf8')
+        .digest('hex');
+    return writeTextFileAsync(entry.path, js);
+  });
+
+  var sourceMapAsync = readTextFileAsync(sourceMapFile)
+      .then(function(content) {
+        var sourceMap = JSON.parse(content);
+        sourceMap.file = path.basename(entry.path);
+        return writeTextFileAsync(sourceMapFile, JSON.stringify(sourceMap));
+      });
+
+  return kew.all([jsAsync, sourceMapAsync]);
+}
+
+
+/**
+ * @param {string} filePath
+ * @return {!Promise.<string>} Yields the UTF-8 content of the file.
+ */
+function readTextFileAsync(filePath) {
+  // TODO: Switch to kew.nfcall() when ready...
+  var readAsync = kew.defer();
+  fs.readFile(filePath, readAsync.makeNodeResolver());
+  return readAsync.then(function(content) {
+    return content.toString('utf8');
+  });
+}
+
+
+/**
+ * @param {string} filePath
+ * @param {string} content
+ * @return {!Promise} Tracks success/failure of writing content as UTF-8.
+ */
+function writeTextFileAsync(filePath, content) {
+  // TODO: Switch to kew.nfcall() when ready...
+  var promise = kew.defer();
+  fs.writeFile(filePath, content, {encoding: 'utf8'},
+      promise.makeNodeResolver());
+  return promise;
+}
+
+
+/**
+ * @param {!Object} manifest
+ * @param {!OutputDirs} outDirs
+ * @return {!Promise} Tracks success/failure of writing the manifest as JSON to
+ *     the build output directory.
+ */
+function writeManifestAsync(manifest, outDirs) {
+  var manifestFile = path.join(outDirs.build, MANIFEST_FILE_NAME);
+
+  // TODO: Switch to kew.nfcall() when ready...
+  var promise = kew.defer();
+  fs.writeFile(manifestFile, JSON.stringify(manifest, null, 2) + '\n',
+      {encoding: 'utf8'}, promise.makeNodeResolver());
+  return promise;
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  MANIFEST_FILE_NAME: MANIFEST_FILE_NAME,
+  createManifestAsync: createManifestAsync,
+  hashFileNamesAsync: hashFileNamesAsync,
+  writeManifestAsync: writeManifestAsync
+};
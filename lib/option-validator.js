@@ -12,10 +12,35 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+var buildProfiles = require('./build-profiles.js');
 var common = require('./common.js');
+var configFile = require('./config-file.js');
+var dirManager = require('./dir-manager.js');
+var fileMatcher = require('./file-matcher.js');
+var graphUtil = require('./graph-util.js');
+var jsBuilder = require('./js-builder.js');
+var kew = require('kew');
+var path = require('path');
+var plugins = require('./plugins.js');
 var underscore = require('underscore');
 
 
+/**
+ * Error thrown for invalid options, with every problem found in them (instead
+ * of only the first).
+ * @param {!Array.<string>} problems Description of each problem, including the
+ *     full name of the option.
+ * @constructor
+ */
+function InvalidOptionsError(problems) {
+  this.message = (problems.length == 1) ? problems[0] :
+      'Found ' + problems.length + ' problems with options:\n  ' +
+          problems.join('\n  ');
+  this.problems = problems;
+}
+InvalidOptionsError.prototype = new Error();
+
+
 //==============================================================================
 // Value Validators
 //==============================================================================
@@ -34,6 +59,24 @@ function assertString(value, name, description) {
 }
 
 
+/**
+ * Throws an Error if value isn't a string file path without the
+ * fileMatcher.OPTIONAL_PREFIX (for options passed to the compiler as-is,
+ * rather than resolved like other input files).
+ * @param {*} value
+ * @param {string} name The option name.
+ * @param {string} description Description of the option.
+ */
+function assertRequiredFile(value, name, description) {
+  assertString(value, name, description);
+  if (value.indexOf(fileMatcher.OPTIONAL_PREFIX) == 0) {
+    throw new Error('<' + value + '> can\'t be ' + fileMatcher.OPTIONAL_PREFIX +
+        ' (the file is always passed to the compiler), ' + name + ': ' +
+        description);
+  }
+}
+
+
 /**
  * Throws an Error if value isn't a boolean.
  * @param {*} value
@@ -49,15 +92,117 @@ function assertBoolean(value, name, description) {
 
 
 /**
- * Throws an Error if value isn't a valid build type.
+ * Throws an Error if value isn't a valid build type name. Whether a build
+ * profile with this name exists is checked later, since that depends on the
+ * projectOptions.
  * @param {*} value
  * @param {string} name The option name.
  * @param {string} description Description of the option.
  */
 function assertValidBuildType(value, name, description) {
-  if ((value != common.DEBUG) && (value != common.RELEASE)) {
+  if (!underscore.isString(value)) {
     throw new Error('Invalid build type: <' + value + '>, must be ' +
-        'closureProBuild.DEBUG or closureProBuild.RELEASE');
+        'closureProBuild.DEBUG, closureProBuild.RELEASE, or the name of one ' +
+        'of projectOptions.buildProfiles');
+  }
+}
+
+
+/**
+ * Matches a single plain path segment: not empty, not . or .., and without
+ * path separators or a drive letter (so it can't be absolute). Output
+ * subdirectories must match, since whole output directories get removed.
+ */
+var OUTPUT_SUBDIR_REGEX = /^(?!\.\.?$)[^\/\\:]+$/;
+
+
+/**
+ * Throws an Error if value isn't a valid output subdirectory name.
+ * @param {*} value
+ * @param {string} name The option name.
+ * @param {string} description Description of the option.
+ */
+function assertValidOutputSubdir(value, name, description) {
+  assertString(value, name, description);
+  if (!OUTPUT_SUBDIR_REGEX.test(value)) {
+    throw new Error('<' + value + '> is not a single directory name (it must ' +
+        'not be empty, . or .., or contain /, \\, or :), ' + name + ': ' +
+        description);
+  }
+}
+
+
+/**
+ * Throws an Error if value isn't one of the allowed values.
+ * @param {!Array.<string>} allowedValues
+ * @param {*} value
+ * @param {string} name The option name.
+ * @param {string} description Description of the option.
+ */
+function assertOneOf(allowedValues, value, name, description) {
+  if (allowedValues.indexOf(value) == -1) {
+    throw new Error('<' + value + '> is not one of ' +
+        allowedValues.join(', ') + ', ' + name + ': ' + description);
+  }
+}
+
+
+/**
+ * Throws an Error if value isn't a valid value for a JS compiler --define.
+ * @param {*} value
+ * @param {string} name The option name.
+ * @param {string} description Description of the option.
+ */
+function assertValidJsDefineValue(value, name, description) {
+  if (!underscore.isBoolean(value) && !underscore.isNumber(value) &&
+      !underscore.isString(value)) {
+    throw new Error('<' + value + '> is not a boolean, number, or string, ' +
+        name + ': ' + description);
+  } else if (underscore.isNumber(value) && !isFinite(value)) {
+    throw new Error('<' + value + '> is not a finite number, ' + name + ': ' +
+        description);
+  } else if (underscore.isString(value) && (value.indexOf('"') != -1) &&
+      (value.indexOf('\'') != -1)) {
+    // The compiler takes the string between matching quotes as-is, so it can
+    // contain either kind of quote but not both.
+    throw new Error('<' + value + '> contains both \' and ", so can\'t be ' +
+        'passed to the JS compiler, ' + name + ': ' + description);
+  }
+}
+
+
+/** @type {function(*, string, string)} */
+var assertValidJsCompilationLevel =
+    underscore.partial(assertOneOf, buildProfiles.JS_COMPILATION_LEVELS);
+
+
+/** @type {function(*, string, string)} */
+var assertValidGssRenamingMode =
+    underscore.partial(assertOneOf, buildProfiles.GSS_RENAMING_MODES);
+
+
+/** @type {function(*, string, string)} */
+var assertValidJsLanguageMode =
+    underscore.partial(assertOneOf, jsBuilder.JS_LANGUAGE_MODES);
+
+
+/** @type {function(*, string, string)} */
+var assertValidJsWarningLevel =
+    underscore.partial(assertOneOf, jsBuilder.JS_WARNING_LEVELS);
+
+
+/**
+ * Throws an Error if value isn't a string containing the placeholder for the
+ * compiled JS.
+ * @param {*} value
+ * @param {string} name The option name.
+ * @param {string} description Description of the option.
+ */
+function assertValidJsOutputWrapper(value, name, description) {
+  assertString(value, name, description);
+  if (value.indexOf(jsBuilder.OUTPUT_WRAPPER_MARKER) == -1) {
+    throw new Error('<' + value + '> doesn\'t contain ' +
+        jsBuilder.OUTPUT_WRAPPER_MARKER + ', ' + name + ': ' + description);
   }
 }
 
@@ -81,9 +226,13 @@ function assertArrayOf(elementValidatorFn, value, name, description) {
   }
 
   // Check all elements.
+  var problems = [];
   value.forEach(function(element, index) {
-    elementValidatorFn(element, name + '[' + index + ']', description);
+    collectProblems(problems, function() {
+      elementValidatorFn(element, name + '[' + index + ']', description);
+    });
   });
+  throwIfProblems(problems);
 }
 
 
@@ -91,6 +240,16 @@ function assertArrayOf(elementValidatorFn, value, name, description) {
 var assertStringArray = underscore.partial(assertArrayOf, assertString);
 
 
+/** @type {function(*, string, string)} */
+var assertRequiredFileArray =
+    underscore.partial(assertArrayOf, assertRequiredFile);
+
+
+/** @type {function(*, string, string)} */
+var assertValidJsFormatting = underscore.partial(assertArrayOf,
+    underscore.partial(assertOneOf, buildProfiles.JS_FORMATTING_OPTIONS));
+
+
 /**
  * Throws an Error if value isn't an Object, and invokes elementValidatorFn for
  * each value within the map.
@@ -106,9 +265,45 @@ function assertObjectMapOf(valueValidatorFn, value, name, description) {
   }
 
   // Check all values.
-  for (var key in value) {
-    valueValidatorFn(value[key], name + '[\'' + key + '\']', description);
+  var problems = [];
+  underscore.each(value, function(keyValue, key) {
+    collectProblems(problems, function() {
+      valueValidatorFn(keyValue, name + '[\'' + key + '\']', description);
+    });
+  });
+  throwIfProblems(problems);
+}
+
+
+/** @type {function(*, string, string)} */
+var assertStringMap = underscore.partial(assertObjectMapOf, assertString);
+
+
+/** Matches JS constant names, which may be namespaced (e.g. goog.DEBUG). */
+var JS_DEFINE_NAME_REGEX = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+
+/**
+ * Throws an Error if value isn't a map from JS constant name (e.g.
+ * 'goog.LOCALE') to a valid --define value.
+ * @param {*} value
+ * @param {string} name The option name.
+ * @param {string} description Description of the option.
+ */
+function assertValidJsDefines(value, name, description) {
+  var problems = [];
+  collectProblems(problems, function() {
+    assertObjectMapOf(assertValidJsDefineValue, value, name, description);
+  });
+  if (underscore.isObject(value)) {
+    underscore.each(underscore.keys(value), function(defineName) {
+      if (!JS_DEFINE_NAME_REGEX.test(defineName)) {
+        problems.push('<' + defineName + '> is not a JS constant name, ' +
+            name + ': ' + description);
+      }
+    });
   }
+  throwIfProblems(problems);
 }
 
 
@@ -117,7 +312,8 @@ function assertObjectMapOf(valueValidatorFn, value, name, description) {
 //==============================================================================
 
 /**
- * Throws an Error if the given value doesn't meet the given spec.
+ * Throws an Error if the given value doesn't meet the given spec (with all of
+ * the problems found, see InvalidOptionsError).
  * @param {!Object} spec Map from key to {required, validatorFn, description}.
  * @param {*} value
  * @param {string} name The option name.
@@ -133,27 +329,31 @@ function assertMeetsSpec(spec, value, name, description) {
   }
 
   // Don't allow unrecognized options.
+  var problems = [];
   for (var givenOption in value) {
     if (!spec[givenOption]) {
-      throw new Error('Unrecognized option <' + givenOption + '> within '
-          + name);
+      problems.push('Unrecognized option <' + givenOption + '> within ' +
+          name + formatSuggestion(givenOption, underscore.keys(spec)));
     }
   }
 
   // Validate each spec option.
-  for (var option in spec) {
-    if (spec[option].required && !value.hasOwnProperty(option)) {
-      throw new Error('Missing required option ' + option + ' within ' + name);
+  underscore.each(spec, function(optionSpec, option) {
+    if (optionSpec.required && !value.hasOwnProperty(option)) {
+      problems.push('Missing required option ' + option + ' within ' + name);
     }
 
     if (value.hasOwnProperty(option)) {
-      spec[option].validatorFn(value[option], name + '[\'' + option + '\']',
-          spec[option].description);
-    } else if (spec[option].hasOwnProperty('defaultValue')) {
+      collectProblems(problems, function() {
+        optionSpec.validatorFn(value[option], name + '[\'' + option + '\']',
+            optionSpec.description);
+      });
+    } else if (optionSpec.hasOwnProperty('defaultValue')) {
       // Populate default value if available and no value was given.
-      value[option] = spec[option].defaultValue;
+      value[option] = optionSpec.defaultValue;
     }
-  }
+  });
+  throwIfProblems(problems);
 }
 
 
@@ -203,6 +403,213 @@ var assertValidJsModules =
     underscore.partial(assertObjectMapOf, assertValidJsModuleSpec);
 
 
+/**
+ * @param {*} value
+ * @param {string} name The option name.
+ * @param {string} description Description of the option.
+ */
+function assertValidBuildProfileSpec(value, name, description) {
+  assertMeetsSpec(BUILD_PROFILE_SPEC, value, name, description);
+}
+
+
+/** @type {function(*, string, string)} */
+var assertValidBuildProfiles =
+    underscore.partial(assertObjectMapOf, assertValidBuildProfileSpec);
+
+
+/**
+ * @param {*} value
+ * @param {string} name The option name.
+ * @param {string} description Description of the option.
+ */
+function assertValidJsCompilerOptions(value, name, description) {
+  // Later JS compiler versions added --language_out.
+  if (underscore.isObject(value) && value.hasOwnProperty('languageOut')) {
+    throw new Error('<languageOut> within ' + name + ' isn\'t supported by ' +
+        'the bundled JS compiler (' + jsBuilder.JS_COMPILER_VERSION +
+        '), which compiles to the languageIn mode');
+  }
+  assertMeetsSpec(JS_COMPILER_OPTIONS_SPEC, value, name, description);
+}
+
+
+/**
+ * Throws an Error if value isn't a plugin: an Object with a string name, and
+ * a function for each hook it implements (and nothing else).
+ * @param {*} value
+ * @param {string} name The option name.
+ * @param {string} description Description of the option.
+ */
+function assertValidPlugin(value, name, description) {
+  if (!underscore.isObject(value) || underscore.isArray(value)) {
+    throw new Error(
+        '<' + value + '> is not a plugin Object, ' + name + ': ' + description);
+  }
+  assertString(value.name, name + '[\'name\']', 'Name of the plugin');
+
+  var hooks = underscore.values(plugins.Hook);
+  for (var key in value) {
+    if (key == 'name') {
+      continue;
+    } else if (hooks.indexOf(key) == -1) {
+      throw new Error('Unrecognized plugin hook <' + key + '> within ' + name +
+          ', must be one of ' + hooks.join(', '));
+    } else if (!underscore.isFunction(value[key])) {
+      throw new Error('<' + value[key] + '> is not a function, ' + name +
+          '[\'' + key + '\']: Plugin hook');
+    }
+  }
+}
+
+
+/** @type {function(*, string, string)} */
+var assertValidPlugins = underscore.partial(assertArrayOf, assertValidPlugin);
+
+
+//==============================================================================
+// Cross-Option Validation
+//==============================================================================
+
+/**
+ * Throws an Error if any JS module is always loaded after a module that isn't
+ * defined, or if JS modules are loaded after each other in a cycle.
+ * @param {!Object} projectOptions Project options that meet the spec.
+ */
+function assertValidJsModuleDeps(projectOptions) {
+  var moduleNames = underscore.keys(projectOptions.jsModules);
+  var depGraph = {};
+  var problems = [];
+  underscore.each(projectOptions.jsModules, function(moduleSpec, moduleName) {
+    var name = 'projectOptions[\'jsModules\'][\'' + moduleName + '\']' +
+        '[\'alwaysLoadedAfterModules\']';
+    depGraph[moduleName] = {};
+    moduleSpec.alwaysLoadedAfterModules.forEach(function(depName, index) {
+      if (!projectOptions.jsModules.hasOwnProperty(depName)) {
+        problems.push('Unknown JS module <' + depName + '> within ' + name +
+            '[' + index + ']' + formatSuggestion(depName, moduleNames));
+      } else {
+        depGraph[moduleName][depName] = true;
+      }
+    });
+  });
+  throwIfProblems(problems);
+
+  try {
+    graphUtil.topSortNodes(depGraph);
+  } catch (e) {
+    if (e instanceof graphUtil.CycleError) {
+      throw new Error('Dependency cycle exists within JS modules ' +
+          e.remainingNodes.join(', ') + ' (see alwaysLoadedAfterModules)');
+    }
+    throw e;
+  }
+}
+
+
+/**
+ * Throws an Error if the project generates closureProBuild.moduleInfo and the
+ * build hashes file names, since the generated module URIs are compiled into
+ * the JS before its content hash (and so its file name) is known.
+ * @param {!Object} projectOptions Project options that meet the spec.
+ * @param {!Object} buildOptions Build options that meet the spec.
+ */
+function assertCompatibleModuleInfo(projectOptions, buildOptions) {
+  if ((projectOptions.jsModuleInfoBaseUrl != null) &&
+      buildOptions.hashFileNames) {
+    throw new Error('buildOptions[\'hashFileNames\'] can\'t be used with ' +
+        'projectOptions[\'jsModuleInfoBaseUrl\'], since the generated ' +
+        'module URIs would refer to files renamed by the build');
+  }
+}
+
+
+//==============================================================================
+// Collecting Problems
+//==============================================================================
+
+/**
+ * Calls validateFn, and adds the problems it throws an Error for (if any) to
+ * problems instead of throwing.
+ * @param {!Array.<string>} problems Modified in place.
+ * @param {function()} validateFn
+ */
+function collectProblems(problems, validateFn) {
+  try {
+    validateFn();
+  } catch (e) {
+    if (e instanceof InvalidOptionsError) {
+      problems.push.apply(problems, e.problems);
+    } else {
+      problems.push(e.message);
+    }
+  }
+}
+
+
+/**
+ * Throws an InvalidOptionsError if any problems were found.
+ * @param {!Array.<string>} problems
+ */
+function throwIfProblems(problems) {
+  if (problems.length > 0) {
+    // The same problem can be found in several ways, e.g. a bad custom build
+    // profile that is also the build type.
+    throw new InvalidOptionsError(underscore.uniq(problems));
+  }
+}
+
+
+/**
+ * @param {string} name An unrecognized name.
+ * @param {!Array.<string>} knownNames
+ * @return {string} Suggestion of the known name that name is most likely a
+ *     typo of (e.g. ", did you mean <jsModules>?"), or '' if none is close.
+ */
+function formatSuggestion(name, knownNames) {
+  // Allow about one typo per three characters.
+  var maxDistance = Math.max(1, Math.floor(name.length / 3));
+  var suggestion = null;
+  knownNames.forEach(function(knownName) {
+    var distance = getEditDistance(name.toLowerCase(), knownName.toLowerCase());
+    if (distance <= maxDistance) {
+      suggestion = knownName;
+      maxDistance = distance - 1;
+    }
+  });
+  return suggestion ? ', did you mean <' + suggestion + '>?' : '';
+}
+
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @return {number} Minimum number of single character insertions, deletions,
+ *     substitutions, and swaps of adjacent characters that change a into b
+ *     (optimal string alignment distance).
+ */
+function getEditDistance(a, b) {
+  // Rows of the distances between each prefix of a and each prefix of b.
+  var rowBeforePrevious = null;
+  var previousRow = underscore.range(b.length + 1);
+  for (var i = 1; i <= a.length; i++) {
+    var row = [i];
+    for (var j = 1; j <= b.length; j++) {
+      var substitutionCost = (a.charAt(i - 1) == b.charAt(j - 1)) ? 0 : 1;
+      row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1,
+          previousRow[j - 1] + substitutionCost));
+      if ((i > 1) && (j > 1) && (a.charAt(i - 1) == b.charAt(j - 2)) &&
+          (a.charAt(i - 2) == b.charAt(j - 1))) {
+        row[j] = Math.min(row[j], rowBeforePrevious[j - 2] + 1);
+      }
+    }
+    rowBeforePrevious = previousRow;
+    previousRow = row;
+  }
+  return previousRow[b.length];
+}
+
+
 //==============================================================================
 // Option Specs
 //==============================================================================
@@ -267,6 +674,111 @@ var JS_MODULE_SPEC = {
 };
 
 
+var BUILD_PROFILE_SPEC = {
+  'description': {
+    required: false,
+    validatorFn: assertString,
+    description: 'String that describes the profile (for documentation)'
+  },
+  'basedOn': {
+    required: false,
+    validatorFn: assertString,
+    description: 'Name of the profile to use for any settings not given here ' +
+        '(defaults to closureProBuild.DEBUG)'
+  },
+  'jsCompilationLevel': {
+    required: false,
+    validatorFn: assertValidJsCompilationLevel,
+    description: 'Closure JS Compiler compilation level'
+  },
+  'jsFormatting': {
+    required: false,
+    validatorFn: assertValidJsFormatting,
+    description: 'List of Closure JS Compiler output formatting options'
+  },
+  'jsDefines': {
+    required: false,
+    validatorFn: assertValidJsDefines,
+    description: 'Map from JS constant name to the value to --define it as'
+  },
+  'gssRenaming': {
+    required: false,
+    validatorFn: assertValidGssRenamingMode,
+    description: 'Closure Stylesheets CSS class renaming mode'
+  },
+  'gssPrettyPrint': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to pretty print Closure Stylesheets output CSS'
+  },
+  'outputSubdir': {
+    required: false,
+    validatorFn: assertValidOutputSubdir,
+    description: 'Subdirectory of output directories to put build files ' +
+        'under (defaults to the profile name)'
+  }
+};
+
+
+var JS_COMPILER_OPTIONS_SPEC = {
+  'languageIn': {
+    required: false,
+    validatorFn: assertValidJsLanguageMode,
+    description: 'Language mode of input JS (--language_in)'
+  },
+  'warningLevel': {
+    required: false,
+    validatorFn: assertValidJsWarningLevel,
+    description: 'How many warnings to report (--warning_level)'
+  },
+  'jscompError': {
+    required: false,
+    validatorFn: assertStringArray,
+    description: 'List of diagnostic groups to make errors (--jscomp_error)'
+  },
+  'jscompWarning': {
+    required: false,
+    validatorFn: assertStringArray,
+    description: 'List of diagnostic groups to make warnings ' +
+        '(--jscomp_warning)'
+  },
+  'jscompOff': {
+    required: false,
+    validatorFn: assertStringArray,
+    description: 'List of diagnostic groups to turn off (--jscomp_off)'
+  },
+  'useTypesForOptimization': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to use type information to optimize more ' +
+        '(--use_types_for_optimization)'
+  },
+  'outputWrapper': {
+    required: false,
+    validatorFn: assertValidJsOutputWrapper,
+    description: 'Text to wrap the compiled JS of each module in, with ' +
+        jsBuilder.OUTPUT_WRAPPER_MARKER + ' where the compiled JS goes'
+  },
+  'generateExports': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to generate exports for @export annotations ' +
+        '(--generate_exports)'
+  },
+  'processJqueryPrimitives': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to process jQuery primitives ' +
+        '(--process_jquery_primitives)'
+  },
+  'extraFlags': {
+    required: false,
+    validatorFn: assertStringArray,
+    description: 'List of any other args to pass to the JS compiler as-is'
+  }
+};
+
+
 var PROJECT_OPTIONS_SPEC = {
   'cssModule': {
     required: false,
@@ -298,14 +810,38 @@ var PROJECT_OPTIONS_SPEC = {
   },
   'jsExterns': {
     required: false,
-    validatorFn: assertStringArray,
+    validatorFn: assertRequiredFileArray,
     description: 'List of externs files for JS compiler',
     defaultValue: []
   },
   'jsWarningsWhitelistFile': {
     required: false,
-    validatorFn: assertString,
+    validatorFn: assertRequiredFile,
     description: 'Whitelist file for JS compiler warnings'
+  },
+  'jsModuleInfoBaseUrl': {
+    required: false,
+    validatorFn: assertString,
+    description: 'Base URL of output JS files, to generate the ' +
+        'closureProBuild.moduleInfo namespace for lazy loading modules'
+  },
+  'jsCompilerOptions': {
+    required: false,
+    validatorFn: assertValidJsCompilerOptions,
+    description: 'Map of other options for the JS compiler',
+    defaultValue: {}
+  },
+  'buildProfiles': {
+    required: false,
+    validatorFn: assertValidBuildProfiles,
+    description: 'Map of custom build profiles, usable as the build type',
+    defaultValue: {}
+  },
+  'plugins': {
+    required: false,
+    validatorFn: assertValidPlugins,
+    description: 'List of plugins with hooks to run during each build',
+    defaultValue: []
   }
 };
 
@@ -314,7 +850,8 @@ var BUILD_OPTIONS_SPEC = {
   'type': {
     required: true,
     validatorFn: assertValidBuildType,
-    description: 'closureProBuild.RELEASE or closureProBuild.DEBUG'
+    description: 'closureProBuild.RELEASE, closureProBuild.DEBUG, or the ' +
+        'name of a custom build profile'
   },
   'generatedCodeDir': {
     required: false,
@@ -351,27 +888,500 @@ var BUILD_OPTIONS_SPEC = {
     validatorFn: assertBoolean,
     description: 'True if standard output/error should be suppressed',
     defaultValue: false
+  },
+  'writeManifest': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to also write manifest.json to the output directory',
+    defaultValue: false
+  },
+  'writeReport': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to also write report.html to the output directory',
+    defaultValue: false
+  },
+  'hashFileNames': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to put the content hash of each output JS and CSS ' +
+        'file in its name (e.g. main.3f9a1c2b.js)',
+    defaultValue: false
+  },
+  'precompressOutputs': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to also write compressed .gz (and .br) copies of each ' +
+        'output JS and CSS file, and print their sizes',
+    defaultValue: false
+  },
+  'cacheDir': {
+    required: false,
+    validatorFn: assertString,
+    description: 'Directory to cache compiler outputs under, to skip ' +
+        'compiling unchanged inputs'
+  },
+  'strictInputs': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to fail if any input file doesn\'t exist or input ' +
+        'pattern matches no files (unless prefixed with ' +
+        fileMatcher.OPTIONAL_PREFIX + ')',
+    defaultValue: false
+  },
+  'jsDefines': {
+    required: false,
+    validatorFn: assertValidJsDefines,
+    description: 'Map from JS constant name to the value to --define it as, ' +
+        'overriding those of the build profile',
+    defaultValue: {}
+  },
+  'jsSourceMaps': {
+    required: false,
+    validatorFn: assertBoolean,
+    description: 'True to also write a source map for each JS module',
+    defaultValue: false
+  },
+  'jsSourceMapLocationMappings': {
+    required: false,
+    validatorFn: assertStringMap,
+    description: 'Map from a prefix of source file paths in source maps to ' +
+        'what to replace it with',
+    defaultValue: {}
   }
 };
 
 
+var MIDDLEWARE_OPTIONS_SPEC = {
+  'urlPrefix': {
+    required: false,
+    validatorFn: assertString,
+    description: 'URL path that module JS and CSS files are served under',
+    defaultValue: '/'
+  }
+};
+
+
+//==============================================================================
+// JSON Schema
+//==============================================================================
+
+/** Version of JSON Schema that getJsonSchema() generates. */
+var JSON_SCHEMA_VERSION = 'http://json-schema.org/draft-04/schema#';
+
+
+/**
+ * @param {!Object} spec Map from key to {required, validatorFn, description}.
+ * @return {!Object} JSON Schema for an Object map that meets the spec.
+ */
+function specToJsonSchema(spec) {
+  var properties = {};
+  var required = [];
+  for (var option in spec) {
+    var property = underscore.extend({description: spec[option].description},
+        getValidatorJsonSchema(spec[option].validatorFn, option));
+    if (spec[option].hasOwnProperty('defaultValue')) {
+      property['default'] = graphUtil.deepClone(spec[option].defaultValue);
+    }
+    properties[option] = property;
+
+    if (spec[option].required) {
+      required.push(option);
+    }
+  }
+
+  var schema = {
+    type: 'object',
+    properties: properties,
+    additionalProperties: false
+  };
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+
+/**
+ * @param {function(*, string, string)} validatorFn
+ * @param {string} option Name of the option validated by validatorFn.
+ * @return {!Object} JSON Schema for the values that validatorFn accepts (not
+ *     including checks that JSON Schema can't express, like needing at least
+ *     one input file).
+ */
+function getValidatorJsonSchema(validatorFn, option) {
+  var stringArraySchema = {type: 'array', items: {type: 'string'}};
+  var requiredFileSchema =
+      {type: 'string', pattern: '^(?!' + fileMatcher.OPTIONAL_PREFIX + ')'};
+  if ((validatorFn == assertString) || (validatorFn == assertValidBuildType)) {
+    return {type: 'string'};
+  } else if (validatorFn == assertBoolean) {
+    return {type: 'boolean'};
+  } else if (validatorFn == assertStringArray) {
+    return stringArraySchema;
+  } else if (validatorFn == assertRequiredFile) {
+    return requiredFileSchema;
+  } else if (validatorFn == assertRequiredFileArray) {
+    return {type: 'array', items: requiredFileSchema};
+  } else if (validatorFn == assertStringMap) {
+    return {type: 'object', additionalProperties: {type: 'string'}};
+  } else if (validatorFn == assertValidJsCompilationLevel) {
+    return {type: 'string',
+        'enum': buildProfiles.JS_COMPILATION_LEVELS.slice()};
+  } else if (validatorFn == assertValidJsFormatting) {
+    return {type: 'array', items: {type: 'string',
+        'enum': buildProfiles.JS_FORMATTING_OPTIONS.slice()}};
+  } else if (validatorFn == assertValidJsDefines) {
+    var patternProperties = {};
+    patternProperties[JS_DEFINE_NAME_REGEX.source] =
+        {type: ['boolean', 'number', 'string']};
+    return {type: 'object', patternProperties: patternProperties,
+        additionalProperties: false};
+  } else if (validatorFn == assertValidJsLanguageMode) {
+    return {type: 'string', 'enum': jsBuilder.JS_LANGUAGE_MODES.slice()};
+  } else if (validatorFn == assertValidJsWarningLevel) {
+    return {type: 'string', 'enum': jsBuilder.JS_WARNING_LEVELS.slice()};
+  } else if (validatorFn == assertValidOutputSubdir) {
+    return {type: 'string', pattern: OUTPUT_SUBDIR_REGEX.source};
+  } else if (validatorFn == assertValidJsOutputWrapper) {
+    return {type: 'string', pattern: jsBuilder.OUTPUT_WRAPPER_MARKER};
+  } else if (validatorFn == assertValidJsCompilerOptions) {
+    return specToJsonSchema(JS_COMPILER_OPTIONS_SPEC);
+  } else if (validatorFn == assertValidGssRenamingMode) {
+    return {type: 'string',
+        'enum': buildProfiles.GSS_RENAMING_MODES.slice()};
+  } else if (validatorFn == assertValidCssModuleSpec) {
+    return specToJsonSchema(CSS_MODULE_SPEC);
+  } else if (validatorFn == assertValidJsModules) {
+    return {type: 'object',
+        additionalProperties: specToJsonSchema(JS_MODULE_SPEC)};
+  } else if (validatorFn == assertValidBuildProfiles) {
+    return {type: 'object',
+        additionalProperties: specToJsonSchema(BUILD_PROFILE_SPEC)};
+  } else if (validatorFn == assertValidPlugins) {
+    // Hooks are functions, so only plugins' names can be described.
+    return {type: 'array', items: {type: 'object',
+        properties: {name: {type: 'string'}}, required: ['name']}};
+  }
+  throw new Error('No JSON Schema for the validator of option ' + option);
+}
+
+
 //==============================================================================
 // Internal API
 //==============================================================================
 
 /**
- * Throws an Error if projectOptions or buildOptions have any validation errors.
- * After validation, fills in default values for any missing options.
+ * Generates a JSON Schema (draft 4) of closure-project.json config files,
+ * i.e. {projectOptions: {...}, buildOptions: {...}}, from the option specs,
+ * with the description and default value of each option.
+ * @return {!Object} The JSON Schema, which is newly created on each call.
+ */
+function getJsonSchema() {
+  // Project options may get jsModules (or any other option) from the project
+  // options they extend.
+  var projectOptionsSchema = specToJsonSchema(PROJECT_OPTIONS_SPEC);
+  projectOptionsSchema.properties[configFile.EXTENDS_OPTION] = {
+    description: 'Project options to inherit from, or the path of a config ' +
+        'file whose projectOptions to inherit from',
+    type: ['string', 'object']
+  };
+  projectOptionsSchema.anyOf = [
+    {required: projectOptionsSchema.required},
+    {required: [configFile.EXTENDS_OPTION]}
+  ];
+  delete projectOptionsSchema.required;
+
+  // The command-line interface builds a debug build if no type is given.
+  var buildOptionsSchema = specToJsonSchema(BUILD_OPTIONS_SPEC);
+  delete buildOptionsSchema.required;
+
+  return {
+    $schema: JSON_SCHEMA_VERSION,
+    title: 'closure-pro-build config file',
+    type: 'object',
+    properties: {
+      $schema: {
+        description: 'URL or path of this JSON Schema (for editors)',
+        type: 'string'
+      },
+      projectOptions: underscore.extend({
+        description: 'Configuration map that specifies the project inputs'
+      }, projectOptionsSchema),
+      buildOptions: underscore.extend({
+        description: 'Configuration map specific to this build ' +
+            '(debug/release, etc.)'
+      }, buildOptionsSchema)
+    },
+    required: ['projectOptions'],
+    additionalProperties: false
+  };
+}
+
+
+/**
+ * Throws an InvalidOptionsError with all validation errors of projectOptions
+ * and buildOptions, if they have any. First merges in any project options that
+ * projectOptions extends (with an extends path relative to the current working
+ * directory), and after validation, fills in default values for any missing
+ * options.
  * @param {!Object} projectOptions
  * @param {!Object} buildOptions
  */
 function assertValidAndFillDefaults(projectOptions, buildOptions) {
-  assertMeetsSpec(PROJECT_OPTIONS_SPEC, projectOptions, 'projectOptions',
-      'Configuration map that specifies the project inputs');
-  assertMeetsSpec(BUILD_OPTIONS_SPEC, buildOptions, 'buildOptions',
-      'Configuration map specific to this build (debug/release, etc.)');
+  configFile.resolveExtends(projectOptions, process.cwd());
+
+  var projectProblems = [];
+  collectProblems(projectProblems, function() {
+    assertMeetsSpec(PROJECT_OPTIONS_SPEC, projectOptions, 'projectOptions',
+        'Configuration map that specifies the project inputs');
+  });
+  var buildProblems = [];
+  collectProblems(buildProblems, function() {
+    assertMeetsSpec(BUILD_OPTIONS_SPEC, buildOptions, 'buildOptions',
+        'Configuration map specific to this build (debug/release, etc.)');
+  });
+
+  // Checks across options can only be done once each option is valid.
+  var problems = projectProblems.concat(buildProblems);
+  if (projectProblems.length == 0) {
+    collectProblems(problems, function() {
+      assertValidJsModuleDeps(projectOptions);
+    });
+
+    // Check that all build profiles (including the build type) can be
+    // resolved.
+    collectProblems(problems, function() {
+      buildProfiles.assertValidCustomProfiles(projectOptions);
+    });
+    if (buildProblems.length == 0) {
+      collectProblems(problems, function() {
+        // Custom profile names are also output subdirectories by default.
+        var profile =
+            buildProfiles.resolveProfile(projectOptions, buildOptions.type);
+        assertValidOutputSubdir(profile.outputSubdir, 'outputSubdir of build ' +
+            'profile <' + buildOptions.type + '>', 'Subdirectory of output ' +
+            'directories (defaults to the profile name)');
+      });
+      collectProblems(problems, function() {
+        assertCompatibleModuleInfo(projectOptions, buildOptions);
+      });
+    }
+  }
+  throwIfProblems(problems);
+}
+
+
+/**
+ * Checks that every input file of projectOptions exists and that every input
+ * glob pattern matches at least one file, except for optional ones (prefixed
+ * with fileMatcher.OPTIONAL_PREFIX) and the default soyInputFiles pattern.
+ * @param {!Object} projectOptions Valid project options, with defaults.
+ * @return {!Promise} Rejected with an InvalidOptionsError (with a problem for
+ *     each file or pattern that matches nothing) if any don't match.
+ */
+function assertInputFilesExistAsync(projectOptions) {
+  var rootSrcDir = projectOptions.rootSrcDir;
+  var checks = [];
+  var addCheck = function(optionName, fileOrPattern, rootDir) {
+    checks.push(
+        {name: optionName, fileOrPattern: fileOrPattern, rootDir: rootDir});
+  };
+  var addListChecks = function(optionName, filesAndPatterns, rootDir) {
+    filesAndPatterns.forEach(function(fileOrPattern, index) {
+      addCheck(optionName + '[' + index + ']', fileOrPattern, rootDir);
+    });
+  };
+
+  var defaultSoyInputFiles = PROJECT_OPTIONS_SPEC['soyInputFiles'].defaultValue;
+  projectOptions.soyInputFiles.forEach(function(fileOrPattern, index) {
+    if (defaultSoyInputFiles.indexOf(fileOrPattern) == -1) {
+      addCheck('projectOptions[\'soyInputFiles\'][' + index + ']',
+          fileOrPattern, rootSrcDir);
+    }
+  });
+
+  var cssModule = projectOptions.cssModule;
+  if (cssModule) {
+    addListChecks('projectOptions[\'cssModule\'][\'closureInputFiles\']',
+        cssModule.closureInputFiles, rootSrcDir);
+    addListChecks(
+        'projectOptions[\'cssModule\'][\'dontCompileInputFiles\']',
+        cssModule.dontCompileInputFiles, rootSrcDir);
+  }
+
+  underscore.each(projectOptions.jsModules, function(moduleSpec, moduleName) {
+    var name = 'projectOptions[\'jsModules\'][\'' + moduleName + '\']';
+    addListChecks(name + '[\'nonClosureNamespacedInputFiles\']',
+        moduleSpec.nonClosureNamespacedInputFiles, rootSrcDir);
+    addListChecks(name + '[\'dontCompileInputFiles\']',
+        moduleSpec.dontCompileInputFiles, rootSrcDir);
+  });
+
+  // Externs and whitelist files are relative to the current directory.
+  addListChecks('projectOptions[\'jsExterns\']', projectOptions.jsExterns,
+      '.');
+  if (projectOptions.jsWarningsWhitelistFile) {
+    addCheck('projectOptions[\'jsWarningsWhitelistFile\']',
+        projectOptions.jsWarningsWhitelistFile, '.');
+  }
+
+  return kew.all(checks.map(function(check) {
+    return fileMatcher.findUnmatchedAsync([check.fileOrPattern],
+        check.rootDir);
+  })).then(function(results) {
+    var problems = [];
+    checks.forEach(function(check, i) {
+      if (results[i].length > 0) {
+        problems.push('<' + check.fileOrPattern + '> matches no files ' +
+            'under <' + check.rootDir + '>, ' + check.name);
+      }
+    });
+    throwIfProblems(problems);
+  });
+}
+
+
+/**
+ * Like assertValidAndFillDefaults(), but for each build of a multi-target
+ * build. Also throws an Error if the list is empty, or if more than one build
+ * would write to the same output directory (temp, generated code, or build
+ * output, including the subdirectory of its build profile).
+ * @param {!Object} projectOptions
+ * @param {!Array.<!Object>} buildOptionsList
+ */
+function assertValidBuildOptionsListAndFillDefaults(
+    projectOptions, buildOptionsList) {
+  if (!underscore.isArray(buildOptionsList) ||
+      (buildOptionsList.length == 0)) {
+    throw new Error('Invalid buildOptionsList: <' + buildOptionsList +
+        '>, must be a non-empty Array of build options');
+  }
+
+  var usedDirs = {};
+  var problems = [];
+  buildOptionsList.forEach(function(buildOptions) {
+    collectProblems(problems, function() {
+      assertValidAndFillDefaults(projectOptions, buildOptions);
+      var outputSubdir = buildProfiles.resolveProfile(
+          projectOptions, buildOptions.type).outputSubdir;
+      var outDirs = new dirManager.OutputDirs(buildOptions, outputSubdir);
+      var dirs = underscore.uniq([outDirs.tmp, outDirs.gen, outDirs.build]);
+      dirs.forEach(function(dir) {
+        var resolvedDir = path.resolve(dir);
+        if (usedDirs[resolvedDir]) {
+          throw new Error('Each build in buildOptionsList must write to ' +
+              'different output directories, but more than one uses <' +
+              dir + '>');
+        }
+      });
+      dirs.forEach(function(dir) { usedDirs[path.resolve(dir)] = true; });
+    });
+  });
+  throwIfProblems(problems);
+}
+
+
+/**
+ * Like assertValidAndFillDefaults(), but for watch mode. Also throws an Error
+ * if buildOptions.hashFileNames is set, since a rebuild that doesn't re-run
+ * every phase would leave earlier outputs already renamed to hashed names.
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ */
+function assertValidWatchOptionsAndFillDefaults(projectOptions, buildOptions) {
+  assertValidAndFillDefaults(projectOptions, buildOptions);
+  if (buildOptions.hashFileNames) {
+    throw new Error('buildOptions[\'hashFileNames\'] can\'t be used in ' +
+        'watch mode, since rebuilds only rewrite the outputs of changed ' +
+        'build phases');
+  }
+}
+
+
+/**
+ * Throws an Error if middlewareOptions have any validation errors. After
+ * validation, fills in default values for any missing options.
+ * @param {!Object} middlewareOptions
+ */
+function assertValidMiddlewareOptionsAndFillDefaults(middlewareOptions) {
+  assertMeetsSpec(MIDDLEWARE_OPTIONS_SPEC, middlewareOptions,
+      'middlewareOptions', 'Configuration map for the dev server middleware');
+}
+
+
+/**
+ * @param {string} name Build option name.
+ * @return {boolean} Whether the build option takes a boolean value.
+ */
+function isBooleanBuildOption(name) {
+  return !!BUILD_OPTIONS_SPEC[name] &&
+      (BUILD_OPTIONS_SPEC[name].validatorFn == assertBoolean);
+}
+
+
+/**
+ * Converts a string (e.g. from the command line) into a value of the type
+ * expected by the given build option. The result still needs validation.
+ * @param {string} name Build option name.
+ * @param {string} stringValue
+ * @return {*} The parsed value.
+ */
+function parseBuildOptionString(name, stringValue) {
+  if (!BUILD_OPTIONS_SPEC[name]) {
+    throw new Error('Unrecognized option <' + name + '> within buildOptions' +
+        formatSuggestion(name, underscore.keys(BUILD_OPTIONS_SPEC)));
+  }
+
+  // Other strings are left as-is, so that validation will report them.
+  if (isBooleanBuildOption(name) &&
+      ((stringValue == 'true') || (stringValue == 'false'))) {
+    return (stringValue == 'true');
+  }
+
+  // Object maps (e.g. jsDefines) are given as JSON.
+  if (underscore.isObject(BUILD_OPTIONS_SPEC[name].defaultValue)) {
+    try {
+      return JSON.parse(stringValue);
+    } catch (e) {
+      return stringValue;
+    }
+  }
+
+  return stringValue;
+}
+
+
+/**
+ * Converts a string (e.g. from --define name=value) into a JS define value:
+ * true, false, and numbers are converted, and anything else is a string.
+ * @param {string} stringValue
+ * @return {boolean|number|string}
+ */
+function parseJsDefineValueString(stringValue) {
+  if ((stringValue == 'true') || (stringValue == 'false')) {
+    return (stringValue == 'true');
+  } else if (/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(stringValue)) {
+    return Number(stringValue);
+  }
+  return stringValue;
 }
 
 
 // Symbols exported by this internal module.
-module.exports = {assertValidAndFillDefaults: assertValidAndFillDefaults};
+module.exports = {
+  BUILD_OPTIONS_SPEC: BUILD_OPTIONS_SPEC,
+  InvalidOptionsError: InvalidOptionsError,
+  assertInputFilesExistAsync: assertInputFilesExistAsync,
+  assertValidAndFillDefaults: assertValidAndFillDefaults,
+  assertValidBuildOptionsListAndFillDefaults:
+      assertValidBuildOptionsListAndFillDefaults,
+  assertValidMiddlewareOptionsAndFillDefaults:
+      assertValidMiddlewareOptionsAndFillDefaults,
+  assertValidWatchOptionsAndFillDefaults:
+      assertValidWatchOptionsAndFillDefaults,
+  getJsonSchema: getJsonSchema,
+  isBooleanBuildOption: isBooleanBuildOption,
+  parseBuildOptionString: parseBuildOptionString,
+  parseJsDefineValueString: parseJsDefineValueString
+};
@@ -0,0 +1,133 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var BuildCancelledError = require('./build-monitor.js').BuildCancelledError;
+var kew = require('kew');
+var underscore = require('underscore');
+
+
+/**
+ * Hooks that a plugin can implement, in the order they're run by a build. Each
+ * hook is called with a HookContext, and can return a promise to delay the
+ * build until it's resolved (or fail the build if it's rejected).
+ */
+var Hook = {
+  BEFORE_SOY: 'beforeSoy',
+  AFTER_SOY: 'afterSoy',
+  BEFORE_DEPS: 'beforeDeps',
+  AFTER_MODULES_CALCULATED: 'afterModulesCalculated',
+  AFTER_JS_COMPILE: 'afterJsCompile',
+  AFTER_CSS: 'afterCss',
+  AFTER_BUILD: 'afterBuild'
+};
+
+
+/**
+ * Argument passed to each plugin hook. Hooks can also have these properties:
+ * - jsModules (afterModulesCalculated): The calculated JS modules, in order,
+ *   each with its name, alwaysLoadedAfterModules, compiledInputFiles, and
+ *   dontCompileInputFiles, which hooks can modify to change module inputs.
+ * - outputs (afterJsCompile and afterCss): The BuildMonitor.Output of each
+ *   final JS module file (or of the CSS module file) that was written.
+ * - result (afterBuild): The BuildResult.
+ * @param {string} hook
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @param {!OutputDirs} outDirs
+ * @param {!BuildMonitor} monitor
+ * @constructor
+ */
+function HookContext(hook, projectOptions, buildOptions, outDirs, monitor) {
+  /** @type {string} */
+  this.hook = hook;
+
+  /** @type {!Object} */
+  this.projectOptions = projectOptions;
+
+  /** @type {!Object} */
+  this.buildOptions = buildOptions;
+
+  /** @type {!OutputDirs} */
+  this.outDirs = outDirs;
+
+  /** @type {!BuildMonitor} */
+  this.monitor = monitor;
+}
+
+
+/**
+ * Records an extra file that the plugin writes to the build output directory,
+ * so that it isn't removed as stale (and is removed if the build is cancelled).
+ * @param {string} filePath
+ */
+HookContext.prototype.addOutputFile = function(filePath) {
+  this.monitor.trackOutputFile(filePath);
+};
+
+
+/**
+ * Runs the given hook of every plugin that implements it, one at a time, in
+ * the order the plugins are listed.
+ * @param {string} hook One of the Hook values.
+ * @param {!Object} projectOptions Has the list of plugins.
+ * @param {!Object} buildOptions
+ * @param {!OutputDirs} outDirs
+ * @param {!BuildMonitor} monitor
+ * @param {Object=} opt_properties Hook-specific properties of the HookContext.
+ * @return {!Promise} Tracks success/failure of all hooks.
+ */
+function runHookAsync(
+    hook, projectOptions, buildOptions, outDirs, monitor, opt_properties) {
+  var context =
+      new HookContext(hook, projectOptions, buildOptions, outDirs, monitor);
+  underscore.extend(context, opt_properties);
+
+  var hookPlugins = (projectOptions.plugins || []).filter(function(plugin) {
+    return !!plugin[hook];
+  });
+  return hookPlugins.reduce(function(previousHooksAsync, plugin) {
+    return previousHooksAsync.then(function() {
+      if (monitor.isCancelled()) {
+        throw new BuildCancelledError();
+      }
+      return runPluginHookAsync(plugin, hook, context);
+    });
+  }, kew.resolve(null));
+}
+
+
+/**
+ * @param {!Object} plugin
+ * @param {string} hook
+ * @param {!HookContext} context
+ * @return {!Promise} Tracks success/failure of the plugin's hook.
+ */
+function runPluginHookAsync(plugin, hook, context) {
+  return kew.resolve(null)
+      .then(function() {
+        // Hooks can return any promise with a then() method, or nothing.
+        return plugin[hook](context);
+      }).fail(function(err) {
+        throw new Error('Plugin <' + plugin.name + '> failed in ' + hook +
+            ': ' + ((err && err.message) || err));
+      });
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  Hook: Hook,
+  HookContext: HookContext,
+  runHookAsync: runHookAsync
+};
@@ -0,0 +1,318 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var diagnostics = require('./diagnostics.js');
+var fs = require('fs');
+var kew = require('kew');
+var path = require('path');
+var underscore = require('underscore');
+
+
+/** Name of the report file written under the build output directory. */
+var REPORT_FILE_NAME = 'report.html';
+
+
+/** Styles of the report, which has no external dependencies. */
+var REPORT_CSS = [
+  'body { font: 14px sans-serif; margin: 2em; color: #222; }',
+  'table { border-collapse: collapse; margin-bottom: 1em; }',
+  'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }',
+  'td.size { text-align: right; font-family: monospace; }',
+  'ul.graph { font-family: monospace; }',
+  'summary { cursor: pointer; margin: 4px 0; }',
+  '.warning { color: #a60; }',
+  '.error { color: #c00; }'
+].join('\n');
+
+
+/**
+ * Creates a self-contained HTML report of a build: the JS module dependency
+ * graph, the input files of each module with their sizes before and after
+ * compilation, the CSS module, build phase timings, and all compiler warnings.
+ * @param {!Object} buildManifest Manifest of the build (see manifest.js).
+ * @param {!BuildMonitor} monitor Has recorded all phase timings and
+ *     diagnostics of the build.
+ * @return {!Promise.<string>} Yields the report HTML.
+ */
+function createReportAsync(buildManifest, monitor) {
+  var entries = buildManifest.jsModules.concat(
+      buildManifest.cssModule ? [buildManifest.cssModule] : []);
+  var inputFiles = underscore.uniq(underscore.flatten(
+      underscore.pluck(entries, 'inputFiles'), true /* shallow */));
+
+  return kew.all(inputFiles.map(getFileSizeAsync))
+      .then(function(sizes) {
+        var inputSizes = underscore.object(inputFiles, sizes);
+        return renderReport(buildManifest, inputSizes, monitor.getTimings(),
+            monitor.getDiagnostics());
+      });
+}
+
+
+/**
+ * @param {string} html Report HTML.
+ * @param {!OutputDirs} outDirs
+ * @return {!Promise} Tracks success/failure of writing the report to the build
+ *     output directory.
+ */
+function writeReportAsync(html, outDirs) {
+  var reportFile = path.join(outDirs.build, REPORT_FILE_NAME);
+
+  // TODO: Switch to kew.nfcall() when ready...
+  var promise = kew.defer();
+  fs.writeFile(reportFile, html, {encoding: 'utf8'},
+      promise.makeNodeResolver());
+  return promise;
+}
+
+
+/**
+ * @param {string} filePath
+ * @return {!Promise.<?number>} Yields the file size in bytes, or null if it
+ *     no longer exists.
+ */
+function getFileSizeAsync(filePath) {
+  var promise = kew.defer();
+  fs.stat(filePath, function(err, stats) {
+    if (err && (err.code == 'ENOENT')) {
+      promise.resolve(null);
+    } else if (err) {
+      promise.reject(err);
+    } else {
+      promise.resolve(stats.size);
+    }
+  });
+  return promise;
+}
+
+
+//==============================================================================
+// Render HTML
+//==============================================================================
+
+/**
+ * @param {!Object} buildManifest
+ * @param {!Object.<string, ?number>} inputSizes Map from input file to size.
+ * @param {!Array.<!Object>} timings
+ * @param {!Array.<!Diagnostic>} diagnosticList
+ * @return {string} Report HTML.
+ */
+function renderReport(buildManifest, inputSizes, timings, diagnosticList) {
+  var title = 'Build report: ' + buildManifest.type;
+  var html = [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>' + escapeHtml(title) + '</title>',
+    '<style>\n' + REPORT_CSS + '\n</style>',
+    '</head>',
+    '<body>',
+    '<h1>' + escapeHtml(title) + '</h1>',
+    '<h2>JS Modules</h2>',
+    renderModuleTable(buildManifest.jsModules, inputSizes, true),
+    '<h2>JS Module Dependency Graph</h2>',
+    renderDependencyGraph(buildManifest.jsModules),
+    '<h2>JS Module Input Files</h2>',
+    buildManifest.jsModules.map(function(entry) {
+      return renderInputFiles(entry, inputSizes);
+    }).join('\n'),
+    '<h2>CSS Module</h2>',
+    buildManifest.cssModule ?
+        renderModuleTable([buildManifest.cssModule], inputSizes, false) +
+            '\n' +
+            renderInputFiles(buildManifest.cssModule, inputSizes) :
+        '<p>None</p>',
+    '<h2>Build Phase Timings</h2>',
+    renderTimings(timings),
+    '<h2>Warnings</h2>',
+    renderDiagnostics(diagnosticList),
+    '</body>',
+    '</html>'
+  ];
+  return html.join('\n') + '\n';
+}
+
+
+/**
+ * @param {!Array.<!Object>} entries Manifest entries of each module.
+ * @param {!Object.<string, ?number>} inputSizes
+ * @param {boolean} isJs Whether these are JS modules (which have
+ *     alwaysLoadedAfterModules).
+ * @return {string} Table with the sizes of each module.
+ */
+function renderModuleTable(entries, inputSizes, isJs) {
+  var rows = entries.map(function(entry) {
+    var cells = [escapeHtml(entry.name)];
+    if (isJs) {
+      cells.push(escapeHtml(entry.alwaysLoadedAfterModules.join(', ')));
+    }
+    cells.push(String(entry.inputFiles.length));
+    return '<tr><td>' + cells.join('</td><td>') + '</td>' +
+        '<td class="size">' + formatSize(sumSizes(entry, inputSizes)) +
+        '</td><td class="size">' + formatSize(entry.size) + '</td></tr>';
+  });
+
+  var headings = isJs ? ['Module', 'Loaded after'] : ['Module'];
+  headings.push('Input files', 'Input size', 'Output size');
+
+  return '<table>\n<tr><th>' + headings.join('</th><th>') + '</th></tr>\n' +
+      rows.join('\n') + '\n</table>';
+}
+
+
+/**
+ * Renders JS modules as a tree, with each module under the modules it directly
+ * depends on (so modules with several parents are shown more than once).
+ * @param {!Array.<!Object>} jsModules Manifest entries, in dependency order.
+ * @return {string} Nested lists of modules.
+ */
+function renderDependencyGraph(jsModules) {
+  // The manifest lists all transitive dependencies, so drop those that are
+  // also dependencies of another dependency.
+  var transitiveDeps = {};
+  jsModules.forEach(function(entry) {
+    transitiveDeps[entry.name] = entry.alwaysLoadedAfterModules;
+  });
+  var children = {};
+  var roots = [];
+  jsModules.forEach(function(entry) {
+    var deps = entry.alwaysLoadedAfterModules;
+    var directDeps = deps.filter(function(dep) {
+      return !underscore.any(deps, function(otherDep) {
+        return transitiveDeps[otherDep].indexOf(dep) != -1;
+      });
+    });
+    if (directDeps.length == 0) {
+      roots.push(entry.name);
+    }
+    directDeps.forEach(function(dep) {
+      (children[dep] = children[dep] || []).push(entry.name);
+    });
+  });
+
+  var renderList = function(moduleNames) {
+    return '<ul class="graph">' + moduleNames.map(function(moduleName) {
+      var childList = children[moduleName] ?
+          renderList(children[moduleName]) : '';
+      return '<li>' + escapeHtml(moduleName) + childList + '</li>';
+    }).join('') + '</ul>';
+  };
+  return (roots.length > 0) ? renderList(roots) : '<p>None</p>';
+}
+
+
+/**
+ * @param {!Object} entry Manifest entry of a module.
+ * @param {!Object.<string, ?number>} inputSizes
+ * @return {string} Collapsible table of the module's input files, in order.
+ */
+function renderInputFiles(entry, inputSizes) {
+  var rows = entry.inputFiles.map(function(inputFile) {
+    return '<tr><td>' + escapeHtml(inputFile) + '</td><td class="size">' +
+        formatSize(inputSizes[inputFile]) + '</td></tr>';
+  });
+  var fileCount = entry.inputFiles.length;
+  return '<details>\n<summary>' + escapeHtml(entry.name) + ' (' +
+      fileCount + ((fileCount == 1) ? ' file, ' : ' files, ') +
+      formatSize(sumSizes(entry, inputSizes)) + ' &rarr; ' +
+      formatSize(entry.size) + ')</summary>\n' +
+      '<table>\n<tr><th>Input file</th><th>Size</th></tr>\n' +
+      rows.join('\n') + '\n</table>\n</details>';
+}
+
+
+/**
+ * @param {!Array.<!Object>} timings
+ * @return {string} Table of the duration of each build phase.
+ */
+function renderTimings(timings) {
+  if (timings.length == 0) {
+    return '<p>None</p>';
+  }
+  var rows = timings.map(function(timing) {
+    return '<tr><td>' + escapeHtml(timing.phase) + '</td><td>' +
+        escapeHtml(timing.module || '') + '</td><td class="size">' +
+        timing.durationMs + ' ms</td></tr>';
+  });
+  return '<table>\n<tr><th>Phase</th><th>Module</th><th>Duration</th></tr>\n' +
+      rows.join('\n') + '\n</table>';
+}
+
+
+/**
+ * @param {!Array.<!Diagnostic>} diagnosticList
+ * @return {string} List of all compiler warnings (and errors).
+ */
+function renderDiagnostics(diagnosticList) {
+  if (diagnosticList.length == 0) {
+    return '<p>None</p>';
+  }
+  return '<ul>\n' + diagnosticList.map(function(diagnostic) {
+    return '<li class="' + diagnostic.severity + '">' + escapeHtml(
+        diagnostic.tool + ': ' + diagnostics.format(diagnostic)) + '</li>';
+  }).join('\n') + '\n</ul>';
+}
+
+
+/**
+ * @param {!Object} entry Manifest entry of a module.
+ * @param {!Object.<string, ?number>} inputSizes
+ * @return {?number} Total size of the module's input files, or null if any
+ *     are unknown.
+ */
+function sumSizes(entry, inputSizes) {
+  var total = 0;
+  for (var i = 0; i < entry.inputFiles.length; i++) {
+    var size = inputSizes[entry.inputFiles[i]];
+    if (size == null) {
+      return null;
+    }
+    total += size;
+  }
+  return total;
+}
+
+
+/**
+ * @param {?number} size In bytes.
+ * @return {string} E.g. "512 B" or "10.1 KB" ("?" if unknown).
+ */
+function formatSize(size) {
+  if (size == null) {
+    return '?';
+  } else if (size < 1024) {
+    return size + ' B';
+  }
+  return (size / 1024).toFixed(1) + ' KB';
+}
+
+
+/**
+ * @param {string} text
+ * @return {string} Text escaped for use in HTML content or attribute values.
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  REPORT_FILE_NAME: REPORT_FILE_NAME,
+  createReportAsync: createReportAsync,
+  formatSize: formatSize,
+  writeReportAsync: writeReportAsync
+};
@@ -12,17 +12,29 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+var BuildMonitor = require('./build-monitor.js').BuildMonitor;
+var buildCache = require('./build-cache.js');
 var child_process = require('child_process');
 var common = require('./common.js');
+var diagnostics = require('./diagnostics.js');
+var dirManager = require('./dir-manager.js');
 var fileMatcher = require('./file-matcher.js');
 var kew = require('kew');
 var path = require('path');
+var plugins = require('./plugins.js');
 
 
 var SOY_COMPILER_PATH = path.join(__dirname,
     '../3p/closure-templates-20121221/js/SoyToJsSrcCompiler.jar');
 
 
+/**
+ * Suffix of the JS files compiled from Soy files, which end in .soy (per the
+ * --outputPathFormat compiler arg).
+ */
+var GENERATED_JS_SUFFIX = '.soy.js';
+
+
 /**
  * Builds project Soy as specified in the given options, using Closure
  * Templates (Soy) compiler if any Soy files are found. Note that some projects
@@ -32,15 +44,38 @@ var SOY_COMPILER_PATH = path.join(__dirname,
  * @param {!Object} buildOptions Specifies options specific to this build (like
  *     debug/release); see README.md for option documentation.
  * @param {!Promise.<!OutputDirs>} outDirsAsync
+ * @param {BuildMonitor=} opt_monitor To report build progress to.
  * @return {!Promise} Tracks success/failure.
  */
-function build(projectOptions, buildOptions, outDirsAsync) {
-  return kew.all([outDirsAsync, resolveSoyInputFiles(projectOptions)])
-      .then(function(results) {
-        var outDirs = results[0];
-        var soyInputFiles = results[1];
-        return compileSoy(projectOptions, buildOptions, outDirs, soyInputFiles);
-      });
+function build(projectOptions, buildOptions, outDirsAsync, opt_monitor) {
+  var monitor = opt_monitor || new BuildMonitor();
+  return outDirsAsync.then(function(outDirs) {
+    var runHookAsync = function(hook) {
+      return plugins.runHookAsync(
+          hook, projectOptions, buildOptions, outDirs, monitor);
+    };
+
+    // Resolve Soy files after beforeSoy hooks, which may generate some.
+    return runHookAsync(plugins.Hook.BEFORE_SOY)
+        .then(function() {
+          return resolveSoyInputFiles(projectOptions);
+        }).then(function(soyInputFiles) {
+          return monitor.trackPhase(BuildMonitor.Phase.SOY, function() {
+            return compileSoy(
+                projectOptions, buildOptions, outDirs, soyInputFiles, monitor)
+                .then(function() {
+                  // Remove JS generated from since-deleted Soy files, so that
+                  // Closure doesn't find their stale goog.provide()s. Other
+                  // generated files (e.g. from plugins) are left alone.
+                  return dirManager.removeStaleFilesAsync(outDirs.gen,
+                      getGeneratedJsFiles(outDirs, soyInputFiles),
+                      GENERATED_JS_SUFFIX);
+                });
+          });
+        }).then(function() {
+          return runHookAsync(plugins.Hook.AFTER_SOY);
+        });
+  });
 }
 
 
@@ -54,14 +89,30 @@ function resolveSoyInputFiles(projectOptions) {
 }
 
 
+/**
+ * @param {!OutputDirs} outDirs
+ * @param {!Array.<string>} soyInputFiles
+ * @return {!Array.<string>} Paths of the JS files compiled from soyInputFiles
+ *     (per the --outputPathFormat compiler arg).
+ */
+function getGeneratedJsFiles(outDirs, soyInputFiles) {
+  return soyInputFiles.map(function(soyInputFile) {
+    return outDirs.gen + soyInputFile + '.js';
+  });
+}
+
+
 /**
  * @param {!Object} projectOptions
  * @param {!Object} buildOptions
  * @param {!OutputDirs} outDirs
  * @param {!Array.<string>} soyInputFiles
- * @return {!Promise} Tracks success/failure.
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise} Tracks success/failure (restoring the generated JS from
+ *     buildOptions.cacheDir, if cached).
  */
-function compileSoy(projectOptions, buildOptions, outDirs, soyInputFiles) {
+function compileSoy(
+    projectOptions, buildOptions, outDirs, soyInputFiles, monitor) {
   // If there are no soy files in this project: no-op.
   if (soyInputFiles.length == 0) {
     return kew.resolve(null);
@@ -88,17 +139,47 @@ function compileSoy(projectOptions, buildOptions, outDirs, soyInputFiles) {
     soyInputFiles.join(',')
   ];
 
+  var compilation = {
+    toolJar: SOY_COMPILER_PATH,
+    args: soyCompilerArgs,
+    inputFiles: soyInputFiles.map(function(soyInputFile) {
+      return path.join(projectOptions.rootSrcDir, soyInputFile);
+    }),
+    outputFiles: getGeneratedJsFiles(outDirs, soyInputFiles)
+  };
+  compilation.outputFiles.forEach(monitor.trackOutputFile, monitor);
+  return buildCache.compileAsync(buildOptions, compilation, monitor,
+      function() {
+        return spawnSoyCompiler(buildOptions, soyCompilerArgs, monitor);
+      });
+}
+
+
+/**
+ * @param {!Object} buildOptions
+ * @param {!Array.<string>} soyCompilerArgs
+ * @param {!BuildMonitor} monitor
+ * @return {!Promise.<!CompileResult>} Yields the compiler's diagnostics.
+ */
+function spawnSoyCompiler(buildOptions, soyCompilerArgs, monitor) {
   var stdoutBehavior = buildOptions.suppressOutput ? 'ignore' : process.stdout;
-  var stderrBehavior = buildOptions.suppressOutput ? 'ignore' : process.stderr;
   var soyCompilation = child_process.spawn(buildOptions.javaCommand,
-      soyCompilerArgs, {stdio: ['ignore', stdoutBehavior, stderrBehavior]});
+      soyCompilerArgs, {stdio: ['ignore', stdoutBehavior, 'pipe']});
+  monitor.trackChildProcess(soyCompilation);
+  var getStderrOutput = diagnostics.collectStderr(soyCompilation, buildOptions);
 
   var promise = kew.defer();
   soyCompilation.on('close', function(exitCode) {
-    if (exitCode != common.EXIT_SUCCESS) {
-      promise.reject(new Error('Had errors compiling Soy'));
+    var failed = (exitCode != common.EXIT_SUCCESS);
+    var soyDiagnostics = diagnostics.parseOutput(
+        diagnostics.Tool.SOY_COMPILER, getStderrOutput(), failed);
+    monitor.recordDiagnostics(soyDiagnostics);
+
+    if (failed) {
+      promise.reject(new diagnostics.CompileError(
+          'Had errors compiling Soy', soyDiagnostics));
     } else {
-      promise.resolve(null);
+      promise.resolve({value: null, diagnostics: soyDiagnostics});
     }
   });
 
@@ -0,0 +1,676 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var BuildMonitor = require('./build-monitor.js').BuildMonitor;
+var buildFinisher = require('./build-finisher.js');
+var buildProfiles = require('./build-profiles.js');
+var common = require('./common.js');
+var cssBuilder = require('./css-builder.js');
+var dirManager = require('./dir-manager.js');
+var events = require('events');
+var fileMatcher = require('./file-matcher.js');
+var fs = require('fs');
+var jsBuilder = require('./js-builder.js');
+var kew = require('kew');
+var optionValidator = require('./option-validator.js');
+var path = require('path');
+var soyBuilder = require('./soy-builder.js');
+var underscore = require('underscore');
+var util = require('util');
+
+// Allow file watching and the debounce delay to be stubbed in tests.
+var testable = {
+  watch: fs.watch,
+  debounceMs: 100
+};
+
+
+/** Build phases that can be re-run independently. */
+var Phase = {
+  CSS: 'css',
+  SOY: 'soy',
+  JS: 'js'
+};
+
+
+/** Events emitted by a Watcher (each with a WatchEvent argument). */
+var BUILD_START = 'build-start';
+var BUILD_SUCCESS = 'build-success';
+var BUILD_FAILURE = 'build-failure';
+
+
+/**
+ * Event emitted by an InputWatcher when an input file changes (with the
+ * changed file path and the Phase it affects, or null if unknown).
+ */
+var INPUT_CHANGE = 'input-change';
+
+
+/**
+ * Builds the project once, then watches all of its resolved input files and
+ * incrementally re-runs only the affected build phases whenever they change.
+ * Bursts of changes (e.g. saving many files at once) are debounced into a
+ * single rebuild. Options should already be validated, with defaults filled.
+ * @param {!Object} projectOptions Specifies the project input files; see
+ *     README.md for option documentation.
+ * @param {!Object} buildOptions Specifies options specific to this build (like
+ *     debug/release); see README.md for option documentation.
+ * @param {function(!WatchEvent)=} opt_listenerFn If given, called with every
+ *     build-start, build-success, and build-failure event.
+ * @return {!Watcher} Handle that emits build events; call close() to stop.
+ */
+function watch(projectOptions, buildOptions, opt_listenerFn) {
+  var watcher = new Watcher(projectOptions, buildOptions);
+  if (opt_listenerFn) {
+    [BUILD_START, BUILD_SUCCESS, BUILD_FAILURE].forEach(function(eventType) {
+      watcher.on(eventType, opt_listenerFn);
+    });
+  }
+
+  // Start the initial full build on the next tick, so that callers can attach
+  // their own listeners to the returned watcher first.
+  process.nextTick(function() {
+    watcher.requestBuild(underscore.values(Phase), []);
+  });
+  return watcher;
+}
+
+
+/**
+ * @typedef {{type: string, phases: !Array.<string>,
+ *     changedFiles: !Array.<string>, elapsedMs: (number|undefined),
+ *     error: (Error|undefined)}}
+ */
+var WatchEvent;
+
+
+//==============================================================================
+// Watcher
+//==============================================================================
+
+/**
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @constructor
+ * @extends {events.EventEmitter}
+ */
+function Watcher(projectOptions, buildOptions) {
+  events.EventEmitter.call(this);
+
+  this.projectOptions_ = projectOptions;
+  this.buildOptions_ = buildOptions;
+
+  /** Set of phases that need to be re-run on the next build. */
+  this.pendingPhases_ = {};
+
+  /** Set of changed file paths that triggered the pending phases. */
+  this.pendingFiles_ = {};
+
+  /** Timer for the debounced next build (or null). */
+  this.debounceTimer_ = null;
+
+  /** Whether a build is currently in progress. */
+  this.isBuilding_ = false;
+
+  /** Whether close() has been called. */
+  this.isClosed_ = false;
+
+  /** Watches the input files, for changes that need a rebuild. */
+  this.inputWatcher_ = new InputWatcher(projectOptions, buildOptions);
+  this.inputWatcher_.on(INPUT_CHANGE, this.handleChange_.bind(this));
+
+  /** CSS renaming file from the last CSS build (or null). */
+  this.cssRenamingFile_ = null;
+
+  /** Contents of the CSS renaming file after the last CSS build. */
+  this.cssRenamingMap_ = null;
+
+  /** Map from Phase to the BuildMonitor of its last successful build. */
+  this.phaseMonitors_ = {};
+}
+util.inherits(Watcher, events.EventEmitter);
+
+
+/** Stops watching all files and cancels any pending (not yet started) build. */
+Watcher.prototype.close = function() {
+  this.isClosed_ = true;
+  if (this.debounceTimer_) {
+    clearTimeout(this.debounceTimer_);
+    this.debounceTimer_ = null;
+  }
+
+  this.inputWatcher_.close();
+};
+
+
+/**
+ * Queues the given phases to be (re)built once any in-progress build is done.
+ * @param {!Array.<string>} phases
+ * @param {!Array.<string>} changedFiles
+ */
+Watcher.prototype.requestBuild = function(phases, changedFiles) {
+  phases.forEach(function(phase) { this.pendingPhases_[phase] = true; }, this);
+  changedFiles.forEach(function(file) { this.pendingFiles_[file] = true; },
+      this);
+  this.maybeStartBuild_();
+};
+
+
+/**
+ * Called for each change to an input file.
+ * @param {string} changedFile
+ * @param {?string} phase The Phase the change affects, or null if unknown.
+ * @private
+ */
+Watcher.prototype.handleChange_ = function(changedFile, phase) {
+  if (this.isClosed_) {
+    return;
+  }
+
+  var phases = phase ? [phase] : underscore.values(Phase);
+  phases.forEach(function(phase) { this.pendingPhases_[phase] = true; }, this);
+  this.pendingFiles_[changedFile] = true;
+
+  // Debounce bursts of changes into a single build.
+  if (this.debounceTimer_) {
+    clearTimeout(this.debounceTimer_);
+  }
+  this.debounceTimer_ = setTimeout(function() {
+    this.debounceTimer_ = null;
+    this.maybeStartBuild_();
+  }.bind(this), testable.debounceMs);
+};
+
+
+/** @private */
+Watcher.prototype.maybeStartBuild_ = function() {
+  if (this.isClosed_ || this.isBuilding_ || this.debounceTimer_ ||
+      underscore.isEmpty(this.pendingPhases_)) {
+    return;
+  }
+
+  var phases = this.pendingPhases_;
+  var changedFiles = underscore.keys(this.pendingFiles_);
+  this.pendingPhases_ = {};
+  this.pendingFiles_ = {};
+
+  this.isBuilding_ = true;
+  var startTime = Date.now();
+  this.emit(BUILD_START, newWatchEvent(BUILD_START, phases, changedFiles));
+
+  var onSuccess = function(builtPhases) {
+    this.emit(BUILD_SUCCESS, newWatchEvent(BUILD_SUCCESS, builtPhases,
+        changedFiles, Date.now() - startTime));
+  };
+  var onFailure = function(err) {
+    var event = newWatchEvent(BUILD_FAILURE, phases, changedFiles,
+        Date.now() - startTime);
+    event.error = err;
+    this.emit(BUILD_FAILURE, event);
+  };
+
+  // Errors thrown by listeners aren't caught, and are rethrown by end().
+  checkInputFilesAsync(this.projectOptions_, this.buildOptions_)
+      .then(function() {
+        return this.buildPhases_(phases);
+      }.bind(this))
+      .then(onSuccess.bind(this), onFailure.bind(this))
+      .then(function() {
+        // Inputs may have been added or removed, so update what's watched.
+        return this.inputWatcher_.updateWatchedFilesAsync()
+            .fail(function(err) {
+              // Keep watching the previous files; the next build will retry.
+            });
+      }.bind(this))
+      .fin(function() {
+        this.isBuilding_ = false;
+        this.maybeStartBuild_();
+      }.bind(this))
+      .end();
+};
+
+
+/**
+ * Runs the given build phases. A CSS-only change only re-runs the JS phase if
+ * the CSS renaming map changed, and a Soy change always re-runs the JS phase.
+ * Once every phase has built successfully, finishes the build (manifest,
+ * report, stale file removal, afterBuild hooks, etc.) with the outputs of the
+ * latest build of each phase.
+ * @param {!Object.<string, boolean>} phases Set of phases to build.
+ * @return {!Promise.<!Array.<string>>} Yields list of phases actually built.
+ * @private
+ */
+Watcher.prototype.buildPhases_ = function(phases) {
+  var projectOptions = this.projectOptions_;
+  var buildOptions = this.buildOptions_;
+  var monitors = {};
+
+  var profile = buildProfiles.resolveProfile(projectOptions, buildOptions.type);
+  var outDirsAsync =
+      dirManager.createOutputDirsAsync(buildOptions, profile.outputSubdir);
+
+  // CSS phase.
+  var cssRenamingFileAsync = kew.resolve(this.cssRenamingFile_);
+  var cssMapChangedAsync = kew.resolve(false);
+  if (phases[Phase.CSS]) {
+    monitors[Phase.CSS] = new BuildMonitor();
+    var buildingCss = cssBuilder.build(projectOptions, buildOptions,
+        outDirsAsync, monitors[Phase.CSS]);
+    cssRenamingFileAsync = buildingCss.getCssRenamingFileAsync();
+    cssMapChangedAsync = kew.all([cssRenamingFileAsync,
+        this.trackPhaseSuccess_(Phase.CSS, monitors[Phase.CSS],
+            buildingCss.awaitCompletion())])
+        .then(function(results) {
+          return this.updateCssRenamingMapAsync_(results[0]);
+        }.bind(this));
+  }
+
+  // Soy phase.
+  var soyAsync = kew.resolve(null);
+  if (phases[Phase.SOY]) {
+    monitors[Phase.SOY] = new BuildMonitor();
+    soyAsync = this.trackPhaseSuccess_(Phase.SOY, monitors[Phase.SOY],
+        soyBuilder.build(projectOptions, buildOptions, outDirsAsync,
+            monitors[Phase.SOY]));
+  }
+
+  // JS phase (if needed).
+  var buildJs = function() {
+    monitors[Phase.JS] = new BuildMonitor();
+    return this.trackPhaseSuccess_(Phase.JS, monitors[Phase.JS],
+        jsBuilder.build(projectOptions, buildOptions, outDirsAsync,
+            cssRenamingFileAsync, monitors[Phase.JS]));
+  }.bind(this);
+
+  var jsAsync;
+  if (phases[Phase.JS] || phases[Phase.SOY]) {
+    jsAsync = soyAsync.then(buildJs);
+  } else {
+    jsAsync = cssMapChangedAsync.then(function(hasChanged) {
+      return hasChanged ? buildJs() : null;
+    });
+  }
+
+  return common.waitForAll([cssMapChangedAsync, soyAsync, jsAsync])
+      .then(function() {
+        return this.maybeFinishBuildAsync_(outDirsAsync);
+      }.bind(this))
+      .then(function() { return underscore.keys(monitors); });
+};
+
+
+/**
+ * Records monitor as the one for the last successful build of phase, once
+ * phaseAsync succeeds (even if other phases of the same build fail).
+ * @param {string} phase
+ * @param {!BuildMonitor} monitor
+ * @param {!Promise.<T>} phaseAsync
+ * @return {!Promise.<T>} Yields the result of phaseAsync.
+ * @template T
+ * @private
+ */
+Watcher.prototype.trackPhaseSuccess_ = function(phase, monitor, phaseAsync) {
+  return phaseAsync.then(function(result) {
+    this.phaseMonitors_[phase] = monitor;
+    return result;
+  }.bind(this));
+};
+
+
+/**
+ * Finishes the build with the outputs of the latest build of each phase, once
+ * every phase has built successfully at least once (until then, outputs of
+ * phases that have never built would be removed as stale).
+ * @param {!Promise.<!OutputDirs>} outDirsAsync
+ * @return {!Promise} Tracks success/failure.
+ * @private
+ */
+Watcher.prototype.maybeFinishBuildAsync_ = function(outDirsAsync) {
+  var phaseMonitors = underscore.values(Phase).map(function(phase) {
+    return this.phaseMonitors_[phase];
+  }, this);
+  if (!underscore.every(phaseMonitors)) {
+    return kew.resolve(null);
+  }
+
+  var monitor = new BuildMonitor();
+  phaseMonitors.forEach(function(phaseMonitor) {
+    phaseMonitor.getOutputs().forEach(monitor.recordOutput, monitor);
+    phaseMonitor.getTrackedOutputFiles().forEach(monitor.trackOutputFile,
+        monitor);
+    monitor.recordDiagnostics(phaseMonitor.getDiagnostics());
+  });
+  return buildFinisher.finishBuildAsync(this.projectOptions_,
+      this.buildOptions_, outDirsAsync, [], monitor);
+};
+
+
+/**
+ * Records the latest CSS renaming file and its contents.
+ * @param {?string} cssRenamingFile
+ * @return {!Promise.<boolean>} Yields whether the renaming map changed.
+ * @private
+ */
+Watcher.prototype.updateCssRenamingMapAsync_ = function(cssRenamingFile) {
+  this.cssRenamingFile_ = cssRenamingFile;
+  if (!cssRenamingFile) {
+    var hadMap = (this.cssRenamingMap_ != null);
+    this.cssRenamingMap_ = null;
+    return kew.resolve(hadMap);
+  }
+
+  // TODO: Switch to kew.nfcall() when ready...
+  var readAsync = kew.defer();
+  fs.readFile(cssRenamingFile, {encoding: 'utf8'},
+      readAsync.makeNodeResolver());
+  return readAsync.then(function(renamingMap) {
+    var hasChanged = (renamingMap != this.cssRenamingMap_);
+    this.cssRenamingMap_ = renamingMap;
+    return hasChanged;
+  }.bind(this));
+};
+
+
+/**
+ * @param {string} type
+ * @param {!Object.<string, boolean>|!Array.<string>} phases
+ * @param {!Array.<string>} changedFiles
+ * @param {number=} opt_elapsedMs
+ * @return {!WatchEvent}
+ */
+function newWatchEvent(type, phases, changedFiles, opt_elapsedMs) {
+  var event = {
+    type: type,
+    phases: underscore.isArray(phases) ? phases : underscore.keys(phases),
+    changedFiles: changedFiles
+  };
+  if (opt_elapsedMs !== undefined) {
+    event.elapsedMs = opt_elapsedMs;
+  }
+  return event;
+}
+
+
+/**
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @return {!Promise} Rejected with an InvalidOptionsError if strictInputs is
+ *     set and any input files or patterns match nothing.
+ */
+function checkInputFilesAsync(projectOptions, buildOptions) {
+  if (!buildOptions.strictInputs) {
+    return kew.resolve(null);
+  }
+  return optionValidator.assertInputFilesExistAsync(projectOptions);
+}
+
+
+/**
+ * @param {string} absolutePath
+ * @param {string} absoluteDir
+ * @return {boolean} Whether absolutePath is within absoluteDir.
+ */
+function isUnderDir(absolutePath, absoluteDir) {
+  return (absolutePath == absoluteDir) ||
+      (absolutePath.indexOf(absoluteDir + path.sep) == 0);
+}
+
+
+/**
+ * @param {!Object} buildOptions
+ * @return {!Array.<string>} Absolute paths of all output dirs, which contain
+ *     generated files that should never be watched.
+ */
+function getOutputDirs(buildOptions) {
+  return [
+    buildOptions.generatedCodeDir,
+    buildOptions.tempFileDir,
+    buildOptions.outputDir
+  ].map(function(dir) { return path.resolve(dir); });
+}
+
+
+//==============================================================================
+// Input Watcher
+//==============================================================================
+
+/**
+ * Watches the directories of all resolved input files of a project, and emits
+ * an INPUT_CHANGE event (with the changed file path, and the Phase it affects
+ * or null if unknown) for each change to an input file. Changes to other files
+ * are ignored, except for new files that would be inputs. Call
+ * updateWatchedFilesAsync() to start watching, and again whenever the inputs
+ * may have changed (e.g. after each build).
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @constructor
+ * @extends {events.EventEmitter}
+ */
+function InputWatcher(projectOptions, buildOptions) {
+  events.EventEmitter.call(this);
+
+  this.projectOptions_ = projectOptions;
+  this.buildOptions_ = buildOptions;
+
+  /** Whether close() has been called. */
+  this.isClosed_ = false;
+
+  /** Map from watched directory to its fs.FSWatcher. */
+  this.dirWatchers_ = {};
+
+  /** Map from normalized input file path to the Phase it affects. */
+  this.watchedFiles_ = {};
+
+  /** Normalized Closure root dirs, where any new .js file affects JS. */
+  this.closureRootDirs_ = [];
+
+  /** Normalized output dirs, whose changes are always ignored. */
+  this.ignoredDirs_ = getOutputDirs(buildOptions);
+}
+util.inherits(InputWatcher, events.EventEmitter);
+
+
+/** Stops watching all files. */
+InputWatcher.prototype.close = function() {
+  this.isClosed_ = true;
+  for (var dir in this.dirWatchers_) {
+    this.dirWatchers_[dir].close();
+  }
+  this.dirWatchers_ = {};
+};
+
+
+/**
+ * Re-resolves all input files and starts watching any new directories.
+ * @return {!Promise} Tracks success/failure.
+ */
+InputWatcher.prototype.updateWatchedFilesAsync = function() {
+  return resolveWatchedFilesAsync(this.projectOptions_, this.buildOptions_)
+      .then(function(watchedFiles) {
+        if (this.isClosed_) {
+          return;
+        }
+
+        this.watchedFiles_ = watchedFiles;
+        this.closureRootDirs_ =
+            this.projectOptions_.closureRootDirs.map(function(rootDir) {
+              return path.resolve(this.projectOptions_.rootSrcDir, rootDir);
+            }, this);
+
+        var dirs = {};
+        for (var filePath in watchedFiles) {
+          dirs[path.dirname(filePath)] = true;
+        }
+        for (var dir in dirs) {
+          this.maybeWatchDir_(dir);
+        }
+      }.bind(this));
+};
+
+
+/**
+ * @param {string} filePath Normalized path of a changed file.
+ * @return {?string} The Phase affected by changes to filePath, or null.
+ */
+InputWatcher.prototype.getAffectedPhase = function(filePath) {
+  if (this.watchedFiles_[filePath]) {
+    return this.watchedFiles_[filePath];
+  }
+
+  var absolutePath = path.resolve(filePath);
+  if (this.ignoredDirs_.some(underscore.partial(isUnderDir, absolutePath))) {
+    return null;
+  }
+
+  // Newly added files may not be resolved yet, so fall back on file type.
+  switch (path.extname(filePath)) {
+    case '.soy':
+      return Phase.SOY;
+    case '.gss':
+    case '.css':
+      return Phase.CSS;
+    case '.js':
+      var isInClosureRootDir = this.closureRootDirs_.some(
+          underscore.partial(isUnderDir, absolutePath));
+      return isInClosureRootDir ? Phase.JS : null;
+    default:
+      return null;
+  }
+};
+
+
+/**
+ * Called for each file system change within a watched directory.
+ * @param {string} dir
+ * @param {?string} fileName
+ * @private
+ */
+InputWatcher.prototype.handleChange_ = function(dir, fileName) {
+  if (this.isClosed_) {
+    return;
+  }
+
+  // Some platforms don't report which file changed, so rebuild everything.
+  var changedFile = fileName ? path.normalize(path.join(dir, fileName)) : dir;
+  var phase = fileName ? this.getAffectedPhase(changedFile) : null;
+  if (fileName && !phase) {
+    return;  // Not an input file.
+  }
+  this.emit(INPUT_CHANGE, changedFile, phase);
+};
+
+
+/**
+ * @param {string} dir
+ * @private
+ */
+InputWatcher.prototype.maybeWatchDir_ = function(dir) {
+  if (this.dirWatchers_[dir]) {
+    return;
+  }
+
+  try {
+    this.dirWatchers_[dir] = testable.watch(dir, function(event, fileName) {
+      this.handleChange_(dir, fileName);
+    }.bind(this));
+  } catch (e) {
+    // Directory was removed since files were resolved; nothing to watch.
+  }
+};
+
+
+//==============================================================================
+// Resolve Watched Files
+//==============================================================================
+
+/**
+ * Resolves every input file of the project: Soy files, CSS module inputs, JS
+ * module inputs, all JS files under closureRootDirs (excluding output dirs and
+ * node_modules), externs, and the JS warnings whitelist file.
+ * @param {!Object} projectOptions
+ * @param {!Object} buildOptions
+ * @return {!Promise.<!Object.<string, string>>} Yields map from normalized file
+ *     path to the Phase that changes to it affect.
+ */
+function resolveWatchedFilesAsync(projectOptions, buildOptions) {
+  var rootSrcDir = projectOptions.rootSrcDir;
+  var tasks = [];
+
+  var addSrcFiles = function(filesAndPatterns, phase) {
+    tasks.push(fileMatcher.resolveAnyGlobPatternsAsync(filesAndPatterns,
+        rootSrcDir).then(function(files) {
+          return {phase: phase, files: files.map(function(file) {
+            return path.join(rootSrcDir, file);
+          })};
+        }));
+  };
+
+  addSrcFiles(projectOptions.soyInputFiles, Phase.SOY);
+
+  if (projectOptions.cssModule) {
+    addSrcFiles(projectOptions.cssModule.closureInputFiles.concat(
+        projectOptions.cssModule.dontCompileInputFiles), Phase.CSS);
+  }
+
+  for (var moduleName in projectOptions.jsModules) {
+    var jsModule = projectOptions.jsModules[moduleName];
+    addSrcFiles(jsModule.dontCompileInputFiles.concat(
+        jsModule.nonClosureNamespacedInputFiles), Phase.JS);
+  }
+
+  addSrcFiles(projectOptions.closureRootDirs.map(function(rootDir) {
+    return path.join(rootDir, '**/*.js').replace(common.ALL_BACKSLASHES, '/');
+  }), Phase.JS);
+
+  // Externs and whitelist files are relative to the current directory.
+  var jsCompilerFiles = projectOptions.jsExterns.slice();
+  if (projectOptions.jsWarningsWhitelistFile) {
+    jsCompilerFiles.push(projectOptions.jsWarningsWhitelistFile);
+  }
+  tasks.push(kew.resolve({phase: Phase.JS, files: jsCompilerFiles}));
+
+  var ignoredDirs = getOutputDirs(buildOptions);
+
+  return kew.all(tasks).then(function(results) {
+    var watchedFiles = {};
+    results.forEach(function(result) {
+      result.files.forEach(function(file) {
+        var absolutePath = path.resolve(file);
+        var isIgnored = ignoredDirs.some(
+            underscore.partial(isUnderDir, absolutePath)) ||
+            (absolutePath.split(path.sep).indexOf('node_modules') != -1);
+        var normalizedPath = path.normalize(file);
+        if (!isIgnored && !watchedFiles[normalizedPath]) {
+          watchedFiles[normalizedPath] = result.phase;
+        }
+      });
+    });
+    return watchedFiles;
+  });
+}
+
+
+// Symbols exported by this internal module.
+module.exports = {
+  BUILD_FAILURE: BUILD_FAILURE,
+  BUILD_START: BUILD_START,
+  BUILD_SUCCESS: BUILD_SUCCESS,
+  INPUT_CHANGE: INPUT_CHANGE,
+  InputWatcher: InputWatcher,
+  Phase: Phase,
+  Watcher: Watcher,
+  resolveWatchedFilesAsync: resolveWatchedFilesAsync,
+  testable: testable,
+  watch: watch
+};
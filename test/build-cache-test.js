@@ -0,0 +1,304 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var buildCache = require('../lib/build-cache.js');
+
+var BuildMonitor = require('../lib/build-monitor.js').BuildMonitor;
+var dirManager = require('../lib/dir-manager.js');
+var fs = require('fs');
+var kew = require('kew');
+var should = require('should');
+var sinon = require('sinon');
+var underscore = require('underscore');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+var WARNING = {
+  tool: 'jsCompiler',
+  severity: 'warning',
+  file: 'src/main.js',
+  line: 3,
+  column: null,
+  code: 'JSC_UNUSED',
+  message: 'Unused variable'
+};
+
+
+function newFakeFiles() {
+  return {
+    'compiler.jar': 'compiler version 1',
+    'src/main.js': 'var main = 1;',
+    'src/util.js': 'var util = 2;'
+  };
+}
+
+
+function newCompilation() {
+  return {
+    toolJar: 'compiler.jar',
+    args: ['-jar', 'compiler.jar', '--js', 'src/main.js', '--js',
+        'src/util.js'],
+    inputFiles: ['src/main.js', 'src/util.js'],
+    outputFiles: ['tmp/debug/main.js']
+  };
+}
+
+
+//==============================================================================
+// Stub File System
+//==============================================================================
+
+// Fake file system set by each test case, mapping the path of each file to its
+// contents.
+var fakeFiles, createdDirs;
+
+
+function fakeReadFile(filePath, opt_options, callbackFn) {
+  callbackFn = callbackFn || opt_options;
+  var content = fakeFiles[filePath];
+  setTimeout(function() {
+    if (content == null) {
+      var err = new Error('ENOENT, no such file ' + filePath);
+      err.code = 'ENOENT';
+      callbackFn(err);
+    } else {
+      callbackFn(null, content);
+    }
+  }, 2 /* ms */);
+}
+
+
+function fakeWriteFile(filePath, content, options, callbackFn) {
+  should.deepEqual(options, {encoding: 'utf8'});
+  fakeFiles[filePath] = content;
+  setTimeout(function() { callbackFn(null); }, 2);
+}
+
+
+function fakeRename(oldPath, newPath, callbackFn) {
+  should.exist(fakeFiles[oldPath]);
+  fakeFiles[newPath] = fakeFiles[oldPath];
+  delete fakeFiles[oldPath];
+  setTimeout(function() { callbackFn(null); }, 2);
+}
+
+
+function fakeMakeDirAndParents(dirPath) {
+  createdDirs.push(dirPath);
+  return kew.resolve(null);
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('buildCache', function() {
+  var stubReadFile, stubWriteFile, stubRename, stubMakeDir;
+  before(function() {
+    stubReadFile = sinon.stub(fs, 'readFile', fakeReadFile);
+    stubWriteFile = sinon.stub(fs, 'writeFile', fakeWriteFile);
+    stubRename = sinon.stub(fs, 'rename', fakeRename);
+    stubMakeDir = sinon.stub(dirManager, 'makeDirAndParents',
+        fakeMakeDirAndParents);
+  });
+  after(function() {
+    stubReadFile.restore();
+    stubWriteFile.restore();
+    stubRename.restore();
+    stubMakeDir.restore();
+  });
+
+  var compilation;
+  beforeEach(function() {
+    // Reset state before each test case.
+    fakeFiles = newFakeFiles();
+    createdDirs = [];
+    compilation = newCompilation();
+  });
+
+  describe('#computeKeyAsync()', function() {
+    var computeKeys = function(changeFn) {
+      return buildCache.computeKeyAsync(compilation)
+          .then(function(key) {
+            changeFn();
+            return kew.all([key, buildCache.computeKeyAsync(compilation)]);
+          });
+    };
+
+    it('yields the same key for the same compilation', function(callbackFn) {
+      computeKeys(function() {})
+          .then(function(keys) {
+            keys[0].should.match(/^[0-9a-f]{40}$/);
+            keys[1].should.equal(keys[0]);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('yields a different key if an input file changes', function(callbackFn) {
+      computeKeys(function() { fakeFiles['src/util.js'] = 'var util = 3;'; })
+          .then(function(keys) {
+            keys[1].should.not.equal(keys[0]);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('yields a different key if the args change', function(callbackFn) {
+      computeKeys(function() { compilation.args.push('--debug'); })
+          .then(function(keys) {
+            keys[1].should.not.equal(keys[0]);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('yields a different key for a different tool jar', function(callbackFn) {
+      fakeFiles['compiler-v2.jar'] = 'compiler version 2';
+      computeKeys(function() { compilation.toolJar = 'compiler-v2.jar'; })
+          .then(function(keys) {
+            keys[1].should.not.equal(keys[0]);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('fails if an input file can\'t be read', function(callbackFn) {
+      compilation.inputFiles.push('src/missing.js');
+      buildCache.computeKeyAsync(compilation)
+          .fail(function(err) {
+            err.code.should.equal('ENOENT');
+            callbackFn(null);
+          }).end();
+    });
+  });
+
+  describe('#compileAsync()', function() {
+    var buildOpts, monitor, compileCount;
+    beforeEach(function() {
+      buildOpts = {cacheDir: 'cache/'};
+      monitor = new BuildMonitor();
+      compileCount = 0;
+    });
+
+    // Simulates a compiler that writes the output file and outputs a warning.
+    var fakeCompile = function() {
+      compileCount++;
+      fakeFiles['tmp/debug/main.js'] = 'compiled ' + compileCount;
+      monitor.recordDiagnostics([WARNING]);
+      return kew.resolve({value: 'stdout', diagnostics: [WARNING]});
+    };
+
+    var compile = function() {
+      return buildCache.compileAsync(
+          buildOpts, compilation, monitor, fakeCompile);
+    };
+
+    it('always compiles if there is no cacheDir', function(callbackFn) {
+      delete buildOpts.cacheDir;
+      compile()
+          .then(function(value) {
+            value.should.equal('stdout');
+            return compile();
+          }).then(function() {
+            compileCount.should.equal(2);
+            should.deepEqual(Object.keys(fakeFiles).sort(),
+                ['compiler.jar', 'src/main.js', 'src/util.js',
+                 'tmp/debug/main.js']);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('caches the output files and result', function(callbackFn) {
+      kew.all([compile(), buildCache.computeKeyAsync(compilation)])
+          .then(function(results) {
+            results[0].should.equal('stdout');
+            compileCount.should.equal(1);
+            should.deepEqual(createdDirs, ['cache']);
+
+            var entryFile = 'cache/' + results[1] + '.json';
+            should.deepEqual(JSON.parse(fakeFiles[entryFile]), {
+              files: {'tmp/debug/main.js': 'compiled 1'},
+              value: 'stdout',
+              diagnostics: [WARNING]
+            });
+            underscore.keys(fakeFiles).length.should.equal(5);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('restores cached output files instead of compiling again',
+        function(callbackFn) {
+      compile()
+          .then(function() {
+            fakeFiles['tmp/debug/main.js'] = 'overwritten';
+            monitor = new BuildMonitor();
+            return compile();
+          }).then(function(value) {
+            value.should.equal('stdout');
+            compileCount.should.equal(1);
+            fakeFiles['tmp/debug/main.js'].should.equal('compiled 1');
+            should.deepEqual(createdDirs, ['cache', 'tmp/debug']);
+            should.deepEqual(monitor.getDiagnostics(), [WARNING]);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('tracks restored output files with the monitor', function(callbackFn) {
+      compile()
+          .then(function() {
+            monitor = new BuildMonitor();
+            return compile();
+          }).then(function() {
+            should.deepEqual(monitor.getTrackedOutputFiles(),
+                ['tmp/debug/main.js']);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('compiles again when an input file changes', function(callbackFn) {
+      compile()
+          .then(function() {
+            fakeFiles['src/main.js'] = 'var main = 3;';
+            return compile();
+          }).then(function() {
+            compileCount.should.equal(2);
+            fakeFiles['tmp/debug/main.js'].should.equal('compiled 2');
+            callbackFn(null);
+          }).end();
+    });
+
+    it('compiles again if the cache entry is corrupt', function(callbackFn) {
+      buildCache.computeKeyAsync(compilation)
+          .then(function(key) {
+            fakeFiles['cache/' + key + '.json'] = '{"files": ';
+            return compile();
+          }).then(function() {
+            compileCount.should.equal(1);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('caches nothing if compilation fails', function(callbackFn) {
+      buildCache.compileAsync(buildOpts, compilation, monitor, function() {
+        return kew.reject(new Error('Had errors compiling JavaScript'));
+      }).fail(function(err) {
+        err.message.should.equal('Had errors compiling JavaScript');
+        should.deepEqual(Object.keys(fakeFiles).sort(),
+            ['compiler.jar', 'src/main.js', 'src/util.js']);
+        callbackFn(null);
+      }).end();
+    });
+  });
+});
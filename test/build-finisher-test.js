@@ -0,0 +1,198 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var buildFinisher = require('../lib/build-finisher.js');
+
+var BuildMonitor = require('../lib/build-monitor.js').BuildMonitor;
+var common = require('../lib/common.js');
+var dirManager = require('../lib/dir-manager.js');
+var kew = require('kew');
+var manifest = require('../lib/manifest.js');
+var path = require('path');
+var should = require('should');
+var sinon = require('sinon');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+function newBuildOptions() {
+  return {
+    type: common.RELEASE,
+    tempFileDir: 'tmp/',
+    generatedCodeDir: 'gen/',
+    outputDir: 'build/',
+    hashFileNames: false,
+    precompressOutputs: false,
+    writeManifest: false,
+    writeReport: false
+  };
+}
+
+
+function newManifest() {
+  return {
+    type: common.RELEASE,
+    jsModules: [{
+      name: 'main',
+      path: 'build/release/main.js',
+      size: 8,
+      hash: 'd927f4f5c9b4cab4c9ddb0b079850712f544232d',
+      alwaysLoadedAfterModules: [],
+      inputFiles: ['main.js']
+    }],
+    cssModule: null
+  };
+}
+
+
+//==============================================================================
+// Stubbed Functions
+//==============================================================================
+
+function fakeCreateManifestAsync(buildOptions, outputs) {
+  return kew.resolve(newManifest());
+}
+
+
+function fakeHashFileNamesAsync(buildManifest, buildOptions, monitor) {
+  buildManifest.jsModules[0].path = 'build/release/main.d927f4f5.js';
+  buildManifest.aliases = {'main.js': 'main.d927f4f5.js'};
+  return kew.resolve(buildManifest);
+}
+
+
+var writtenManifests;
+function fakeWriteManifestAsync(buildManifest, outDirs) {
+  writtenManifests.push(buildManifest);
+  return kew.resolve(null);
+}
+
+
+var keptFiles;
+function fakeRemoveStaleFilesAsync(dir, filesToKeep) {
+  keptFiles = filesToKeep;
+  return kew.resolve(null);
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('buildFinisher', function() {
+  var stubCreateManifest, stubHashFileNames, stubWriteManifest;
+  var stubRemoveStaleFiles;
+  before(function() {
+    stubCreateManifest = sinon.stub(manifest, 'createManifestAsync',
+        fakeCreateManifestAsync);
+    stubHashFileNames = sinon.stub(manifest, 'hashFileNamesAsync',
+        fakeHashFileNamesAsync);
+    stubWriteManifest = sinon.stub(manifest, 'writeManifestAsync',
+        fakeWriteManifestAsync);
+    stubRemoveStaleFiles = sinon.stub(dirManager, 'removeStaleFilesAsync',
+        fakeRemoveStaleFilesAsync);
+  });
+  after(function() {
+    stubCreateManifest.restore();
+    stubHashFileNames.restore();
+    stubWriteManifest.restore();
+    stubRemoveStaleFiles.restore();
+  });
+
+  var monitor, afterBuildResults;
+  beforeEach(function() {
+    // Reset state before each test case.
+    writtenManifests = [];
+    keptFiles = null;
+    monitor = new BuildMonitor();
+    afterBuildResults = [];
+  });
+
+  var finishBuildAsync = function(buildOptions) {
+    var projectOptions = {plugins: [{
+      name: 'recorder',
+      afterBuild: function(context) { afterBuildResults.push(context.result); }
+    }]};
+    var outDirsAsync = kew.resolve(new dirManager.OutputDirs(buildOptions));
+    return buildFinisher.finishBuildAsync(projectOptions, buildOptions,
+        outDirsAsync, [kew.resolve(null)], monitor);
+  };
+
+  describe('#finishBuildAsync()', function() {
+    it('yields the manifest and diagnostics as the build result',
+        function(callbackFn) {
+      finishBuildAsync(newBuildOptions())
+          .then(function(result) {
+            should.deepEqual(result,
+                {manifest: newManifest(), diagnostics: []});
+            afterBuildResults.length.should.equal(1);
+            afterBuildResults[0].should.equal(result);
+            writtenManifests.length.should.equal(0);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('includes hashed file name aliases even without writeManifest',
+        function(callbackFn) {
+      var buildOptions = newBuildOptions();
+      buildOptions.hashFileNames = true;
+      finishBuildAsync(buildOptions)
+          .then(function(result) {
+            should.deepEqual(result.manifest.aliases,
+                {'main.js': 'main.d927f4f5.js'});
+            result.manifest.jsModules[0].path.should.equal(
+                'build/release/main.d927f4f5.js');
+            writtenManifests.length.should.equal(0);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('waits for every completion task to finish before failing',
+        function(callbackFn) {
+      var buildOptions = newBuildOptions();
+      var isSlowTaskDone = false;
+      var slowTask = kew.delay(5 /* ms */, null).then(function() {
+        isSlowTaskDone = true;
+      });
+      buildFinisher.finishBuildAsync({plugins: []}, buildOptions,
+          kew.resolve(new dirManager.OutputDirs(buildOptions)),
+          [kew.reject(new Error('simulated build error')), slowTask], monitor)
+          .then(function() {
+            should.fail('Was expecting finishBuildAsync() to fail');
+          }).fail(function(err) {
+            err.message.should.equal('simulated build error');
+            isSlowTaskDone.should.equal(true);
+            afterBuildResults.length.should.equal(0);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('writes the manifest and keeps it when removing stale files',
+        function(callbackFn) {
+      var buildOptions = newBuildOptions();
+      buildOptions.writeManifest = true;
+      monitor.trackOutputFile('build/release/main.js');
+      finishBuildAsync(buildOptions)
+          .then(function(result) {
+            writtenManifests.length.should.equal(1);
+            writtenManifests[0].should.equal(result.manifest);
+            should.deepEqual(keptFiles, ['build/release/main.js',
+                path.join('build/release', manifest.MANIFEST_FILE_NAME)]);
+            callbackFn(null);
+          }).end();
+    });
+  });
+});
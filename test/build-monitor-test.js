@@ -0,0 +1,255 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var BuildMonitor = require('../lib/build-monitor.js').BuildMonitor;
+
+var BuildCancelledError =
+    require('../lib/build-monitor.js').BuildCancelledError;
+var fs = require('fs');
+var kew = require('kew');
+var should = require('should');
+var sinon = require('sinon');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+/** @return {!Object} Fake ChildProcess that records whether it was killed. */
+function newFakeChildProcess() {
+  return {
+    killed: false,
+    kill: function() { this.killed = true; }
+  };
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('BuildMonitor', function() {
+  var monitor, events;
+  beforeEach(function() {
+    // Reset state before each test.
+    monitor = new BuildMonitor();
+    events = [];
+    monitor.on(BuildMonitor.PHASE_START, function(event) {
+      events.push({type: 'start', event: event});
+    });
+    monitor.on(BuildMonitor.PHASE_END, function(event) {
+      events.push({type: 'end', event: event});
+    });
+  });
+
+  describe('#trackPhase()', function() {
+    it('emits start and end events around a successful phase',
+        function(callbackFn) {
+      monitor.trackPhase(BuildMonitor.Phase.SOY, function() {
+        events.length.should.equal(1);
+        events[0].type.should.equal('start');
+        events[0].event.phase.should.equal(BuildMonitor.Phase.SOY);
+        should.not.exist(events[0].event.module);
+        return kew.delay(5 /* ms */, 'result');
+      }).then(function(result) {
+        result.should.equal('result');
+        events.length.should.equal(2);
+        events[1].type.should.equal('end');
+        events[1].event.phase.should.equal(BuildMonitor.Phase.SOY);
+        events[1].event.success.should.equal(true);
+        events[1].event.durationMs.should.be.above(0);
+        events[1].event.elapsedMs.should.not.be.below(
+            events[1].event.durationMs);
+        callbackFn();
+      }).end();
+    });
+
+    it('reports the module and failure of a rejected phase',
+        function(callbackFn) {
+      monitor.trackPhase(BuildMonitor.Phase.CLOSURE_DEPS, function() {
+        return kew.reject(new Error('sim. failure'));
+      }, 'main').fail(function(err) {
+        err.message.should.equal('sim. failure');
+        events[0].event.module.should.equal('main');
+        events[1].event.module.should.equal('main');
+        events[1].event.success.should.equal(false);
+        callbackFn();
+      }).end();
+    });
+
+    it('rejects if the phase function throws', function(callbackFn) {
+      monitor.trackPhase(BuildMonitor.Phase.GSS, function() {
+        throw new Error('sim. throw');
+      }).fail(function(err) {
+        err.message.should.equal('sim. throw');
+        events[1].event.success.should.equal(false);
+        callbackFn();
+      }).end();
+    });
+  });
+
+  describe('#getTimings()', function() {
+    it('returns timings of finished phases in order', function(callbackFn) {
+      var gssAsync = monitor.trackPhase(BuildMonitor.Phase.GSS, function() {
+        return kew.delay(10 /* ms */, null);
+      });
+      var jsAsync =
+          monitor.trackPhase(BuildMonitor.Phase.JS_COMPILE, function() {
+            return kew.delay(2 /* ms */, null);
+          }, 'main');
+
+      kew.all([gssAsync, jsAsync]).then(function() {
+        var timings = monitor.getTimings();
+        timings.length.should.equal(2);
+        timings[0].phase.should.equal(BuildMonitor.Phase.JS_COMPILE);
+        timings[0].module.should.equal('main');
+        timings[1].phase.should.equal(BuildMonitor.Phase.GSS);
+        timings[1].durationMs.should.not.be.below(timings[0].durationMs);
+        callbackFn();
+      }).end();
+    });
+  });
+
+  describe('#cancel()', function() {
+    it('kills all tracked child processes once', function() {
+      var cancelCount = 0;
+      monitor.on(BuildMonitor.CANCEL, function() { cancelCount++; });
+      var childProcesses = [newFakeChildProcess(), newFakeChildProcess()];
+      childProcesses.forEach(function(childProcess) {
+        monitor.trackChildProcess(childProcess);
+      });
+
+      monitor.isCancelled().should.equal(false);
+      monitor.cancel();
+      monitor.cancel();
+      monitor.isCancelled().should.equal(true);
+      cancelCount.should.equal(1);
+      childProcesses[0].killed.should.equal(true);
+      childProcesses[1].killed.should.equal(true);
+    });
+
+    it('kills child processes tracked after cancelling', function() {
+      monitor.cancel();
+      var childProcess = newFakeChildProcess();
+      monitor.trackChildProcess(childProcess);
+      childProcess.killed.should.equal(true);
+    });
+
+    it('prevents new phases from starting', function(callbackFn) {
+      monitor.cancel();
+      monitor.trackPhase(BuildMonitor.Phase.JS_COMPILE, function() {
+        should.fail('Was not expecting phase to start');
+      }).fail(function(err) {
+        (err instanceof BuildCancelledError).should.equal(true);
+        events.length.should.equal(0);
+        callbackFn();
+      }).end();
+    });
+  });
+
+  describe('#newTargetMonitor()', function() {
+    it('emits target phase events and records their timings',
+        function(callbackFn) {
+      var targetMonitor = monitor.newTargetMonitor('release');
+      targetMonitor.trackPhase(BuildMonitor.Phase.JS_COMPILE, function() {
+        return kew.delay(2 /* ms */, null);
+      }, 'main').then(function() {
+        events.length.should.equal(2);
+        events[0].event.target.should.equal('release');
+        events[1].event.target.should.equal('release');
+        events[1].event.module.should.equal('main');
+
+        var timings = monitor.getTimings();
+        timings.length.should.equal(1);
+        timings[0].target.should.equal('release');
+        targetMonitor.getTimings().length.should.equal(1);
+        callbackFn();
+      }).end();
+    });
+
+    it('keeps recorded outputs separate', function() {
+      var targetMonitor = monitor.newTargetMonitor('debug');
+      targetMonitor.recordOutput({type: BuildMonitor.OutputType.CSS});
+      targetMonitor.getOutputs().length.should.equal(1);
+      monitor.getOutputs().length.should.equal(0);
+    });
+
+    it('keeps tracked output files separate', function() {
+      var targetMonitor = monitor.newTargetMonitor('debug');
+      targetMonitor.trackOutputFile('build/debug/main.js');
+      should.deepEqual(targetMonitor.getTrackedOutputFiles(),
+          ['build/debug/main.js']);
+      should.deepEqual(monitor.getTrackedOutputFiles(), []);
+    });
+
+    it('is cancelled along with the build', function() {
+      var targetMonitor = monitor.newTargetMonitor('debug');
+      var childProcess = newFakeChildProcess();
+      targetMonitor.trackChildProcess(childProcess);
+
+      monitor.cancel();
+      targetMonitor.isCancelled().should.equal(true);
+      childProcess.killed.should.equal(true);
+      monitor.newTargetMonitor('release').isCancelled().should.equal(true);
+    });
+  });
+
+  describe('#removeOutputFilesAsync()', function() {
+    var stubUnlink, unlinkedFiles;
+    beforeEach(function() {
+      unlinkedFiles = [];
+      stubUnlink = sinon.stub(fs, 'unlink', function(filePath, callbackFn) {
+        unlinkedFiles.push(filePath);
+        var err = null;
+        if (filePath == 'missing.js') {
+          err = new Error('ENOENT, unlink missing.js');
+          err.code = 'ENOENT';
+        } else if (filePath == 'locked.js') {
+          err = new Error('EPERM, unlink locked.js');
+          err.code = 'EPERM';
+        }
+        setTimeout(function() { callbackFn(err); }, 2 /* ms */);
+      });
+    });
+    afterEach(function() {
+      stubUnlink.restore();
+    });
+
+    it('removes all tracked output files, if they exist', function(callbackFn) {
+      monitor.trackOutputFile('build/main.js');
+      monitor.trackOutputFile('missing.js');
+      monitor.removeOutputFilesAsync().then(function() {
+        should.deepEqual(unlinkedFiles, ['build/main.js', 'missing.js']);
+        callbackFn();
+      }).end();
+    });
+
+    it('also removes output files of targets', function(callbackFn) {
+      monitor.trackOutputFile('build/main.js');
+      monitor.newTargetMonitor('release').trackOutputFile('missing.js');
+      monitor.removeOutputFilesAsync().then(function() {
+        should.deepEqual(unlinkedFiles, ['build/main.js', 'missing.js']);
+        callbackFn();
+      }).end();
+    });
+
+    it('fails if a file can\'t be removed', function(callbackFn) {
+      monitor.trackOutputFile('locked.js');
+      monitor.removeOutputFilesAsync().fail(function(err) {
+        err.code.should.equal('EPERM');
+        callbackFn();
+      }).end();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var buildProfiles = require('../lib/build-profiles.js');
+
+var common = require('../lib/common.js');
+var should = require('should');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+function newProjectOptions() {
+  return {
+    buildProfiles: {
+      'release-pretty': {
+        basedOn: common.RELEASE,
+        jsFormatting: ['PRETTY_PRINT'],
+        gssRenaming: 'DEBUG'
+      },
+      'profiling': {
+        basedOn: 'release-pretty',
+        jsDefines: {'goog.DEBUG': true, 'project.PROFILE': 'all'},
+        outputSubdir: 'prof'
+      },
+      'whitespace': {jsCompilationLevel: 'WHITESPACE_ONLY'}
+    }
+  };
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('buildProfiles', function() {
+  describe('#resolveProfile()', function() {
+    it('resolves built-in profiles', function() {
+      should.deepEqual(buildProfiles.resolveProfile({}, common.DEBUG), {
+        name: common.DEBUG,
+        jsCompilationLevel: 'SIMPLE_OPTIMIZATIONS',
+        jsFormatting: ['PRETTY_PRINT'],
+        jsDefines: {},
+        gssRenaming: 'DEBUG',
+        gssPrettyPrint: true,
+        outputSubdir: common.DEBUG
+      });
+      should.deepEqual(buildProfiles.resolveProfile({}, common.RELEASE), {
+        name: common.RELEASE,
+        jsCompilationLevel: 'ADVANCED_OPTIMIZATIONS',
+        jsFormatting: [],
+        jsDefines: {'goog.DEBUG': false},
+        gssRenaming: 'CLOSURE',
+        gssPrettyPrint: false,
+        outputSubdir: common.RELEASE
+      });
+    });
+
+    it('fills in unspecified settings from the basedOn profile', function() {
+      should.deepEqual(
+          buildProfiles.resolveProfile(newProjectOptions(), 'release-pretty'), {
+            name: 'release-pretty',
+            jsCompilationLevel: 'ADVANCED_OPTIMIZATIONS',
+            jsFormatting: ['PRETTY_PRINT'],
+            jsDefines: {'goog.DEBUG': false},
+            gssRenaming: 'DEBUG',
+            gssPrettyPrint: false,
+            outputSubdir: 'release-pretty'
+          });
+    });
+
+    it('merges jsDefines through a chain of profiles', function() {
+      should.deepEqual(
+          buildProfiles.resolveProfile(newProjectOptions(), 'profiling'), {
+            name: 'profiling',
+            jsCompilationLevel: 'ADVANCED_OPTIMIZATIONS',
+            jsFormatting: ['PRETTY_PRINT'],
+            jsDefines: {'goog.DEBUG': true, 'project.PROFILE': 'all'},
+            gssRenaming: 'DEBUG',
+            gssPrettyPrint: false,
+            outputSubdir: 'prof'
+          });
+
+      // Built-in profiles must not have been changed by merging.
+      var releaseProfile = buildProfiles.BUILT_IN_PROFILES[common.RELEASE];
+      should.deepEqual(releaseProfile.jsDefines, {'goog.DEBUG': false});
+    });
+
+    it('bases profiles on the debug profile by default', function() {
+      var profile =
+          buildProfiles.resolveProfile(newProjectOptions(), 'whitespace');
+      profile.jsCompilationLevel.should.equal('WHITESPACE_ONLY');
+      should.deepEqual(profile.jsFormatting, ['PRETTY_PRINT']);
+      profile.gssRenaming.should.equal('DEBUG');
+    });
+
+    it('throws for unknown profiles', function() {
+      (function() { buildProfiles.resolveProfile({}, 'profile'); })
+          .should.throw(/Invalid build type: <profile>/);
+      (function() {
+        buildProfiles.resolveProfile(newProjectOptions(), 'profile');
+      }).should.throw(/one of projectOptions.buildProfiles: release-pretty, /);
+    });
+
+    it('throws for unknown basedOn profiles', function() {
+      var projectOptions = {buildProfiles: {a: {basedOn: 'b'}}};
+      (function() { buildProfiles.resolveProfile(projectOptions, 'a'); })
+          .should.throw(/Unknown build profile <b> is the basedOn profile of/);
+    });
+
+    it('throws if profiles are based on each other in a cycle', function() {
+      var projectOptions = {
+        buildProfiles: {a: {basedOn: 'b'}, b: {basedOn: 'a'}}
+      };
+      (function() { buildProfiles.resolveProfile(projectOptions, 'a'); })
+          .should.throw(/in a cycle: a -> b -> a/);
+    });
+  });
+
+  describe('#assertValidCustomProfiles()', function() {
+    it('does not throw for valid profiles', function() {
+      buildProfiles.assertValidCustomProfiles(newProjectOptions());
+      buildProfiles.assertValidCustomProfiles({});
+    });
+
+    it('throws if a built-in profile is redefined', function() {
+      (function() {
+        buildProfiles.assertValidCustomProfiles(
+            {buildProfiles: {release: {gssPrettyPrint: true}}});
+      }).should.throw(/Build profile <release> is built in/);
+    });
+
+    it('throws for unused profiles that can\'t be resolved', function() {
+      (function() {
+        buildProfiles.assertValidCustomProfiles(
+            {buildProfiles: {unused: {basedOn: 'missing'}}});
+      }).should.throw(/Unknown build profile <missing>/);
+    });
+  });
+});
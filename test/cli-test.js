@@ -0,0 +1,567 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var cli = require('../lib/cli.js');
+
+var closureProBuild = require('../lib/closure-pro-build.js');
+var common = require('../lib/common.js');
+var fs = require('fs');
+var path = require('path');
+var should = require('should');
+var shouldContain = require('./test-util.js').shouldContain;
+var sinon = require('sinon');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+var PROJECT_OPTIONS = {jsModules: {main: {closureRootNamespaces: ['a.main']}}};
+
+var FAKE_FILES = {
+  'closure-project.json': JSON.stringify({
+    projectOptions: PROJECT_OPTIONS,
+    buildOptions: {type: common.RELEASE, outputDir: 'out/'}
+  }),
+  'other.json': JSON.stringify({projectOptions: PROJECT_OPTIONS}),
+  'base.json': JSON.stringify({
+    projectOptions: {jsExterns: ['externs.js'], jsModules: {}}
+  }),
+  'app/closure-project.json': JSON.stringify({
+    projectOptions: {
+      'extends': '../base.json',
+      jsModules: PROJECT_OPTIONS.jsModules
+    }
+  }),
+  'defines.json': JSON.stringify({
+    projectOptions: PROJECT_OPTIONS,
+    buildOptions: {jsDefines: {'myapp.API_BASE': '/api/', 'myapp.LOG': true}}
+  }),
+  'bad.json': '{projectOptions: ',
+  'no-project.json': JSON.stringify({buildOptions: {}})
+};
+
+
+//==============================================================================
+// Stubbed Functions
+//==============================================================================
+
+function fakeExistsSync(filePath) {
+  return !!FAKE_FILES[filePath];
+}
+
+
+function fakeReadFileSync(filePath, options) {
+  should.deepEqual(options, {encoding: 'utf8'});
+  filePath = path.relative(process.cwd(), filePath).replace(/\\/g, '/');
+  if (!FAKE_FILES[filePath]) {
+    throw new Error('ENOENT, no such file ' + filePath);
+  }
+  return FAKE_FILES[filePath];
+}
+
+
+// Captures build(), clean(), plan(), and watch() calls, and simulates their
+// results.
+var buildCalls, cleanCalls, planCalls, watchCalls, buildError;
+function fakeBuild(projectOptions, buildOptions, callbackFn) {
+  buildCalls.push({projectOptions: projectOptions, buildOptions: buildOptions});
+  setTimeout(function() {
+    if (buildError) {
+      callbackFn(buildError);
+      return;
+    }
+    var entry = {name: 'main', path: 'out/main.js', size: 2100,
+        compressedSizes: {gzip: 700}};
+    callbackFn(null, {
+      manifest: {type: buildOptions.type, jsModules: [entry], cssModule: null},
+      diagnostics: []
+    });
+  }, 2 /* ms */);
+}
+
+
+function fakeClean(projectOptions, buildOptions, callbackFn) {
+  cleanCalls.push({projectOptions: projectOptions, buildOptions: buildOptions});
+  setTimeout(function() {
+    callbackFn(buildError, {tmp: 'tmp/a/', gen: 'gen/a/', build: 'out/a/'});
+  }, 2 /* ms */);
+}
+
+
+function fakePlan(projectOptions, buildOptions, callbackFn) {
+  planCalls.push({projectOptions: projectOptions, buildOptions: buildOptions});
+  setTimeout(function() {
+    callbackFn(buildError, {
+      type: buildOptions.type,
+      jsModules: [{
+        name: 'virtual_base_module',
+        alwaysLoadedAfterModules: [],
+        dontCompileInputFiles: [],
+        compiledInputFiles: ['closure/goog/base.js', 'src/shared.js']
+      }, {
+        name: 'main',
+        alwaysLoadedAfterModules: ['virtual_base_module'],
+        dontCompileInputFiles: ['3p/jquery.js'],
+        compiledInputFiles: ['src/main.js']
+      }]
+    });
+  }, 2 /* ms */);
+}
+
+
+function fakeWatch(projectOptions, buildOptions, listenerFn) {
+  if (buildError) {
+    throw buildError;  // Like invalid options, which are thrown synchronously.
+  }
+  watchCalls.push({
+    projectOptions: projectOptions,
+    buildOptions: buildOptions,
+    listenerFn: listenerFn
+  });
+  return {close: function() {}};
+}
+
+
+// Captured console output.
+var loggedLines, errorLines;
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('cli', function() {
+  var stubExistsSync, stubReadFileSync, stubBuild, stubClean, stubPlan;
+  var stubWatch;
+  var realLog, realError;
+  before(function() {
+    stubExistsSync = sinon.stub(fs, 'existsSync', fakeExistsSync);
+    stubReadFileSync = sinon.stub(fs, 'readFileSync', fakeReadFileSync);
+    stubBuild = sinon.stub(closureProBuild, 'build', fakeBuild);
+    stubClean = sinon.stub(closureProBuild, 'clean', fakeClean);
+    stubPlan = sinon.stub(closureProBuild, 'plan', fakePlan);
+    stubWatch = sinon.stub(closureProBuild, 'watch', fakeWatch);
+
+    realLog = cli.testable.log;
+    realError = cli.testable.error;
+    cli.testable.log = function(line) { loggedLines.push(line); };
+    cli.testable.error = function(line) { errorLines.push(line); };
+  });
+  after(function() {
+    stubExistsSync.restore();
+    stubReadFileSync.restore();
+    stubBuild.restore();
+    stubClean.restore();
+    stubPlan.restore();
+    stubWatch.restore();
+
+    cli.testable.log = realLog;
+    cli.testable.error = realError;
+  });
+
+  beforeEach(function() {
+    // Reset state before each test case.
+    buildCalls = [];
+    cleanCalls = [];
+    planCalls = [];
+    watchCalls = [];
+    buildError = null;
+    loggedLines = [];
+    errorLines = [];
+  });
+
+  describe('#parseArgs()', function() {
+    it('parses no args', function() {
+      should.deepEqual(cli.parseArgs([]), {
+        configFile: null,
+        clean: false,
+        dryRun: false,
+        printOptions: false,
+        printSchema: false,
+        watch: false,
+        help: false,
+        buildOptions: {},
+        setOptions: {},
+        defines: {}
+      });
+    });
+
+    it('maps flags onto build options', function() {
+      var parsedArgs = cli.parseArgs(['--type', 'release',
+          '--output-dir=out/', '--python2-command', 'python2.7',
+          '--suppress-output']);
+      should.deepEqual(parsedArgs.buildOptions, {
+        type: 'release',
+        outputDir: 'out/',
+        python2Command: 'python2.7',
+        suppressOutput: true
+      });
+    });
+
+    it('parses explicit boolean flag values', function() {
+      cli.parseArgs(['--suppress-output=false']).buildOptions.suppressOutput
+          .should.equal(false);
+      cli.parseArgs(['--watch=true']).watch.should.equal(true);
+    });
+
+    it('parses --config, --watch, and --help', function() {
+      var parsedArgs = cli.parseArgs(['-c', 'my.json', '--watch', '--help']);
+      parsedArgs.configFile.should.equal('my.json');
+      parsedArgs.watch.should.equal(true);
+      parsedArgs.help.should.equal(true);
+    });
+
+    it('parses --clean, --dry-run, and --print-options, but only one command',
+        function() {
+      cli.parseArgs(['--clean']).clean.should.equal(true);
+      cli.parseArgs(['--dry-run']).dryRun.should.equal(true);
+      cli.parseArgs(['--print-options']).printOptions.should.equal(true);
+
+      var onlyOneError =
+          /Only one of --clean, --dry-run, --print-options, and --watch/;
+      (function() { cli.parseArgs(['--clean', '--watch']); })
+          .should.throw(onlyOneError);
+      (function() { cli.parseArgs(['--print-options', '--clean']); })
+          .should.throw(onlyOneError);
+      (function() { cli.parseArgs(['--dry-run', '--watch']); })
+          .should.throw(onlyOneError);
+    });
+
+    it('parses --set name=value into build options', function() {
+      var parsedArgs = cli.parseArgs(['--set', 'outputDir=out/=1',
+          '--set=suppressOutput=true', '--java-command=java7']);
+      should.deepEqual(parsedArgs.buildOptions,
+          {outputDir: 'out/=1', suppressOutput: true, javaCommand: 'java7'});
+      should.deepEqual(parsedArgs.setOptions,
+          {outputDir: 'out/=1', suppressOutput: true});
+    });
+
+    it('throws for invalid --set args', function() {
+      (function() { cli.parseArgs(['--set', 'outputDir']); })
+          .should.throw(/Expected name=value for --set, got <outputDir>/);
+      (function() { cli.parseArgs(['--set', 'ouputDir=out/']); })
+          .should.throw(new RegExp('Unrecognized option <ouputDir> within ' +
+              'buildOptions, did you mean <outputDir>\\?'));
+    });
+
+    it('parses --define name=value into typed JS defines', function() {
+      var parsedArgs = cli.parseArgs(['--define', 'goog.LOCALE=de',
+          '--define=myapp.RETRIES=3', '--define', 'myapp.LOG=false',
+          '--define', 'myapp.VERSION=1.2.3', '--define', 'myapp.EMPTY=']);
+      should.deepEqual(parsedArgs.defines, {
+        'goog.LOCALE': 'de',
+        'myapp.RETRIES': 3,
+        'myapp.LOG': false,
+        'myapp.VERSION': '1.2.3',
+        'myapp.EMPTY': ''
+      });
+      should.deepEqual(parsedArgs.buildOptions, {});
+
+      (function() { cli.parseArgs(['--define', 'goog.DEBUG']); })
+          .should.throw(/Expected name=value for --define, got <goog.DEBUG>/);
+    });
+
+    it('throws for unrecognized args', function() {
+      (function() { cli.parseArgs(['--ruby-command=ruby']); })
+          .should.throw(/Unrecognized argument <--ruby-command=ruby>/);
+    });
+
+    it('throws when a flag value is missing', function() {
+      (function() { cli.parseArgs(['--output-dir', '--watch']); })
+          .should.throw(/Missing value for --output-dir/);
+      (function() { cli.parseArgs(['--type']); })
+          .should.throw(/Missing value for --type/);
+    });
+  });
+
+  describe('#run()', function() {
+    it('builds using the default config file', function(callbackFn) {
+      cli.run([], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        buildCalls.length.should.equal(1);
+        should.deepEqual(buildCalls[0].projectOptions, PROJECT_OPTIONS);
+        should.deepEqual(buildCalls[0].buildOptions,
+            {type: common.RELEASE, outputDir: 'out/'});
+        shouldContain(loggedLines[0], 'Finished release build');
+        callbackFn();
+      });
+    });
+
+    it('lets flags override config file build options', function(callbackFn) {
+      cli.run(['--type=debug', '--java-command', 'java7'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        should.deepEqual(buildCalls[0].buildOptions,
+            {type: common.DEBUG, outputDir: 'out/', javaCommand: 'java7'});
+        callbackFn();
+      });
+    });
+
+    it('defaults to a debug build', function(callbackFn) {
+      cli.run(['--config', 'other.json'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        should.deepEqual(buildCalls[0].buildOptions, {type: common.DEBUG});
+        callbackFn();
+      });
+    });
+
+    it('merges --define flags into config file JS defines',
+        function(callbackFn) {
+      cli.run(['--config', 'defines.json', '--define', 'myapp.API_BASE=/v2/',
+          '--define', 'goog.LOCALE=de'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        should.deepEqual(buildCalls[0].buildOptions.jsDefines, {
+          'myapp.API_BASE': '/v2/',
+          'myapp.LOG': true,
+          'goog.LOCALE': 'de'
+        });
+        loggedLines[0].should.equal('closure-pro-build: Overriding build ' +
+            'options: jsDefines[\'myapp.API_BASE\']=/v2/ (from --define), ' +
+            'jsDefines[\'goog.LOCALE\']=de (from --define)');
+        callbackFn();
+      });
+    });
+
+    describe('with environment variables', function() {
+      afterEach(function() {
+        delete process.env.CLOSURE_PRO_BUILD_JAVA_COMMAND;
+        delete process.env.CLOSURE_PRO_BUILD_OUTPUT_DIR;
+        delete process.env.CLOSURE_PRO_BUILD_JAVA_COMAND;
+      });
+
+      it('overrides the config file, and is overridden by the command line',
+          function(callbackFn) {
+        process.env.CLOSURE_PRO_BUILD_JAVA_COMMAND = 'java8';
+        process.env.CLOSURE_PRO_BUILD_OUTPUT_DIR = 'env-out/';
+        cli.run(['--set', 'outputDir=set-out/'], function(exitCode) {
+          exitCode.should.equal(common.EXIT_SUCCESS);
+          should.deepEqual(buildCalls[0].buildOptions, {
+            type: common.RELEASE,
+            outputDir: 'set-out/',
+            javaCommand: 'java8'
+          });
+          loggedLines[0].should.equal('closure-pro-build: Overriding build ' +
+              'options: javaCommand=java8 (from ' +
+              'CLOSURE_PRO_BUILD_JAVA_COMMAND), outputDir=set-out/ (from ' +
+              '--set)');
+          callbackFn();
+        });
+      });
+
+      it('warns about and ignores unrecognized variables',
+          function(callbackFn) {
+        process.env.CLOSURE_PRO_BUILD_JAVA_COMAND = 'java8';
+        process.env.CLOSURE_PRO_BUILD_OUTPUT_DIR = 'env-out/';
+        cli.run([], function(exitCode) {
+          exitCode.should.equal(common.EXIT_SUCCESS);
+          should.deepEqual(buildCalls[0].buildOptions, {
+            type: common.RELEASE,
+            outputDir: 'env-out/'
+          });
+          should.deepEqual(errorLines, ['closure-pro-build: Ignoring ' +
+              'unrecognized environment variable ' +
+              '<CLOSURE_PRO_BUILD_JAVA_COMAND>, see --help']);
+          callbackFn();
+        });
+      });
+    });
+
+    it('does not log on success if output is suppressed', function(callbackFn) {
+      cli.run(['--suppress-output'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        loggedLines.length.should.equal(0);
+        callbackFn();
+      });
+    });
+
+    it('logs output sizes if outputs are precompressed', function(callbackFn) {
+      cli.run(['--set', 'precompressOutputs=true'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        loggedLines.length.should.equal(3);
+        shouldContain(loggedLines[1],
+            'closure-pro-build: Output sizes (release):\n');
+        shouldContain(loggedLines[1], '\nmain.js  2.1 KB');
+        shouldContain(loggedLines[2], 'closure-pro-build: Finished');
+        callbackFn();
+      });
+    });
+
+    it('does not log output sizes if output is suppressed',
+        function(callbackFn) {
+      cli.run(['--set', 'precompressOutputs=true', '--suppress-output'],
+          function(exitCode) {
+            exitCode.should.equal(common.EXIT_SUCCESS);
+            loggedLines.length.should.equal(0);
+            callbackFn();
+          });
+    });
+
+    it('exits with failure and the error message if the build fails',
+        function(callbackFn) {
+      buildError = new Error('Had errors compiling JavaScript');
+      cli.run([], function(exitCode) {
+        exitCode.should.equal(common.EXIT_FAILURE);
+        should.deepEqual(errorLines,
+            ['closure-pro-build: Had errors compiling JavaScript']);
+        callbackFn();
+      });
+    });
+
+    it('exits with failure for invalid args', function(callbackFn) {
+      cli.run(['--bogus'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_FAILURE);
+        buildCalls.length.should.equal(0);
+        shouldContain(errorLines[0], 'Unrecognized argument <--bogus>');
+        callbackFn();
+      });
+    });
+
+    it('exits with failure if the config file is missing',
+        function(callbackFn) {
+      cli.run(['-c', 'missing.json'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_FAILURE);
+        shouldContain(errorLines[0], 'Could not load config file');
+        callbackFn();
+      });
+    });
+
+    it('prints the JSON Schema of config files for --print-schema',
+        function(callbackFn) {
+      cli.run(['--print-schema', '-c', 'missing.json'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        buildCalls.length.should.equal(0);
+        should.deepEqual(JSON.parse(loggedLines[0]),
+            closureProBuild.getJsonSchema());
+        callbackFn();
+      });
+    });
+
+    it('prints usage for --help', function(callbackFn) {
+      cli.run(['--help'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        buildCalls.length.should.equal(0);
+        shouldContain(loggedLines[0], '--output-dir <value>');
+        shouldContain(loggedLines[0], '--suppress-output\n');
+        callbackFn();
+      });
+    });
+
+    it('removes output directories instead of building for --clean',
+        function(callbackFn) {
+      cli.run(['--clean', '--type=debug'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        buildCalls.length.should.equal(0);
+        cleanCalls.length.should.equal(1);
+        should.deepEqual(cleanCalls[0].buildOptions,
+            {type: common.DEBUG, outputDir: 'out/'});
+        should.deepEqual(loggedLines,
+            ['closure-pro-build: Removed tmp/a/, gen/a/, out/a/']);
+        callbackFn();
+      });
+    });
+
+    it('prints the input files of each JS module for --dry-run',
+        function(callbackFn) {
+      cli.run(['--dry-run', '--suppress-output'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_SUCCESS);
+        buildCalls.length.should.equal(0);
+        planCalls.length.should.equal(1);
+        planCalls[0].buildOptions.type.should.equal(common.RELEASE);
+        should.deepEqual(loggedLines[0].split('\n'), [
+          'virtual_base_module (loaded after: none)',
+          '  Uncompiled input files: none',
+          '  Compiled input files:',
+          '    closure/goog/base.js',
+          '    src/shared.js',
+          'main (loaded after: virtual_base_module)',
+          '  Uncompiled input files:',
+          '    3p/jquery.js',
+          '  Compiled input files:',
+          '    src/main.js'
+        ]);
+        callbackFn();
+      });
+    });
+
+    it('exits with failure if planning fails for --dry-run',
+        function(callbackFn) {
+      buildError = new Error('Calculating closure dependencies for module ' +
+          'main failed.');
+      cli.run(['--dry-run'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_FAILURE);
+        should.deepEqual(errorLines, ['closure-pro-build: Calculating ' +
+            'closure dependencies for module main failed.']);
+        callbackFn();
+      });
+    });
+
+    it('prints resolved options for --print-options', function(callbackFn) {
+      cli.run(['--print-options', '-c', 'app/closure-project.json'],
+          function(exitCode) {
+            exitCode.should.equal(common.EXIT_SUCCESS);
+            buildCalls.length.should.equal(0);
+            var resolvedOptions = JSON.parse(loggedLines[0]);
+            should.deepEqual(resolvedOptions.projectOptions.jsExterns,
+                ['externs.js']);
+            should.deepEqual(
+                resolvedOptions.projectOptions.jsModules.main
+                    .closureRootNamespaces,
+                ['a.main']);
+            resolvedOptions.buildOptions.outputDir.should.equal('build/');
+            resolvedOptions.buildProfile.name.should.equal(common.DEBUG);
+            callbackFn();
+          });
+    });
+
+    it('exits with failure for --print-options of invalid options',
+        function(callbackFn) {
+      cli.run(['--print-options', '--type=profile'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_FAILURE);
+        shouldContain(errorLines[0], 'Invalid build type: <profile>');
+        callbackFn();
+      });
+    });
+
+    it('watches and reports build events for --watch', function() {
+      cli.run(['--watch'], function(exitCode) {
+        should.fail('Should not exit while watching');
+      });
+
+      watchCalls.length.should.equal(1);
+      var listenerFn = watchCalls[0].listenerFn;
+      listenerFn({type: 'build-start', phases: ['css', 'js']});
+      listenerFn({type: 'build-success', phases: ['css'], elapsedMs: 1500});
+      listenerFn({type: 'build-failure', phases: ['js'],
+          error: new Error('Had errors compiling JavaScript')});
+
+      should.deepEqual(loggedLines, [
+        'closure-pro-build: Building css, js...',
+        'closure-pro-build: Built css in 1.5s, watching for changes'
+      ]);
+      should.deepEqual(errorLines,
+          ['closure-pro-build: Had errors compiling JavaScript']);
+    });
+
+    it('exits with failure if watching can\'t start', function(callbackFn) {
+      buildError = new Error('Invalid build type: <bogus>');
+      cli.run(['--watch'], function(exitCode) {
+        exitCode.should.equal(common.EXIT_FAILURE);
+        watchCalls.length.should.equal(0);
+        should.deepEqual(errorLines,
+            ['closure-pro-build: Invalid build type: <bogus>']);
+        callbackFn();
+      });
+    });
+  });
+});
@@ -0,0 +1,184 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var compressor = require('../lib/compressor.js');
+
+var BuildMonitor = require('../lib/build-monitor.js').BuildMonitor;
+var common = require('../lib/common.js');
+var fs = require('fs');
+var should = require('should');
+var shouldContain = require('./test-util.js').shouldContain;
+var sinon = require('sinon');
+var underscore = require('underscore');
+var zlib = require('zlib');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+var FAKE_FILE_CONTENTS = {
+  'build/release/main.js':
+      new Buffer(new Array(101).join('console.log("main");\n'), 'utf8'),
+  'build/release/style.css': new Buffer('.a{color:red}', 'utf8')
+};
+
+
+function newManifest() {
+  return {
+    type: common.RELEASE,
+    jsModules: [{
+      name: 'main',
+      path: 'build/release/main.js',
+      size: 2100,
+      hash: 'd927f4f5c9b4cab4c9ddb0b079850712f544232d',
+      alwaysLoadedAfterModules: [],
+      inputFiles: ['main.js']
+    }],
+    cssModule: {
+      name: 'style',
+      path: 'build/release/style.css',
+      size: 13,
+      hash: 'b4fd9e9e6a6a3dc2b719685c76eb8372389c7419',
+      inputFiles: ['style.gss']
+    }
+  };
+}
+
+
+//==============================================================================
+// Stubbed Functions
+//==============================================================================
+
+function fakeReadFile(filePath, callbackFn) {
+  setTimeout(function() {
+    if (FAKE_FILE_CONTENTS[filePath]) {
+      callbackFn(null, FAKE_FILE_CONTENTS[filePath]);
+    } else {
+      callbackFn(new Error('ENOENT, no such file ' + filePath));
+    }
+  }, 2 /* ms */);
+}
+
+
+var writtenFiles;
+function fakeWriteFile(filePath, content, callbackFn) {
+  writtenFiles[filePath] = content;
+  setTimeout(function() { callbackFn(null); }, 2 /* ms */);
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('compressor', function() {
+  var stubReadFile, stubWriteFile;
+  before(function() {
+    stubReadFile = sinon.stub(fs, 'readFile', fakeReadFile);
+    stubWriteFile = sinon.stub(fs, 'writeFile', fakeWriteFile);
+  });
+  after(function() {
+    stubReadFile.restore();
+    stubWriteFile.restore();
+  });
+
+  var monitor;
+  beforeEach(function() {
+    // Reset state before each test case.
+    writtenFiles = {};
+    monitor = new BuildMonitor();
+  });
+
+  describe('#compressOutputsAsync()', function() {
+    var extensions = underscore.pluck(compressor.COMPRESSIONS, 'extension');
+
+    it('writes a compressed copy of each output file', function(callbackFn) {
+      compressor.compressOutputsAsync(newManifest(), monitor)
+          .then(function() {
+            var expectedFiles = [];
+            ['build/release/main.js', 'build/release/style.css']
+                .forEach(function(filePath) {
+                  extensions.forEach(function(extension) {
+                    expectedFiles.push(filePath + extension);
+                  });
+                });
+            Object.keys(writtenFiles).sort()
+                .should.eql(underscore.clone(expectedFiles).sort());
+            monitor.getTrackedOutputFiles().sort()
+                .should.eql(underscore.clone(expectedFiles).sort());
+
+            zlib.gunzip(writtenFiles['build/release/main.js.gz'],
+                function(err, content) {
+                  should.not.exist(err);
+                  content.toString('utf8').should.equal(
+                      FAKE_FILE_CONTENTS['build/release/main.js']
+                          .toString('utf8'));
+                  callbackFn(null);
+                });
+          }).end();
+    });
+
+    it('gzips with the best compression level', function(callbackFn) {
+      compressor.compressOutputsAsync(newManifest(), monitor)
+          .then(function() {
+            zlib.gzip(FAKE_FILE_CONTENTS['build/release/main.js'],
+                {level: zlib.Z_BEST_COMPRESSION}, function(err, expected) {
+                  should.not.exist(err);
+                  writtenFiles['build/release/main.js.gz'].toString('hex')
+                      .should.equal(expected.toString('hex'));
+                  callbackFn(null);
+                });
+          }).end();
+    });
+
+    it('records compressed sizes', function(callbackFn) {
+      compressor.compressOutputsAsync(newManifest(), monitor)
+          .then(function(result) {
+            var entry = result.jsModules[0];
+            entry.compressedSizes.gzip.should.equal(
+                writtenFiles['build/release/main.js.gz'].length);
+            entry.compressedSizes.gzip.should.be.below(entry.size);
+            should.exist(result.cssModule.compressedSizes.gzip);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('fails if an output file can\'t be read', function(callbackFn) {
+      var manifest = newManifest();
+      manifest.cssModule.path = 'build/release/missing.css';
+      compressor.compressOutputsAsync(manifest, monitor)
+          .then(function() {
+            should.fail('Was expecting compressOutputsAsync() to fail');
+          }).fail(function(err) {
+            shouldContain(err.message, 'missing.css');
+            callbackFn(null);
+          }).end();
+    });
+  });
+
+  describe('#formatSizeTable()', function() {
+    it('lists the raw and compressed size of each file', function(callbackFn) {
+      compressor.compressOutputsAsync(newManifest(), monitor)
+          .then(function(result) {
+            var table = compressor.formatSizeTable(result);
+            shouldContain(table, 'Output sizes (release):\n');
+            shouldContain(table, '\nFile          Raw  gzip');
+            shouldContain(table, '\nmain.js    2.1 KB');
+            shouldContain(table, '\nstyle.css    13 B');
+            callbackFn(null);
+          }).end();
+    });
+  });
+});
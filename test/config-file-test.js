@@ -0,0 +1,202 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var configFile = require('../lib/config-file.js');
+
+var common = require('../lib/common.js');
+var fs = require('fs');
+var path = require('path');
+var should = require('should');
+var sinon = require('sinon');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+var BASE_PROJECT_OPTIONS = {
+  rootSrcDir: 'src/',
+  closureRootDirs: ['src/', 'lib/closure/'],
+  jsExterns: ['externs/jquery.js'],
+  jsModules: {
+    base: {closureRootNamespaces: ['org.base']}
+  },
+  buildProfiles: {
+    profiling: {basedOn: common.RELEASE, jsDefines: {'org.PROFILE': true}}
+  }
+};
+
+var FAKE_FILES = {
+  'closure-project.json': JSON.stringify({
+    projectOptions: {jsModules: {main: {closureRootNamespaces: ['a.main']}}},
+    buildOptions: {type: common.RELEASE, outputDir: 'out/'}
+  }),
+  'other.json': JSON.stringify({projectOptions: {jsModules: {}}}),
+  'bad.json': '{projectOptions: ',
+  'no-project.json': JSON.stringify({buildOptions: {}}),
+  'shared/base.json': JSON.stringify({projectOptions: BASE_PROJECT_OPTIONS}),
+  'shared/app-base.json': JSON.stringify({
+    projectOptions: {'extends': 'base.json', jsExterns: ['externs/app.js']}
+  }),
+  'shared/cycle-a.json': JSON.stringify(
+      {projectOptions: {'extends': 'cycle-b.json'}}),
+  'shared/cycle-b.json': JSON.stringify(
+      {projectOptions: {'extends': './cycle-a.json'}})
+};
+
+
+//==============================================================================
+// Stubbed Functions
+//==============================================================================
+
+function fakeReadFileSync(filePath, options) {
+  should.deepEqual(options, {encoding: 'utf8'});
+  filePath = path.relative(process.cwd(), filePath).replace(/\\/g, '/');
+  if (!FAKE_FILES[filePath]) {
+    throw new Error('ENOENT, no such file ' + filePath);
+  }
+  return FAKE_FILES[filePath];
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('configFile', function() {
+  var stubReadFileSync;
+  before(function() {
+    stubReadFileSync = sinon.stub(fs, 'readFileSync', fakeReadFileSync);
+  });
+  after(function() {
+    stubReadFileSync.restore();
+  });
+
+  describe('#loadConfigFile()', function() {
+    it('loads projectOptions and buildOptions from JSON', function() {
+      var config = configFile.loadConfigFile('closure-project.json');
+      should.deepEqual(config.projectOptions,
+          {jsModules: {main: {closureRootNamespaces: ['a.main']}}});
+      should.deepEqual(config.buildOptions,
+          {type: common.RELEASE, outputDir: 'out/'});
+    });
+
+    it('defaults to empty buildOptions', function() {
+      should.deepEqual(configFile.loadConfigFile('other.json').buildOptions,
+          {});
+    });
+
+    it('throws for unparseable files', function() {
+      (function() { configFile.loadConfigFile('bad.json'); })
+          .should.throw(/Could not load config file bad.json/);
+    });
+
+    it('throws for missing files', function() {
+      (function() { configFile.loadConfigFile('missing.json'); })
+          .should.throw(/Could not load config file missing.json/);
+    });
+
+    it('throws when projectOptions are missing', function() {
+      (function() { configFile.loadConfigFile('no-project.json'); })
+          .should.throw(/must specify projectOptions/);
+    });
+  });
+
+  describe('#resolveExtends()', function() {
+    it('does nothing if projectOptions do not extend others', function() {
+      var projectOptions = {jsModules: {}};
+      configFile.resolveExtends(projectOptions, '.');
+      should.deepEqual(projectOptions, {jsModules: {}});
+    });
+
+    it('merges project options over an extended Object', function() {
+      var projectOptions = {
+        'extends': BASE_PROJECT_OPTIONS,
+        rootSrcDir: 'app/',
+        closureRootDirs: ['app/', 'src/'],
+        jsModules: {
+          base: {nonClosureNamespacedInputFiles: ['3p/jquery.js']},
+          main: {
+            alwaysLoadedAfterModules: ['base'],
+            closureRootNamespaces: ['app.main']
+          }
+        },
+        buildProfiles: {profiling: {jsDefines: {'app.PROFILE': 'all'}}}
+      };
+      configFile.resolveExtends(projectOptions, '.');
+
+      should.deepEqual(projectOptions, {
+        rootSrcDir: 'app/',
+        closureRootDirs: ['src/', 'lib/closure/', 'app/'],
+        jsExterns: ['externs/jquery.js'],
+        jsModules: {
+          base: {
+            closureRootNamespaces: ['org.base'],
+            nonClosureNamespacedInputFiles: ['3p/jquery.js']
+          },
+          main: {
+            alwaysLoadedAfterModules: ['base'],
+            closureRootNamespaces: ['app.main']
+          }
+        },
+        buildProfiles: {
+          profiling: {
+            basedOn: common.RELEASE,
+            jsDefines: {'org.PROFILE': true, 'app.PROFILE': 'all'}
+          }
+        }
+      });
+
+      // The extended options must not have been changed by merging.
+      should.deepEqual(BASE_PROJECT_OPTIONS.jsModules,
+          {base: {closureRootNamespaces: ['org.base']}});
+      projectOptions.jsExterns.should.not.equal(BASE_PROJECT_OPTIONS.jsExterns);
+    });
+
+    it('loads chains of extended config files relative to each other',
+        function() {
+      var projectOptions = {
+        'extends': 'shared/app-base.json',
+        jsModules: {main: {closureRootNamespaces: ['app.main']}}
+      };
+      configFile.resolveExtends(projectOptions, process.cwd());
+
+      should.deepEqual(projectOptions.jsExterns,
+          ['externs/jquery.js', 'externs/app.js']);
+      should.deepEqual(Object.keys(projectOptions.jsModules), ['base', 'main']);
+      should.not.exist(projectOptions['extends']);
+    });
+
+    it('throws if config files extend each other in a cycle', function() {
+      (function() {
+        configFile.resolveExtends(
+            {'extends': 'shared/cycle-a.json'}, process.cwd());
+      }).should.throw(new RegExp('extend each other in a cycle: ' +
+          'shared.cycle-a.json -> shared.cycle-b.json -> shared.cycle-a.json'));
+    });
+
+    it('throws for extended config files that can\'t be loaded', function() {
+      (function() {
+        configFile.resolveExtends({'extends': 'missing.json'}, process.cwd());
+      }).should.throw(/Could not load config file .*missing.json/);
+    });
+
+    it('throws for invalid extends values', function() {
+      (function() { configFile.resolveExtends({'extends': 42}, '.'); })
+          .should.throw(/<42> is not a string or Object map/);
+      (function() { configFile.resolveExtends({'extends': ['a.json']}, '.'); })
+          .should.throw(/<a.json> is not a string or Object map/);
+    });
+  });
+});
@@ -16,6 +16,7 @@ var cssBuilder = require('../lib/css-builder.js');
 
 var child_process = require('child_process');
 var common = require('../lib/common.js');
+var diagnostics = require('../lib/diagnostics.js');
 var dirManager = require('../lib/dir-manager.js');
 var fileMatcher = require('../lib/file-matcher.js');
 var fs = require('fs');
@@ -109,17 +110,17 @@ var fakeResolveAnyGlobPatternsAsync = testUtil.fakeFileMatcherFor('mysrc/', [
 ]);
 
 
-var expectedArgs, expectedStderrBehavior, compilerExitCode;
+var expectedArgs, compilerStderr, compilerExitCode;
 function fakeSpawn(command, args, options) {
   // Verify arguments.
   command.should.equal('myjava');
   should.deepEqual(args, expectedArgs);
-  should.deepEqual(options,
-      {stdio: ['ignore', 'pipe', expectedStderrBehavior]});
+  should.deepEqual(options, {stdio: ['ignore', 'pipe', 'pipe']});
 
   // Return fake ChildProcess that simulates the GSS compiler output.
   var awaitOutput = kew.defer();
   return {
+    stderr: testUtil.newFakeStderr(compilerStderr),
     stdout: {
       setEncoding: function(encoding) { encoding.should.equal('utf8'); },
       on: function(eventName, callbackFn) {
@@ -142,6 +143,12 @@ function fakeSpawn(command, args, options) {
 }
 
 
+var echoedStderr;
+function fakeWriteStderr(data) {
+  echoedStderr.push(data);
+}
+
+
 var expectedOutFilePath, mockOutFile;
 function fakeCreateWriteStream(outFile, options) {
   outFile.should.equal(expectedOutFilePath);
@@ -173,6 +180,7 @@ function fakeReadFile(filePath, options, callbackFn) {
 
 describe('cssBuilder', function() {
   var stubResolve, stubPathJoin, stubSpawn, stubCreateWriteStream, stubReadFile;
+  var stubWriteStderr;
   before(function() {
     stubResolve = sinon.stub(fileMatcher, 'resolveAnyGlobPatternsAsync',
         fakeResolveAnyGlobPatternsAsync);
@@ -181,6 +189,8 @@ describe('cssBuilder', function() {
     stubCreateWriteStream = sinon.stub(fs, 'createWriteStream',
         fakeCreateWriteStream);
     stubReadFile = sinon.stub(fs, 'readFile', fakeReadFile);
+    stubWriteStderr = sinon.stub(diagnostics.testable, 'writeStderr',
+        fakeWriteStderr);
   });
   after(function() {
     stubResolve.restore();
@@ -188,6 +198,7 @@ describe('cssBuilder', function() {
     stubSpawn.restore();
     stubCreateWriteStream.restore();
     stubReadFile.restore();
+    stubWriteStderr.restore();
   });
 
   describe('#build()', function() {
@@ -196,7 +207,8 @@ describe('cssBuilder', function() {
     beforeEach(function() {
       projectOpts = newProjectOptions();
       buildOpts = newBuildOptions();
-      expectedStderrBehavior = process.stderr;
+      compilerStderr = '';
+      echoedStderr = [];
       compilerExitCode = common.EXIT_SUCCESS;
       readFileFailsFor = {};
       outDirsAsync = kew.defer();
@@ -284,6 +296,40 @@ describe('cssBuilder', function() {
       makeOutDirsReady();
     });
 
+    it('runs afterCss plugin hooks with the CSS output', function(callbackFn) {
+      var hookOutputs = [];
+      projectOpts.plugins = [{
+        name: 'upload',
+        afterCss: function(context) {
+          hookOutputs = context.outputs;
+        }
+      }];
+      expectDebugCompile();
+      expectOutputWrites(OK, OK, OK);
+      runAndExpectSuccess('mytmp/debug/css_renaming_map.js', function() {
+        hookOutputs.length.should.equal(1);
+        hookOutputs[0].path.should.equal('mybuild/debug/mystyle.css');
+        callbackFn();
+      });
+
+      makeOutDirsReady();
+    });
+
+    it('uses the settings of a custom build profile', function(callbackFn) {
+      projectOpts.buildProfiles = {
+        whitespace: {gssRenaming: 'NONE', gssPrettyPrint: false}
+      };
+      buildOpts.type = 'whitespace';
+      expectedArgs = newExpectedArgs(
+          'NONE', 'mytmp/whitespace/css_renaming_map.js', false /* pretty? */);
+      expectedOutFilePath = 'mybuild/whitespace/mystyle.css';
+
+      expectOutputWrites(OK, OK, OK);
+      runAndExpectSuccess('mytmp/whitespace/css_renaming_map.js', callbackFn);
+
+      makeOutDirsReady();
+    });
+
     it('compiles a dontCompileInputFiles-only project successfully',
         function(callbackFn) {
       projectOpts.cssModule.closureInputFiles = [];
@@ -309,11 +355,15 @@ describe('cssBuilder', function() {
     it('suppresses compiler standard error output if requested',
         function(callbackFn) {
       buildOpts.suppressOutput = true;
-      expectedStderrBehavior = 'ignore';
+      compilerStderr = 'WARNING: Unknown property in style.gss at line 2 ' +
+          'column 3:\n';
 
       expectReleaseCompile();
       expectOutputWrites(OK, OK, OK);
-      runAndExpectSuccess('mytmp/release/css_renaming_map.js', callbackFn);
+      runAndExpectSuccess('mytmp/release/css_renaming_map.js', function() {
+        echoedStderr.length.should.equal(0);
+        callbackFn();
+      });
 
       makeOutDirsReady();
     });
@@ -327,6 +377,36 @@ describe('cssBuilder', function() {
       makeOutDirsReady();
     });
 
+    it('rejects with diagnostics parsed from compiler errors',
+        function(callbackFn) {
+      compilerExitCode = common.EXIT_FAILURE;
+      compilerStderr = [
+        'Compiler parsing error: Parse error in style.gss at line 3 column 7:',
+        '.foo { color red; }',
+        '      ^',
+        ''
+      ].join('\n');
+
+      expectDebugCompile();
+      cssBuilder.build(projectOpts, buildOpts, outDirsAsync).awaitCompletion()
+          .fail(function(err) {
+            (err instanceof diagnostics.CompileError).should.equal(true);
+            should.deepEqual(err.diagnostics, [{
+              tool: diagnostics.Tool.GSS_COMPILER,
+              severity: diagnostics.Severity.ERROR,
+              file: 'style.gss',
+              line: 3,
+              column: 7,
+              code: null,
+              message: 'Compiler parsing error: Parse error'
+            }]);
+            should.deepEqual(echoedStderr, [compilerStderr]);
+            callbackFn();
+          }).end();
+
+      makeOutDirsReady();
+    });
+
     it('fails if an uncompiled input file read fails', function(callbackFn) {
       readFileFailsFor['3p/style/b.css'] = true;
 
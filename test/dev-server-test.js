@@ -0,0 +1,330 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var DevServer = require('../lib/dev-server.js').DevServer;
+
+var common = require('../lib/common.js');
+var diagnostics = require('../lib/diagnostics.js');
+var events = require('events');
+var fs = require('fs');
+var kew = require('kew');
+var should = require('should');
+var shouldContain = require('./test-util.js').shouldContain;
+var sinon = require('sinon');
+var util = require('util');
+var watcher = require('../lib/watcher.js');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+function newProjectOptions() {
+  return {
+    jsModules: {main: {}},
+    cssModule: {name: 'style'}
+  };
+}
+
+
+var MANIFEST = {
+  type: common.DEBUG,
+  jsModules: [{name: 'main', path: 'build/debug/main.js'}],
+  cssModule: {name: 'style', path: 'build/debug/style.css'}
+};
+
+
+//==============================================================================
+// Stubbed Functions
+//==============================================================================
+
+// Simulated output file contents.
+var outputContents;
+
+function fakeReadFile(filePath, callbackFn) {
+  setTimeout(function() {
+    callbackFn(null, new Buffer(outputContents[filePath], 'utf8'));
+  }, 2 /* ms */);
+}
+
+
+// Records each input watcher, and counts its scans of the input files.
+var inputWatchers, numInputScans;
+
+/**
+ * @constructor
+ * @extends {events.EventEmitter}
+ */
+function FakeInputWatcher(projectOptions, buildOptions) {
+  events.EventEmitter.call(this);
+  inputWatchers.push(this);
+}
+util.inherits(FakeInputWatcher, events.EventEmitter);
+
+FakeInputWatcher.prototype.updateWatchedFilesAsync = function() {
+  numInputScans++;
+  return kew.delay(2 /* ms */, null);
+};
+
+
+/**
+ * Simulates a change to an input file, as reported by the input watcher.
+ * @param {string} filePath
+ */
+function changeInputFile(filePath) {
+  inputWatchers.forEach(function(inputWatcher) {
+    inputWatcher.emit(watcher.INPUT_CHANGE, filePath, watcher.Phase.JS);
+  });
+}
+
+
+// Counts builds, and simulates their results.
+var buildCount, buildError;
+function fakeBuild(projectOptions, buildOptions) {
+  buildCount++;
+  return kew.delay(5 /* ms */, null).then(function() {
+    if (buildError) {
+      throw buildError;
+    }
+    return {manifest: MANIFEST};
+  });
+}
+
+
+/**
+ * @param {string} requestUrl
+ * @param {string=} opt_method
+ * @return {!Promise.<!{statusCode: number, headers: !Object, body: string}>}
+ *     Yields the response, or null if passed on to the next middleware.
+ */
+function request(devServer, requestUrl, opt_method) {
+  var promise = kew.defer();
+  var response = {};
+  var res = {
+    writeHead: function(statusCode, headers) {
+      response.statusCode = statusCode;
+      response.headers = headers;
+    },
+    end: function(body) {
+      response.body = body ? body.toString() : '';
+      promise.resolve(response);
+    }
+  };
+
+  var req = {method: opt_method || 'GET', url: requestUrl};
+  devServer.handleRequest(req, res, function(err) {
+    if (err) {
+      promise.reject(err);
+    } else {
+      promise.resolve(null);
+    }
+  });
+  return promise;
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('DevServer', function() {
+  var stubInputWatcher, stubReadFile;
+  before(function() {
+    stubInputWatcher = sinon.stub(watcher, 'InputWatcher', FakeInputWatcher);
+    stubReadFile = sinon.stub(fs, 'readFile', fakeReadFile);
+  });
+  after(function() {
+    stubInputWatcher.restore();
+    stubReadFile.restore();
+  });
+
+  var devServer;
+  beforeEach(function() {
+    // Reset state before each test case.
+    inputWatchers = [];
+    numInputScans = 0;
+    outputContents = {
+      'build/debug/main.js': 'var main;',
+      'build/debug/style.css': '.a{}'
+    };
+    buildCount = 0;
+    buildError = null;
+    devServer = new DevServer(newProjectOptions(), {type: common.DEBUG},
+        {urlPrefix: '/static/'}, fakeBuild);
+  });
+
+  describe('#handleRequest()', function() {
+    it('serves output files from memory', function(callbackFn) {
+      kew.all([
+        request(devServer, '/static/main.js?v=1'),
+        request(devServer, '/static/style.css')
+      ]).then(function(responses) {
+        responses[0].statusCode.should.equal(200);
+        responses[0].headers['Content-Type'].should.equal(
+            'application/javascript; charset=utf-8');
+        responses[0].body.should.equal('var main;');
+        responses[1].headers['Content-Type'].should.equal(
+            'text/css; charset=utf-8');
+        responses[1].body.should.equal('.a{}');
+
+        // Concurrent requests share a single build.
+        buildCount.should.equal(1);
+        callbackFn();
+      }).end();
+    });
+
+    it('passes on requests for other URLs', function(callbackFn) {
+      kew.all([
+        request(devServer, '/main.js'),
+        request(devServer, '/static/other.js'),
+        request(devServer, '/static/main.js', 'POST')
+      ]).then(function(responses) {
+        should.deepEqual(responses, [null, null, null]);
+        buildCount.should.equal(0);
+        callbackFn();
+      }).end();
+    });
+
+    it('serves JS source maps as JSON if jsSourceMaps is set',
+        function(callbackFn) {
+      outputContents['build/debug/main.js.map'] = '{"version":3}';
+      var sourceMapServer = new DevServer(newProjectOptions(),
+          {type: common.DEBUG, jsSourceMaps: true}, {urlPrefix: '/static/'},
+          fakeBuild);
+      kew.all([
+        request(sourceMapServer, '/static/main.js.map'),
+        request(devServer, '/static/main.js.map'),
+        request(sourceMapServer, '/static/style.css.map')
+      ]).then(function(responses) {
+        responses[0].statusCode.should.equal(200);
+        responses[0].headers['Content-Type'].should.equal(
+            'application/json; charset=utf-8');
+        responses[0].body.should.equal('{"version":3}');
+
+        // Without jsSourceMaps, or for CSS, there are no source maps to serve.
+        should.equal(responses[1], null);
+        should.equal(responses[2], null);
+        callbackFn();
+      }).end();
+    });
+
+    it('sends headers without a body for HEAD requests', function(callbackFn) {
+      request(devServer, '/static/main.js', 'HEAD').then(function(response) {
+        response.headers['Content-Length'].should.equal(9);
+        response.body.should.equal('');
+        callbackFn();
+      }).end();
+    });
+
+    it('only rebuilds when input files have changed', function(callbackFn) {
+      request(devServer, '/static/main.js').then(function() {
+        return request(devServer, '/static/main.js');
+      }).then(function(response) {
+        buildCount.should.equal(1);
+        numInputScans.should.equal(1);
+        response.body.should.equal('var main;');
+
+        changeInputFile('main.js');
+        outputContents['build/debug/main.js'] = 'var changed;';
+        return request(devServer, '/static/main.js');
+      }).then(function(response) {
+        buildCount.should.equal(2);
+        numInputScans.should.equal(2);
+        response.body.should.equal('var changed;');
+        callbackFn();
+      }).end();
+    });
+
+    it('rebuilds when input files are added', function(callbackFn) {
+      request(devServer, '/static/main.js').then(function() {
+        changeInputFile('new.js');
+        return request(devServer, '/static/main.js');
+      }).then(function() {
+        buildCount.should.equal(2);
+        callbackFn();
+      }).end();
+    });
+
+    it('rebuilds when inputs change during a build', function(callbackFn) {
+      var firstRequest = request(devServer, '/static/main.js');
+      kew.delay(4 /* ms */, null).then(function() {
+        changeInputFile('main.js');
+        return firstRequest;
+      }).then(function() {
+        buildCount.should.equal(1);
+        return request(devServer, '/static/main.js');
+      }).then(function() {
+        buildCount.should.equal(2);
+        callbackFn();
+      }).end();
+    });
+
+    it('serves build errors as JS and as an HTML page', function(callbackFn) {
+      buildError = new Error('Had errors compiling <JavaScript>');
+      kew.all([
+        request(devServer, '/static/main.js'),
+        request(devServer, '/static/style.css')
+      ]).then(function(responses) {
+        responses[0].statusCode.should.equal(200);
+        responses[0].body.should.equal('console.error(' +
+            '"closure-pro-build: Had errors compiling <JavaScript>");\n');
+
+        responses[1].statusCode.should.equal(500);
+        responses[1].headers['Content-Type'].should.equal(
+            'text/html; charset=utf-8');
+        shouldContain(responses[1].body,
+            'closure-pro-build: Had errors compiling &lt;JavaScript&gt;');
+        callbackFn();
+      }).end();
+    });
+
+    it('lists compiler diagnostics with build errors', function(callbackFn) {
+      buildError = new diagnostics.CompileError(
+          'Had errors compiling JavaScript', [{
+            tool: diagnostics.Tool.JS_COMPILER,
+            severity: diagnostics.Severity.ERROR,
+            file: 'main.js',
+            line: 3,
+            column: 5,
+            code: null,
+            message: 'variable foo is undeclared'
+          }]);
+      request(devServer, '/static/main.js').then(function(response) {
+        response.body.should.equal('console.error(' +
+            '"closure-pro-build: Had errors compiling JavaScript\\n' +
+            'main.js:3:5: ERROR - variable foo is undeclared");\n');
+        callbackFn();
+      }).end();
+    });
+
+    it('does not serve stale output after a failed build',
+        function(callbackFn) {
+      request(devServer, '/static/main.js').then(function() {
+        changeInputFile('main.js');
+        buildError = new Error('Had errors compiling JavaScript');
+        return request(devServer, '/static/main.js');
+      }).then(function(response) {
+        shouldContain(response.body, 'console.error(');
+
+        // Doesn't retry the failed build until inputs change again.
+        buildCount.should.equal(2);
+        return request(devServer, '/static/main.js');
+      }).then(function(response) {
+        buildCount.should.equal(2);
+        shouldContain(response.body, 'console.error(');
+        callbackFn();
+      }).end();
+    });
+  });
+});
@@ -0,0 +1,164 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var diagnostics = require('../lib/diagnostics.js');
+
+var should = require('should');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+var JS_COMPILER_OUTPUT = [
+  'src/main.js:12: ERROR - variable foo is undeclared',
+  '    foo();',
+  '    ^',
+  '',
+  'src/util.js:3: WARNING - actual parameter 1 of f does not match formal ' +
+      'parameter',
+  'found   : string',
+  'required: number',
+  'f("1");',
+  '  ^',
+  '',
+  'src/other.js:7: WARNING - [JSC_USELESS_CODE] Suspicious code.',
+  '',
+  '1 error(s), 2 warning(s)',
+  ''
+].join('\n');
+
+
+var GSS_COMPILER_OUTPUT = [
+  'WARNING: Unknown property in style.gss at line 2 column 3:',
+  '  colr: red;',
+  '  ^',
+  'Unknown function "foo" in other.gss at line 9 column 10:',
+  '.a { width: foo(1px); }',
+  '            ^',
+  ''
+].join('\n');
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('diagnostics', function() {
+  describe('#parseOutput()', function() {
+    it('parses JS compiler errors and warnings', function() {
+      var results = diagnostics.parseOutput(
+          diagnostics.Tool.JS_COMPILER, JS_COMPILER_OUTPUT, true);
+      should.deepEqual(results, [{
+        tool: 'jsCompiler',
+        severity: 'error',
+        file: 'src/main.js',
+        line: 12,
+        column: 5,
+        code: null,
+        message: 'variable foo is undeclared'
+      }, {
+        tool: 'jsCompiler',
+        severity: 'warning',
+        file: 'src/util.js',
+        line: 3,
+        column: 3,
+        code: null,
+        message: 'actual parameter 1 of f does not match formal parameter\n' +
+            'found   : string\nrequired: number'
+      }, {
+        tool: 'jsCompiler',
+        severity: 'warning',
+        file: 'src/other.js',
+        line: 7,
+        column: null,
+        code: 'JSC_USELESS_CODE',
+        message: 'Suspicious code.'
+      }]);
+    });
+
+    it('parses GSS compiler errors and warnings', function() {
+      var results = diagnostics.parseOutput(
+          diagnostics.Tool.GSS_COMPILER, GSS_COMPILER_OUTPUT, true);
+      results.length.should.equal(2);
+      should.deepEqual(results[0], {
+        tool: 'gssCompiler',
+        severity: 'warning',
+        file: 'style.gss',
+        line: 2,
+        column: 3,
+        code: null,
+        message: 'Unknown property'
+      });
+      results[1].severity.should.equal('error');
+      results[1].file.should.equal('other.gss');
+      results[1].message.should.equal('Unknown function "foo"');
+    });
+
+    it('parses Soy compiler errors without a line number', function() {
+      var results = diagnostics.parseOutput(diagnostics.Tool.SOY_COMPILER,
+          'com.google.template.soy.base.SoySyntaxException: In file a.soy: ' +
+          'Missing namespace.\n', true);
+      results.length.should.equal(1);
+      results[0].file.should.equal('a.soy');
+      should.not.exist(results[0].line);
+      results[0].code.should.equal('SoySyntaxException');
+      results[0].message.should.equal('Missing namespace.');
+    });
+
+    it('adds an error if a failed compiler reported none', function() {
+      var results = diagnostics.parseOutput(diagnostics.Tool.JS_COMPILER,
+          'java.lang.OutOfMemoryError: Java heap space\n', true);
+      should.deepEqual(results, [{
+        tool: 'jsCompiler',
+        severity: 'error',
+        file: null,
+        line: null,
+        column: null,
+        code: null,
+        message: 'java.lang.OutOfMemoryError: Java heap space'
+      }]);
+
+      results =
+          diagnostics.parseOutput(diagnostics.Tool.GSS_COMPILER, '', true);
+      results[0].message.should.equal('Exited with errors');
+    });
+
+    it('returns no diagnostics for successful quiet output', function() {
+      should.deepEqual(diagnostics.parseOutput(
+          diagnostics.Tool.JS_COMPILER, '0 error(s), 0 warning(s)\n', false),
+          []);
+    });
+  });
+
+  describe('#format()', function() {
+    it('formats diagnostics on one line', function() {
+      var results = diagnostics.parseOutput(
+          diagnostics.Tool.JS_COMPILER, JS_COMPILER_OUTPUT, true);
+      diagnostics.format(results[0]).should.equal(
+          'src/main.js:12:5: ERROR - variable foo is undeclared');
+      diagnostics.format(results[2]).should.equal(
+          'src/other.js:7: WARNING - [JSC_USELESS_CODE] Suspicious code.');
+      diagnostics.format({
+        tool: 'gssCompiler',
+        severity: 'error',
+        file: null,
+        line: null,
+        column: null,
+        code: null,
+        message: 'Exited\nwith errors'
+      }).should.equal('ERROR - Exited with errors');
+    });
+  });
+});
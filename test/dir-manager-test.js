@@ -15,6 +15,7 @@
 var dirManager = require('../lib/dir-manager.js');
 
 var common = require('../lib/common.js');
+var fs = require('fs');
 var path = require('path');
 var should = require('should');
 var sinon = require('sinon');
@@ -41,19 +42,116 @@ function fakeMkdrip(dirPath, callbackFn) {
 }
 
 
+//==============================================================================
+// Stub File System
+//==============================================================================
+
+// Fake file system set by each test case, mapping the path of each file to its
+// contents, or each directory to the names of its files.
+var fakeFiles;
+
+
+/**
+ * @param {string} filePath
+ * @return {string} Key of the file in fakeFiles.
+ */
+function toFakeFilesKey(filePath) {
+  return filePath.replace(/\/$/, '');
+}
+
+
+/**
+ * @param {string} filePath
+ * @return {!Error}
+ */
+function newNotFoundError(filePath) {
+  var err = new Error('ENOENT, no such file ' + filePath);
+  err.code = 'ENOENT';
+  return err;
+}
+
+
+function fakeLstat(filePath, callbackFn) {
+  var contents = fakeFiles[toFakeFilesKey(filePath)];
+  setTimeout(function() {
+    if (contents == null) {
+      callbackFn(newNotFoundError(filePath));
+    } else {
+      callbackFn(null, {isDirectory: function() {
+        return underscore.isArray(contents);
+      }});
+    }
+  }, 2 /* ms */);
+}
+
+
+function fakeReaddir(dirPath, callbackFn) {
+  var fileNames = fakeFiles[toFakeFilesKey(dirPath)];
+  setTimeout(function() { callbackFn(null, fileNames.slice()); }, 2);
+}
+
+
+function removeFakeFile(filePath, callbackFn) {
+  var key = toFakeFilesKey(filePath);
+  var parentFileNames = fakeFiles[path.dirname(key)];
+  if (parentFileNames) {
+    parentFileNames.splice(parentFileNames.indexOf(path.basename(key)), 1);
+  }
+  delete fakeFiles[key];
+  setTimeout(function() { callbackFn(null); }, 2);
+}
+
+
+function fakeUnlink(filePath, callbackFn) {
+  underscore.isString(fakeFiles[toFakeFilesKey(filePath)]).should.be.true;
+  removeFakeFile(filePath, callbackFn);
+}
+
+
+function fakeRmdir(dirPath, callbackFn) {
+  fakeFiles[toFakeFilesKey(dirPath)].length.should.equal(0);
+  removeFakeFile(dirPath, callbackFn);
+}
+
+
+function newFakeFiles() {
+  return {
+    'build': ['debug', 'release'],
+    'build/debug': ['main.js', 'old.js', 'css'],
+    'build/debug/main.js': 'main',
+    'build/debug/old.js': 'old',
+    'build/debug/css': ['style.css'],
+    'build/debug/css/style.css': 'style',
+    'build/release': ['main.js'],
+    'build/release/main.js': 'main',
+    'gen': ['debug'],
+    'gen/debug': ['one.soy.js'],
+    'gen/debug/one.soy.js': 'one'
+  };
+}
+
+
 //==============================================================================
 // Test Cases
 //==============================================================================
 
 describe('dirManager', function() {
-  var stubMkdirp, stubPathJoin;
+  var stubMkdirp, stubPathJoin, stubLstat, stubReaddir, stubUnlink, stubRmdir;
   before(function() {
     stubMkdirp = sinon.stub(dirManager.testable, 'mkdirp', fakeMkdrip);
     stubPathJoin = sinon.stub(path, 'join', testUtil.pathJoin);
+    stubLstat = sinon.stub(fs, 'lstat', fakeLstat);
+    stubReaddir = sinon.stub(fs, 'readdir', fakeReaddir);
+    stubUnlink = sinon.stub(fs, 'unlink', fakeUnlink);
+    stubRmdir = sinon.stub(fs, 'rmdir', fakeRmdir);
   });
   after(function() {
     stubMkdirp.restore();
     stubPathJoin.restore();
+    stubLstat.restore();
+    stubReaddir.restore();
+    stubUnlink.restore();
+    stubRmdir.restore();
   });
 
   describe('#createOutputDirsAsync()', function() {
@@ -154,6 +252,22 @@ describe('dirManager', function() {
       }, 'mytmp/debug/', 'gen/debug/', 'build/debug/', callbackFn);
     });
 
+    it('uses the output subdir instead of the build type, if given',
+        function(callbackFn) {
+      letSucceed(['tmp/pretty/', 'gen/pretty/', 'build/pretty/']);
+      dirManager.createOutputDirsAsync({
+        'type': 'release-pretty',
+        'tempFileDir': 'tmp/',
+        'generatedCodeDir': 'gen/',
+        'outputDir': 'build/'
+      }, 'pretty').then(function(outputDirs) {
+        outputDirs.tmp.should.equal('tmp/pretty/');
+        outputDirs.gen.should.equal('gen/pretty/');
+        outputDirs.build.should.equal('build/pretty/');
+        callbackFn(null);
+      }).end();
+    });
+
     it('tolerates dirs without trailing slashes', function(callbackFn) {
       expectSuccess({
         'type': common.RELEASE,
@@ -163,4 +277,76 @@ describe('dirManager', function() {
       }, 'mytmp/release/', 'gen/release/', 'bin/release/', callbackFn);
     });
   });
+
+  describe('#removeOutputDirsAsync()', function() {
+    beforeEach(function() {
+      fakeFiles = newFakeFiles();
+    });
+
+    it('removes the output dirs of the build type', function(callbackFn) {
+      dirManager.removeOutputDirsAsync({
+        'type': common.DEBUG,
+        'tempFileDir': 'tmp/',
+        'generatedCodeDir': 'gen/',
+        'outputDir': 'build/'
+      }).then(function(outputDirs) {
+        outputDirs.build.should.equal('build/debug/');
+        should.deepEqual(Object.keys(fakeFiles).sort(),
+            ['build', 'build/release', 'build/release/main.js', 'gen']);
+        callbackFn(null);
+      }).end();
+    });
+
+    it('uses the output subdir instead of the build type, if given',
+        function(callbackFn) {
+      dirManager.removeOutputDirsAsync({
+        'type': common.DEBUG,
+        'tempFileDir': 'tmp/',
+        'generatedCodeDir': 'gen/',
+        'outputDir': 'build/'
+      }, 'release').then(function() {
+        should.not.exist(fakeFiles['build/release']);
+        should.exist(fakeFiles['build/debug']);
+        callbackFn(null);
+      }).end();
+    });
+  });
+
+  describe('#removeStaleFilesAsync()', function() {
+    beforeEach(function() {
+      fakeFiles = newFakeFiles();
+    });
+
+    it('removes all files under the dir except those kept',
+        function(callbackFn) {
+      dirManager.removeStaleFilesAsync('build/debug/',
+          ['build/debug/main.js', './build/debug/css/../main.js'])
+          .then(function(removedFiles) {
+            testUtil.shouldHaveSameElements(removedFiles,
+                ['build/debug/old.js', 'build/debug/css/style.css']);
+            should.deepEqual(fakeFiles['build/debug'], ['main.js', 'css']);
+            should.deepEqual(fakeFiles['build/release'], ['main.js']);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('only removes files with the given suffix', function(callbackFn) {
+      dirManager.removeStaleFilesAsync('build/debug/', [], '.js')
+          .then(function(removedFiles) {
+            testUtil.shouldHaveSameElements(removedFiles,
+                ['build/debug/main.js', 'build/debug/old.js']);
+            should.deepEqual(fakeFiles['build/debug'], ['css']);
+            should.deepEqual(fakeFiles['build/debug/css'], ['style.css']);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('is a no-op if the dir does not exist', function(callbackFn) {
+      dirManager.removeStaleFilesAsync('build/pretty/', [])
+          .then(function(removedFiles) {
+            removedFiles.length.should.equal(0);
+            callbackFn(null);
+          }).end();
+    });
+  });
 });
@@ -31,7 +31,10 @@ var FAKE_RESOLUTIONS = {
   '*.js': ['f1.js', 'f2.js'],
   'sub/*.js': ['sub/f3.js', 'sub/f4.js'],
   'sub/f[4-6].js': ['sub/f4.js'],
-  'sub\\\\*.js': ['sub\\f3.js', 'sub\\f4.js']
+  'sub\\\\*.js': ['sub\\f3.js', 'sub\\f4.js'],
+  'f1.js': ['f1.js'],
+  'missing.js': [],
+  'gen/*.js': []
 };
 
 function fakeGlob(pattern, options, callbackFn) {
@@ -130,5 +133,32 @@ describe('fileMatcher', function() {
       inputFiles = ['*.js', '*fail-for-test*', 'sub/f3.js'];
       expectFailure('intentional glob failure for testing', callbackFn);
     });
+
+    it('includes optional files and patterns only if they match',
+        function(callbackFn) {
+      inputFiles = ['optional:f1.js', 'optional:missing.js',
+          'optional:gen/*.js', 'optional:sub/*.js'];
+      expectResolved(['f1.js', 'sub/f3.js', 'sub/f4.js'], callbackFn);
+    });
+  });
+
+  describe('#findUnmatchedAsync()', function() {
+    it('finds missing files and patterns that match no files',
+        function(callbackFn) {
+      fileMatcher.findUnmatchedAsync(['f1.js', 'missing.js', '*.js',
+          'gen/*.js', 'optional:gen/*.js'], ROOT_SRC_DIR)
+          .then(function(unmatchedIndexes) {
+            should.deepEqual(unmatchedIndexes, [1, 3]);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('fails if any glob lookups fail', function(callbackFn) {
+      fileMatcher.findUnmatchedAsync(['*fail-for-test*'], ROOT_SRC_DIR)
+          .fail(function(err) {
+            err.message.should.equal('intentional glob failure for testing');
+            callbackFn(null);
+          }).end();
+    });
   });
 });
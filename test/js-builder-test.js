@@ -14,9 +14,11 @@
 
 var jsBuilder = require('../lib/js-builder.js');
 
+var BuildMonitor = require('../lib/build-monitor.js').BuildMonitor;
 var child_process = require('child_process');
 var closureDepCalculator = require('../lib/closure-dep-calculator.js');
 var common = require('../lib/common.js');
+var diagnostics = require('../lib/diagnostics.js');
 var dirManager = require('../lib/dir-manager.js');
 var fileMatcher = require('../lib/file-matcher.js');
 var fs = require('fs');
@@ -96,6 +98,12 @@ function newBuildOptions() {
 }
 
 
+function newFakeSourceMap(file, sources) {
+  return {version: 3, file: file, sources: sources, names: [],
+      mappings: 'AAAA'};
+}
+
+
 var FAKE_FILE_CONTENTS = {
   'uncompiled_common.js': 'console.log("uncompiled_common");',
   'uncompiled_server.js': 'console.log("uncompiled_server");',
@@ -108,9 +116,25 @@ var FAKE_FILE_CONTENTS = {
   'mytmp/debug/clientB.js': 'console.log("debug! clientB");',
   'mytmp/release/virtual_base_module.js': 'console.log("virtual_base_module");',
   'mytmp/release/virtual_base_module_complete.js':
-      'console.log("virtual_base_module_complete");',
+      'console.log("uncompiled_common");\n' +
+      'console.log("virtual_base_module");\n',
   'mytmp/release/server.js': 'console.log("server");',
-  'mytmp/release/clientB.js': 'console.log("clientB");'
+  'mytmp/release/clientB.js': 'console.log("clientB");',
+  'mytmp/release-pretty/server.js': 'console.log("pretty! server");',
+  'mytmp/release/virtual_base_module.js.map': JSON.stringify(
+      newFakeSourceMap('virtual_base_module.js', ['mysrc/base.js'])),
+  'mytmp/release/virtual_base_module_complete.js.map': JSON.stringify({
+    version: 3,
+    file: 'virtual_base_module_complete.js',
+    sections: [{
+      offset: {line: 1, column: 0},
+      map: newFakeSourceMap('virtual_base_module.js', ['mysrc/base.js'])
+    }]
+  }),
+  'mytmp/release/server.js.map': JSON.stringify(newFakeSourceMap(
+      'server.js', ['mysrc/3p/jquery.js', 'base.js', 'mysrc/server.js'])),
+  'mytmp/release/clientB.js.map': JSON.stringify(
+      newFakeSourceMap('clientB.js', ['mysrc/client_b.js']))
 };
 
 
@@ -199,7 +223,7 @@ function stableCalcInputFiles(projectOptions, transitiveClosureDeps) {
 }
 
 
-var expectedArgs, expectedStderrBehavior, compilerExitCode;
+var expectedArgs, compilerStderr, compilerExitCode;
 function fakeSpawn(command, args, options) {
   // Verify arguments.
   command.should.equal('myjava');
@@ -211,11 +235,11 @@ function fakeSpawn(command, args, options) {
     throw e;
   }
 
-  should.deepEqual(options,
-      {stdio: ['ignore', 'pipe', expectedStderrBehavior]});
+  should.deepEqual(options, {stdio: ['ignore', 'pipe', 'pipe']});
 
   // Return fake ChildProcess that simulates the JS compiler.
   return {
+    stderr: testUtil.newFakeStderr(compilerStderr),
     on: function(eventName, callbackFn) {
       eventName.should.equal('close');
       setTimeout(function() { callbackFn(compilerExitCode); }, 2 /* ms */);
@@ -224,6 +248,12 @@ function fakeSpawn(command, args, options) {
 }
 
 
+var echoedStderr;
+function fakeWriteStderr(data) {
+  echoedStderr.push(data);
+}
+
+
 var mockOutFiles;
 function fakeCreateWriteStream(outFile, options) {
   should.exist(mockOutFiles[outFile]);
@@ -232,6 +262,14 @@ function fakeCreateWriteStream(outFile, options) {
 }
 
 
+var writtenFiles;
+function fakeWriteFile(filePath, content, options, callbackFn) {
+  should.deepEqual(options, {encoding: 'utf8'});
+  writtenFiles[filePath] = content;
+  setTimeout(function() { callbackFn(null); }, 2 /* ms */);
+}
+
+
 var readFileFailsFor;
 function fakeReadFile(filePath, options, callbackFn) {
   should.deepEqual(options, {encoding: 'utf8'});
@@ -255,7 +293,7 @@ function fakeReadFile(filePath, options, callbackFn) {
 
 describe('jsBuilder', function() {
   var stubResolve, stubPathJoin, stubSpawn, stubCreateWriteStream, stubReadFile;
-  var stubCalcDeps, stubCalcInputFiles;
+  var stubCalcDeps, stubCalcInputFiles, stubWriteStderr, stubWriteFile;
   before(function() {
     stubResolve = sinon.stub(fileMatcher, 'resolveAnyGlobPatternsAsync',
         fakeResolveAnyGlobPatternsAsync);
@@ -264,9 +302,12 @@ describe('jsBuilder', function() {
     stubCreateWriteStream = sinon.stub(fs, 'createWriteStream',
         fakeCreateWriteStream);
     stubReadFile = sinon.stub(fs, 'readFile', fakeReadFile);
+    stubWriteFile = sinon.stub(fs, 'writeFile', fakeWriteFile);
     stubCalcDeps = sinon.stub(closureDepCalculator, 'calcDeps', fakeCalcDeps);
     stubCalcInputFiles = sinon.stub(jsModuleManager, 'calcInputFiles',
         stableCalcInputFiles);
+    stubWriteStderr = sinon.stub(diagnostics.testable, 'writeStderr',
+        fakeWriteStderr);
   });
   after(function() {
     stubResolve.restore();
@@ -274,8 +315,10 @@ describe('jsBuilder', function() {
     stubSpawn.restore();
     stubCreateWriteStream.restore();
     stubReadFile.restore();
+    stubWriteFile.restore();
     stubCalcDeps.restore();
     stubCalcInputFiles.restore();
+    stubWriteStderr.restore();
   });
 
   describe('#build()', function() {
@@ -286,9 +329,11 @@ describe('jsBuilder', function() {
       buildOpts = newBuildOptions();
       simulateCalcDepsFailure = false;
       simulateJsModuleManagerError = false;
-      expectedStderrBehavior = process.stderr;
+      compilerStderr = '';
+      echoedStderr = [];
       compilerExitCode = common.EXIT_SUCCESS;
       readFileFailsFor = {};
+      writtenFiles = {};
       outDirsAsync = kew.defer();
       cssFileAsync = kew.defer();
       mockOutFiles = {};
@@ -319,9 +364,9 @@ describe('jsBuilder', function() {
       cssFileAsync.reject(new Error('simulated CSS renaming file failure'));
     };
 
-    var expectFileOutput = function(outputFilePath, inputFiles, failureOpts) {
-      failureOpts = failureOpts || {};
-      var failWriteIndex = failureOpts.failLastWrite ?
+    var expectFileOutput = function(outputFilePath, inputFiles, opt_opts) {
+      var opts = opt_opts || {};
+      var failWriteIndex = opts.failLastWrite ?
           inputFiles.length - 1 : null;
 
       mockOutFiles[outputFilePath] = new stream.Writable({});
@@ -337,9 +382,9 @@ describe('jsBuilder', function() {
             .callsArgWithAsync(2, writeResult);
       }
 
-      if (!failureOpts.failLastWrite && !failureOpts.shouldFailBeforeEnd) {
+      if (!opts.failLastWrite && !opts.shouldFailBeforeEnd) {
         outFileExpectations[outputFilePath].expects('end')
-            .withArgs('', 'utf8')
+            .withArgs(opts.footer || '', 'utf8')
             .callsArgWithAsync(2, null);
       }
     };
@@ -386,6 +431,51 @@ describe('jsBuilder', function() {
       haveNoCssRenamingFile();
     });
 
+    it('runs plugin hooks, which can change module input files',
+        function(callbackFn) {
+      var hookCalls = [];
+      projectOpts.jsModules = {server: newServerModule()};
+      projectOpts.plugins = [{
+        name: 'trim',
+        beforeDeps: function(context) {
+          context.outDirs.gen.should.equal('mygen/release/');
+          hookCalls.push(context.hook);
+        },
+        afterModulesCalculated: function(context) {
+          hookCalls.push(context.hook);
+          context.jsModules[0].dontCompileInputFiles.pop();
+        },
+        afterJsCompile: function(context) {
+          hookCalls.push(context.hook);
+          context.outputs.map(function(output) { return output.path; })
+              .should.eql(['mybuild/release/server.js']);
+        }
+      }];
+
+      expectedArgs = newExpectedReleaseArgs([
+        '--module',
+        'server:4:',
+        '--js',
+        '3p/jquery.js',
+        '--js',
+        'base.js',
+        '--js',
+        'array.js',
+        '--js',
+        'server.js'
+      ]);
+      expectFileOutput('mybuild/release/server.js',
+          ['uncompiled_common.js', 'mytmp/release/server.js']);
+
+      runAndExpectSuccess(function() {
+        hookCalls.should.eql(
+            ['beforeDeps', 'afterModulesCalculated', 'afterJsCompile']);
+        callbackFn();
+      });
+      makeOutDirsReady();
+      haveNoCssRenamingFile();
+    });
+
     it('correctly builds a virtual base module with only compiled JS',
         function(callbackFn) {
       var clientBModule = newClientBModule();
@@ -433,6 +523,65 @@ describe('jsBuilder', function() {
       makeCssRenamingFileReady();
     });
 
+    it('records output files with their input files on the monitor',
+        function(callbackFn) {
+      buildOpts.type = common.DEBUG;
+      projectOpts.jsModules = {
+        server: newServerModule(),
+        clientA: newClientAModule()
+      };
+
+      expectedArgs = newExpectedDebugArgs([
+        '--module',
+        'server:4:',
+        '--js',
+        '3p/jquery.js',
+        '--js',
+        'base.js',
+        '--js',
+        'array.js',
+        '--js',
+        'server.js'
+      ]);
+      expectFileOutput('mytmp/debug/virtual_base_module_complete.js', [
+        'uncompiled_common.js'
+      ]);
+      expectFileOutput('mybuild/debug/server.js', [
+        'mytmp/debug/virtual_base_module_complete.js',
+        'uncompiled_server.js',
+        'mytmp/debug/server.js'
+      ]);
+      expectFileOutput('mybuild/debug/clientA.js', [
+        'mytmp/debug/virtual_base_module_complete.js',
+        'uncompiled_client_a.js'
+      ]);
+
+      var monitor = new BuildMonitor();
+      jsBuilder.build(projectOpts, buildOpts, outDirsAsync, cssFileAsync,
+          monitor).then(function() {
+            should.deepEqual(monitor.getOutputs(), [
+              {
+                type: BuildMonitor.OutputType.JS,
+                name: 'server',
+                path: 'mybuild/debug/server.js',
+                alwaysLoadedAfterModules: [],
+                inputFiles: ['uncompiled_common.js', 'uncompiled_server.js',
+                    '3p/jquery.js', 'base.js', 'array.js', 'server.js']
+              },
+              {
+                type: BuildMonitor.OutputType.JS,
+                name: 'clientA',
+                path: 'mybuild/debug/clientA.js',
+                alwaysLoadedAfterModules: [],
+                inputFiles: ['uncompiled_common.js', 'uncompiled_client_a.js']
+              }
+            ]);
+            callbackFn(null);
+          }).end();
+      makeOutDirsReady();
+      haveNoCssRenamingFile();
+    });
+
     it('correctly builds a virtual base module with only uncompiled JS',
         function(callbackFn) {
       buildOpts.type = common.DEBUG;
@@ -560,7 +709,7 @@ describe('jsBuilder', function() {
 
     it('suppresses compiler output if requested', function(callbackFn) {
       buildOpts.suppressOutput = true;
-      expectedStderrBehavior = 'ignore';
+      compilerStderr = 'server.js:3: WARNING - Suspicious code.\n';
 
       projectOpts.jsModules = {server: newServerModule()};
       expectedArgs = newExpectedReleaseArgs([
@@ -581,11 +730,207 @@ describe('jsBuilder', function() {
         'mytmp/release/server.js'
       ]);
 
+      runAndExpectSuccess(function() {
+        echoedStderr.length.should.equal(0);
+        callbackFn();
+      });
+      makeOutDirsReady();
+      haveNoCssRenamingFile();
+    });
+
+    it('uses the settings of a custom build profile', function(callbackFn) {
+      projectOpts.jsModules = {server: newServerModule()};
+      projectOpts.buildProfiles = {
+        'release-pretty': {
+          basedOn: common.RELEASE,
+          jsFormatting: ['PRETTY_PRINT', 'PRINT_INPUT_DELIMITER'],
+          jsDefines: {'project.MODE': 'pretty', 'project.LEVEL': 2}
+        }
+      };
+      buildOpts.type = 'release-pretty';
+
+      expectedArgs = newExpectedBasicArgs(
+          'ADVANCED_OPTIMIZATIONS', 'mytmp/release-pretty/').concat([
+        '--formatting',
+        'PRETTY_PRINT',
+        '--formatting',
+        'PRINT_INPUT_DELIMITER',
+        '--define',
+        'goog.DEBUG=false',
+        '--define',
+        'project.MODE="pretty"',
+        '--define',
+        'project.LEVEL=2',
+        '--module',
+        'server:4:',
+        '--js',
+        '3p/jquery.js',
+        '--js',
+        'base.js',
+        '--js',
+        'array.js',
+        '--js',
+        'server.js'
+      ]);
+      expectFileOutput('mybuild/release-pretty/server.js', [
+        'uncompiled_common.js',
+        'uncompiled_server.js',
+        'mytmp/release-pretty/server.js'
+      ]);
+
       runAndExpectSuccess(callbackFn);
       makeOutDirsReady();
       haveNoCssRenamingFile();
     });
 
+    it('lets build jsDefines override those of the profile',
+        function(callbackFn) {
+      projectOpts.jsModules = {server: newServerModule()};
+      buildOpts.jsDefines = {
+        'goog.DEBUG': true,
+        'goog.LOCALE': 'de',
+        'myapp.GREETING': 'Say "hi"'
+      };
+
+      expectedArgs = newExpectedBasicArgs(
+          'ADVANCED_OPTIMIZATIONS', 'mytmp/release/').concat([
+        '--define',
+        'goog.DEBUG=true',
+        '--define',
+        'goog.LOCALE="de"',
+        '--define',
+        'myapp.GREETING=\'Say "hi"\'',
+        '--module',
+        'server:4:',
+        '--js',
+        '3p/jquery.js',
+        '--js',
+        'base.js',
+        '--js',
+        'array.js',
+        '--js',
+        'server.js'
+      ]);
+      expectFileOutput('mybuild/release/server.js', [
+        'uncompiled_common.js',
+        'uncompiled_server.js',
+        'mytmp/release/server.js'
+      ]);
+
+      runAndExpectSuccess(callbackFn);
+      makeOutDirsReady();
+      haveNoCssRenamingFile();
+    });
+
+    it('can share resolved modules between builds of different types',
+        function(callbackFn) {
+      projectOpts.jsModules = {server: newServerModule()};
+      var debugBuildOpts =
+          underscore.extend(newBuildOptions(), {type: common.DEBUG});
+      var expectedModuleArgs = [
+        '--js',
+        '3p/jquery.js',
+        '--js',
+        'base.js',
+        '--js',
+        'array.js',
+        '--js',
+        'server.js'
+      ];
+      expectedArgs = newExpectedReleaseArgs([
+        '--module',
+        'server:5:',
+        '--js',
+        'mytmp/release/css_renaming_map.js'
+      ].concat(expectedModuleArgs));
+      expectFileOutput('mybuild/release/server.js', [
+        'uncompiled_common.js',
+        'uncompiled_server.js',
+        'mytmp/release/server.js'
+      ]);
+      expectFileOutput('mybuild/debug/server.js', [
+        'uncompiled_common.js',
+        'uncompiled_server.js',
+        'mytmp/debug/server.js'
+      ]);
+
+      var calcDepsCallCount = stubCalcDeps.callCount;
+      var resolvedModulesAsync =
+          jsBuilder.resolveModulesAsync(projectOpts, buildOpts, outDirsAsync);
+      jsBuilder.compileAndOutputModules(
+          resolvedModulesAsync, buildOpts, outDirsAsync, cssFileAsync)
+          .then(function() {
+            // The release CSS renaming file must not be part of this build.
+            expectedArgs = newExpectedDebugArgs(
+                ['--module', 'server:4:'].concat(expectedModuleArgs));
+            return jsBuilder.compileAndOutputModules(resolvedModulesAsync,
+                debugBuildOpts,
+                kew.resolve(new dirManager.OutputDirs(debugBuildOpts)),
+                kew.resolve(null));
+          }).then(function() {
+            stubCalcDeps.callCount.should.equal(calcDepsCallCount + 1);
+            callbackFn();
+          }).end();
+      makeOutDirsReady();
+      makeCssRenamingFileReady();
+    });
+
+    it('generates module info for lazy loading modules', function(callbackFn) {
+      projectOpts.jsModules = {
+        clientA: newClientAModule(),
+        clientB: newClientBModule()
+      };
+      projectOpts.jsModuleInfoBaseUrl = '/static/js/';
+
+      jsBuilder.resolveModulesAsync(projectOpts, buildOpts, outDirsAsync)
+          .then(function() {
+            should.deepEqual(underscore.keys(writtenFiles),
+                ['mygen/release/closure_pro_build_module_info.js']);
+            writtenFiles['mygen/release/closure_pro_build_module_info.js']
+                .should.equal([
+                  '// Generated by closure-pro-build from the jsModules ' +
+                      'project option.',
+                  '',
+                  'goog.provide(\'closureProBuild.moduleInfo\');',
+                  '',
+                  '',
+                  '/** @define {string} Base URL that JS module files are ' +
+                      'loaded from. */',
+                  'closureProBuild.moduleInfo.BASE_URL = "/static/js/";',
+                  '',
+                  '',
+                  '/**',
+                  ' * Map from each JS module to all the modules it depends ' +
+                      'on, for',
+                  ' * goog.module.ModuleManager#setAllModuleInfo().',
+                  ' * @type {!Object.<string, !Array.<string>>}',
+                  ' * @const',
+                  ' */',
+                  'closureProBuild.moduleInfo.MODULE_INFO = {',
+                  '  "clientA": [],',
+                  '  "clientB": ["clientA"]',
+                  '};',
+                  '',
+                  '',
+                  '/**',
+                  ' * Map from each JS module to the URIs to load it from, for',
+                  ' * goog.module.ModuleManager#setModuleUris().',
+                  ' * @type {!Object.<string, !Array.<string>>}',
+                  ' * @const',
+                  ' */',
+                  'closureProBuild.moduleInfo.MODULE_URIS = {',
+                  '  "clientA": [closureProBuild.moduleInfo.BASE_URL + ' +
+                      '"clientA.js"],',
+                  '  "clientB": [closureProBuild.moduleInfo.BASE_URL + ' +
+                      '"clientB.js"]',
+                  '};',
+                  ''
+                ].join('\n'));
+            callbackFn(null);
+          }).end();
+      makeOutDirsReady();
+    });
+
     it('passes along all jsExterns files', function(callbackFn) {
       projectOpts.jsExterns = ['3p/externs/loaded_via_cdn.js', 'ext2.js'];
       projectOpts.jsModules = {server: newServerModule()};
@@ -617,6 +962,183 @@ describe('jsBuilder', function() {
       haveNoCssRenamingFile();
     });
 
+    it('writes a source map for each module, with remapped source paths',
+        function(callbackFn) {
+      buildOpts.jsSourceMaps = true;
+      buildOpts.jsSourceMapLocationMappings =
+          {'mysrc/': '/src/', 'mysrc/3p/': '/3p/'};
+      projectOpts.jsModules = {server: newServerModule()};
+      expectedArgs = newExpectedReleaseArgs([
+        '--create_source_map',
+        '%outname%.map',
+        '--source_map_format',
+        'V3',
+        '--module',
+        'server:4:',
+        '--js',
+        '3p/jquery.js',
+        '--js',
+        'base.js',
+        '--js',
+        'array.js',
+        '--js',
+        'server.js'
+      ]);
+      expectFileOutput('mybuild/release/server.js', [
+        'uncompiled_common.js',
+        'uncompiled_server.js',
+        'mytmp/release/server.js'
+      ], {footer: '\n//# sourceMappingURL=server.js.map\n'});
+
+      var monitor = new BuildMonitor();
+      jsBuilder.build(projectOpts, buildOpts, outDirsAsync, cssFileAsync,
+          monitor).then(function() {
+            // Offset by the uncompiled JS written before the compiled JS.
+            should.deepEqual(
+                JSON.parse(writtenFiles['mybuild/release/server.js.map']), {
+                  version: 3,
+                  file: 'server.js',
+                  sections: [{
+                    offset: {line: 0, column: 66},
+                    map: newFakeSourceMap('server.js',
+                        ['/3p/jquery.js', 'base.js', '/src/server.js'])
+                  }]
+                });
+            should.deepEqual(monitor.getTrackedOutputFiles(),
+                ['mybuild/release/server.js.map', 'mybuild/release/server.js']);
+            callbackFn(null);
+          }).end();
+      makeOutDirsReady();
+      haveNoCssRenamingFile();
+    });
+
+    it('offsets source maps by the prepended virtual base module',
+        function(callbackFn) {
+      buildOpts.jsSourceMaps = true;
+      buildOpts.jsSourceMapLocationMappings = {};
+      expectedArgs = newExpectedReleaseArgs([
+        '--create_source_map',
+        '%outname%.map',
+        '--source_map_format',
+        'V3',
+        '--module',
+        'virtual_base_module:2:',
+        '--js',
+        '3p/jquery.js',
+        '--js',
+        'base.js',
+        '--module',
+        'server:2:virtual_base_module',
+        '--js',
+        'array.js',
+        '--js',
+        'server.js',
+        '--module',
+        'clientB:2:virtual_base_module',
+        '--js',
+        'dom.js',
+        '--js',
+        'client_b.js'
+      ]);
+      expectFileOutput('mytmp/release/virtual_base_module_complete.js', [
+        'uncompiled_common.js',
+        'mytmp/release/virtual_base_module.js'
+      ]);
+      expectFileOutput('mybuild/release/server.js', [
+        'mytmp/release/virtual_base_module_complete.js',
+        'uncompiled_server.js',
+        'mytmp/release/server.js'
+      ], {footer: '\n//# sourceMappingURL=server.js.map\n'});
+      expectFileOutput('mybuild/release/clientA.js', [
+        'mytmp/release/virtual_base_module_complete.js',
+        'uncompiled_client_a.js'
+      ], {footer: '\n//# sourceMappingURL=clientA.js.map\n'});
+      expectFileOutput('mybuild/release/clientB.js', [
+        'mytmp/release/clientB.js'
+      ], {footer: '\n//# sourceMappingURL=clientB.js.map\n'});
+
+      var baseMap =
+          newFakeSourceMap('virtual_base_module.js', ['mysrc/base.js']);
+      runAndExpectSuccess(function() {
+        var sourceMaps = underscore.object(underscore.map(writtenFiles,
+            function(content, filePath) {
+              return [filePath, JSON.parse(content).sections];
+            }));
+        should.deepEqual(sourceMaps, {
+          'mytmp/release/virtual_base_module_complete.js.map':
+              [{offset: {line: 0, column: 33}, map: baseMap}],
+          'mybuild/release/server.js.map': [
+            {offset: {line: 1, column: 0}, map: baseMap},
+            {
+              offset: {line: 2, column: 33},
+              map: newFakeSourceMap('server.js',
+                  ['mysrc/3p/jquery.js', 'base.js', 'mysrc/server.js'])
+            }
+          ],
+          'mybuild/release/clientA.js.map':
+              [{offset: {line: 1, column: 0}, map: baseMap}],
+          'mybuild/release/clientB.js.map': [{
+            offset: {line: 0, column: 0},
+            map: newFakeSourceMap('clientB.js', ['mysrc/client_b.js'])
+          }]
+        });
+        callbackFn(null);
+      });
+      makeOutDirsReady();
+      haveNoCssRenamingFile();
+    });
+
+    it('passes along JS compiler options', function(callbackFn) {
+      projectOpts.jsModules = {server: newServerModule()};
+      projectOpts.jsCompilerOptions = {
+        extraFlags: ['--charset', 'UTF-8'],
+        jscompOff: ['es5Strict'],
+        jscompError: ['checkTypes', 'missingRequire'],
+        languageIn: 'ECMASCRIPT5',
+        outputWrapper: '(function() {%output%})();',
+        processJqueryPrimitives: false,
+        useTypesForOptimization: true
+      };
+
+      expectedArgs = newExpectedReleaseArgs([
+        '--language_in',
+        'ECMASCRIPT5',
+        '--jscomp_error',
+        'checkTypes',
+        '--jscomp_error',
+        'missingRequire',
+        '--jscomp_off',
+        'es5Strict',
+        '--use_types_for_optimization',
+        'true',
+        '--process_jquery_primitives',
+        'false',
+        '--charset',
+        'UTF-8',
+        '--module',
+        'server:4:',
+        '--js',
+        '3p/jquery.js',
+        '--js',
+        'base.js',
+        '--js',
+        'array.js',
+        '--js',
+        'server.js',
+        '--module_wrapper',
+        'server:(function() {%s})();'
+      ]);
+      expectFileOutput('mybuild/release/server.js', [
+        'uncompiled_common.js',
+        'uncompiled_server.js',
+        'mytmp/release/server.js'
+      ]);
+
+      runAndExpectSuccess(callbackFn);
+      makeOutDirsReady();
+      haveNoCssRenamingFile();
+    });
+
     it('fails if output dir creation fails', function(callbackFn) {
       runAndExpectFailure('simulated outDirsAsync error', callbackFn);
       makeOutDirsFail();
@@ -664,6 +1186,53 @@ describe('jsBuilder', function() {
       haveNoCssRenamingFile();
     });
 
+    it('rejects with diagnostics parsed from compiler errors',
+        function(callbackFn) {
+      compilerExitCode = common.EXIT_FAILURE;
+      compilerStderr = [
+        'server.js:12: ERROR - variable foo is undeclared',
+        '    foo();',
+        '    ^',
+        '',
+        '1 error(s), 0 warning(s)',
+        ''
+      ].join('\n');
+
+      projectOpts.jsModules = {server: newServerModule()};
+      expectedArgs = newExpectedReleaseArgs([
+        '--module',
+        'server:4:',
+        '--js',
+        '3p/jquery.js',
+        '--js',
+        'base.js',
+        '--js',
+        'array.js',
+        '--js',
+        'server.js'
+      ]);
+
+      jsBuilder.build(projectOpts, buildOpts, outDirsAsync, cssFileAsync)
+          .fail(function(err) {
+            (err instanceof diagnostics.CompileError).should.equal(true);
+            should.deepEqual(err.diagnostics, [{
+              tool: diagnostics.Tool.JS_COMPILER,
+              severity: diagnostics.Severity.ERROR,
+              file: 'server.js',
+              line: 12,
+              column: 5,
+              code: null,
+              message: 'variable foo is undeclared'
+            }]);
+
+            // Compiler output is still shown.
+            should.deepEqual(echoedStderr, [compilerStderr]);
+            callbackFn();
+          }).end();
+      makeOutDirsReady();
+      haveNoCssRenamingFile();
+    });
+
     it('fails if reading an input file fails', function(callbackFn) {
       readFileFailsFor['uncompiled_server.js'] = true;
 
@@ -609,4 +609,38 @@ describe('jsModuleManager', function() {
       }).should.throwError(/a\.js.*multiple compilation modes/);
     });
   });
+
+  describe('#calcModuleDeps()', function() {
+    var projectOpts;
+    beforeEach(function() {
+      // Reset state before each test case.
+      projectOpts = newProjectOptions();
+    });
+
+    it('lists all modules each module transitively depends on', function() {
+      projectOpts.jsModules.server.alwaysLoadedAfterModules = ['client'];
+      var modules = jsModuleManager.calcModuleDeps(projectOpts);
+
+      modules.map(function(module) { return module.name; })
+          .should.eql(['explicit_base', 'client', 'server']);
+      should.deepEqual(modules[0].alwaysLoadedAfterModules, []);
+      should.deepEqual(modules[1].alwaysLoadedAfterModules, ['explicit_base']);
+      shouldHaveSameElements(modules[2].alwaysLoadedAfterModules,
+          ['explicit_base', 'client']);
+    });
+
+    it('leaves out any virtual base module', function() {
+      projectOpts.jsModules.server.alwaysLoadedAfterModules = [];
+      var modules = jsModuleManager.calcModuleDeps(projectOpts);
+
+      shouldHaveSameElements(
+          modules.map(function(module) { return module.name; }),
+          ['explicit_base', 'client', 'server']);
+      modules.forEach(function(module) {
+        should.deepEqual(module.alwaysLoadedAfterModules,
+            (module.name == 'client') ? ['explicit_base'] : []);
+      });
+      should.not.exist(projectOpts.jsModules.virtual_base_module);
+    });
+  });
 });
@@ -0,0 +1,286 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var manifest = require('../lib/manifest.js');
+
+var BuildMonitor = require('../lib/build-monitor.js').BuildMonitor;
+var common = require('../lib/common.js');
+var crypto = require('crypto');
+var dirManager = require('../lib/dir-manager.js');
+var fs = require('fs');
+var path = require('path');
+var should = require('should');
+var shouldContain = require('./test-util.js').shouldContain;
+var sinon = require('sinon');
+var testUtil = require('./test-util.js');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+var FAKE_FILE_CONTENTS = {
+  'build/release/main.js': new Buffer('var a=1;', 'utf8'),
+  'build/release/page.js': new Buffer('var b=2;\n', 'utf8'),
+  'build/release/style.css': new Buffer('.a{color:red}', 'utf8')
+};
+
+
+function newOutputs() {
+  return [
+    {
+      type: BuildMonitor.OutputType.CSS,
+      name: 'style',
+      path: 'build/release/style.css',
+      alwaysLoadedAfterModules: [],
+      inputFiles: ['reset.css', 'style.gss']
+    },
+    {
+      type: BuildMonitor.OutputType.JS,
+      name: 'page',
+      path: 'build/release/page.js',
+      alwaysLoadedAfterModules: [],
+      inputFiles: ['base.js', 'page.js']
+    },
+    {
+      type: BuildMonitor.OutputType.JS,
+      name: 'main',
+      path: 'build/release/main.js',
+      alwaysLoadedAfterModules: ['page'],
+      inputFiles: ['main.js']
+    }
+  ];
+}
+
+
+//==============================================================================
+// Stubbed Functions
+//==============================================================================
+
+// Contents of each fake file, starting as a copy of FAKE_FILE_CONTENTS.
+var fakeFiles;
+
+function fakeReadFile(filePath, callbackFn) {
+  if (fakeFiles[filePath]) {
+    setTimeout(function() {
+      callbackFn(null, fakeFiles[filePath]);
+    }, 2 /* ms */);
+  } else {
+    setTimeout(function() {
+      callbackFn(new Error('ENOENT, no such file ' + filePath));
+    }, 2 /* ms */);
+  }
+}
+
+
+var writtenFiles;
+function fakeWriteFile(filePath, content, options, callbackFn) {
+  should.deepEqual(options, {encoding: 'utf8'});
+  writtenFiles[filePath] = content;
+  fakeFiles[filePath] = new Buffer(content, 'utf8');
+  setTimeout(function() { callbackFn(null); }, 2 /* ms */);
+}
+
+
+var renamedFiles;
+function fakeRename(oldPath, newPath, callbackFn) {
+  renamedFiles[oldPath] = newPath;
+  fakeFiles[newPath] = fakeFiles[oldPath];
+  delete fakeFiles[oldPath];
+  setTimeout(function() { callbackFn(null); }, 2 /* ms */);
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('manifest', function() {
+  var stubReadFile, stubWriteFile, stubRename, stubPathJoin;
+  before(function() {
+    stubReadFile = sinon.stub(fs, 'readFile', fakeReadFile);
+    stubWriteFile = sinon.stub(fs, 'writeFile', fakeWriteFile);
+    stubRename = sinon.stub(fs, 'rename', fakeRename);
+    stubPathJoin = sinon.stub(path, 'join', testUtil.pathJoin);
+  });
+  after(function() {
+    stubReadFile.restore();
+    stubWriteFile.restore();
+    stubRename.restore();
+    stubPathJoin.restore();
+  });
+
+  beforeEach(function() {
+    // Reset state before each test case.
+    writtenFiles = {};
+    renamedFiles = {};
+    fakeFiles = {};
+    for (var filePath in FAKE_FILE_CONTENTS) {
+      fakeFiles[filePath] = FAKE_FILE_CONTENTS[filePath];
+    }
+  });
+
+  describe('#createManifestAsync()', function() {
+    it('describes each output file', function(callbackFn) {
+      manifest.createManifestAsync({type: common.RELEASE}, newOutputs())
+          .then(function(result) {
+            should.deepEqual(result, {
+              type: common.RELEASE,
+              jsModules: [
+                {
+                  name: 'page',
+                  path: 'build/release/page.js',
+                  size: 9,
+                  hash: '057e644174a25338eaf4ea732f73574ed3c57526',
+                  alwaysLoadedAfterModules: [],
+                  inputFiles: ['base.js', 'page.js']
+                },
+                {
+                  name: 'main',
+                  path: 'build/release/main.js',
+                  size: 8,
+                  hash: 'd927f4f5c9b4cab4c9ddb0b079850712f544232d',
+                  alwaysLoadedAfterModules: ['page'],
+                  inputFiles: ['main.js']
+                }
+              ],
+              cssModule: {
+                name: 'style',
+                path: 'build/release/style.css',
+                size: 13,
+                hash: 'b4fd9e9e6a6a3dc2b719685c76eb8372389c7419',
+                inputFiles: ['reset.css', 'style.gss']
+              }
+            });
+            callbackFn(null);
+          }).end();
+    });
+
+    it('has no cssModule if there is no CSS output', function(callbackFn) {
+      manifest.createManifestAsync({type: common.DEBUG}, newOutputs().slice(2))
+          .then(function(result) {
+            should.not.exist(result.cssModule);
+            result.jsModules.length.should.equal(1);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('fails if an output file can\'t be read', function(callbackFn) {
+      var outputs = newOutputs();
+      outputs[1].path = 'build/release/missing.js';
+      manifest.createManifestAsync({type: common.RELEASE}, outputs)
+          .then(function() {
+            should.fail('Was expecting createManifestAsync() to fail');
+          }).fail(function(err) {
+            shouldContain(err.message, 'missing.js');
+            callbackFn(null);
+          }).end();
+    });
+  });
+
+  describe('#hashFileNamesAsync()', function() {
+    it('renames output files by content hash and records aliases',
+        function(callbackFn) {
+      var monitor = new BuildMonitor();
+      manifest.createManifestAsync({type: common.RELEASE}, newOutputs())
+          .then(function(result) {
+            return manifest.hashFileNamesAsync(result, {}, monitor);
+          }).then(function(result) {
+            should.deepEqual(renamedFiles, {
+              'build/release/page.js': 'build/release/page.057e6441.js',
+              'build/release/main.js': 'build/release/main.d927f4f5.js',
+              'build/release/style.css': 'build/release/style.b4fd9e9e.css'
+            });
+            result.jsModules[1].path.should.equal(
+                'build/release/main.d927f4f5.js');
+            result.cssModule.path.should.equal(
+                'build/release/style.b4fd9e9e.css');
+            should.deepEqual(result.aliases, {
+              'page.js': 'page.057e6441.js',
+              'main.js': 'main.d927f4f5.js',
+              'style.css': 'style.b4fd9e9e.css'
+            });
+            should.deepEqual(monitor.getTrackedOutputFiles(), [
+              'build/release/page.057e6441.js',
+              'build/release/main.d927f4f5.js',
+              'build/release/style.b4fd9e9e.css'
+            ]);
+            callbackFn(null);
+          }).end();
+    });
+    it('renames source maps and updates their references with jsSourceMaps',
+        function(callbackFn) {
+      fakeFiles['build/release/main.js'] = new Buffer(
+          'var a=1;\n//# sourceMappingURL=main.js.map\n', 'utf8');
+      fakeFiles['build/release/main.js.map'] = new Buffer(
+          '{"version":3,"file":"main.js","sections":[]}', 'utf8');
+      fakeFiles['build/release/page.js.map'] = new Buffer(
+          '{"version":3,"file":"page.js","sections":[]}', 'utf8');
+
+      var monitor = new BuildMonitor();
+      manifest.createManifestAsync({type: common.RELEASE}, newOutputs())
+          .then(function(result) {
+            return manifest.hashFileNamesAsync(
+                result, {jsSourceMaps: true}, monitor);
+          }).then(function(result) {
+            var hashedMain = result.aliases['main.js'];
+            hashedMain.should.match(/^main\.[0-9a-f]{8}\.js$/);
+            should.deepEqual(result.aliases, {
+              'page.js': 'page.057e6441.js',
+              'page.js.map': 'page.057e6441.js.map',
+              'main.js': hashedMain,
+              'main.js.map': hashedMain + '.map',
+              'style.css': 'style.b4fd9e9e.css'
+            });
+            var hashedMainPath = 'build/release/' + hashedMain;
+            renamedFiles['build/release/main.js.map'].should.equal(
+                hashedMainPath + '.map');
+            should.not.exist(renamedFiles['build/release/style.css.map']);
+
+            var mainJs = 'var a=1;\n//# sourceMappingURL=' + hashedMain +
+                '.map\n';
+            writtenFiles[hashedMainPath].should.equal(mainJs);
+            should.deepEqual(JSON.parse(writtenFiles[hashedMainPath + '.map']),
+                {version: 3, file: hashedMain, sections: []});
+            result.jsModules[1].size.should.equal(mainJs.length);
+            result.jsModules[1].hash.should.equal(crypto.createHash('sha1')
+                .update(mainJs, 'utf8').digest('hex'));
+
+            shouldContain(monitor.getTrackedOutputFiles(),
+                hashedMainPath + '.map');
+            callbackFn(null);
+          }).end();
+    });
+  });
+
+  describe('#writeManifestAsync()', function() {
+    it('writes manifest.json to the build output dir', function(callbackFn) {
+      var buildOptions = {
+        type: common.RELEASE,
+        tempFileDir: 'tmp/',
+        generatedCodeDir: 'gen/',
+        outputDir: 'build/'
+      };
+      var outDirs = new dirManager.OutputDirs(buildOptions);
+
+      manifest.writeManifestAsync({type: common.RELEASE}, outDirs)
+          .then(function() {
+            should.deepEqual(writtenFiles, {
+              'build/release/manifest.json': '{\n  "type": "release"\n}\n'
+            });
+            callbackFn(null);
+          }).end();
+    });
+  });
+});
@@ -15,7 +15,10 @@
 var optionValidator = require('../lib/option-validator.js');
 
 var common = require('../lib/common.js');
+var glob = require('glob');
+var jsBuilder = require('../lib/js-builder.js');
 var should = require('should');
+var sinon = require('sinon');
 
 
 //==============================================================================
@@ -75,6 +78,16 @@ describe('optionValidator', function() {
       optionValidator.assertValidAndFillDefaults(projectOpts, buildOpts);
     }
 
+    var getProblems = function() {
+      try {
+        runValidator();
+      } catch (e) {
+        (e instanceof optionValidator.InvalidOptionsError).should.equal(true);
+        return e.problems;
+      }
+      throw new Error('Was expecting an InvalidOptionsError');
+    };
+
     it('does not throw when given valid project and build options', function() {
       runValidator.should.not.throw();
     });
@@ -94,6 +107,74 @@ describe('optionValidator', function() {
       runValidator.should.throw(/Invalid build type: <profile>/);
     });
 
+    it('accepts the name of a custom build profile as the build type',
+        function() {
+      projectOpts.buildProfiles = {
+        whitespace: {jsCompilationLevel: 'WHITESPACE_ONLY'}
+      };
+      buildOpts.type = 'whitespace';
+      runValidator.should.not.throw();
+    });
+
+    it('throws when given an invalid build profile setting', function() {
+      projectOpts.buildProfiles = {
+        whitespace: {jsCompilationLevel: 'WHITESPACE'}
+      };
+      runValidator.should.throw(/<WHITESPACE> is not one of WHITESPACE_ONLY, /);
+
+      projectOpts.buildProfiles = {pretty: {jsDefines: {'a.B': null}}};
+      runValidator.should.throw(/<null> is not a boolean, number, or string/);
+    });
+
+    it('throws for an outputSubdir that isn\'t a single directory name',
+        function() {
+      ['', '.', '..', 'a/../..', '/tmp', 'a\\b', 'C:'].forEach(
+          function(outputSubdir) {
+            projectOpts.buildProfiles = {
+              pretty: {outputSubdir: outputSubdir}
+            };
+            runValidator.should.throw(new RegExp('<' +
+                outputSubdir.replace(/[.\\]/g, '\\$&') + '> is not a ' +
+                'single directory name.*\\[\'outputSubdir\'\\]'));
+          });
+    });
+
+    it('throws for a profile name that isn\'t a single directory name, when ' +
+        'used as the output subdirectory', function() {
+      projectOpts.buildProfiles = {
+        '..': {basedOn: common.RELEASE},
+        'a/b': {outputSubdir: 'ab'}
+      };
+      buildOpts.type = '..';
+      runValidator.should.throw(/<\.\.> is not a single directory name/);
+      runValidator.should.throw(/outputSubdir of build profile <\.\.>/);
+
+      buildOpts.type = 'a/b';
+      runValidator.should.not.throw();
+    });
+
+    it('throws when generating module info with hashed file names',
+        function() {
+      projectOpts.jsModuleInfoBaseUrl = '/static/js/';
+      runValidator.should.not.throw();
+
+      buildOpts.hashFileNames = true;
+      runValidator.should.throw(new RegExp('buildOptions\\[\'hashFileNames' +
+          '\'\\] can\'t be used with projectOptions\\[\'jsModuleInfoBaseUrl'));
+    });
+
+    it('throws for optional: externs or JS warnings whitelist files',
+        function() {
+      projectOpts.jsExterns = ['externs.js', 'optional:jquery_externs.js'];
+      runValidator.should.throw(/<optional:jquery_externs\.js> can't be /);
+      runValidator.should.throw(/, projectOptions\['jsExterns'\]\[1\]: /);
+
+      projectOpts.jsExterns = [];
+      projectOpts.jsWarningsWhitelistFile = 'optional:whitelist.txt';
+      runValidator.should.throw(/<optional:whitelist\.txt> can't be /);
+      runValidator.should.throw(/, projectOptions\['jsWarningsWhitelistFile'/);
+    });
+
     it('throws when expecting an array but getting another type', function() {
       projectOpts.jsModules.main.closureRootNamespaces = 'a.string';
       runValidator.should.throw(/<a.string> is not an array/);
@@ -180,6 +261,186 @@ describe('optionValidator', function() {
       runValidator.should.not.throw();
     });
 
+    it('merges in extended project options before validating', function() {
+      projectOpts['extends'] = {
+        jsExterns: ['externs/base.js'],
+        jsModules: {base: {closureRootNamespaces: ['org.base']}}
+      };
+      runValidator();
+      should.not.exist(projectOpts['extends']);
+      should.deepEqual(projectOpts.jsExterns, ['externs/base.js']);
+      should.deepEqual(projectOpts.jsModules.base.alwaysLoadedAfterModules, []);
+
+      projectOpts = newValidProjectOptions();
+      projectOpts['extends'] = {jsModules: {base: {unrollLoops: true}}};
+      runValidator.should.throw(/Unrecognized option <unrollLoops>/);
+    });
+
+    it('accepts plugins with valid hooks', function() {
+      projectOpts.plugins = [
+        {name: 'lint', beforeDeps: function() {}},
+        {
+          name: 'upload',
+          afterJsCompile: function() {},
+          afterBuild: function() {}
+        }
+      ];
+      runValidator.should.not.throw();
+    });
+
+    it('throws when given an invalid plugin', function() {
+      projectOpts.plugins = [{beforeSoy: function() {}}];
+      runValidator.should.throw(/<undefined> is not a string, projectOptions/);
+
+      projectOpts.plugins = [{name: 'lint', beforeLint: function() {}}];
+      runValidator.should.throw(new RegExp('Unrecognized plugin hook ' +
+          '<beforeLint> within projectOptions\\[\'plugins\'\\]\\[0\\]'));
+
+      projectOpts.plugins = [{name: 'lint', beforeDeps: 'lint.sh'}];
+      runValidator.should.throw(/<lint.sh> is not a function/);
+
+      projectOpts.plugins = ['lint.js'];
+      runValidator.should.throw(/<lint.js> is not a plugin Object/);
+    });
+
+    it('reports all problems at once with full option names', function() {
+      projectOpts.jsModules.main.closureRootNamespaces = ['project.main', 3];
+      projectOpts.jsModules.secondary.description = false;
+      buildOpts.suppressOutput = 'yes';
+      delete buildOpts.type;
+
+      should.deepEqual(getProblems(), [
+          '<3> is not a string, projectOptions[\'jsModules\'][\'main\']' +
+              '[\'closureRootNamespaces\'][1]: List of root Closure ' +
+              'namespace(s) for this module',
+          '<false> is not a string, projectOptions[\'jsModules\']' +
+              '[\'secondary\'][\'description\']: String that describes ' +
+              'the module (for documentation)',
+          'Missing required option type within buildOptions',
+          '<yes> is not a boolean, buildOptions[\'suppressOutput\']: True ' +
+              'if standard output/error should be suppressed'
+      ]);
+      runValidator.should.throw(/^Found 4 problems with options:\n  <3> is /);
+    });
+
+    it('suggests options that unrecognized options are likely typos of',
+        function() {
+      projectOpts.jsModules.main.closureRootNamespace = ['project.main'];
+      projectOpts.jsModules.main.dontCompileInputFile = ['3p/punk.js'];
+      projectOpts.RootSrcDir = 'src/';
+      projectOpts.jsModulez = {};
+      buildOpts.cacheDirectory = 'cache/';
+      buildOpts.lint = true;
+
+      should.deepEqual(getProblems(), [
+          'Unrecognized option <RootSrcDir> within projectOptions, did you ' +
+              'mean <rootSrcDir>?',
+          'Unrecognized option <jsModulez> within projectOptions, did you ' +
+              'mean <jsModules>?',
+          'Unrecognized option <closureRootNamespace> within ' +
+              'projectOptions[\'jsModules\'][\'main\'], did you mean ' +
+              '<closureRootNamespaces>?',
+          'Unrecognized option <dontCompileInputFile> within ' +
+              'projectOptions[\'jsModules\'][\'main\'], did you mean ' +
+              '<dontCompileInputFiles>?',
+          'Unrecognized option <cacheDirectory> within buildOptions',
+          'Unrecognized option <lint> within buildOptions'
+      ]);
+    });
+
+    it('throws for JS modules loaded after unknown modules', function() {
+      projectOpts.jsModules.secondary.alwaysLoadedAfterModules =
+          ['mian', 'admin'];
+      should.deepEqual(getProblems(), [
+        'Unknown JS module <mian> within projectOptions[\'jsModules\']' +
+            '[\'secondary\'][\'alwaysLoadedAfterModules\'][0], did you ' +
+            'mean <main>?',
+        'Unknown JS module <admin> within projectOptions[\'jsModules\']' +
+            '[\'secondary\'][\'alwaysLoadedAfterModules\'][1]'
+      ]);
+    });
+
+    it('throws for JS modules loaded after each other in a cycle', function() {
+      projectOpts.jsModules.main.alwaysLoadedAfterModules = ['secondary'];
+      runValidator.should.throw(new RegExp('Dependency cycle exists within ' +
+          'JS modules main, secondary'));
+    });
+
+    it('only checks across options once each option is valid', function() {
+      projectOpts.jsModules.main.alwaysLoadedAfterModules = 'secondary';
+      buildOpts.type = 'whitespace';
+      should.deepEqual(getProblems(), ['<secondary> is not an array, ' +
+          'projectOptions[\'jsModules\'][\'main\']' +
+          '[\'alwaysLoadedAfterModules\']: List of JS module names this ' +
+          'module depends on']);
+    });
+
+    it('validates the names and values of JS defines', function() {
+      buildOpts.jsDefines = {'myapp.API_BASE': '/api/', 'goog.LOCALE': 'de'};
+      runValidator.should.not.throw();
+
+      buildOpts.jsDefines = {
+        'myapp.API-BASE': '/api/',
+        'myapp.RATIO': Infinity,
+        'myapp.QUOTE': '"It\'s"'
+      };
+      should.deepEqual(getProblems(), [
+          '<Infinity> is not a finite number, buildOptions[\'jsDefines\']' +
+              '[\'myapp.RATIO\']: Map from JS constant name to the value ' +
+              'to --define it as, overriding those of the build profile',
+          '<"It\'s"> contains both \' and ", so can\'t be passed to the JS ' +
+              'compiler, buildOptions[\'jsDefines\'][\'myapp.QUOTE\']: ' +
+              'Map from JS constant name to the value to --define it as, ' +
+              'overriding those of the build profile',
+          '<myapp.API-BASE> is not a JS constant name, ' +
+              'buildOptions[\'jsDefines\']: Map from JS constant name to ' +
+              'the value to --define it as, overriding those of the build ' +
+              'profile'
+      ]);
+
+      buildOpts.jsDefines = {'myapp.API-BASE': '/api/'};
+      runValidator.should.throw(new RegExp('^<myapp.API-BASE> is not a JS ' +
+          'constant name, buildOptions\\[\'jsDefines\'\\]: '));
+    });
+
+    it('validates JS compiler options', function() {
+      projectOpts.jsCompilerOptions = {
+        languageIn: 'ECMASCRIPT5_STRICT',
+        jscompError: ['checkTypes'],
+        outputWrapper: '(function() {%output%})();',
+        extraFlags: ['--charset', 'UTF-8']
+      };
+      runValidator.should.not.throw();
+
+      projectOpts.jsCompilerOptions = {
+        languageIn: 'ES6',
+        outputWrapper: '(function() {})();',
+        generateExport: true
+      };
+      should.deepEqual(getProblems(), [
+          'Unrecognized option <generateExport> within ' +
+              'projectOptions[\'jsCompilerOptions\'], did you mean ' +
+              '<generateExports>?',
+          '<ES6> is not one of ECMASCRIPT3, ECMASCRIPT5, ' +
+              'ECMASCRIPT5_STRICT, projectOptions[\'jsCompilerOptions\']' +
+              '[\'languageIn\']: Language mode of input JS (--language_in)',
+          '<(function() {})();> doesn\'t contain %output%, ' +
+              'projectOptions[\'jsCompilerOptions\'][\'outputWrapper\']: ' +
+              'Text to wrap the compiled JS of each module in, with ' +
+              '%output% where the compiled JS goes'
+      ]);
+    });
+
+    it('rejects languageOut, which the bundled JS compiler lacks', function() {
+      jsBuilder.JS_COMPILER_VERSION.should.equal('20130823');
+      projectOpts.jsCompilerOptions = {languageOut: 'ECMASCRIPT5'};
+      should.deepEqual(getProblems(), [
+          '<languageOut> within projectOptions[\'jsCompilerOptions\'] ' +
+              'isn\'t supported by the bundled JS compiler (20130823), ' +
+              'which compiles to the languageIn mode'
+      ]);
+    });
+
     it('fills in default values for those not provided', function() {
       runValidator();
 
@@ -202,4 +463,264 @@ describe('optionValidator', function() {
       should.equal(buildOpts.suppressOutput, false);
     });
   });
+
+  describe('#assertInputFilesExistAsync()', function() {
+    // Files that exist, by the directory they're relative to.
+    var EXISTING_FILES = {
+      'src/': ['style.gss', '3p/3p.css', '3p/jquery.js', '3p/punk.js'],
+      '.': ['js_warnings_whitelist.txt']
+    };
+
+    // Only matches file paths (not patterns), which is enough for testing.
+    var fakeGlob = function(pattern, options, callbackFn) {
+      var matches =
+          (EXISTING_FILES[options.cwd].indexOf(pattern) == -1) ? [] : [pattern];
+      setTimeout(function() { callbackFn(null, matches); }, 2 /* ms */);
+    };
+
+    var stubGlob;
+    before(function() { stubGlob = sinon.stub(glob, 'Glob', fakeGlob); });
+    after(function() { stubGlob.restore(); });
+
+    var projectOpts;
+    beforeEach(function() {
+      projectOpts = newValidProjectOptions();
+      optionValidator.assertValidAndFillDefaults(
+          projectOpts, newValidBuildOptions());
+    });
+
+    it('reports each input file or pattern that matches nothing',
+        function(callbackFn) {
+      projectOpts.jsExterns = ['externs/jquery.js'];
+      optionValidator.assertInputFilesExistAsync(projectOpts)
+          .then(function() {
+            should.fail('Was expecting an InvalidOptionsError');
+          }).fail(function(err) {
+            (err instanceof optionValidator.InvalidOptionsError)
+                .should.equal(true);
+            should.deepEqual(err.problems, [
+              '<3p/rebel.js> matches no files under <src/>, ' +
+                  'projectOptions[\'jsModules\'][\'main\']' +
+                  '[\'dontCompileInputFiles\'][1]',
+              '<externs/jquery.js> matches no files under <.>, ' +
+                  'projectOptions[\'jsExterns\'][0]'
+            ]);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('allows optional files and the default Soy pattern to match nothing',
+        function(callbackFn) {
+      projectOpts.jsModules.main.dontCompileInputFiles[1] =
+          'optional:3p/rebel.js';
+      should.deepEqual(projectOpts.soyInputFiles, ['**/*.soy']);
+      optionValidator.assertInputFilesExistAsync(projectOpts)
+          .then(function() { callbackFn(null); }).end();
+    });
+  });
+
+  describe('#assertValidBuildOptionsListAndFillDefaults()', function() {
+    it('fills in default values for each build', function() {
+      var buildOptsList = [newValidBuildOptions(), newValidBuildOptions()];
+      buildOptsList[1].type = common.RELEASE;
+      optionValidator.assertValidBuildOptionsListAndFillDefaults(
+          newValidProjectOptions(), buildOptsList);
+      should.equal(buildOptsList[0].javaCommand, 'java');
+      should.equal(buildOptsList[1].javaCommand, 'java');
+    });
+
+    it('throws for an empty list', function() {
+      (function() {
+        optionValidator.assertValidBuildOptionsListAndFillDefaults(
+            newValidProjectOptions(), []);
+      }).should.throw(/must be a non-empty Array/);
+    });
+
+    it('throws if builds share an output subdirectory', function() {
+      var projectOpts = newValidProjectOptions();
+      projectOpts.buildProfiles = {
+        'release-pretty': {basedOn: common.RELEASE, outputSubdir: 'debug'}
+      };
+      var buildOptsList = [newValidBuildOptions(), newValidBuildOptions()];
+      buildOptsList[1].type = 'release-pretty';
+      (function() {
+        optionValidator.assertValidBuildOptionsListAndFillDefaults(
+            projectOpts, buildOptsList);
+      }).should.throw(/more than one uses <tmp\/debug\/>/);
+    });
+
+    it('allows the same output subdirectory under different dirs', function() {
+      var buildOptsList = [newValidBuildOptions(), newValidBuildOptions()];
+      buildOptsList[1].outputDir = 'bin2/';
+      buildOptsList[1].tempFileDir = 'tmp2/';
+      buildOptsList[1].generatedCodeDir = 'gen2/';
+      optionValidator.assertValidBuildOptionsListAndFillDefaults(
+          newValidProjectOptions(), buildOptsList);
+    });
+
+    it('throws if builds share a temp or generated code dir', function() {
+      var buildOptsList = [newValidBuildOptions(), newValidBuildOptions()];
+      buildOptsList[1].outputDir = 'bin2/';
+      buildOptsList[1].generatedCodeDir = 'gen2/';
+      (function() {
+        optionValidator.assertValidBuildOptionsListAndFillDefaults(
+            newValidProjectOptions(), buildOptsList);
+      }).should.throw(/more than one uses <tmp\/debug\/>/);
+
+      buildOptsList = [newValidBuildOptions(), newValidBuildOptions()];
+      buildOptsList[1].outputDir = 'bin2/';
+      buildOptsList[1].tempFileDir = 'tmp2/';
+      buildOptsList[1].generatedCodeDir = './gen2/../tmp/';
+      (function() {
+        optionValidator.assertValidBuildOptionsListAndFillDefaults(
+            newValidProjectOptions(), buildOptsList);
+      }).should.throw(/more than one uses <tmp\/debug\/>/);
+    });
+
+    it('reports the problems of all builds at once', function() {
+      var buildOptsList = [newValidBuildOptions(), newValidBuildOptions()];
+      buildOptsList[0].javaCommand = 7;
+      buildOptsList[1].type = 'profile';
+      (function() {
+        optionValidator.assertValidBuildOptionsListAndFillDefaults(
+            newValidProjectOptions(), buildOptsList);
+      }).should.throw(/Found 2 problems with options:\n  <7> is not a string/);
+    });
+  });
+
+  describe('#assertValidWatchOptionsAndFillDefaults()', function() {
+    it('fills in default values', function() {
+      var buildOpts = newValidBuildOptions();
+      optionValidator.assertValidWatchOptionsAndFillDefaults(
+          newValidProjectOptions(), buildOpts);
+      should.equal(buildOpts.javaCommand, 'java');
+    });
+
+    it('throws if hashFileNames is set', function() {
+      var buildOpts = newValidBuildOptions();
+      buildOpts.hashFileNames = true;
+      (function() {
+        optionValidator.assertValidWatchOptionsAndFillDefaults(
+            newValidProjectOptions(), buildOpts);
+      }).should.throw(/hashFileNames'\] can't be used in watch mode/);
+    });
+  });
+
+  describe('#assertValidMiddlewareOptionsAndFillDefaults()', function() {
+    it('fills in the default urlPrefix', function() {
+      var middlewareOpts = {};
+      optionValidator.assertValidMiddlewareOptionsAndFillDefaults(
+          middlewareOpts);
+      should.equal(middlewareOpts.urlPrefix, '/');
+    });
+
+    it('throws for invalid middleware options', function() {
+      (function() {
+        optionValidator.assertValidMiddlewareOptionsAndFillDefaults(
+            {urlPrefix: 5});
+      }).should.throw(/is not a string/);
+      (function() {
+        optionValidator.assertValidMiddlewareOptionsAndFillDefaults(
+            {port: 8080});
+      }).should.throw(/Unrecognized option <port>/);
+    });
+  });
+
+  describe('#parseBuildOptionString()', function() {
+    it('parses boolean build options', function() {
+      optionValidator.parseBuildOptionString('suppressOutput', 'true')
+          .should.equal(true);
+      optionValidator.parseBuildOptionString('suppressOutput', 'false')
+          .should.equal(false);
+    });
+
+    it('leaves invalid boolean strings for validation to report', function() {
+      optionValidator.parseBuildOptionString('suppressOutput', 'yes')
+          .should.equal('yes');
+    });
+
+    it('leaves string build options as-is', function() {
+      optionValidator.parseBuildOptionString('outputDir', 'true')
+          .should.equal('true');
+    });
+
+    it('throws for unrecognized build options', function() {
+      (function() {
+        optionValidator.parseBuildOptionString('rubyCommand', 'ruby');
+      }).should.throw(/Unrecognized option <rubyCommand>/);
+    });
+  });
+
+  describe('#getJsonSchema()', function() {
+    var schema;
+    beforeEach(function() {
+      schema = optionValidator.getJsonSchema();
+    });
+
+    it('describes config files with projectOptions and buildOptions',
+        function() {
+      schema.$schema.should.equal('http://json-schema.org/draft-04/schema#');
+      schema.type.should.equal('object');
+      should.deepEqual(schema.required, ['projectOptions']);
+      should.deepEqual(Object.keys(schema.properties),
+          ['$schema', 'projectOptions', 'buildOptions']);
+      should.deepEqual(Object.keys(schema.properties.buildOptions.properties),
+          Object.keys(optionValidator.BUILD_OPTIONS_SPEC));
+    });
+
+    it('includes the type, description, and default of each option',
+        function() {
+      should.deepEqual(schema.properties.buildOptions.properties.outputDir, {
+        description: 'Directory to output JS and CSS files under',
+        type: 'string',
+        'default': 'build/'
+      });
+
+      var projectProps = schema.properties.projectOptions.properties;
+      should.deepEqual(projectProps.soyInputFiles, {
+        description: 'List of input Soy files',
+        type: 'array',
+        items: {type: 'string'},
+        'default': ['**/*.soy']
+      });
+      projectProps.cssModule.additionalProperties.should.equal(false);
+      projectProps.cssModule.properties.name['default'].should.equal('style');
+    });
+
+    it('describes JS modules and build profiles', function() {
+      var projectProps = schema.properties.projectOptions.properties;
+      var jsModuleSchema = projectProps.jsModules.additionalProperties;
+      jsModuleSchema.properties.alwaysLoadedAfterModules.type
+          .should.equal('array');
+
+      var profileProps =
+          projectProps.buildProfiles.additionalProperties.properties;
+      should.deepEqual(profileProps.jsCompilationLevel['enum'], [
+        'WHITESPACE_ONLY', 'SIMPLE_OPTIMIZATIONS', 'ADVANCED_OPTIMIZATIONS'
+      ]);
+      var definePatterns = profileProps.jsDefines.patternProperties;
+      should.deepEqual(definePatterns[Object.keys(definePatterns)[0]],
+          {type: ['boolean', 'number', 'string']});
+      profileProps.jsDefines.additionalProperties.should.equal(false);
+      profileProps.gssPrettyPrint.type.should.equal('boolean');
+    });
+
+    it('requires jsModules unless project options are extended', function() {
+      var projectSchema = schema.properties.projectOptions;
+      should.not.exist(projectSchema.required);
+      should.deepEqual(projectSchema.anyOf,
+          [{required: ['jsModules']}, {required: ['extends']}]);
+      projectSchema.properties['extends'].type
+          .should.eql(['string', 'object']);
+    });
+
+    it('does not share default values with the option specs', function() {
+      schema.properties.projectOptions.properties.closureRootDirs['default']
+          .push('lib/');
+      var projectOpts = newValidProjectOptions();
+      optionValidator.assertValidAndFillDefaults(
+          projectOpts, newValidBuildOptions());
+      should.deepEqual(projectOpts.closureRootDirs, ['.']);
+    });
+  });
 });
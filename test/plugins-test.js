@@ -0,0 +1,144 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var plugins = require('../lib/plugins.js');
+
+var BuildCancelledError =
+    require('../lib/build-monitor.js').BuildCancelledError;
+var BuildMonitor = require('../lib/build-monitor.js').BuildMonitor;
+var common = require('../lib/common.js');
+var kew = require('kew');
+var should = require('should');
+var shouldContain = require('./test-util.js').shouldContain;
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+var OUT_DIRS = {tmp: 'tmp/debug/', gen: 'gen/debug/', build: 'build/debug/'};
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('plugins', function() {
+  describe('#runHookAsync()', function() {
+    var calls, projectOpts, buildOpts, monitor;
+    beforeEach(function() {
+      // Reset state before each test case.
+      calls = [];
+      buildOpts = {type: common.DEBUG};
+      monitor = new BuildMonitor();
+      projectOpts = {
+        plugins: [{
+          name: 'first',
+          afterSoy: function(context) {
+            // Finish later than the second plugin would if run in parallel.
+            var promise = kew.defer();
+            setTimeout(function() {
+              calls.push({plugin: 'first', context: context});
+              promise.resolve(null);
+            }, 5 /* ms */);
+            return promise;
+          }
+        }, {
+          name: 'unrelated',
+          beforeSoy: function() { calls.push({plugin: 'unrelated'}); }
+        }, {
+          name: 'second',
+          afterSoy: function(context) {
+            calls.push({plugin: 'second', context: context});
+          }
+        }]
+      };
+    });
+
+    var runAfterSoyHook = function(opt_properties) {
+      return plugins.runHookAsync(plugins.Hook.AFTER_SOY, projectOpts,
+          buildOpts, OUT_DIRS, monitor, opt_properties);
+    };
+
+    it('runs the hook of each plugin in order', function(callbackFn) {
+      runAfterSoyHook({extra: 42})
+          .then(function() {
+            calls.map(function(call) { return call.plugin; })
+                .should.eql(['first', 'second']);
+
+            var context = calls[0].context;
+            context.hook.should.equal('afterSoy');
+            context.projectOptions.should.equal(projectOpts);
+            context.buildOptions.should.equal(buildOpts);
+            context.outDirs.should.equal(OUT_DIRS);
+            context.monitor.should.equal(monitor);
+            context.extra.should.equal(42);
+            calls[1].context.should.equal(context);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('is a no-op if there are no plugins', function(callbackFn) {
+      plugins.runHookAsync(plugins.Hook.AFTER_BUILD, {}, buildOpts, OUT_DIRS,
+          monitor).then(function() { callbackFn(null); }).end();
+    });
+
+    it('fails with the plugin name if a hook fails', function(callbackFn) {
+      projectOpts.plugins[0].afterSoy = function() {
+        return kew.reject(new Error('no schema'));
+      };
+      runAfterSoyHook()
+          .then(function() {
+            should.fail('Was expecting the hook to fail');
+          }).fail(function(err) {
+            err.message.should.equal(
+                'Plugin <first> failed in afterSoy: no schema');
+            calls.length.should.equal(0);
+            callbackFn(null);
+          }).end();
+    });
+
+    it('fails if a hook throws', function(callbackFn) {
+      projectOpts.plugins[1].beforeSoy = function() { throw 'oops'; };
+      plugins.runHookAsync(plugins.Hook.BEFORE_SOY, projectOpts, buildOpts,
+          OUT_DIRS, monitor)
+          .fail(function(err) {
+            shouldContain(err.message, 'Plugin <unrelated> failed in ' +
+                'beforeSoy: oops');
+            callbackFn(null);
+          }).end();
+    });
+
+    it('runs no more hooks once the build is cancelled', function(callbackFn) {
+      projectOpts.plugins[0].afterSoy = function() { monitor.cancel(); };
+      runAfterSoyHook()
+          .fail(function(err) {
+            (err instanceof BuildCancelledError).should.equal(true);
+            calls.length.should.equal(0);
+            callbackFn(null);
+          }).end();
+    });
+  });
+
+  describe('HookContext', function() {
+    it('tracks output files added by plugins', function() {
+      var monitor = new BuildMonitor();
+      var context = new plugins.HookContext(plugins.Hook.AFTER_JS_COMPILE, {},
+          {type: common.DEBUG}, OUT_DIRS, monitor);
+      context.addOutputFile('build/debug/main.js.map');
+      should.deepEqual(monitor.getTrackedOutputFiles(),
+          ['build/debug/main.js.map']);
+    });
+  });
+});
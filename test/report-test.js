@@ -0,0 +1,231 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var report = require('../lib/report.js');
+
+var common = require('../lib/common.js');
+var dirManager = require('../lib/dir-manager.js');
+var fs = require('fs');
+var path = require('path');
+var should = require('should');
+var shouldContain = require('./test-util.js').shouldContain;
+var sinon = require('sinon');
+var testUtil = require('./test-util.js');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+var FAKE_FILE_SIZES = {
+  'base.js': 1000,
+  'page.js': 2000,
+  'main.js': 300,
+  'reset.css': 100,
+  'style.gss': 4096
+};
+
+
+function newManifest() {
+  return {
+    type: common.RELEASE,
+    jsModules: [
+      {
+        name: 'page',
+        path: 'build/release/page.js',
+        size: 1536,
+        hash: '057e644174a25338eaf4ea732f73574ed3c57526',
+        alwaysLoadedAfterModules: [],
+        inputFiles: ['base.js', 'page.js']
+      },
+      {
+        name: 'main',
+        path: 'build/release/main.js',
+        size: 120,
+        hash: 'd927f4f5c9b4cab4c9ddb0b079850712f544232d',
+        alwaysLoadedAfterModules: ['page'],
+        inputFiles: ['main.js']
+      },
+      {
+        name: 'admin',
+        path: 'build/release/admin.js',
+        size: 80,
+        hash: '6f1ed002ab5595859014ebf0951522d9f3a6a6e2',
+        alwaysLoadedAfterModules: ['page', 'main'],
+        inputFiles: ['admin.js']
+      }
+    ],
+    cssModule: {
+      name: 'style',
+      path: 'build/release/style.css',
+      size: 2048,
+      hash: 'b4fd9e9e6a6a3dc2b719685c76eb8372389c7419',
+      inputFiles: ['reset.css', 'style.gss']
+    }
+  };
+}
+
+
+function newFakeMonitor(timings, diagnosticList) {
+  return {
+    getTimings: function() { return timings; },
+    getDiagnostics: function() { return diagnosticList; }
+  };
+}
+
+
+//==============================================================================
+// Stubbed Functions
+//==============================================================================
+
+function fakeStat(filePath, callbackFn) {
+  setTimeout(function() {
+    if (FAKE_FILE_SIZES[filePath] != null) {
+      callbackFn(null, {size: FAKE_FILE_SIZES[filePath]});
+    } else {
+      var err = new Error('ENOENT, no such file ' + filePath);
+      err.code = 'ENOENT';
+      callbackFn(err);
+    }
+  }, 2 /* ms */);
+}
+
+
+var writtenFiles;
+function fakeWriteFile(filePath, content, options, callbackFn) {
+  should.deepEqual(options, {encoding: 'utf8'});
+  writtenFiles[filePath] = content;
+  setTimeout(function() { callbackFn(null); }, 2 /* ms */);
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('report', function() {
+  var stubStat, stubWriteFile, stubPathJoin;
+  before(function() {
+    stubStat = sinon.stub(fs, 'stat', fakeStat);
+    stubWriteFile = sinon.stub(fs, 'writeFile', fakeWriteFile);
+    stubPathJoin = sinon.stub(path, 'join', testUtil.pathJoin);
+  });
+  after(function() {
+    stubStat.restore();
+    stubWriteFile.restore();
+    stubPathJoin.restore();
+  });
+
+  beforeEach(function() {
+    // Reset state before each test case.
+    writtenFiles = {};
+  });
+
+  describe('#createReportAsync()', function() {
+    var monitor;
+    beforeEach(function() {
+      monitor = newFakeMonitor([
+        {phase: 'gss', durationMs: 1200},
+        {phase: 'outputFiles', module: 'style', durationMs: 15}
+      ], [{
+        tool: 'jsCompiler',
+        severity: 'warning',
+        file: 'main.js',
+        line: 2,
+        column: null,
+        code: null,
+        message: 'Suspicious code: a < b && c'
+      }]);
+    });
+
+    it('reports module sizes before and after compilation',
+        function(callbackFn) {
+      report.createReportAsync(newManifest(), monitor)
+          .then(function(html) {
+            shouldContain(html, '<title>Build report: release</title>');
+            shouldContain(html, '<tr><td>page</td><td></td><td>2</td>' +
+                '<td class="size">2.9 KB</td><td class="size">1.5 KB</td>' +
+                '</tr>');
+            shouldContain(html, '<tr><td>main</td><td>page</td><td>1</td>' +
+                '<td class="size">300 B</td><td class="size">120 B</td>' +
+                '</tr>');
+            shouldContain(html, '<tr><td>style</td><td>2</td>' +
+                '<td class="size">4.1 KB</td><td class="size">2.0 KB</td>' +
+                '</tr>');
+
+            // Input files of each module, in order:
+            shouldContain(html, '<summary>page (2 files, 2.9 KB &rarr; ' +
+                '1.5 KB)</summary>');
+            shouldContain(html, '<tr><td>base.js</td><td class="size">' +
+                '1000 B</td></tr>\n<tr><td>page.js</td>');
+            callbackFn(null);
+          }).end();
+    });
+
+    it('shows each module under the modules it directly depends on',
+        function(callbackFn) {
+      report.createReportAsync(newManifest(), monitor)
+          .then(function(html) {
+            shouldContain(html, '<ul class="graph"><li>page' +
+                '<ul class="graph"><li>main' +
+                '<ul class="graph"><li>admin</li></ul></li></ul></li></ul>');
+            callbackFn(null);
+          }).end();
+    });
+
+    it('reports phase timings and escaped warnings', function(callbackFn) {
+      report.createReportAsync(newManifest(), monitor)
+          .then(function(html) {
+            shouldContain(html, '<tr><td>gss</td><td></td>' +
+                '<td class="size">1200 ms</td></tr>');
+            shouldContain(html, '<tr><td>outputFiles</td><td>style</td>');
+            shouldContain(html, '<li class="warning">jsCompiler: main.js:2: ' +
+                'WARNING - Suspicious code: a &lt; b &amp;&amp; c</li>');
+            callbackFn(null);
+          }).end();
+    });
+
+    it('handles missing input files, CSS, and warnings', function(callbackFn) {
+      var buildManifest = newManifest();
+      buildManifest.cssModule = null;
+      report.createReportAsync(buildManifest, newFakeMonitor([], []))
+          .then(function(html) {
+            // admin.js doesn't exist, so its size is unknown.
+            shouldContain(html, '<summary>admin (1 file, ? &rarr; 80 B)');
+            shouldContain(html, '<h2>CSS Module</h2>\n<p>None</p>');
+            shouldContain(html, '<h2>Warnings</h2>\n<p>None</p>');
+            callbackFn(null);
+          }).end();
+    });
+  });
+
+  describe('#writeReportAsync()', function() {
+    it('writes report.html to the build output dir', function(callbackFn) {
+      var buildOptions = {
+        type: common.RELEASE,
+        tempFileDir: 'tmp/',
+        generatedCodeDir: 'gen/',
+        outputDir: 'build/'
+      };
+      var outDirs = new dirManager.OutputDirs(buildOptions);
+
+      report.writeReportAsync('<html></html>\n', outDirs)
+          .then(function() {
+            should.deepEqual(writtenFiles,
+                {'build/release/report.html': '<html></html>\n'});
+            callbackFn(null);
+          }).end();
+    });
+  });
+});
@@ -14,8 +14,11 @@
 
 var soyBuilder = require('../lib/soy-builder.js');
 
+var BuildMonitor = require('../lib/build-monitor.js').BuildMonitor;
+var buildCache = require('../lib/build-cache.js');
 var child_process = require('child_process');
 var common = require('../lib/common.js');
+var diagnostics = require('../lib/diagnostics.js');
 var dirManager = require('../lib/dir-manager.js');
 var fileMatcher = require('../lib/file-matcher.js');
 var kew = require('kew');
@@ -89,41 +92,67 @@ var fakeResolveAnyGlobPatternsAsync = testUtil.fakeFileMatcherFor('src/', [
 ]);
 
 
-var expectedStdoutBehavior, expectedStderrBehavior;
-var expectedArgs, compilerExitCode;
+var expectedStdoutBehavior, compilerStderr;
+var expectedArgs, compilerExitCode, wasCompilerKilled;
 function fakeSpawn(command, args, options) {
   // Verify arguments.
   command.should.equal('myjava');
   should.deepEqual(args, expectedArgs);
   should.deepEqual(options,
-      {stdio: ['ignore', expectedStdoutBehavior, expectedStderrBehavior]});
+      {stdio: ['ignore', expectedStdoutBehavior, 'pipe']});
 
   // Return fake ChildProcess that simulates the Soy compiler.
   return {
+    stderr: testUtil.newFakeStderr(compilerStderr),
     on: function(eventName, callbackFn) {
       eventName.should.equal('close');
       setTimeout(function() { callbackFn(compilerExitCode); }, 2 /* ms */);
+    },
+    kill: function() {
+      // Simulate the exit code of a process killed by a signal.
+      wasCompilerKilled = true;
+      compilerExitCode = null;
     }
   };
 }
 
 
+var echoedStderr;
+function fakeWriteStderr(data) {
+  echoedStderr.push(data);
+}
+
+
+var staleFileRemovals;
+function fakeRemoveStaleFilesAsync(dirPath, keepFiles, opt_fileSuffix) {
+  staleFileRemovals.push(
+      {dirPath: dirPath, keepFiles: keepFiles, fileSuffix: opt_fileSuffix});
+  return kew.resolve([]);
+}
+
+
 //==============================================================================
 // Test Cases
 //==============================================================================
 
 describe('soyBuilder', function() {
-  var stubResolve, stubPathJoin, stubSpawn;
+  var stubResolve, stubPathJoin, stubSpawn, stubWriteStderr, stubRemoveStale;
   before(function() {
     stubResolve = sinon.stub(fileMatcher, 'resolveAnyGlobPatternsAsync',
         fakeResolveAnyGlobPatternsAsync);
     stubPathJoin = sinon.stub(path, 'join', testUtil.pathJoin);
     stubSpawn = sinon.stub(child_process, 'spawn', fakeSpawn);
+    stubWriteStderr = sinon.stub(diagnostics.testable, 'writeStderr',
+        fakeWriteStderr);
+    stubRemoveStale = sinon.stub(dirManager, 'removeStaleFilesAsync',
+        fakeRemoveStaleFilesAsync);
   });
   after(function() {
     stubResolve.restore();
     stubPathJoin.restore();
     stubSpawn.restore();
+    stubWriteStderr.restore();
+    stubRemoveStale.restore();
   });
 
   describe('#build()', function() {
@@ -133,8 +162,11 @@ describe('soyBuilder', function() {
       projectOpts = newProjectOptions();
       buildOpts = newBuildOptions();
       expectedStdoutBehavior = process.stdout;
-      expectedStderrBehavior = process.stderr;
+      compilerStderr = '';
+      echoedStderr = [];
+      staleFileRemovals = [];
       compilerExitCode = common.EXIT_SUCCESS;
+      wasCompilerKilled = false;
       outDirsAsync = kew.defer();
     });
 
@@ -181,15 +213,122 @@ describe('soyBuilder', function() {
       makeOutDirsReady();
     });
 
+    it('removes generated files of Soy files that no longer exist',
+        function(callbackFn) {
+      expectedArgs =
+          newExpectedArgs(['mysoy/one.soy', 'mysoy/sub/two.soy', 'direct.soy']);
+      runAndExpectSuccess(function() {
+        should.deepEqual(staleFileRemovals, [{
+          dirPath: 'mygen/debug/',
+          keepFiles: [
+            'mygen/debug/mysoy/one.soy.js',
+            'mygen/debug/mysoy/sub/two.soy.js',
+            'mygen/debug/direct.soy.js'
+          ],
+          fileSuffix: '.soy.js'
+        }]);
+        callbackFn();
+      });
+      makeOutDirsReady();
+    });
+
+    it('removes all generated files when there are no Soy files',
+        function(callbackFn) {
+      projectOpts['soyInputFiles'] = ['nosoyhere/*.soy'];
+      runAndExpectSuccess(function() {
+        should.deepEqual(staleFileRemovals,
+            [{dirPath: 'mygen/debug/', keepFiles: [], fileSuffix: '.soy.js'}]);
+        callbackFn();
+      });
+      makeOutDirsReady();
+    });
+
+    it('does not remove generated files if Soy compilation fails',
+        function(callbackFn) {
+      compilerExitCode = common.EXIT_FAILURE;
+      expectedArgs =
+          newExpectedArgs(['mysoy/one.soy', 'mysoy/sub/two.soy', 'direct.soy']);
+      runAndExpectFailure('Had errors compiling Soy', function() {
+        staleFileRemovals.length.should.equal(0);
+        callbackFn();
+      });
+      makeOutDirsReady();
+    });
+
+    it('runs plugin hooks before and after the Soy phase',
+        function(callbackFn) {
+      var hookEvents = [];
+      var monitor = new BuildMonitor();
+      monitor.on(BuildMonitor.PHASE_START, function(event) {
+        hookEvents.push(event.phase);
+      });
+      projectOpts.soyInputFiles = ['nosoyhere/*.soy'];
+      projectOpts.plugins = [{
+        name: 'generator',
+        beforeSoy: function(context) {
+          hookEvents.push(context.hook);
+          // Soy files are resolved after beforeSoy hooks.
+          context.projectOptions.soyInputFiles =
+              ['mysoy/**/*.soy', 'direct.soy'];
+        },
+        afterSoy: function(context) {
+          hookEvents.push(context.hook);
+          staleFileRemovals.length.should.equal(1);
+        }
+      }];
+
+      expectedArgs =
+          newExpectedArgs(['mysoy/one.soy', 'mysoy/sub/two.soy', 'direct.soy']);
+      soyBuilder.build(projectOpts, buildOpts, outDirsAsync, monitor)
+          .then(function() {
+            hookEvents.should.eql(['beforeSoy', 'soy', 'afterSoy']);
+            callbackFn(null);
+          }).end();
+      makeOutDirsReady();
+    });
+
     it('suppresses compiler stdout/stderr output if requested',
         function(callbackFn) {
       buildOpts['suppressOutput'] = true;
       expectedStdoutBehavior = 'ignore';
-      expectedStderrBehavior = 'ignore';
+      compilerStderr = 'Some compiler output\n';
 
       expectedArgs =
           newExpectedArgs(['mysoy/one.soy', 'mysoy/sub/two.soy', 'direct.soy']);
-      runAndExpectSuccess(callbackFn);
+      runAndExpectSuccess(function() {
+        echoedStderr.length.should.equal(0);
+        callbackFn();
+      });
+      makeOutDirsReady();
+    });
+
+    it('compiles through the build cache', function(callbackFn) {
+      buildOpts.cacheDir = 'mycache/';
+      var soyCompilerArgs =
+          newExpectedArgs(['mysoy/one.soy', 'mysoy/sub/two.soy', 'direct.soy']);
+      expectedArgs = null;  // The compiler should not be spawned.
+      var stubCompile = sinon.stub(buildCache, 'compileAsync',
+          function(buildOptions, compilation, monitor, compileFn) {
+            buildOptions.should.equal(buildOpts);
+            compilation.toolJar.should.equal(soyBuilder.SOY_COMPILER_PATH);
+            should.deepEqual(compilation.args, soyCompilerArgs);
+            should.deepEqual(compilation.inputFiles,
+                ['src/mysoy/one.soy', 'src/mysoy/sub/two.soy',
+                 'src/direct.soy']);
+            should.deepEqual(compilation.outputFiles,
+                ['mygen/debug/mysoy/one.soy.js',
+                 'mygen/debug/mysoy/sub/two.soy.js',
+                 'mygen/debug/direct.soy.js']);
+
+            // Simulate a cache hit, which doesn't spawn the compiler.
+            return kew.resolve(null);
+          });
+
+      runAndExpectSuccess(function() {
+        stubCompile.restore();
+        stubCompile.callCount.should.equal(1);
+        callbackFn();
+      });
       makeOutDirsReady();
     });
 
@@ -201,6 +340,90 @@ describe('soyBuilder', function() {
       makeOutDirsReady();
     });
 
+    it('rejects with diagnostics parsed from compiler errors',
+        function(callbackFn) {
+      compilerExitCode = common.EXIT_FAILURE;
+      compilerStderr = 'Exception in thread "main" ' +
+          'com.google.template.soy.base.SoySyntaxException: In file ' +
+          'mysoy/one.soy:4, template project.one: Not all code is in Soy V2 ' +
+          'syntax (found tag {print $a.0} not in Soy V2 syntax).\n' +
+          '\tat com.google.template.soy.SoyFileSet.compile(SoyFileSet.java)\n';
+      expectedArgs =
+          newExpectedArgs(['mysoy/one.soy', 'mysoy/sub/two.soy', 'direct.soy']);
+
+      soyBuilder.build(projectOpts, buildOpts, outDirsAsync)
+          .fail(function(err) {
+            (err instanceof diagnostics.CompileError).should.equal(true);
+            should.deepEqual(err.diagnostics, [{
+              tool: diagnostics.Tool.SOY_COMPILER,
+              severity: diagnostics.Severity.ERROR,
+              file: 'mysoy/one.soy',
+              line: 4,
+              column: null,
+              code: 'SoySyntaxException',
+              message: 'template project.one: Not all code is in Soy V2 ' +
+                  'syntax (found tag {print $a.0} not in Soy V2 syntax).'
+            }]);
+            should.deepEqual(echoedStderr, [compilerStderr]);
+            callbackFn();
+          }).end();
+      makeOutDirsReady();
+    });
+
+    it('reports the Soy phase to the given monitor', function(callbackFn) {
+      var monitor = new BuildMonitor();
+      var phaseEvents = [];
+      monitor.on(BuildMonitor.PHASE_END, function(event) {
+        phaseEvents.push(event);
+      });
+
+      expectedArgs =
+          newExpectedArgs(['mysoy/one.soy', 'mysoy/sub/two.soy', 'direct.soy']);
+      soyBuilder.build(projectOpts, buildOpts, outDirsAsync, monitor)
+          .then(function() {
+            phaseEvents.length.should.equal(1);
+            phaseEvents[0].phase.should.equal(BuildMonitor.Phase.SOY);
+            phaseEvents[0].success.should.equal(true);
+            callbackFn(null);
+          }).end();
+      makeOutDirsReady();
+    });
+
+    it('tracks the generated JS files with the monitor', function(callbackFn) {
+      var monitor = new BuildMonitor();
+      expectedArgs =
+          newExpectedArgs(['mysoy/one.soy', 'mysoy/sub/two.soy', 'direct.soy']);
+      soyBuilder.build(projectOpts, buildOpts, outDirsAsync, monitor)
+          .then(function() {
+            should.deepEqual(monitor.getTrackedOutputFiles(), [
+              'mygen/debug/mysoy/one.soy.js',
+              'mygen/debug/mysoy/sub/two.soy.js',
+              'mygen/debug/direct.soy.js'
+            ]);
+            callbackFn(null);
+          }).end();
+      makeOutDirsReady();
+    });
+
+    it('kills the Soy compiler if the monitor is cancelled',
+        function(callbackFn) {
+      var monitor = new BuildMonitor();
+      monitor.on(BuildMonitor.PHASE_START, function() {
+        monitor.cancel();
+      });
+
+      expectedArgs =
+          newExpectedArgs(['mysoy/one.soy', 'mysoy/sub/two.soy', 'direct.soy']);
+      soyBuilder.build(projectOpts, buildOpts, outDirsAsync, monitor)
+          .then(function() {
+            should.fail('Was expecting Soy build() to fail');
+          }).fail(function(err) {
+            wasCompilerKilled.should.equal(true);
+            callbackFn(null);
+          }).end();
+      makeOutDirsReady();
+    });
+
     it('fails if output dirs could not be created', function(callbackFn) {
       runAndExpectFailure('simulated outDirsAsync error', callbackFn);
       makeOutDirsFail();
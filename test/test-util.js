@@ -60,6 +60,24 @@ function fakeFileMatcherFor(expectedRootSrcDir, resolutionList) {
 }
 
 
+/**
+ * @param {string} output
+ * @return {!Object} Fake stderr stream of a ChildProcess, which emits all of
+ *     the given output (if any) as soon as a data listener is added.
+ */
+function newFakeStderr(output) {
+  return {
+    setEncoding: function(encoding) { encoding.should.equal('utf8'); },
+    on: function(eventName, callbackFn) {
+      eventName.should.equal('data');
+      if (output) {
+        callbackFn(output);
+      }
+    }
+  };
+}
+
+
 //==============================================================================
 // Verification Methods
 //==============================================================================
@@ -94,6 +112,7 @@ function shouldHaveSameElements(actualList, expectedList) {
 // Symbols exported by this internal module.
 module.exports = {
   fakeFileMatcherFor: fakeFileMatcherFor,
+  newFakeStderr: newFakeStderr,
   pathJoin: pathJoin,
   shouldContain: shouldContain,
   shouldHaveSameElements: shouldHaveSameElements
@@ -0,0 +1,504 @@
+// Copyright 2013 Eric W. Barndollar.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//   http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+var watcher = require('../lib/watcher.js');
+
+var buildFinisher = require('../lib/build-finisher.js');
+var common = require('../lib/common.js');
+var cssBuilder = require('../lib/css-builder.js');
+var dirManager = require('../lib/dir-manager.js');
+var fileMatcher = require('../lib/file-matcher.js');
+var fs = require('fs');
+var jsBuilder = require('../lib/js-builder.js');
+var kew = require('kew');
+var optionValidator = require('../lib/option-validator.js');
+var path = require('path');
+var should = require('should');
+var sinon = require('sinon');
+var soyBuilder = require('../lib/soy-builder.js');
+var testUtil = require('./test-util.js');
+var underscore = require('underscore');
+
+
+//==============================================================================
+// Test Data
+//==============================================================================
+
+function newProjectOptions() {
+  return {
+    rootSrcDir: 'src',
+    cssModule: {
+      name: 'style',
+      closureInputFiles: ['style/*.gss'],
+      dontCompileInputFiles: []
+    },
+    jsModules: {
+      main: {
+        alwaysLoadedAfterModules: [],
+        closureRootNamespaces: ['project.main'],
+        nonClosureNamespacedInputFiles: [],
+        dontCompileInputFiles: ['3p/lib.js']
+      }
+    },
+    closureRootDirs: ['js'],
+    soyInputFiles: ['**/*.soy'],
+    jsExterns: ['externs/cdn.js']
+  };
+}
+
+
+function newBuildOptions() {
+  return {
+    type: common.DEBUG,
+    tempFileDir: 'tmp/',
+    generatedCodeDir: 'gen/',
+    outputDir: 'build/'
+  };
+}
+
+
+var RENAMING_FILE = 'tmp/debug/css_renaming_map.js';
+
+
+//==============================================================================
+// Stubbed Functions
+//==============================================================================
+
+var fakeResolveAnyGlobPatternsAsync = testUtil.fakeFileMatcherFor('src', [
+  {in: ['**/*.soy'], out: ['soy/page.soy']},
+  {in: ['style/*.gss'], out: ['style/main.gss']},
+  {in: ['3p/lib.js'], out: ['3p/lib.js']},
+  {in: ['js/**/*.js'], out: ['js/main.js', 'js/util/strings.js']}
+]);
+
+
+// Records builder invocations and allows simulating failures.
+var builtPhases, failNextJsBuild;
+
+// Each fake output file is named for its phase and a count of all outputs.
+var numOutputs = 0;
+function recordFakeOutput(phase, monitor) {
+  numOutputs++;
+  monitor.recordOutput({type: phase, name: phase, path: phase + numOutputs,
+      alwaysLoadedAfterModules: [], inputFiles: []});
+}
+
+function fakeCssBuild(projectOptions, buildOptions, outDirsAsync, monitor) {
+  builtPhases.push('css');
+  var completion = outDirsAsync.then(function() { return kew.delay(2); })
+      .then(function() { recordFakeOutput('css', monitor); });
+  return {
+    getCssRenamingFileAsync: function() {
+      return completion.then(function() { return RENAMING_FILE; });
+    },
+    awaitCompletion: function() { return completion; }
+  };
+}
+
+function fakeSoyBuild(projectOptions, buildOptions, outDirsAsync, monitor) {
+  builtPhases.push('soy');
+  return outDirsAsync.then(function() { return kew.delay(2); })
+      .then(function() { monitor.trackOutputFile('gen/page.soy.js'); });
+}
+
+function fakeJsBuild(projectOptions, buildOptions, outDirsAsync,
+    cssRenamingFileAsync, monitor) {
+  builtPhases.push('js');
+  return kew.all([outDirsAsync, cssRenamingFileAsync])
+      .then(function(results) {
+        should.equal(results[1], RENAMING_FILE);
+        if (failNextJsBuild) {
+          failNextJsBuild = false;
+          throw new Error('simulated JS compiler error');
+        }
+        recordFakeOutput('js', monitor);
+      });
+}
+
+
+// Records the monitor of each finished build.
+var finishedMonitors;
+function fakeFinishBuildAsync(projectOptions, buildOptions, outDirsAsync,
+    completionTasks, monitor) {
+  finishedMonitors.push(monitor);
+  return outDirsAsync.then(function() { return {}; });
+}
+
+
+// Simulates input files that don't exist, if set.
+var missingInputsError;
+function fakeAssertInputFilesExistAsync(projectOptions) {
+  return missingInputsError ? kew.reject(missingInputsError) :
+      kew.resolve(null);
+}
+
+
+function fakeCreateOutputDirsAsync(buildOptions) {
+  return kew.resolve(new dirManager.OutputDirs(buildOptions));
+}
+
+
+var renamingMapContent;
+function fakeReadFile(filePath, options, callbackFn) {
+  filePath.should.equal(RENAMING_FILE);
+  callbackFn(null, renamingMapContent);
+}
+
+
+// Map from watched dir to its change listener, and set of closed dirs.
+var watchListeners, closedDirs;
+function fakeWatch(dir, listenerFn) {
+  watchListeners[dir] = listenerFn;
+  return {close: function() { closedDirs[dir] = true; }};
+}
+
+
+//==============================================================================
+// Test Cases
+//==============================================================================
+
+describe('watcher', function() {
+  var stubResolve, stubPathJoin, stubCssBuild, stubSoyBuild, stubJsBuild;
+  var stubCreateOutputDirs, stubReadFile, stubFinishBuild, stubAssertInputs;
+  var realWatch, realDebounceMs;
+  before(function() {
+    stubResolve = sinon.stub(fileMatcher, 'resolveAnyGlobPatternsAsync',
+        fakeResolveAnyGlobPatternsAsync);
+    stubPathJoin = sinon.stub(path, 'join', testUtil.pathJoin);
+    stubCssBuild = sinon.stub(cssBuilder, 'build', fakeCssBuild);
+    stubSoyBuild = sinon.stub(soyBuilder, 'build', fakeSoyBuild);
+    stubJsBuild = sinon.stub(jsBuilder, 'build', fakeJsBuild);
+    stubCreateOutputDirs = sinon.stub(dirManager, 'createOutputDirsAsync',
+        fakeCreateOutputDirsAsync);
+    stubReadFile = sinon.stub(fs, 'readFile', fakeReadFile);
+    stubFinishBuild = sinon.stub(buildFinisher, 'finishBuildAsync',
+        fakeFinishBuildAsync);
+    stubAssertInputs = sinon.stub(optionValidator,
+        'assertInputFilesExistAsync', fakeAssertInputFilesExistAsync);
+
+    realWatch = watcher.testable.watch;
+    realDebounceMs = watcher.testable.debounceMs;
+    watcher.testable.watch = fakeWatch;
+    watcher.testable.debounceMs = 5;
+  });
+  after(function() {
+    stubResolve.restore();
+    stubPathJoin.restore();
+    stubCssBuild.restore();
+    stubSoyBuild.restore();
+    stubJsBuild.restore();
+    stubCreateOutputDirs.restore();
+    stubReadFile.restore();
+    stubFinishBuild.restore();
+    stubAssertInputs.restore();
+
+    watcher.testable.watch = realWatch;
+    watcher.testable.debounceMs = realDebounceMs;
+  });
+
+  describe('#watch()', function() {
+    // Reset state before each test case.
+    var activeWatcher, events;
+    beforeEach(function() {
+      builtPhases = [];
+      failNextJsBuild = false;
+      missingInputsError = null;
+      renamingMapContent = 'renaming map v1';
+      watchListeners = {};
+      closedDirs = {};
+      events = [];
+      finishedMonitors = [];
+    });
+    afterEach(function() {
+      if (activeWatcher) {
+        activeWatcher.close();
+        activeWatcher = null;
+      }
+    });
+
+    // Starts watching, and calls callbackFn once the initial build is done and
+    // all input files are being watched.
+    var startWatching = function(callbackFn) {
+      activeWatcher = watcher.watch(newProjectOptions(), newBuildOptions(),
+          function(event) { events.push(event); });
+      awaitBuilds(1, function() {
+        builtPhases = [];
+        events = [];
+        finishedMonitors = [];
+        callbackFn();
+      });
+    };
+
+    // Calls callbackFn once numBuilds more builds have finished (and watched
+    // files have been updated).
+    var awaitBuilds = function(numBuilds, callbackFn) {
+      var numFinished = 0;
+      var onFinished = function() {
+        numFinished++;
+        if (numFinished == numBuilds) {
+          activeWatcher.removeListener(watcher.BUILD_SUCCESS, onFinished);
+          activeWatcher.removeListener(watcher.BUILD_FAILURE, onFinished);
+          setTimeout(callbackFn, 10 /* ms */);
+        }
+      };
+      activeWatcher.on(watcher.BUILD_SUCCESS, onFinished);
+      activeWatcher.on(watcher.BUILD_FAILURE, onFinished);
+    };
+
+    var simulateChange = function(dir, fileName) {
+      should.exist(watchListeners[dir], 'Expected ' + dir + ' to be watched');
+      watchListeners[dir]('change', fileName);
+    };
+
+    it('runs an initial build of all phases', function(callbackFn) {
+      activeWatcher = watcher.watch(newProjectOptions(), newBuildOptions(),
+          function(event) { events.push(event); });
+      awaitBuilds(1, function() {
+        testUtil.shouldHaveSameElements(builtPhases, ['css', 'soy', 'js']);
+        events.length.should.equal(2);
+        events[0].type.should.equal(watcher.BUILD_START);
+        events[1].type.should.equal(watcher.BUILD_SUCCESS);
+        testUtil.shouldHaveSameElements(events[1].phases, ['css', 'soy', 'js']);
+        callbackFn();
+      });
+    });
+
+    it('watches the directories of all input files', function(callbackFn) {
+      startWatching(function() {
+        testUtil.shouldHaveSameElements(underscore.keys(watchListeners), [
+          path.normalize('src/soy'),
+          path.normalize('src/style'),
+          path.normalize('src/3p'),
+          path.normalize('src/js'),
+          path.normalize('src/js/util'),
+          'externs'
+        ]);
+        callbackFn();
+      });
+    });
+
+    it('only re-runs CSS if the CSS renaming map did not change',
+        function(callbackFn) {
+      startWatching(function() {
+        awaitBuilds(1, function() {
+          should.deepEqual(builtPhases, ['css']);
+          events[1].type.should.equal(watcher.BUILD_SUCCESS);
+          should.deepEqual(events[1].phases, ['css']);
+          should.deepEqual(events[1].changedFiles,
+              [path.normalize('src/style/main.gss')]);
+          callbackFn();
+        });
+        simulateChange(path.normalize('src/style'), 'main.gss');
+      });
+    });
+
+    it('re-runs CSS then JS if the CSS renaming map changed',
+        function(callbackFn) {
+      startWatching(function() {
+        renamingMapContent = 'renaming map v2';
+        awaitBuilds(1, function() {
+          should.deepEqual(builtPhases, ['css', 'js']);
+          testUtil.shouldHaveSameElements(events[1].phases, ['css', 'js']);
+          callbackFn();
+        });
+        simulateChange(path.normalize('src/style'), 'main.gss');
+      });
+    });
+
+    it('re-runs Soy and JS when a Soy file changes', function(callbackFn) {
+      startWatching(function() {
+        awaitBuilds(1, function() {
+          should.deepEqual(builtPhases, ['soy', 'js']);
+          callbackFn();
+        });
+        simulateChange(path.normalize('src/soy'), 'page.soy');
+      });
+    });
+
+    it('only re-runs JS when a JS input or externs file changes',
+        function(callbackFn) {
+      startWatching(function() {
+        awaitBuilds(1, function() {
+          should.deepEqual(builtPhases, ['js']);
+          testUtil.shouldHaveSameElements(events[0].changedFiles, [
+            path.normalize('src/js/util/strings.js'),
+            path.normalize('externs/cdn.js')
+          ]);
+          callbackFn();
+        });
+        simulateChange(path.normalize('src/js/util'), 'strings.js');
+        simulateChange('externs', 'cdn.js');
+      });
+    });
+
+    it('treats new JS files under closureRootDirs as JS inputs',
+        function(callbackFn) {
+      startWatching(function() {
+        awaitBuilds(1, function() {
+          should.deepEqual(builtPhases, ['js']);
+          callbackFn();
+        });
+        simulateChange(path.normalize('src/js'), 'brand_new.js');
+      });
+    });
+
+    it('debounces a burst of changes into a single build',
+        function(callbackFn) {
+      startWatching(function() {
+        awaitBuilds(1, function() {
+          testUtil.shouldHaveSameElements(builtPhases, ['css', 'soy', 'js']);
+          events.length.should.equal(2);
+          events[0].changedFiles.length.should.equal(3);
+
+          // Make sure no more builds happen after the debounced one.
+          setTimeout(function() {
+            events.length.should.equal(2);
+            callbackFn();
+          }, 20 /* ms */);
+        });
+        simulateChange(path.normalize('src/style'), 'main.gss');
+        simulateChange(path.normalize('src/soy'), 'page.soy');
+        simulateChange(path.normalize('src/js'), 'main.js');
+      });
+    });
+
+    it('ignores changes to files that are not inputs', function(callbackFn) {
+      startWatching(function() {
+        simulateChange(path.normalize('src/js'), 'README.txt');
+        simulateChange('externs', 'other_externs.js');
+        setTimeout(function() {
+          builtPhases.length.should.equal(0);
+          events.length.should.equal(0);
+          callbackFn();
+        }, 20 /* ms */);
+      });
+    });
+
+    it('emits build-failure events with the error', function(callbackFn) {
+      startWatching(function() {
+        failNextJsBuild = true;
+        awaitBuilds(1, function() {
+          events[1].type.should.equal(watcher.BUILD_FAILURE);
+          events[1].error.message.should.equal('simulated JS compiler error');
+
+          // And keeps watching for the next change.
+          awaitBuilds(1, function() {
+            events[3].type.should.equal(watcher.BUILD_SUCCESS);
+            callbackFn();
+          });
+          simulateChange(path.normalize('src/js'), 'main.js');
+        });
+        simulateChange(path.normalize('src/js'), 'main.js');
+      });
+    });
+
+    it('checks input files before each build if strictInputs is set',
+        function(callbackFn) {
+      var buildOptions = newBuildOptions();
+      buildOptions.strictInputs = true;
+      activeWatcher = watcher.watch(newProjectOptions(), buildOptions,
+          function(event) { events.push(event); });
+      awaitBuilds(1, function() {
+        events[1].type.should.equal(watcher.BUILD_SUCCESS);
+
+        missingInputsError = new Error('<src/js/main.js> matches no files');
+        builtPhases = [];
+        awaitBuilds(1, function() {
+          events[3].type.should.equal(watcher.BUILD_FAILURE);
+          events[3].error.should.equal(missingInputsError);
+          builtPhases.length.should.equal(0);
+          callbackFn();
+        });
+        simulateChange(path.normalize('src/js'), 'main.js');
+      });
+    });
+
+    it('does not swallow errors thrown by listeners', function(callbackFn) {
+      // Let this test handle the uncaught error instead of mocha.
+      var mochaHandlers = process.listeners('uncaughtException');
+      process.removeAllListeners('uncaughtException');
+      process.once('uncaughtException', function(err) {
+        mochaHandlers.forEach(function(handler) {
+          process.on('uncaughtException', handler);
+        });
+        err.message.should.equal('simulated listener error');
+        callbackFn();
+      });
+
+      activeWatcher = watcher.watch(newProjectOptions(), newBuildOptions(),
+          function(event) {
+            if (event.type == watcher.BUILD_SUCCESS) {
+              throw new Error('simulated listener error');
+            }
+          });
+    });
+
+    it('finishes each build with the latest outputs of every phase',
+        function(callbackFn) {
+      startWatching(function() {
+        // The initial build wrote the JS output last.
+        var initialJsOutput = 'js' + numOutputs;
+        awaitBuilds(1, function() {
+          should.deepEqual(builtPhases, ['css']);
+          finishedMonitors.length.should.equal(1);
+          var monitor = finishedMonitors[0];
+          should.deepEqual(underscore.pluck(monitor.getOutputs(), 'path'),
+              ['css' + numOutputs, initialJsOutput]);
+          should.deepEqual(monitor.getTrackedOutputFiles(),
+              ['gen/page.soy.js']);
+          callbackFn();
+        });
+        simulateChange(path.normalize('src/style'), 'main.gss');
+      });
+    });
+
+    it('does not finish builds until every phase has succeeded',
+        function(callbackFn) {
+      failNextJsBuild = true;
+      activeWatcher = watcher.watch(newProjectOptions(), newBuildOptions(),
+          function(event) { events.push(event); });
+      awaitBuilds(1, function() {
+        events[1].type.should.equal(watcher.BUILD_FAILURE);
+        finishedMonitors.length.should.equal(0);
+
+        // A CSS-only rebuild still has no JS outputs to finish with.
+        awaitBuilds(1, function() {
+          events[3].type.should.equal(watcher.BUILD_SUCCESS);
+          finishedMonitors.length.should.equal(0);
+
+          awaitBuilds(1, function() {
+            finishedMonitors.length.should.equal(1);
+            callbackFn();
+          });
+          simulateChange(path.normalize('src/js'), 'main.js');
+        });
+        simulateChange(path.normalize('src/style'), 'main.gss');
+      });
+    });
+
+    it('stops watching after close()', function(callbackFn) {
+      startWatching(function() {
+        simulateChange(path.normalize('src/js'), 'main.js');
+        activeWatcher.close();
+
+        underscore.keys(closedDirs).length.should.equal(
+            underscore.keys(watchListeners).length);
+        setTimeout(function() {
+          builtPhases.length.should.equal(0);
+          callbackFn();
+        }, 20 /* ms */);
+      });
+    });
+  });
+});